@@ -1,59 +1,151 @@
 import 'react-native-gesture-handler'; // This must be the first import
-import React from 'react';
+import React, { useContext, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Ionicons } from '@expo/vector-icons';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
+import { StatusBar } from 'expo-status-bar';
 import JobsScreen from './screens/JobsScreen';
 import BookmarksScreen from './screens/BookmarksScreen';
 import JobDetailsScreen from './screens/JobDetailsScreen';
+import CompareJobsScreen from './screens/CompareJobsScreen';
+import MapScreen from './screens/MapScreen';
+import SettingsScreen from './screens/SettingsScreen';
+import HiddenJobsScreen from './screens/HiddenJobsScreen';
 import { JobProvider } from './context/JobContext';
+import { FilterProvider } from './context/FilterContext';
+import { CollectionProvider } from './context/CollectionContext';
+import { ApplicationProvider } from './context/ApplicationContext';
+import { NotesProvider } from './context/NotesContext';
+import { ExpiryProvider } from './context/ExpiryContext';
+import { SavedSearchProvider } from './context/SavedSearchContext';
+import { LocationProvider } from './context/LocationContext';
+import { LanguageProvider, LanguageContext } from './context/LanguageContext';
+import { ThemeProvider, ThemeContext } from './context/ThemeContext';
+import { navigationRef, flushPendingNavigation } from './navigation/navigationRef';
+import { linking } from './navigation/linking';
+import { handleLaunchNotification } from './utils/notifications';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
 function JobsStack() {
+  const { t } = useContext(LanguageContext);
   return (
     <Stack.Navigator>
-      <Stack.Screen name="JobsList" component={JobsScreen} options={{ title: 'Jobs' }} />
-      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: 'Job Details' }} />
+      <Stack.Screen name="JobsList" component={JobsScreen} options={{ title: t('nav.jobs') }} />
+      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: t('nav.jobDetails') }} />
     </Stack.Navigator>
   );
 }
 
 function BookmarksStack() {
+  const { t } = useContext(LanguageContext);
   return (
     <Stack.Navigator>
-      <Stack.Screen name="BookmarksList" component={BookmarksScreen} options={{ title: 'Bookmarks' }} />
-      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: 'Job Details' }} />
+      <Stack.Screen name="BookmarksList" component={BookmarksScreen} options={{ title: t('nav.bookmarks') }} />
+      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: t('nav.jobDetails') }} />
+      <Stack.Screen name="CompareJobs" component={CompareJobsScreen} options={{ title: t('nav.compareJobs') }} />
     </Stack.Navigator>
   );
 }
 
+function MapStack() {
+  const { t } = useContext(LanguageContext);
+  return (
+    <Stack.Navigator>
+      <Stack.Screen name="JobsMap" component={MapScreen} options={{ title: t('nav.map') }} />
+      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: t('nav.jobDetails') }} />
+    </Stack.Navigator>
+  );
+}
+
+function SettingsStack() {
+  const { t } = useContext(LanguageContext);
+  return (
+    <Stack.Navigator>
+      <Stack.Screen name="SettingsHome" component={SettingsScreen} options={{ title: t('nav.settings') }} />
+      <Stack.Screen name="HiddenJobs" component={HiddenJobsScreen} options={{ title: t('nav.hiddenJobs') }} />
+    </Stack.Navigator>
+  );
+}
+
+// Tab labels follow the app language
+function MainTabs() {
+  const { t } = useContext(LanguageContext);
+  return (
+    <Tab.Navigator
+      screenOptions={({ route }) => ({
+        tabBarIcon: ({ focused, color, size }) => {
+          let iconName;
+          if (route.name === 'Jobs') {
+            iconName = focused ? 'briefcase' : 'briefcase-outline';
+          } else if (route.name === 'Bookmarks') {
+            iconName = focused ? 'bookmark' : 'bookmark-outline';
+          } else if (route.name === 'Map') {
+            iconName = focused ? 'map' : 'map-outline';
+          } else if (route.name === 'Settings') {
+            iconName = focused ? 'settings' : 'settings-outline';
+          }
+          return <Ionicons name={iconName} size={size} color={color} />;
+        },
+      })}
+    >
+      <Tab.Screen name="Jobs" component={JobsStack} options={{ title: t('nav.jobs') }} />
+      <Tab.Screen name="Map" component={MapStack} options={{ title: t('nav.map') }} />
+      <Tab.Screen name="Bookmarks" component={BookmarksStack} options={{ title: t('nav.bookmarks') }} />
+      <Tab.Screen name="Settings" component={SettingsStack} options={{ title: t('nav.settings') }} />
+    </Tab.Navigator>
+  );
+}
+
+// Headers and the tab bar take their colors from the navigation theme
+function AppNavigation() {
+  const { isDark, navigationTheme } = useContext(ThemeContext);
+  return (
+    <NavigationContainer
+      ref={navigationRef}
+      linking={linking}
+      theme={navigationTheme}
+      onReady={flushPendingNavigation}
+    >
+      <StatusBar style={isDark ? 'light' : 'dark'} />
+      <MainTabs />
+    </NavigationContainer>
+  );
+}
+
 export default function App() {
+  // The providers subscribe to notification taps in their own effects, which
+  // run before this one
+  useEffect(() => {
+    handleLaunchNotification();
+  }, []);
+
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
-      <JobProvider>
-        <NavigationContainer>
-          <Tab.Navigator
-            screenOptions={({ route }) => ({
-              tabBarIcon: ({ focused, color, size }) => {
-                let iconName;
-                if (route.name === 'Jobs') {
-                  iconName = focused ? 'briefcase' : 'briefcase-outline';
-                } else if (route.name === 'Bookmarks') {
-                  iconName = focused ? 'bookmark' : 'bookmark-outline';
-                }
-                return <Ionicons name={iconName} size={size} color={color} />;
-              },
-            })}
-          >
-            <Tab.Screen name="Jobs" component={JobsStack} />
-            <Tab.Screen name="Bookmarks" component={BookmarksStack} />
-          </Tab.Navigator>
-        </NavigationContainer>
-      </JobProvider>
+      <ThemeProvider>
+        <LanguageProvider>
+          <JobProvider>
+            <FilterProvider>
+              <CollectionProvider>
+                <ApplicationProvider>
+                  <NotesProvider>
+                    <ExpiryProvider>
+                      <SavedSearchProvider>
+                        <LocationProvider>
+                          <AppNavigation />
+                        </LocationProvider>
+                      </SavedSearchProvider>
+                    </ExpiryProvider>
+                  </NotesProvider>
+                </ApplicationProvider>
+              </CollectionProvider>
+            </FilterProvider>
+          </JobProvider>
+        </LanguageProvider>
+      </ThemeProvider>
     </GestureHandlerRootView>
   );
 }
@@ -0,0 +1,159 @@
+import { createJobsApi, extractJobList } from '../client';
+import { createMockAdapter } from '../adapters/mockAdapter';
+import {
+  HttpError,
+  NotFoundError,
+  TimeoutError,
+  NetworkError,
+  ResponseShapeError,
+  AbortError,
+} from '../errors';
+import { FIXTURE_PAGES } from '../fixtures/jobs';
+
+// Helper function to build a client on the in-memory adapter. The adapter is
+// a spy so tests can count requests.
+const createApi = (adapterOptions = {}, clientOptions = {}) => {
+  const adapter = jest.fn(createMockAdapter({ latencyMs: 1, ...adapterOptions }));
+  const api = createJobsApi({ baseUrl: 'https://example.test/', adapter, retryDelayMs: 1, ...clientOptions });
+  return { api, adapter };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('extractJobList', () => {
+  const list = [{ id: 1 }];
+
+  it('accepts a bare array and the known wrappers', () => {
+    expect(extractJobList(list)).toBe(list);
+    expect(extractJobList({ results: list })).toBe(list);
+    expect(extractJobList({ jobs: list })).toBe(list);
+    expect(extractJobList({ data: list })).toBe(list);
+  });
+
+  it('finds a list nested one level deeper', () => {
+    expect(extractJobList({ data: { results: list } })).toBe(list);
+  });
+
+  it('returns null for any other shape', () => {
+    expect(extractJobList(null)).toBeNull();
+    expect(extractJobList('jobs')).toBeNull();
+    expect(extractJobList({ message: 'ok' })).toBeNull();
+    expect(extractJobList({ data: { count: 3 } })).toBeNull();
+  });
+});
+
+describe('createJobsApi', () => {
+  it('fetches and parses a page of jobs', async () => {
+    const { api, adapter } = createApi();
+
+    const result = await api.getJobs(2);
+
+    expect(adapter).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'https://example.test/common/jobs?page=2',
+      method: 'GET',
+    }));
+    expect(result.page).toBe(2);
+    expect(result.hasMore).toBe(true);
+    expect(result.jobs.map(job => job.id)).toEqual(
+      FIXTURE_PAGES[1].filter(item => item.id !== undefined).map(item => item.id)
+    );
+  });
+
+  it('reports the end of the feed when a page comes back empty', async () => {
+    const { api } = createApi();
+
+    await expect(api.getJobs(FIXTURE_PAGES.length + 1)).resolves.toMatchObject({ jobs: [], hasMore: false });
+  });
+
+  it('retries a server error and resolves once a retry succeeds', async () => {
+    // Every second request fails with a 503
+    const { api, adapter } = createApi({ failEvery: 2 });
+    await api.getJobs(1);
+
+    const result = await api.getJobs(2);
+
+    expect(adapter).toHaveBeenCalledTimes(3);
+    expect(result.page).toBe(2);
+  });
+
+  it('gives up with an HttpError after the configured retries', async () => {
+    const { api, adapter } = createApi({ failEvery: 1 }, { retries: 2 });
+
+    const error = await api.getJobs(1).catch(err => err);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(503);
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it('doubles the wait between retries', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    const { api } = createApi({ failEvery: 1 }, { retries: 3, retryDelayMs: 7, timeoutMs: 1000 });
+
+    await expect(api.getJobs(1)).rejects.toBeInstanceOf(HttpError);
+
+    const retryDelays = setTimeoutSpy.mock.calls
+      .map(([, ms]) => ms)
+      .filter(ms => ms !== 1 && ms !== 1000);
+    expect(retryDelays).toEqual([7, 14, 28]);
+  });
+
+  it('does not retry a missing job', async () => {
+    const { api, adapter } = createApi();
+
+    await expect(api.getJob('missing')).rejects.toBeInstanceOf(NotFoundError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('times out a slow attempt and retries it', async () => {
+    const { api, adapter } = createApi({ latencyMs: 50 }, { timeoutMs: 5, retries: 1 });
+
+    const error = await api.getJobs(1).catch(err => err);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.timeoutMs).toBe(5);
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it('wraps adapter failures in a NetworkError', async () => {
+    const adapter = jest.fn(() => Promise.reject(new TypeError('Network request failed')));
+    const api = createJobsApi({ adapter, retries: 1, retryDelayMs: 1 });
+
+    const error = await api.getJobs(1).catch(err => err);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.cause).toBeInstanceOf(TypeError);
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a response it cannot find jobs in', async () => {
+    const adapter = jest.fn(() => Promise.resolve({ status: 200, data: { message: 'ok' } }));
+    const api = createJobsApi({ adapter });
+
+    await expect(api.getJobs(1)).rejects.toBeInstanceOf(ResponseShapeError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels a request in flight without retrying it', async () => {
+    const { api, adapter } = createApi({ latencyMs: 50 });
+    const controller = new AbortController();
+
+    const pending = api.getJobs(1, { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(AbortError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not send a request that was cancelled before it started', async () => {
+    const { api, adapter } = createApi();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(api.getJobs(1, { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+    expect(adapter).not.toHaveBeenCalled();
+  });
+});
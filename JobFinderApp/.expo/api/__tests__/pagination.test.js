@@ -0,0 +1,128 @@
+import { createJobsApi } from '../client';
+import { createMockAdapter } from '../adapters/mockAdapter';
+import { createPaginationController } from '../pagination';
+import { HttpError } from '../errors';
+import { FIXTURE_PAGES } from '../fixtures/jobs';
+
+// Helper function to build a controller that pages through the fixtures with
+// the in-memory adapter. `fetchPage` is a spy so tests can count requests.
+const createController = (adapterOptions = {}) => {
+  const adapter = jest.fn(createMockAdapter({ latencyMs: 5, ...adapterOptions }));
+  const api = createJobsApi({ baseUrl: 'https://example.test', adapter, retries: 0 });
+  const fetchPage = jest.fn((page, options) => api.getJobs(page, options));
+  return { controller: createPaginationController({ fetchPage }), fetchPage, adapter };
+};
+
+// Helper function to list the ids of the loaded items
+const ids = (controller) => controller.getState().items.map(item => item.id);
+
+// Helper function to list the job ids on the given fixture pages
+const fixtureIds = (...pages) => pages
+  .reduce((all, page) => all.concat(FIXTURE_PAGES[page - 1]), [])
+  .filter(item => item.id !== undefined)
+  .map(item => item.id);
+
+describe('createPaginationController', () => {
+  it('loads pages in order', async () => {
+    const { controller } = createController();
+
+    await controller.refresh();
+    await controller.loadMore();
+
+    expect(ids(controller)).toEqual(fixtureIds(1, 2));
+    expect(controller.getState()).toMatchObject({ page: 2, hasMore: true, status: 'idle', error: null });
+  });
+
+  it('dedupes loadMore calls made while a page is loading', async () => {
+    const { controller, fetchPage } = createController();
+    await controller.refresh();
+
+    const results = await Promise.all([
+      controller.loadMore(),
+      controller.loadMore(),
+      controller.loadMore(),
+    ]);
+
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(fetchPage).toHaveBeenLastCalledWith(2, expect.anything());
+    expect(results[1]).toBe(results[0]);
+    expect(ids(controller)).toEqual(fixtureIds(1, 2));
+  });
+
+  it('cancels the page in flight when refreshed', async () => {
+    const { controller, fetchPage } = createController();
+    await controller.refresh();
+
+    const pending = controller.loadMore();
+    const { signal } = fetchPage.mock.calls[1][1];
+    const refreshed = controller.refresh();
+
+    expect(signal.aborted).toBe(true);
+    expect(controller.getState().status).toBe('refreshing');
+
+    await Promise.all([pending, refreshed]);
+
+    expect(ids(controller)).toEqual(fixtureIds(1));
+    expect(controller.getState()).toMatchObject({ page: 1, status: 'idle', error: null });
+  });
+
+  it('drops jobs that appear again on a later page', async () => {
+    const pages = [
+      FIXTURE_PAGES[0],
+      // The feed shifted by one between requests
+      [FIXTURE_PAGES[0][3], FIXTURE_PAGES[1][0], FIXTURE_PAGES[0][0]],
+    ];
+    const { controller } = createController({ pages });
+
+    await controller.refresh();
+    await controller.loadMore();
+
+    expect(ids(controller)).toEqual([4412, 4398, 4377, 4351]);
+  });
+
+  it('stops at the last page', async () => {
+    const { controller, fetchPage } = createController();
+
+    await controller.refresh();
+    await controller.loadMore();
+    await controller.loadMore();
+    expect(controller.getState().hasMore).toBe(true);
+
+    // The page after the last one comes back empty
+    await controller.loadMore();
+    expect(controller.getState()).toMatchObject({ page: 4, hasMore: false });
+
+    await controller.loadMore();
+    expect(fetchPage).toHaveBeenCalledTimes(4);
+    expect(ids(controller)).toEqual(fixtureIds(1, 2, 3));
+  });
+
+  it('keeps the loaded page after an error and retries the same page', async () => {
+    // The second request fails with a 503
+    const { controller, fetchPage } = createController({ failEvery: 2 });
+    await controller.refresh();
+
+    await controller.loadMore();
+    expect(controller.getState().error).toBeInstanceOf(HttpError);
+    expect(controller.getState()).toMatchObject({ page: 1, hasMore: true, status: 'idle' });
+    expect(ids(controller)).toEqual(fixtureIds(1));
+
+    await controller.loadMore();
+    expect(fetchPage.mock.calls.map(call => call[0])).toEqual([1, 2, 2]);
+    expect(controller.getState()).toMatchObject({ page: 2, error: null });
+    expect(ids(controller)).toEqual(fixtureIds(1, 2));
+  });
+
+  it('notifies subscribers until they unsubscribe', async () => {
+    const { controller } = createController();
+    const listener = jest.fn();
+    const unsubscribe = controller.subscribe(listener);
+
+    await controller.refresh();
+    expect(listener.mock.calls.map(call => call[0].status)).toEqual(['refreshing', 'idle']);
+
+    unsubscribe();
+    await controller.loadMore();
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
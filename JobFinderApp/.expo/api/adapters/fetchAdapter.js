@@ -0,0 +1,28 @@
+import { NetworkError } from '../errors';
+
+// Adapter that talks to the real API with fetch. Adapters take
+// `{ url, method, signal }` and resolve with `{ status, data }`; `data` is
+// null when the body is not JSON so the client can report the shape error.
+export const createFetchAdapter = () => async ({ url, method = 'GET', signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      signal,
+      headers: { Accept: 'application/json' },
+    });
+  } catch (error) {
+    // Let the client tell cancellations and timeouts apart
+    if (error && error.name === 'AbortError') throw error;
+    throw new NetworkError(error && error.message ? error.message : undefined, { cause: error });
+  }
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    data = null;
+  }
+
+  return { status: response.status, data };
+};
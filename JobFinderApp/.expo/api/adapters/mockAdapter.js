@@ -0,0 +1,56 @@
+import { FIXTURE_PAGES } from '../fixtures/jobs';
+
+// Helper function to build the error fetch raises for an aborted request
+const createAbortError = () => {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Helper function to wait, giving up early if the request is aborted
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }, { once: true });
+  }
+});
+
+// In-memory stand-in for testapi.getlokalapp.com. It serves the fixture pages
+// with a little latency so loading states are visible, and can be told to
+// fail every Nth request to exercise retries and error screens.
+export const createMockAdapter = ({ pages = FIXTURE_PAGES, latencyMs = 300, failEvery = 0 } = {}) => {
+  let requestCount = 0;
+
+  return async ({ url, signal }) => {
+    requestCount += 1;
+    await wait(latencyMs, signal);
+
+    if (failEvery > 0 && requestCount % failEvery === 0) {
+      return { status: 503, data: { message: 'Service unavailable' } };
+    }
+
+    const listMatch = url.match(/\/common\/jobs\/?(?:\?(.*))?$/);
+    if (listMatch) {
+      const pageMatch = (listMatch[1] || '').match(/(?:^|&)page=(\d+)/);
+      const page = pageMatch ? parseInt(pageMatch[1], 10) : 1;
+      // Pages past the end come back empty, like the real API
+      return { status: 200, data: { results: pages[page - 1] || [] } };
+    }
+
+    const jobMatch = url.match(/\/common\/jobs\/([^/?]+)$/);
+    if (jobMatch) {
+      const id = decodeURIComponent(jobMatch[1]);
+      const job = pages.flat().find(item => item && String(item.id) === id);
+      if (job) return { status: 200, data: job };
+    }
+
+    return { status: 404, data: { message: 'Not found' } };
+  };
+};
@@ -0,0 +1,159 @@
+import { parseJob, parseJobs } from '../utils/jobParser';
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  HttpError,
+  NotFoundError,
+  ResponseShapeError,
+  AbortError,
+} from './errors';
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 10000,
+  retries: 2,
+  retryDelayMs: 500,
+};
+
+// The jobs endpoint has answered with a bare array as well as
+// `{ results }`, `{ jobs }` and `{ data }` wrappers. Returns null for any
+// other shape so the caller can raise a ResponseShapeError.
+export const extractJobList = (data) => {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return null;
+
+  const candidates = [data.results, data.jobs, data.data];
+  for (const candidate of candidates) {
+    if (Array.isArray(candidate)) return candidate;
+    // Some responses nest the list one level deeper, e.g. `{ data: { results } }`
+    if (candidate && typeof candidate === 'object') {
+      const nested = extractJobList(candidate);
+      if (nested) return nested;
+    }
+  }
+  return null;
+};
+
+// The single-job endpoint answers with the job itself or wraps it like the
+// list endpoint does. Returns null when no job can be found in the response.
+export const extractJob = (data) => {
+  const list = extractJobList(data);
+  if (list) return list.length > 0 ? list[0] : null;
+  if (!data || typeof data !== 'object') return null;
+  if (data.id !== undefined) return data;
+
+  const candidates = [data.job, data.data, data.result];
+  for (const candidate of candidates) {
+    const job = extractJob(candidate);
+    if (job) return job;
+  }
+  return null;
+};
+
+// Helper function to wait before a retry, giving up early if cancelled
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new AbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    }, { once: true });
+  }
+});
+
+export const createJobsApi = (options = {}) => {
+  const { baseUrl, adapter, timeoutMs, retries, retryDelayMs } = { ...DEFAULT_OPTIONS, ...options };
+  if (!adapter) throw new Error('createJobsApi needs an adapter');
+
+  const rootUrl = (baseUrl || '').replace(/\/+$/, '');
+
+  // Run one attempt with its own timeout. The caller's signal still cancels it.
+  const attempt = async (path, signal) => {
+    // An already cancelled request never reaches the adapter
+    if (signal && signal.aborted) throw new AbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+
+    try {
+      const { status, data } = await adapter({
+        url: `${rootUrl}${path}`,
+        method: 'GET',
+        signal: controller.signal,
+      });
+
+      if (status === 404) throw new NotFoundError();
+      if (status < 200 || status >= 300) throw new HttpError(status);
+      return data;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (error && error.name === 'AbortError') {
+        if (timedOut) throw new TimeoutError(timeoutMs, { cause: error });
+        throw new AbortError({ cause: error });
+      }
+      throw new NetworkError(error && error.message ? error.message : undefined, { cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', forwardAbort);
+    }
+  };
+
+  // Retry temporary failures with exponential backoff and a little jitter
+  const request = async (path, { signal } = {}) => {
+    let lastError;
+    for (let attemptNumber = 0; attemptNumber <= retries; attemptNumber++) {
+      try {
+        return await attempt(path, signal);
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable || attemptNumber === retries) break;
+        const delay = retryDelayMs * Math.pow(2, attemptNumber);
+        await sleep(delay + Math.random() * delay * 0.25, signal);
+      }
+    }
+    throw lastError;
+  };
+
+  /**
+   * Fetch one page of the job feed.
+   * Resolves with the normalized jobs and whether the server returned anything,
+   * which is how the end of the feed is detected.
+   */
+  const getJobs = async (page = 1, { signal } = {}) => {
+    const data = await request(`/common/jobs?page=${page}`, { signal });
+    const rawJobs = extractJobList(data);
+    if (!rawJobs) throw new ResponseShapeError();
+
+    return {
+      page,
+      jobs: parseJobs(rawJobs),
+      hasMore: rawJobs.length > 0,
+    };
+  };
+
+  /**
+   * Fetch a single posting by id, e.g. for a shared link.
+   * Rejects with NotFoundError when the posting no longer exists.
+   */
+  const getJob = async (id, { signal } = {}) => {
+    const data = await request(`/common/jobs/${encodeURIComponent(id)}`, { signal });
+    const job = parseJob(extractJob(data));
+    if (!job) throw new ResponseShapeError();
+    return job;
+  };
+
+  return {
+    getJobs,
+    getJob,
+  };
+};
@@ -0,0 +1,24 @@
+import Constants from 'expo-constants';
+
+// API settings come from `expo.extra.api` in app.json. EXPO_PUBLIC_ variables
+// override them for a single run, e.g. `EXPO_PUBLIC_USE_MOCK_API=1 expo start`
+// to develop against the bundled fixtures with no network.
+const extra = (Constants.expoConfig && Constants.expoConfig.extra && Constants.expoConfig.extra.api) || {};
+
+const toNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const toBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return value === true || value === '1' || value === 'true';
+};
+
+export const API_CONFIG = {
+  baseUrl: process.env.EXPO_PUBLIC_API_BASE_URL || extra.baseUrl || 'https://testapi.getlokalapp.com',
+  timeoutMs: toNumber(process.env.EXPO_PUBLIC_API_TIMEOUT_MS, toNumber(extra.timeoutMs, 10000)),
+  retries: toNumber(extra.retries, 2),
+  retryDelayMs: toNumber(extra.retryDelayMs, 500),
+  useMockApi: toBoolean(process.env.EXPO_PUBLIC_USE_MOCK_API, toBoolean(extra.useMockApi, false)),
+};
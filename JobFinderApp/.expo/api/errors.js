@@ -0,0 +1,76 @@
+// Errors thrown by the jobs API client. Screens can check `instanceof` to
+// show a specific message, and the client uses `retryable` to decide whether
+// a failed request is worth repeating.
+
+import { t } from '../i18n';
+
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+// The request never reached the server, e.g. no connection or DNS failure
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed', options = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+// The server did not answer within the configured timeout
+export class TimeoutError extends ApiError {
+  constructor(timeoutMs, options = {}) {
+    super(`Request timed out after ${timeoutMs}ms`, { retryable: true, ...options });
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The server answered with a non-2xx status
+export class HttpError extends ApiError {
+  constructor(status, options = {}) {
+    // Server errors and rate limiting are usually temporary
+    super(`Request failed with status ${status}`, {
+      status,
+      retryable: status >= 500 || status === 429,
+      ...options,
+    });
+    this.name = 'HttpError';
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(options = {}) {
+    super(404, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// The server answered, but not with a response shape we understand
+export class ResponseShapeError extends ApiError {
+  constructor(message = 'Unexpected response format', options = {}) {
+    super(message, options);
+    this.name = 'ResponseShapeError';
+  }
+}
+
+// The caller cancelled the request, e.g. because a newer one replaced it
+export class AbortError extends ApiError {
+  constructor(options = {}) {
+    super('Request was cancelled', options);
+    this.name = 'AbortError';
+  }
+}
+
+// Helper function to turn any API error into a message for the user
+export const getErrorMessage = (error) => {
+  if (error instanceof NetworkError) return t('errors.network');
+  if (error instanceof TimeoutError) return t('errors.timeout');
+  if (error instanceof HttpError && error.status >= 500) return t('errors.server');
+  return t('errors.generic');
+};
@@ -0,0 +1,327 @@
+// Hand-written sample /common/jobs payloads, modelled on the response shape of
+// testapi.getlokalapp.com; the values are made up. Used by the in-memory
+// adapter so the app can run without a network, and by the tests.
+
+const job = (overrides) => ({
+  type: 1040,
+  fee_details: { V3: [] },
+  job_tags: [],
+  job_type: 3,
+  job_category_id: 35,
+  qualification: 5,
+  experience: 3,
+  shift_timing: 1,
+  job_role_id: 1237,
+  salary_max: 0,
+  salary_min: 0,
+  city_location: 69,
+  locality: 2187,
+  premium_till: null,
+  company_name: '',
+  button_text: 'Call HR',
+  views: 0,
+  shares: 0,
+  is_bookmarked: false,
+  is_applied: false,
+  is_owner: false,
+  whatsapp_no: null,
+  contact_preference: {
+    preference: 1,
+    whatsapp_link: null,
+    preferred_call_start_time: '09:00:00',
+    preferred_call_end_time: '18:00:00',
+  },
+  is_premium: false,
+  creatives: [],
+  videos: [],
+  locality_tag: null,
+  tags: [],
+  contentV3: { V3: [] },
+  status: 1,
+  job_hours: '09:00 AM - 06:00 PM',
+  other_details: '',
+  job_category: 'Telecaller / BPO',
+  num_applications: 0,
+  translated_content: {},
+  fees_text: '',
+  fees_charged: 0,
+  ...overrides,
+});
+
+export const FIXTURE_PAGES = [
+  [
+    job({
+      id: 4412,
+      title: 'Telesales Executive',
+      primary_details: {
+        Place: 'Nagole, Hyderabad',
+        Salary: '₹12000 - ₹20000',
+        Job_Type: 'Full Time',
+        Experience: 'Freshers',
+        Fees_Charged: '-',
+        Qualification: '12th Pass',
+      },
+      job_tags: [{ value: '120 Vacancies', bg_color: '#FFFFFF', text_color: '#000000' }],
+      salary_max: 20000,
+      salary_min: 12000,
+      company_name: 'Xerxes Corporate Services Private Limited',
+      custom_link: 'tel:7799888123',
+      views: 7004,
+      shares: 223,
+      whatsapp_no: '917799888123',
+      is_premium: true,
+      contentV3: {
+        V3: [
+          { field_key: 'Gender', field_name: 'Gender', field_value: 'Male/Female' },
+          { field_key: 'Shift timing', field_name: 'Shift timing', field_value: 'Day Shift' },
+          { field_key: 'Languages', field_name: 'Languages', field_value: 'Telugu, Hindi, English' },
+          { field_key: 'Other details', field_name: 'Other details', field_value: 'Incentives up to ₹5000. Call HR on 7799888123 between 10am and 5pm.' },
+        ],
+      },
+      job_role: 'Telesales Executive',
+      created_on: '2025-04-06T13:26:43.599637+05:30',
+      updated_on: '2025-04-10T12:45:11.567979+05:30',
+      expire_on: '2025-05-06',
+      openings_count: 120,
+      job_location_slug: 'Nagole, Hyderabad',
+      num_applications: 100,
+    }),
+    // Promotional cards in the feed have no id and are not jobs
+    { type: 1041, title: 'Get your resume reviewed', cta: 'Learn more' },
+    job({
+      id: 4398,
+      title: 'Delivery Boy',
+      primary_details: {
+        Place: 'Kukatpally, Hyderabad',
+        Salary: '₹18000 - ₹25000',
+        Job_Type: 'Full Time',
+        Experience: 'Freshers',
+        Fees_Charged: '-',
+        Qualification: '10th Pass',
+      },
+      job_tags: [{ value: '30 Vacancies', bg_color: '#FFFFFF', text_color: '#000000' }],
+      salary_max: 25000,
+      salary_min: 18000,
+      company_name: 'Swift Logistics',
+      job_category: 'Delivery / Courier',
+      custom_link: 'tel:9848022338',
+      views: 3120,
+      whatsapp_no: '919848022338',
+      contentV3: {
+        V3: [
+          { field_key: 'Vehicle required', field_name: 'Vehicle required', field_value: 'Two wheeler with valid licence' },
+          { field_key: 'Shift timing', field_name: 'Shift timing', field_value: 'Morning Shift' },
+        ],
+      },
+      job_role: 'Delivery Executive',
+      created_on: '2025-04-05T09:12:10.120000+05:30',
+      updated_on: '2025-04-05T09:12:10.120000+05:30',
+      expire_on: '2025-05-05',
+      openings_count: 30,
+      job_location_slug: 'Kukatpally, Hyderabad',
+    }),
+    job({
+      id: 4377,
+      title: 'Staff Nurse',
+      primary_details: {
+        Place: 'Guntur',
+        Salary: '-',
+        Job_Type: 'Full Time',
+        Experience: '1 - 2 Years',
+        Fees_Charged: '-',
+        Qualification: 'B.Sc Nursing',
+      },
+      salary_max: 0,
+      salary_min: 0,
+      city_location: 112,
+      locality: 0,
+      company_name: 'Sri Sai Multispeciality Hospital',
+      job_category: 'Healthcare',
+      custom_link: 'tel:9000123456',
+      views: 1544,
+      contentV3: {
+        V3: [
+          { field_key: 'Gender', field_name: 'Gender', field_value: 'Female' },
+          { field_key: 'Shift timing', field_name: 'Shift timing', field_value: 'Rotational Shift' },
+          { field_Key: 'accommodation', field_name: '', field_value: 'Free hostel accommodation provided' },
+        ],
+      },
+      job_role: 'Nurse',
+      job_hours: '08:00 AM - 08:00 PM',
+      created_on: '2025-04-04T17:40:00.000000+05:30',
+      updated_on: '2025-04-06T10:00:00.000000+05:30',
+      expire_on: '2025-04-20',
+      openings_count: 4,
+      job_location_slug: 'Guntur',
+    }),
+  ],
+  [
+    job({
+      id: 4351,
+      title: 'Driver',
+      primary_details: {
+        Place: 'Gachibowli, Hyderabad',
+        Salary: '₹15000',
+        Job_Type: 'Full Time',
+        Experience: '2+ Years',
+        Fees_Charged: '-',
+        Qualification: '8th Pass',
+      },
+      salary_max: 15000,
+      salary_min: 15000,
+      company_name: 'Ramesh Travels',
+      job_category: 'Driver',
+      custom_link: 'tel:9123456780',
+      views: 980,
+      whatsapp_no: '919123456780',
+      contentV3: {
+        V3: [
+          { field_key: 'Licence', field_name: 'Licence', field_value: 'LMV licence mandatory' },
+        ],
+      },
+      job_role: 'Cab Driver',
+      created_on: '2025-04-03T11:05:00.000000+05:30',
+      updated_on: '2025-04-03T11:05:00.000000+05:30',
+      expire_on: '2025-05-03',
+      openings_count: 5,
+      job_location_slug: 'Gachibowli, Hyderabad',
+    }),
+    job({
+      id: 4340,
+      title: 'Computer Operator',
+      primary_details: {
+        Place: 'Benz Circle, Vijayawada',
+        Salary: '₹10000 - ₹14000',
+        Job_Type: 'Part Time',
+        Experience: 'Freshers',
+        Fees_Charged: '₹500',
+        Qualification: 'Graduate',
+      },
+      job_tags: [{ value: 'Part Time', bg_color: '#FFF4E5', text_color: '#B25E09' }],
+      salary_max: 14000,
+      salary_min: 10000,
+      city_location: 88,
+      locality: 3051,
+      company_name: 'Vijaya Computers',
+      job_category: 'Back Office / Data Entry',
+      custom_link: 'tel:9700011122',
+      views: 2210,
+      contentV3: {
+        V3: [
+          { field_key: 'Skills', field_name: 'Skills', field_value: 'MS Excel, Telugu typing' },
+          { field_key: 'Website', field_name: 'Website', field_value: 'Apply at https://vijayacomputers.example.com/careers' },
+        ],
+      },
+      job_role: 'Data Entry Operator',
+      job_hours: '02:00 PM - 07:00 PM',
+      created_on: '2025-04-02T15:30:00.000000+05:30',
+      updated_on: '2025-04-02T15:30:00.000000+05:30',
+      expire_on: '2025-04-30',
+      openings_count: 2,
+      fees_charged: 500,
+      job_location_slug: 'Benz Circle, Vijayawada',
+    }),
+    job({
+      id: 4322,
+      title: 'Security Guard',
+      primary_details: {
+        Place: 'Anna Nagar, Chennai',
+        Salary: 'V3:[]',
+        Job_Type: 'Full Time',
+        Experience: 'Freshers',
+        Fees_Charged: '-',
+        Qualification: '10th Pass',
+      },
+      salary_max: 0,
+      salary_min: 0,
+      city_location: 15,
+      locality: 812,
+      company_name: 'Shield Security Services',
+      job_category: 'Security',
+      custom_link: 'tel:9444012345',
+      views: 640,
+      whatsapp_no: '919444012345',
+      contentV3: {
+        V3: [
+          { field_key: 'Shift timing', field_name: 'Shift timing', field_value: 'Night Shift' },
+        ],
+      },
+      job_role: 'Security Guard',
+      job_hours: '08:00 PM - 08:00 AM',
+      created_on: '2025-04-01T08:00:00.000000+05:30',
+      updated_on: '2025-04-01T08:00:00.000000+05:30',
+      expire_on: '2025-05-01',
+      openings_count: 10,
+      job_location_slug: 'Anna Nagar, Chennai',
+    }),
+  ],
+  [
+    job({
+      id: 4305,
+      title: 'Beautician',
+      primary_details: {
+        Place: 'Jayanagar, Bengaluru',
+        Salary: '₹14000 - ₹22000',
+        Job_Type: 'Full Time',
+        Experience: '1 - 2 Years',
+        Fees_Charged: '-',
+        Qualification: '10th Pass',
+      },
+      salary_max: 22000,
+      salary_min: 14000,
+      city_location: 21,
+      locality: 1402,
+      company_name: 'Glow Salon & Spa',
+      job_category: 'Beauty / Wellness',
+      custom_link: 'tel:9886012345',
+      views: 1320,
+      contentV3: {
+        V3: [
+          { field_key: 'Gender', field_name: 'Gender', field_value: 'Female' },
+          { field_key: 'Shift timing', field_name: 'Shift timing', field_value: 'Day Shift' },
+        ],
+      },
+      job_role: 'Beautician',
+      created_on: '2025-03-30T12:00:00.000000+05:30',
+      updated_on: '2025-03-30T12:00:00.000000+05:30',
+      expire_on: '2025-04-29',
+      openings_count: 3,
+      job_location_slug: 'Jayanagar, Bengaluru',
+    }),
+    job({
+      id: 4290,
+      title: 'Warehouse Helper',
+      primary_details: {
+        Place: 'Shamshabad, Hyderabad',
+        Salary: '₹13000 - ₹16000',
+        Job_Type: 'Full Time',
+        Experience: 'Freshers',
+        Fees_Charged: '-',
+        Qualification: '8th Pass',
+      },
+      job_tags: [{ value: '25 Vacancies', bg_color: '#FFFFFF', text_color: '#000000' }],
+      salary_max: 16000,
+      salary_min: 13000,
+      company_name: 'Deccan Warehousing',
+      job_category: 'Warehouse / Logistics',
+      custom_link: 'tel:9866098660',
+      views: 2890,
+      whatsapp_no: '919866098660',
+      contentV3: {
+        V3: [
+          { field_key: 'Shift timing', field_name: 'Shift timing', field_value: 'Rotational Shift' },
+          { field_key: 'Benefits', field_name: 'Benefits', field_value: 'PF, ESI, free lunch' },
+        ],
+      },
+      job_role: 'Loader / Picker',
+      created_on: '2025-03-28T10:20:00.000000+05:30',
+      updated_on: '2025-03-29T09:00:00.000000+05:30',
+      expire_on: '2025-04-27',
+      openings_count: 25,
+      job_location_slug: 'Shamshabad, Hyderabad',
+    }),
+  ],
+];
+
+// Every fixture job, in feed order
+export const FIXTURE_JOBS = FIXTURE_PAGES.reduce((all, page) => all.concat(page), []);
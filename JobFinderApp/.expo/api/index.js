@@ -0,0 +1,19 @@
+import { API_CONFIG } from './config';
+import { createJobsApi } from './client';
+import { createFetchAdapter } from './adapters/fetchAdapter';
+import { createMockAdapter } from './adapters/mockAdapter';
+
+export { createJobsApi } from './client';
+export { createFetchAdapter } from './adapters/fetchAdapter';
+export { createMockAdapter } from './adapters/mockAdapter';
+export { createPaginationController } from './pagination';
+export * from './errors';
+
+// Shared client used by the app
+export const jobsApi = createJobsApi({
+  baseUrl: API_CONFIG.baseUrl,
+  timeoutMs: API_CONFIG.timeoutMs,
+  retries: API_CONFIG.retries,
+  retryDelayMs: API_CONFIG.retryDelayMs,
+  adapter: API_CONFIG.useMockApi ? createMockAdapter() : createFetchAdapter(),
+});
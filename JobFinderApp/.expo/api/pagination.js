@@ -0,0 +1,122 @@
+import { AbortError } from './errors';
+
+// Helper function to default the id used for de-duplication
+const defaultGetId = (item) => item.id;
+
+const INITIAL_STATE = {
+  items: [],
+  page: 0,
+  hasMore: true,
+  status: 'idle', // 'idle' | 'refreshing' | 'loadingMore'
+  error: null,
+};
+
+/**
+ * Owns the paging state of one feed: which page comes next, whether there is
+ * anything left, and the single request in flight.
+ *
+ * - `refresh()` cancels whatever is running and loads page 1 again.
+ * - `loadMore()` is ignored while a request is running or the end was reached,
+ *   so repeated onEndReached calls cannot load a page twice.
+ * - Items are de-duplicated by id, so the feed shifting between requests never
+ *   shows the same job twice.
+ *
+ * `fetchPage(page, { signal })` must resolve with `{ jobs, hasMore }`.
+ */
+export const createPaginationController = ({ fetchPage, getId = defaultGetId, onPageLoaded } = {}) => {
+  let state = INITIAL_STATE;
+  let inFlight = null; // { controller, promise }
+  const listeners = new Set();
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener(state));
+  };
+
+  // Helper function to append items whose id we have not seen yet
+  const mergeUnique = (existing, incoming) => {
+    const seen = new Set(existing.map(getId));
+    const merged = existing.slice();
+    incoming.forEach(item => {
+      const id = getId(item);
+      if (id === undefined || id === null || seen.has(id)) return;
+      seen.add(id);
+      merged.push(item);
+    });
+    return merged;
+  };
+
+  const cancel = () => {
+    if (inFlight) {
+      inFlight.controller.abort();
+      inFlight = null;
+      if (state.status !== 'idle') setState({ status: 'idle' });
+    }
+  };
+
+  const load = (page) => {
+    const controller = new AbortController();
+    const isRefresh = page === 1;
+    setState({ status: isRefresh ? 'refreshing' : 'loadingMore', error: null });
+
+    const promise = (async () => {
+      try {
+        const result = await fetchPage(page, { signal: controller.signal });
+        // A newer request replaced this one while it was running
+        if (controller.signal.aborted) return state;
+
+        const jobs = result && Array.isArray(result.jobs) ? result.jobs : [];
+        const items = isRefresh ? mergeUnique([], jobs) : mergeUnique(state.items, jobs);
+        inFlight = null;
+        setState({
+          items,
+          page,
+          hasMore: !!(result && result.hasMore),
+          status: 'idle',
+        });
+        if (onPageLoaded) onPageLoaded(page, jobs);
+        return state;
+      } catch (error) {
+        if (controller.signal.aborted || error instanceof AbortError) return state;
+        inFlight = null;
+        setState({ status: 'idle', error });
+        return state;
+      }
+    })();
+
+    inFlight = { controller, promise };
+    return promise;
+  };
+
+  const refresh = () => {
+    cancel();
+    return load(1);
+  };
+
+  const loadMore = () => {
+    if (inFlight) return inFlight.promise;
+    if (!state.hasMore) return Promise.resolve(state);
+    return load(state.page + 1);
+  };
+
+  // Show previously fetched items (e.g. from the offline cache) without a
+  // request. Ignored once a real page has loaded or is on its way.
+  const hydrate = ({ items = [], page = 1, hasMore = true } = {}) => {
+    if (inFlight || state.page > 0) return;
+    setState({ items: mergeUnique([], items), page, hasMore, error: null });
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    refresh,
+    loadMore,
+    hydrate,
+    cancel,
+    subscribe,
+    getState: () => state,
+  };
+};
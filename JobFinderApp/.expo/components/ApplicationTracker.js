@@ -0,0 +1,223 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, Alert, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ApplicationContext } from '../context/ApplicationContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import { APPLICATION_STATUSES, getStatusInfo } from '../utils/applicationStatus';
+
+// Status picker and dated notes for one job, shown on JobDetailsScreen
+const ApplicationTracker = ({ job }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t, formatDateTime } = useContext(LanguageContext);
+  const { getApplicationStatus, setApplicationStatus, loadNotes, addNote, deleteNote } = useContext(ApplicationContext);
+  const [notes, setNotes] = useState([]);
+  const [draft, setDraft] = useState('');
+
+  const status = getApplicationStatus(job.id);
+  // The context recreates loadNotes on every render; the effect below only
+  // needs to run when the job or its status changes
+  const loadNotesRef = useRef(loadNotes);
+  loadNotesRef.current = loadNotes;
+
+  // Status changes add a note, so reload whenever the status moves
+  useEffect(() => {
+    let cancelled = false;
+    loadNotesRef.current(job.id).then(loaded => {
+      if (!cancelled) setNotes(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [job.id, status]);
+
+  const handleAddNote = async () => {
+    const note = await addNote(job.id, draft);
+    if (note) {
+      setNotes(prev => [note, ...prev]);
+      setDraft('');
+    }
+  };
+
+  const handleDeleteNote = (note) => {
+    Alert.alert(
+      t('tracker.deleteNoteTitle'),
+      t('tracker.deleteNoteMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            if (await deleteNote(note.id)) {
+              setNotes(prev => prev.filter(item => item.id !== note.id));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('tracker.title')}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.statusRow}>
+        {APPLICATION_STATUSES.map(option => {
+          const isSelected = option.key === status;
+          const optionColor = colors[option.colorKey];
+          return (
+            <TouchableOpacity
+              key={option.key}
+              style={[
+                styles.statusPill,
+                { borderColor: optionColor },
+                isSelected && { backgroundColor: optionColor }
+              ]}
+              onPress={() => setApplicationStatus(job, option.key)}
+            >
+              <Ionicons name={option.icon} size={14} color={isSelected ? colors.onPrimary : optionColor} />
+              <Text style={[styles.statusText, { color: isSelected ? colors.onPrimary : optionColor }]}>
+                {t(`status.${option.key}`)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <View style={styles.noteInputRow}>
+        <TextInput
+          style={styles.noteInput}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder={t('tracker.notePlaceholder')}
+          placeholderTextColor={colors.textMuted}
+          multiline
+        />
+        <TouchableOpacity
+          style={[styles.addButton, !draft.trim() && styles.addButtonDisabled]}
+          onPress={handleAddNote}
+          disabled={!draft.trim()}
+        >
+          <Text style={styles.addButtonText}>{t('tracker.add')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {notes.map(note => {
+        const statusInfo = note.status ? getStatusInfo(note.status) : null;
+        return (
+          <View key={note.id} style={styles.noteItem}>
+            <Ionicons
+              name={statusInfo ? statusInfo.icon : 'document-text-outline'}
+              size={16}
+              color={statusInfo ? colors[statusInfo.colorKey] : colors.textSecondary}
+            />
+            <View style={styles.noteBody}>
+              {/* Status notes are rebuilt from their status in the current language */}
+              <Text style={[styles.noteText, statusInfo && styles.statusNoteText]}>
+                {statusInfo ? t('tracker.movedTo', { status: t(`status.${statusInfo.key}`) }) : note.text}
+              </Text>
+              <Text style={styles.noteDate}>{formatDateTime(note.createdAt)}</Text>
+            </View>
+            {!statusInfo && (
+              <TouchableOpacity onPress={() => handleDeleteNote(note)} style={styles.deleteButton}>
+                <Ionicons name="trash-outline" size={16} color={colors.textMuted} />
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  statusRow: {
+    paddingBottom: 4,
+  },
+  statusPill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  statusText: {
+    fontSize: 13,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  noteInputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  noteInput: {
+    flex: 1,
+    minHeight: 40,
+    maxHeight: 100,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 14,
+    color: colors.text,
+  },
+  addButton: {
+    marginLeft: 8,
+    backgroundColor: colors.primary,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  addButtonDisabled: {
+    backgroundColor: colors.primaryMuted,
+  },
+  addButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  noteItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.surface,
+  },
+  noteBody: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  noteText: {
+    fontSize: 14,
+    color: colors.text,
+    lineHeight: 20,
+  },
+  statusNoteText: {
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+  noteDate: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  deleteButton: {
+    padding: 4,
+  },
+});
+
+export default ApplicationTracker;
@@ -0,0 +1,222 @@
+import React, { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  StyleSheet,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CollectionContext } from '../context/CollectionContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Create, rename and delete bookmark collections
+const CollectionManager = ({ visible, onClose }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  const { collections, createCollection, renameCollection, deleteCollection } = useContext(CollectionContext);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const handleClose = () => {
+    setNewName('');
+    setEditingId(null);
+    onClose();
+  };
+
+  const handleCreate = async () => {
+    const collection = await createCollection(newName);
+    if (collection) setNewName('');
+  };
+
+  const startEditing = (collection) => {
+    setEditingId(collection.id);
+    setEditingName(collection.name);
+  };
+
+  const handleRename = async () => {
+    const renamed = await renameCollection(editingId, editingName);
+    if (renamed) setEditingId(null);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={handleClose}
+    >
+      <TouchableWithoutFeedback onPress={handleClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.sheet}>
+              <View style={styles.sheetHeader}>
+                <Text style={styles.sheetTitle}>{t('collections.title')}</Text>
+                <TouchableOpacity onPress={handleClose}>
+                  <Ionicons name="close" size={24} color={colors.text} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+                {collections.length === 0 && (
+                  <Text style={styles.emptyText}>{t('collections.empty')}</Text>
+                )}
+                {collections.map(collection => (
+                  <View key={collection.id} style={styles.row}>
+                    <Ionicons name="folder-outline" size={20} color={colors.textSecondary} />
+                    {editingId === collection.id ? (
+                      <>
+                        <TextInput
+                          style={[styles.input, styles.rowInput]}
+                          value={editingName}
+                          onChangeText={setEditingName}
+                          autoFocus
+                          maxLength={40}
+                          returnKeyType="done"
+                          onSubmitEditing={handleRename}
+                        />
+                        <TouchableOpacity style={styles.iconButton} onPress={handleRename}>
+                          <Ionicons name="checkmark" size={22} color={colors.primary} />
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.iconButton} onPress={() => setEditingId(null)}>
+                          <Ionicons name="close" size={22} color={colors.textSecondary} />
+                        </TouchableOpacity>
+                      </>
+                    ) : (
+                      <>
+                        <Text style={styles.rowText} numberOfLines={1}>{collection.name}</Text>
+                        <TouchableOpacity style={styles.iconButton} onPress={() => startEditing(collection)}>
+                          <Ionicons name="pencil-outline" size={20} color={colors.textSecondary} />
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.iconButton} onPress={() => deleteCollection(collection.id)}>
+                          <Ionicons name="trash-outline" size={20} color={colors.danger} />
+                        </TouchableOpacity>
+                      </>
+                    )}
+                  </View>
+                ))}
+              </ScrollView>
+
+              <View style={styles.createRow}>
+                <TextInput
+                  style={styles.input}
+                  value={newName}
+                  onChangeText={setNewName}
+                  placeholder={t('collections.newName')}
+                  placeholderTextColor={colors.textMuted}
+                  maxLength={40}
+                  returnKeyType="done"
+                  onSubmitEditing={handleCreate}
+                />
+                <TouchableOpacity style={styles.createButton} onPress={handleCreate}>
+                  <Text style={styles.createButtonText}>{t('collections.create')}</Text>
+                </TouchableOpacity>
+              </View>
+              <Text style={styles.hintText}>{t('collections.hint')}</Text>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlay,
+  },
+  sheet: {
+    maxHeight: '80%',
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: Platform.OS === 'ios' ? 32 : 16,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  emptyText: {
+    color: colors.textSecondary,
+    fontSize: 14,
+    padding: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.surface,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 15,
+    color: colors.text,
+  },
+  rowInput: {
+    marginLeft: 12,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  createRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  createButton: {
+    marginLeft: 8,
+    backgroundColor: colors.primary,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  createButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  hintText: {
+    color: colors.textMuted,
+    fontSize: 12,
+    paddingHorizontal: 16,
+    paddingTop: 10,
+  },
+});
+
+export default CollectionManager;
@@ -0,0 +1,198 @@
+import React, { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  StyleSheet,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { JobContext } from '../context/JobContext';
+import { CollectionContext } from '../context/CollectionContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Lets the user pick which collection a job is saved in, or start a new one.
+// Choosing a collection bookmarks the job if it is not saved yet.
+const CollectionPicker = ({ job, visible, onClose }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  const { isBookmarked } = useContext(JobContext);
+  const { collections, createCollection, moveToCollection, getJobCollection } = useContext(CollectionContext);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const bookmarked = isBookmarked(job.id);
+  const current = getJobCollection(job.id);
+
+  const handleClose = () => {
+    setCreating(false);
+    setNewName('');
+    onClose();
+  };
+
+  const handleSelect = async (collectionId) => {
+    const moved = await moveToCollection(job, collectionId);
+    if (moved) handleClose();
+  };
+
+  const handleCreate = async () => {
+    const collection = await createCollection(newName);
+    if (collection) {
+      await handleSelect(collection.id);
+    }
+  };
+
+  const renderOption = (key, label, icon, isSelected, onPress) => (
+    <TouchableOpacity key={key} style={styles.option} onPress={onPress}>
+      <Ionicons name={icon} size={20} color={isSelected ? colors.primary : colors.textSecondary} />
+      <Text style={[styles.optionText, isSelected && styles.optionTextSelected]} numberOfLines={1}>
+        {label}
+      </Text>
+      {isSelected && <Ionicons name="checkmark" size={20} color={colors.primary} />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="fade"
+      transparent
+      onRequestClose={handleClose}
+    >
+      <TouchableWithoutFeedback onPress={handleClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.menu}>
+              <Text style={styles.menuTitle}>{t('collections.saveTo')}</Text>
+              <ScrollView style={styles.list}>
+                {renderOption(
+                  'none',
+                  t('collections.none'),
+                  'bookmark-outline',
+                  bookmarked && !current,
+                  () => handleSelect(null)
+                )}
+                {collections.map(collection => renderOption(
+                  collection.id,
+                  collection.name,
+                  'folder-outline',
+                  !!current && current.id === collection.id,
+                  () => handleSelect(collection.id)
+                ))}
+              </ScrollView>
+
+              {creating ? (
+                <View style={styles.createRow}>
+                  <TextInput
+                    style={styles.input}
+                    value={newName}
+                    onChangeText={setNewName}
+                    placeholder={t('collections.namePlaceholder')}
+                    placeholderTextColor={colors.textMuted}
+                    autoFocus
+                    maxLength={40}
+                    returnKeyType="done"
+                    onSubmitEditing={handleCreate}
+                  />
+                  <TouchableOpacity style={styles.createButton} onPress={handleCreate}>
+                    <Text style={styles.createButtonText}>{t('collections.add')}</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                renderOption('new', t('collections.new'), 'add-circle-outline', false, () => setCreating(true))
+              )}
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.overlay,
+  },
+  menu: {
+    width: '80%',
+    maxHeight: '70%',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    paddingVertical: 8,
+    ...Platform.select({
+      ios: {
+        shadowColor: colors.shadow,
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.2,
+        shadowRadius: 6,
+      },
+      android: {
+        elevation: 6,
+      },
+    }),
+  },
+  menuTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  optionText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 15,
+    color: colors.text,
+  },
+  optionTextSelected: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  createRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  createButton: {
+    marginLeft: 8,
+    backgroundColor: colors.primary,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  createButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+});
+
+export default CollectionPicker;
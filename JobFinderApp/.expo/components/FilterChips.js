@@ -0,0 +1,75 @@
+import React, { useContext } from 'react';
+import { ScrollView, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+const FilterChips = ({ chips, onRemove, onClearAll }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  if (!chips || chips.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.content}
+      >
+        {chips.map(chip => (
+          <TouchableOpacity
+            key={chip.key}
+            style={styles.chip}
+            onPress={() => onRemove(chip)}
+          >
+            <Text style={styles.chipText} numberOfLines={1}>{chip.label}</Text>
+            <Ionicons name="close" size={14} color={colors.primarySoftText} />
+          </TouchableOpacity>
+        ))}
+        {chips.length > 1 && (
+          <TouchableOpacity style={styles.clearButton} onPress={onClearAll}>
+            <Text style={styles.clearButtonText}>{t('filters.clearAll')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    paddingVertical: 4,
+  },
+  content: {
+    paddingHorizontal: 8,
+    alignItems: 'center',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingLeft: 12,
+    paddingRight: 8,
+    marginRight: 8,
+  },
+  chipText: {
+    color: colors.primarySoftText,
+    fontSize: 13,
+    marginRight: 4,
+    maxWidth: 160,
+  },
+  clearButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+  },
+  clearButtonText: {
+    color: colors.danger,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
+
+export default FilterChips;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useRef, useContext } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { EMPTY_FILTERS, DISTANCE_FILTER_OPTIONS } from '../utils/jobFilters';
+import { getHomeLocationLabel } from '../utils/locations';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Helper function to read a salary amount typed by the user
+const parseAmount = (text) => {
+  const digits = (text || '').replace(/[^0-9]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+};
+
+// `homeLocation` is where distances are measured from; without one the
+// distance filter offers `onSetLocation` instead
+const FilterSheet = ({ visible, filters, options, homeLocation, onSetLocation, onApply, onClose }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  const [draft, setDraft] = useState(filters);
+  const [salaryMinText, setSalaryMinText] = useState('');
+  const [salaryMaxText, setSalaryMaxText] = useState('');
+
+  const wasVisible = useRef(false);
+
+  // Start from the currently applied filters every time the sheet opens.
+  // Filters that change while it is open leave the user's draft alone.
+  useEffect(() => {
+    if (visible && !wasVisible.current) {
+      setDraft(filters);
+      setSalaryMinText(filters.salaryMin !== null ? String(filters.salaryMin) : '');
+      setSalaryMaxText(filters.salaryMax !== null ? String(filters.salaryMax) : '');
+    }
+    wasVisible.current = visible;
+  }, [visible, filters]);
+
+  const toggleOption = (field, value) => {
+    const selected = draft[field] || [];
+    setDraft({
+      ...draft,
+      [field]: selected.includes(value)
+        ? selected.filter(item => item !== value)
+        : [...selected, value],
+    });
+  };
+
+  const handleApply = () => {
+    let salaryMin = parseAmount(salaryMinText);
+    let salaryMax = parseAmount(salaryMaxText);
+    // Swap the ends if the user typed them the wrong way round
+    if (salaryMin !== null && salaryMax !== null && salaryMin > salaryMax) {
+      [salaryMin, salaryMax] = [salaryMax, salaryMin];
+    }
+    onApply({ ...draft, salaryMin, salaryMax });
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_FILTERS);
+    setSalaryMinText('');
+    setSalaryMaxText('');
+  };
+
+  // Helper function to render a group of selectable options
+  const renderOptionGroup = (title, field, values) => {
+    // Keep selected values visible even if no loaded job has them right now
+    const allValues = Array.from(new Set([...(draft[field] || []), ...(values || [])]));
+    if (allValues.length === 0) return null;
+
+    return (
+      <View style={styles.group}>
+        <Text style={styles.groupTitle}>{title}</Text>
+        <View style={styles.optionsRow}>
+          {allValues.map(value => {
+            const selected = (draft[field] || []).includes(value);
+            return (
+              <TouchableOpacity
+                key={value}
+                style={[styles.option, selected && styles.optionSelected]}
+                onPress={() => toggleOption(field, value)}
+              >
+                <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                  {value}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle}>{t('filters.title')}</Text>
+            <TouchableOpacity onPress={onClose} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Ionicons name="close" size={24} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {renderOptionGroup(t('filters.city'), 'cities', options.cities)}
+
+            <View style={styles.group}>
+              <Text style={styles.groupTitle}>{t('filters.distance')}</Text>
+              {homeLocation ? (
+                <View>
+                  <Text style={styles.hintText}>{t('filters.distanceFrom', { place: getHomeLocationLabel(homeLocation) })}</Text>
+                  <View style={styles.optionsRow}>
+                    {DISTANCE_FILTER_OPTIONS.map(km => {
+                      const selected = draft.maxDistanceKm === km;
+                      return (
+                        <TouchableOpacity
+                          key={km}
+                          style={[styles.option, selected && styles.optionSelected]}
+                          onPress={() => setDraft({ ...draft, maxDistanceKm: selected ? null : km })}
+                        >
+                          <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                            {t('filters.withinKm', { count: km })}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </View>
+              ) : (
+                <TouchableOpacity style={styles.locationButton} onPress={onSetLocation}>
+                  <Ionicons name="navigate-outline" size={18} color={colors.primary} />
+                  <Text style={styles.locationButtonText}>{t('filters.setLocation')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <View style={styles.group}>
+              <Text style={styles.groupTitle}>{t('filters.salary')}</Text>
+              <View style={styles.salaryRow}>
+                <TextInput
+                  style={styles.salaryInput}
+                  value={salaryMinText}
+                  onChangeText={setSalaryMinText}
+                  placeholder={t('filters.salaryMin')}
+                  placeholderTextColor={colors.textMuted}
+                  keyboardType="number-pad"
+                />
+                <Text style={styles.salarySeparator}>{t('filters.salaryTo')}</Text>
+                <TextInput
+                  style={styles.salaryInput}
+                  value={salaryMaxText}
+                  onChangeText={setSalaryMaxText}
+                  placeholder={t('filters.salaryMax')}
+                  placeholderTextColor={colors.textMuted}
+                  keyboardType="number-pad"
+                />
+              </View>
+            </View>
+
+            {renderOptionGroup(t('filters.jobType'), 'jobTypes', options.jobTypes)}
+            {renderOptionGroup(t('filters.experience'), 'experiences', options.experiences)}
+            {renderOptionGroup(t('filters.qualification'), 'qualifications', options.qualifications)}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+              <Text style={styles.resetButtonText}>{t('filters.reset')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.applyButton} onPress={handleApply}>
+              <Text style={styles.applyButtonText}>{t('filters.apply')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlay,
+  },
+  sheet: {
+    maxHeight: '85%',
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: Platform.OS === 'ios' ? 24 : 12,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: colors.border,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  content: {
+    padding: 16,
+  },
+  group: {
+    marginBottom: 20,
+  },
+  groupTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  optionsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    backgroundColor: colors.background,
+  },
+  optionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primarySoft,
+  },
+  optionText: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  optionTextSelected: {
+    color: colors.primarySoftText,
+    fontWeight: '600',
+  },
+  hintText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  locationButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  locationButtonText: {
+    marginLeft: 8,
+    color: colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  salaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  salaryInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  salarySeparator: {
+    marginHorizontal: 10,
+    color: colors.textSecondary,
+  },
+  footer: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: colors.border,
+  },
+  resetButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginRight: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  resetButtonText: {
+    color: colors.primary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  applyButton: {
+    flex: 2,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+  },
+  applyButtonText: {
+    color: colors.onPrimary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default FilterSheet;
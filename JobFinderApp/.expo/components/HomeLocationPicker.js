@@ -0,0 +1,210 @@
+import React, { useContext, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TextInput,
+  FlatList,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  ActivityIndicator,
+  StyleSheet,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LocationContext } from '../context/LocationContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import { getKnownPlaces, getHomeLocationLabel } from '../utils/locations';
+
+// Built once; the table is bundled with the app
+const KNOWN_PLACES = getKnownPlaces();
+
+// Bottom sheet for choosing where distances to jobs are measured from
+const HomeLocationPicker = ({ visible, onClose }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  const { homeLocation, locating, locateDevice, setHomePlace, clearHomeLocation } = useContext(LocationContext);
+  const [query, setQuery] = useState('');
+
+  const places = useMemo(() => {
+    const text = query.trim().toLowerCase();
+    return text ? KNOWN_PLACES.filter(place => place.label.toLowerCase().includes(text)) : KNOWN_PLACES;
+  }, [query]);
+
+  const handleClose = () => {
+    setQuery('');
+    onClose();
+  };
+
+  const handleLocateDevice = async () => {
+    if (await locateDevice()) handleClose();
+  };
+
+  const handleSelectPlace = async (place) => {
+    if (await setHomePlace(place)) handleClose();
+  };
+
+  const handleClear = async () => {
+    await clearHomeLocation();
+    handleClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={handleClose}
+    >
+      <TouchableWithoutFeedback onPress={handleClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.sheet}>
+              <View style={styles.sheetHeader}>
+                <Text style={styles.sheetTitle}>{t('location.title')}</Text>
+                <TouchableOpacity onPress={handleClose}>
+                  <Ionicons name="close" size={24} color={colors.text} />
+                </TouchableOpacity>
+              </View>
+
+              {homeLocation && (
+                <View style={styles.currentRow}>
+                  <Ionicons name="home-outline" size={18} color={colors.primary} />
+                  <Text style={styles.currentText} numberOfLines={1}>{getHomeLocationLabel(homeLocation)}</Text>
+                  <TouchableOpacity onPress={handleClear}>
+                    <Text style={styles.clearText}>{t('location.clear')}</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+
+              <TouchableOpacity style={styles.row} onPress={handleLocateDevice} disabled={locating}>
+                {locating
+                  ? <ActivityIndicator size="small" color={colors.primary} />
+                  : <Ionicons name="locate-outline" size={20} color={colors.primary} />}
+                <Text style={[styles.rowText, styles.locateText]}>{t('location.useCurrent')}</Text>
+              </TouchableOpacity>
+
+              <TextInput
+                style={styles.input}
+                value={query}
+                onChangeText={setQuery}
+                placeholder={t('location.searchPlaceholder')}
+                placeholderTextColor={colors.textMuted}
+                autoCorrect={false}
+              />
+
+              <FlatList
+                data={places}
+                keyExtractor={item => item.label}
+                keyboardShouldPersistTaps="handled"
+                style={styles.list}
+                renderItem={({ item }) => (
+                  <TouchableOpacity style={styles.row} onPress={() => handleSelectPlace(item)}>
+                    <Ionicons
+                      name={item.locality ? 'location-outline' : 'business-outline'}
+                      size={20}
+                      color={colors.textSecondary}
+                    />
+                    <Text style={styles.rowText}>{item.label}</Text>
+                  </TouchableOpacity>
+                )}
+                ListEmptyComponent={(
+                  <Text style={styles.emptyText}>{t('location.noMatch')}</Text>
+                )}
+              />
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlay,
+  },
+  sheet: {
+    height: '75%',
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: Platform.OS === 'ios' ? 32 : 16,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  currentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    marginHorizontal: 16,
+    marginTop: 12,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  currentText: {
+    flex: 1,
+    marginLeft: 8,
+    color: colors.primarySoftText,
+    fontWeight: '600',
+  },
+  clearText: {
+    color: colors.danger,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 15,
+    color: colors.text,
+  },
+  locateText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  input: {
+    marginHorizontal: 16,
+    marginBottom: 4,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  list: {
+    flex: 1,
+  },
+  emptyText: {
+    color: colors.textSecondary,
+    fontSize: 14,
+    padding: 16,
+    textAlign: 'center',
+  },
+});
+
+export default HomeLocationPicker;
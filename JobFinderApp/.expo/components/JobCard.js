@@ -1,4 +1,4 @@
-import React, { useContext } from 'react';
+import React, { useContext, useState } from 'react';
 import { 
   View, 
   Text, 
@@ -9,15 +9,39 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { JobContext } from '../context/JobContext';
+import { ApplicationContext } from '../context/ApplicationContext';
+import { LocationContext } from '../context/LocationContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import CollectionPicker from './CollectionPicker';
+import { formatSalary, formatOpenings, hasOpeningsTag } from '../utils/jobParser';
+import { DEFAULT_STATUS, getStatusInfo } from '../utils/applicationStatus';
+import { getExpiryState, formatExpiryLabel } from '../utils/jobExpiry';
+import { formatDistance } from '../utils/locations';
+import { getTagColors } from '../theme/tagColors';
 import { useRef, useEffect } from 'react';
 
-const JobCard = ({ job, onPress }) => {
+// `selected` is only passed while the list is in multi-select mode.
+// `longPressLabel` names the optional `onLongPress` for screen readers.
+const JobCard = ({ job, onPress, onLongPress, selected, longPressLabel }) => {
+  const theme = useContext(ThemeContext);
+  const { colors, reduceMotion } = theme;
+  const styles = useThemedStyles(createStyles);
   const { isBookmarked, toggleBookmark } = useContext(JobContext);
+  const { getApplicationStatus } = useContext(ApplicationContext);
+  const { getJobDistance } = useContext(LocationContext);
+  const { t, formatDate } = useContext(LanguageContext);
   const bookmarked = isBookmarked(job.id);
+  const status = getApplicationStatus(job.id);
+  const statusInfo = bookmarked && status !== DEFAULT_STATUS ? getStatusInfo(status) : null;
+  // Deadlines matter for jobs the user is keeping an eye on
+  const expiryState = bookmarked ? getExpiryState(job) : null;
+  const [collectionPickerVisible, setCollectionPickerVisible] = useState(false);
   const scaleAnim = useRef(new Animated.Value(1)).current;
   
-  // Animation effect when component mounts
+  // Animation effect when component mounts, or when reduced motion is turned off
   useEffect(() => {
+    if (reduceMotion) return;
     Animated.sequence([
       Animated.timing(scaleAnim, {
         toValue: 1.03,
@@ -30,99 +54,62 @@ const JobCard = ({ job, onPress }) => {
         useNativeDriver: true,
       }),
     ]).start();
-  }, []);
+  }, [reduceMotion, scaleAnim]);
 
   const handleBookmarkPress = (e) => {
     e.stopPropagation();
     
     // Animate the bookmark icon when pressed
-    Animated.sequence([
-      Animated.timing(scaleAnim, {
-        toValue: 1.2,
-        duration: 100,
-        useNativeDriver: true,
-      }),
-      Animated.timing(scaleAnim, {
-        toValue: 1,
-        duration: 100,
-        useNativeDriver: true,
-      }),
-    ]).start();
-    
-    toggleBookmark(job);
-  };
-
-  // Helper function to safely convert any value to a string
-  const safeToString = (value) => {
-    if (value === null || value === undefined) return '';
-    if (typeof value === 'object') return JSON.stringify(value).replace(/[{}"]/g, '').replace(/,/g, ', ');
-    return String(value);
-  };
-
-  const formatJobLocation = (job) => {
-    const parts = [];
-    
-    // Add locality if available
-  
-    // Fix: Add safe type checking before using includes method
-    if (job.job_location_slug) {
-      const shouldAdd = !parts.some(part => {
-        // Make sure part is a string before calling includes
-        if (typeof part !== 'string' || part === undefined) return false;
-        
-        // Ensure job_location_slug is a string
-        const slug = String(job.job_location_slug);
-        return part.includes(slug) || slug.includes(part);
-      });
-      
-      if (shouldAdd) {
-        parts.push(job.job_location_slug);
-      }
+    if (!reduceMotion) {
+      Animated.sequence([
+        Animated.timing(scaleAnim, {
+          toValue: 1.2,
+          duration: 100,
+          useNativeDriver: true,
+        }),
+        Animated.timing(scaleAnim, {
+          toValue: 1,
+          duration: 100,
+          useNativeDriver: true,
+        }),
+      ]).start();
     }
     
-    return parts.length > 0 ? parts.join(', ') : 'Location not specified';
+    toggleBookmark(job);
   };
 
-  // Helper function to check if salary is V3:[] or empty
-  const isSalaryEmpty = (salary) => {
-    return salary === 'V3:[]' || !salary;
+  // Long-pressing the bookmark icon saves the job into a collection
+  const handleBookmarkLongPress = (e) => {
+    e.stopPropagation();
+    setCollectionPickerVisible(true);
   };
 
-  // Helper function to get proper text representation for fields that might be numbers
-  const getFieldTextValue = (field, primaryDetailsField) => {
-    if (typeof field === 'number' && job.primary_details && job.primary_details[primaryDetailsField]) {
-      return job.primary_details[primaryDetailsField];
-    }
-    return field;
-  };
+  const openingsLabel = hasOpeningsTag(job) ? null : formatOpenings(job.openings);
+  const distanceLabel = formatDistance(getJobDistance(job));
+  const bookmarkLabel = bookmarked ? t('a11y.unsaveJob') : t('a11y.saveJob');
 
-  // Process fields that might be numbers
-  const experienceText = getFieldTextValue(job.experience, 'Experience');
-  const jobTypeText = getFieldTextValue(job.job_type, 'Job_Type');
-  const qualificationText = getFieldTextValue(job.qualification, 'Qualification');
+  // Helper function to read the card to screen readers as a single item
+  const getAccessibilityLabel = () => [
+    job.title,
+    job.companyName || t('card.unknownCompany'),
+    job.location.label,
+    distanceLabel,
+    formatSalary(job.salary),
+    job.isPremium && t('card.premium'),
+    statusInfo && t(`status.${statusInfo.key}`),
+    expiryState && formatExpiryLabel(job),
+    bookmarked && t('a11y.saved'),
+  ].filter(Boolean).join(', ');
 
-  // Get salary from primary details if available
-  const getSalaryDisplay = () => {
-    if (job.primary_details && job.primary_details.Salary) {
-      // Return "Not Mentioned" if the primary_details.Salary is "-"
-      if (job.primary_details.Salary === "-") {
-        return "Not Mentioned";
-      }
-      return job.primary_details.Salary;
-    }
-    
-    if (isSalaryEmpty(job.fee_details) || job.fee_details === '-') {
-      return 'Not Mentioned';
-    }
-    
-    if (job.salary_min && job.salary_max) {
-      return `₹${job.salary_min} - ₹${job.salary_max}`;
-    } else if (job.salary_min) {
-      return `₹${job.salary_min}+`;
-    } else if (job.salary_max) {
-      return `Up to ₹${job.salary_max}`;
-    } else {
-      return safeToString(job.fee_details);
+  // The bookmark button sits inside the card, which screen readers focus as
+  // one element, so saving is also offered as a card action
+  const handleAccessibilityAction = (event) => {
+    if (event.nativeEvent.actionName === 'bookmark') {
+      toggleBookmark(job);
+    } else if (event.nativeEvent.actionName === 'addToCollection') {
+      setCollectionPickerVisible(true);
+    } else if (event.nativeEvent.actionName === 'longpress' && onLongPress) {
+      onLongPress();
     }
   };
 
@@ -132,137 +119,191 @@ const JobCard = ({ job, onPress }) => {
       { transform: [{ scale: scaleAnim }] }
     ]}>
       <TouchableOpacity 
-        style={styles.card} 
+        style={[styles.card, selected && styles.selectedCard]} 
         onPress={onPress}
+        onLongPress={onLongPress}
         activeOpacity={0.7}
+        accessibilityRole="button"
+        accessibilityLabel={getAccessibilityLabel()}
+        accessibilityHint={selected !== undefined ? t('a11y.selectJobHint') : t('a11y.openJobHint')}
+        accessibilityState={selected !== undefined ? { selected } : undefined}
+        accessibilityActions={[
+          { name: 'bookmark', label: bookmarkLabel },
+          { name: 'addToCollection', label: t('details.addToCollection') },
+          ...(onLongPress ? [{ name: 'longpress', label: longPressLabel }] : []),
+        ]}
+        onAccessibilityAction={handleAccessibilityAction}
       >
         <View style={styles.header}>
-          <Text style={styles.title} numberOfLines={2}>{job.title || 'Untitled Job'}</Text>
+          {selected !== undefined && (
+            <Ionicons
+              name={selected ? 'checkbox' : 'square-outline'}
+              size={22}
+              color={selected ? colors.primary : colors.textMuted}
+              style={styles.selectIcon}
+            />
+          )}
+          <Text style={styles.title} numberOfLines={2}>{job.title}</Text>
           
           <View style={styles.rightHeader}>
-            {job.is_premium && (
+            {job.isPremium && (
               <View style={styles.premiumBadge}>
-                <Text style={styles.premiumText}>Premium</Text>
+                <Text style={styles.premiumText}>{t('card.premium')}</Text>
               </View>
             )}
             <TouchableOpacity 
               onPress={handleBookmarkPress}
+              onLongPress={handleBookmarkLongPress}
               style={styles.bookmarkButton}
               hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              accessibilityRole="button"
+              accessibilityLabel={bookmarkLabel}
+              accessibilityHint={t('a11y.bookmarkHint')}
             >
               <Ionicons 
                 name={bookmarked ? 'bookmark' : 'bookmark-outline'} 
                 size={22} 
-                color={bookmarked ? '#007BFF' : '#666'} 
+                color={bookmarked ? colors.primary : colors.textSecondary} 
               />
             </TouchableOpacity>
           </View>
         </View>
 
         <View style={styles.companyRow}>
-          <Ionicons name="business-outline" size={16} color="#666" />
+          <Ionicons name="business-outline" size={16} color={colors.textSecondary} />
           <Text style={styles.companyName} numberOfLines={1}>
-            {job.company_name || 'Unknown Company'}
+            {job.companyName || t('card.unknownCompany')}
           </Text>
         </View>
 
         <View style={styles.detailsRow}>
-          {job.city_location && (
+          {job.location.label && (
             <View style={styles.detailItem}>
-              <Ionicons name="location-outline" size={16} color="#666" />
+              <Ionicons name="location-outline" size={16} color={colors.textSecondary} />
               <Text style={styles.detailText} numberOfLines={1}>
-                {formatJobLocation(job)}
+                {job.location.label}
               </Text>
             </View>
           )}
 
-          {(job.primary_details?.Salary || job.salary_min || job.salary_max || job.fee_details) && (
+          {distanceLabel && (
             <View style={styles.detailItem}>
-              <Ionicons name="cash-outline" size={16} color="#666" />
-              <Text style={styles.detailText} numberOfLines={1}>
-                {getSalaryDisplay()}
+              <Ionicons name="navigate-outline" size={16} color={colors.primary} />
+              <Text style={[styles.detailText, styles.distanceText]} numberOfLines={1}>
+                {distanceLabel}
               </Text>
             </View>
           )}
+
+          <View style={styles.detailItem}>
+            <Ionicons name="cash-outline" size={16} color={colors.textSecondary} />
+            <Text style={styles.detailText} numberOfLines={1}>
+              {formatSalary(job.salary)}
+            </Text>
+          </View>
         </View>
 
         <View style={styles.footerRow}>
-          {jobTypeText && (
+          {expiryState && (
+            <View
+              style={[
+                styles.tagItem,
+                styles.statusTag,
+                expiryState === 'expired' ? styles.expiredTag : styles.expiringTag
+              ]}
+            >
+              <Ionicons
+                name={expiryState === 'expired' ? 'close-circle-outline' : 'hourglass-outline'}
+                size={12}
+                color={colors.onPrimary}
+              />
+              <Text style={[styles.tagText, styles.statusTagText]}>{formatExpiryLabel(job)}</Text>
+            </View>
+          )}
+
+          {statusInfo && (
+            <View style={[styles.tagItem, styles.statusTag, { backgroundColor: colors[statusInfo.colorKey] }]}>
+              <Ionicons name={statusInfo.icon} size={12} color={colors.onPrimary} />
+              <Text style={[styles.tagText, styles.statusTagText]}>{t(`status.${statusInfo.key}`)}</Text>
+            </View>
+          )}
+
+          {job.jobType && (
             <View style={styles.tagItem}>
-              <Text style={styles.tagText}>{jobTypeText}</Text>
+              <Text style={styles.tagText}>{job.jobType}</Text>
             </View>
           )}
           
-          {job.job_tags && job.job_tags.length > 0 && job.job_tags.map((tag, index) => (
-            <View 
-              key={index} 
-              style={[
-                styles.tagItem, 
-                {
-                  backgroundColor: tag.bg_color || '#E7F3FE'
-                }
-              ]}
-            >
-              <Text 
-                style={[
-                  styles.tagText, 
-                  {
-                    color: tag.text_color || '#0E56A8'
-                  }
-                ]}
+          {job.tags.map((tag, index) => {
+            const tagColors = getTagColors(tag, theme);
+            return (
+              <View 
+                key={index} 
+                style={[styles.tagItem, { backgroundColor: tagColors.backgroundColor }]}
               >
-                {tag.value}
-              </Text>
-            </View>
-          ))}
+                <Text style={[styles.tagText, { color: tagColors.color }]}>
+                  {tag.label}
+                </Text>
+              </View>
+            );
+          })}
           
-          {(!job.job_tags || job.job_tags.length === 0) && job.openings_count > 0 && (
+          {openingsLabel && (
             <View 
               style={[
                 styles.tagItem, 
-                { backgroundColor: '#E7F3FE' }
+                { backgroundColor: colors.primarySoft }
               ]}
             >
               <Text 
                 style={[
                   styles.tagText, 
-                  { color: '#0E56A8' }
+                  { color: colors.primarySoftText }
                 ]}
               >
-                {job.openings_count} {job.openings_count === 1 ? 'Vacancy' : 'Vacancies'}
+                {openingsLabel}
               </Text>
             </View>
           )}
           
-          {experienceText && (
+          {job.experience && (
             <View style={styles.tagItem}>
-              <Text style={styles.tagText}>{experienceText}</Text>
+              <Text style={styles.tagText}>{job.experience}</Text>
             </View>
           )}
         </View>
         
-        <View style={styles.dateRow}>
-          <Text style={styles.dateText}>
-            Posted: {new Date(job.created_on).toLocaleDateString()}
-          </Text>
-        </View>
+        {job.createdOn && (
+          <View style={styles.dateRow}>
+            <Text style={styles.dateText}>
+              {t('details.posted', { date: formatDate(job.createdOn) })}
+            </Text>
+          </View>
+        )}
       </TouchableOpacity>
+      {collectionPickerVisible && (
+        <CollectionPicker
+          job={job}
+          visible={collectionPickerVisible}
+          onClose={() => setCollectionPickerVisible(false)}
+        />
+      )}
     </Animated.View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   cardContainer: {
     marginHorizontal: 8,
     marginVertical: 6,
   },
   card: {
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     borderRadius: 12,
     padding: 16,
     ...Platform.select({
       ios: {
-        shadowColor: '#000',
+        shadowColor: colors.shadow,
         shadowOffset: { width: 0, height: 2 },
         shadowOpacity: 0.1,
         shadowRadius: 4,
@@ -272,6 +313,14 @@ const styles = StyleSheet.create({
       },
     }),
   },
+  selectedCard: {
+    borderWidth: 2,
+    borderColor: colors.primary,
+    padding: 14,
+  },
+  selectIcon: {
+    marginRight: 8,
+  },
   header: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -281,7 +330,7 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 16,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
     flex: 1,
     lineHeight: 20,
   },
@@ -290,14 +339,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   premiumBadge: {
-    backgroundColor: '#FFD700',
+    backgroundColor: colors.premium,
     paddingHorizontal: 8,
     paddingVertical: 4,
     borderRadius: 4,
     marginRight: 8,
   },
   premiumText: {
-    color: '#333',
+    color: colors.onPremium,
     fontSize: 12,
     fontWeight: 'bold',
   },
@@ -310,7 +359,7 @@ const styles = StyleSheet.create({
     marginBottom: 8,
   },
   companyName: {
-    color: '#666',
+    color: colors.textSecondary,
     fontSize: 14,
     marginLeft: 6,
   },
@@ -326,16 +375,19 @@ const styles = StyleSheet.create({
     marginBottom: 4,
   },
   detailText: {
-    color: '#666',
+    color: colors.textSecondary,
     fontSize: 14,
     marginLeft: 6,
   },
+  distanceText: {
+    color: colors.primary,
+  },
   footerRow: {
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
   tagItem: {
-    backgroundColor: '#f0f0f0',
+    backgroundColor: colors.surface,
     paddingHorizontal: 8,
     paddingVertical: 4,
     borderRadius: 4,
@@ -343,16 +395,31 @@ const styles = StyleSheet.create({
     marginBottom: 4,
   },
   tagText: {
-    color: '#666',
+    color: colors.textSecondary,
     fontSize: 12,
   },
+  statusTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  expiredTag: {
+    backgroundColor: colors.expired,
+  },
+  expiringTag: {
+    backgroundColor: colors.warning,
+  },
+  statusTagText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
   dateRow: {
     marginTop: 10,
     flexDirection: 'row',
     justifyContent: 'flex-end',
   },
   dateText: {
-    color: '#999',
+    color: colors.textMuted,
     fontSize: 12,
   },
 });
@@ -0,0 +1,138 @@
+import React, { useContext, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Linking, Platform, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ApplicationContext } from '../context/ApplicationContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { getFieldIcon, isLongText, splitLinks } from '../utils/contentFields';
+
+// Helper function to open a detected link, telling the user when nothing can handle it
+const openLink = async (url, t) => {
+  try {
+    await Linking.openURL(url);
+  } catch (err) {
+    console.error('Error opening link:', err);
+    Alert.alert(t('details.linkFailedTitle'), t('details.linkFailedMessage'), [{ text: t('common.ok') }]);
+  }
+};
+
+// Text with tappable URLs and phone numbers
+const LinkedText = ({ text, collapsed, onPhonePress }) => {
+  const { t } = useContext(LanguageContext);
+  const styles = useThemedStyles(createStyles);
+  return (
+    <Text style={styles.valueText} numberOfLines={collapsed ? 4 : undefined}>
+      {splitLinks(text).map((segment, index) => {
+        if (segment.type === 'text') return segment.text;
+        return (
+          <Text
+            key={index}
+            style={styles.linkText}
+            onPress={() => (segment.type === 'phone' ? onPhonePress(segment.value) : openLink(segment.value, t))}
+          >
+            {segment.text}
+          </Text>
+        );
+      })}
+    </Text>
+  );
+};
+
+// One contentV3 field as a labeled section; long values start collapsed
+const ContentField = ({ field, onPhonePress }) => {
+  const { t } = useContext(LanguageContext);
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const long = isLongText(field.value);
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <View style={styles.field}>
+      <View style={styles.labelRow}>
+        <Ionicons name={getFieldIcon(field)} size={18} color={colors.textSecondary} />
+        <Text style={styles.labelText}>{field.label}</Text>
+      </View>
+      <LinkedText text={field.value} collapsed={long && !expanded} onPhonePress={onPhonePress} />
+      {long && (
+        <TouchableOpacity onPress={() => setExpanded(prev => !prev)}>
+          <Text style={styles.toggleText}>{expanded ? t('details.showLess') : t('details.readMore')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+// Description section of JobDetailsScreen, built from the job's contentV3 fields
+const JobContent = ({ job }) => {
+  const { t } = useContext(LanguageContext);
+  const styles = useThemedStyles(createStyles);
+  const { offerContactedStatus } = useContext(ApplicationContext);
+
+  if (job.content.length === 0) return null;
+
+  // Calling a number from the description counts as contacting the employer
+  const handlePhonePress = async (phoneNumber) => {
+    const phoneUrl = Platform.OS === 'android' ? `tel:${phoneNumber}` : `telprompt:${phoneNumber}`;
+    await openLink(phoneUrl, t);
+    offerContactedStatus(job);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('details.description')}</Text>
+      {job.content.map((field, index) => (
+        <ContentField key={`${field.key}-${index}`} field={field} onPhonePress={handlePhonePress} />
+      ))}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginVertical: 12,
+    backgroundColor: colors.background,
+    padding: 12,
+    borderRadius: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  field: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  labelText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  valueText: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: colors.text,
+    marginLeft: 26,
+  },
+  linkText: {
+    color: colors.primary,
+    textDecorationLine: 'underline',
+  },
+  toggleText: {
+    marginTop: 4,
+    marginLeft: 26,
+    color: colors.primary,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
+
+export default JobContent;
@@ -0,0 +1,140 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { NotesContext } from '../context/NotesContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import ReminderPicker from './ReminderPicker';
+
+// Personal note and follow-up reminder for one job, shown on JobDetailsScreen
+const JobNotes = ({ job }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t, formatDateTime } = useContext(LanguageContext);
+  const { getNote, saveNote, getReminder, setReminder, cancelReminder } = useContext(NotesContext);
+  const savedNote = getNote(job.id);
+  const [draft, setDraft] = useState(savedNote);
+  const [reminderPickerVisible, setReminderPickerVisible] = useState(false);
+
+  // Pick up the stored note once it has loaded
+  useEffect(() => {
+    setDraft(savedNote);
+  }, [job.id, savedNote]);
+
+  const reminder = getReminder(job.id);
+  const hasUpcomingReminder = reminder && new Date(reminder.remindAt).getTime() > Date.now();
+  const isDirty = draft.trim() !== savedNote;
+
+  const handleSave = () => {
+    if (isDirty) saveNote(job, draft);
+  };
+
+  const handleReminderSelected = async (date) => {
+    const scheduled = await setReminder(job, date);
+    if (scheduled) setReminderPickerVisible(false);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('notes.title')}</Text>
+      <TextInput
+        style={styles.noteInput}
+        value={draft}
+        onChangeText={setDraft}
+        onBlur={handleSave}
+        placeholder={t('notes.placeholder')}
+        placeholderTextColor={colors.textMuted}
+        multiline
+        textAlignVertical="top"
+      />
+      {isDirty && (
+        <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+          <Text style={styles.saveButtonText}>{t('notes.save')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {hasUpcomingReminder ? (
+        <View style={styles.reminderRow}>
+          <Ionicons name="alarm" size={20} color={colors.primary} />
+          <TouchableOpacity style={styles.reminderTextButton} onPress={() => setReminderPickerVisible(true)}>
+            <Text style={styles.reminderText}>
+              {t('notes.reminderAt', { time: formatDateTime(reminder.remindAt) })}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => cancelReminder(job.id)} style={styles.cancelButton}>
+            <Ionicons name="close-circle" size={20} color={colors.textMuted} />
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.reminderRow} onPress={() => setReminderPickerVisible(true)}>
+          <Ionicons name="alarm-outline" size={20} color={colors.primary} />
+          <Text style={[styles.reminderText, styles.reminderTextButton]}>{t('notes.setReminder')}</Text>
+        </TouchableOpacity>
+      )}
+
+      <ReminderPicker
+        visible={reminderPickerVisible}
+        onSelect={handleReminderSelected}
+        onClose={() => setReminderPickerVisible(false)}
+      />
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  noteInput: {
+    minHeight: 80,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 15,
+    color: colors.text,
+    lineHeight: 20,
+  },
+  saveButton: {
+    alignSelf: 'flex-end',
+    backgroundColor: colors.primary,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginTop: 8,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  reminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginTop: 12,
+  },
+  reminderTextButton: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  reminderText: {
+    color: colors.primary,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  cancelButton: {
+    padding: 2,
+  },
+});
+
+export default JobNotes;
@@ -0,0 +1,201 @@
+import React, { useState, useContext } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  StyleSheet,
+  Platform
+} from 'react-native';
+import DateTimePicker, { DateTimePickerAndroid } from '@react-native-community/datetimepicker';
+import { Ionicons } from '@expo/vector-icons';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Helper function to get a date `days` from now at the given hour
+const atHour = (days, hour) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setHours(hour, 0, 0, 0);
+  return date;
+};
+
+// Quick choices, worked out when the picker opens
+const getPresets = (t, formatTime) => {
+  const now = new Date();
+  const isEveningToday = atHour(0, 18) > now;
+  const evening = isEveningToday ? atHour(0, 18) : atHour(1, 18);
+  const morning = atHour(1, 10);
+  const later = atHour(3, 10);
+  return [
+    { key: 'hour', label: t('reminder.inAnHour'), icon: 'time-outline', date: new Date(now.getTime() + 60 * 60 * 1000) },
+    {
+      key: 'evening',
+      label: t(isEveningToday ? 'reminder.thisEvening' : 'reminder.tomorrowEvening', { time: formatTime(evening) }),
+      icon: 'moon-outline',
+      date: evening,
+    },
+    { key: 'morning', label: t('reminder.tomorrowMorning', { time: formatTime(morning) }), icon: 'sunny-outline', date: morning },
+    { key: 'later', label: t('reminder.inDays', { count: 3, time: formatTime(later) }), icon: 'calendar-outline', date: later },
+  ];
+};
+
+// Bottom sheet for choosing when a follow-up reminder should fire
+const ReminderPicker = ({ visible, onSelect, onClose }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t, formatTime } = useContext(LanguageContext);
+  const [customDate, setCustomDate] = useState(null);
+
+  const handleClose = () => {
+    setCustomDate(null);
+    onClose();
+  };
+
+  const handleSelect = (date) => {
+    setCustomDate(null);
+    onSelect(date);
+  };
+
+  // Android has no combined date and time picker, so ask for one then the other
+  const openCustomPicker = () => {
+    const initial = atHour(1, 10);
+    if (Platform.OS !== 'android') {
+      setCustomDate(initial);
+      return;
+    }
+    DateTimePickerAndroid.open({
+      value: initial,
+      mode: 'date',
+      minimumDate: new Date(),
+      onChange: (event, pickedDate) => {
+        if (event.type !== 'set' || !pickedDate) return;
+        DateTimePickerAndroid.open({
+          value: pickedDate,
+          mode: 'time',
+          onChange: (timeEvent, pickedTime) => {
+            if (timeEvent.type !== 'set' || !pickedTime) return;
+            handleSelect(pickedTime);
+          },
+        });
+      },
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={handleClose}
+    >
+      <TouchableWithoutFeedback onPress={handleClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.sheet}>
+              <View style={styles.sheetHeader}>
+                <Text style={styles.sheetTitle}>{t('reminder.title')}</Text>
+                <TouchableOpacity onPress={handleClose}>
+                  <Ionicons name="close" size={24} color={colors.text} />
+                </TouchableOpacity>
+              </View>
+
+              {customDate ? (
+                <View>
+                  <DateTimePicker
+                    value={customDate}
+                    mode="datetime"
+                    display="spinner"
+                    minimumDate={new Date()}
+                    onChange={(event, pickedDate) => {
+                      if (pickedDate) setCustomDate(pickedDate);
+                    }}
+                  />
+                  <TouchableOpacity style={styles.confirmButton} onPress={() => handleSelect(customDate)}>
+                    <Text style={styles.confirmButtonText}>{t('reminder.set')}</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <View>
+                  {getPresets(t, formatTime).map(preset => (
+                    <TouchableOpacity
+                      key={preset.key}
+                      style={styles.option}
+                      onPress={() => handleSelect(preset.date)}
+                    >
+                      <Ionicons name={preset.icon} size={20} color={colors.textSecondary} />
+                      <Text style={styles.optionText}>{preset.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <TouchableOpacity style={styles.option} onPress={openCustomPicker}>
+                    <Ionicons name="create-outline" size={20} color={colors.primary} />
+                    <Text style={[styles.optionText, styles.customText]}>{t('reminder.custom')}</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlay,
+  },
+  sheet: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: Platform.OS === 'ios' ? 32 : 16,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  optionText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 15,
+    color: colors.text,
+  },
+  customText: {
+    color: colors.primary,
+  },
+  confirmButton: {
+    backgroundColor: colors.primary,
+    marginHorizontal: 16,
+    marginTop: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  confirmButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ReminderPicker;
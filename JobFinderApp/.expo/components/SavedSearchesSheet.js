@@ -0,0 +1,210 @@
+import React, { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  StyleSheet,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SavedSearchContext } from '../context/SavedSearchContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import { getActiveFilterChips } from '../utils/jobFilters';
+
+// Helper function to summarize what a saved search looks for
+const describeSearch = (search) => {
+  const parts = getActiveFilterChips(search.filters).map(chip => chip.label);
+  if (search.query) parts.unshift(`"${search.query}"`);
+  return parts.join(' · ');
+};
+
+// Lists saved searches and saves the current one under a name
+const SavedSearchesSheet = ({ visible, onClose }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  const { savedSearches, hasActiveSearch, saveCurrentSearch, deleteSearch, applySearch } = useContext(SavedSearchContext);
+  const [name, setName] = useState('');
+
+  const handleSave = async () => {
+    if (await saveCurrentSearch(name)) setName('');
+  };
+
+  const handleApply = (search) => {
+    onClose();
+    applySearch(search);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.sheet}>
+              <View style={styles.sheetHeader}>
+                <Text style={styles.sheetTitle}>{t('savedSearches.title')}</Text>
+                <TouchableOpacity onPress={onClose}>
+                  <Ionicons name="close" size={24} color={colors.text} />
+                </TouchableOpacity>
+              </View>
+
+              {hasActiveSearch ? (
+                <View style={styles.saveRow}>
+                  <TextInput
+                    style={styles.input}
+                    value={name}
+                    onChangeText={setName}
+                    placeholder={t('savedSearches.namePlaceholder')}
+                    placeholderTextColor={colors.textMuted}
+                    maxLength={40}
+                    returnKeyType="done"
+                    onSubmitEditing={handleSave}
+                  />
+                  <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+                    <Text style={styles.saveButtonText}>{t('savedSearches.save')}</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <Text style={styles.hintText}>{t('savedSearches.hint')}</Text>
+              )}
+
+              <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+                {savedSearches.map(search => (
+                  <TouchableOpacity key={search.id} style={styles.row} onPress={() => handleApply(search)}>
+                    <Ionicons name="search-outline" size={20} color={colors.textSecondary} />
+                    <View style={styles.rowBody}>
+                      <Text style={styles.rowTitle} numberOfLines={1}>{search.name}</Text>
+                      <Text style={styles.rowSubtitle} numberOfLines={1}>{describeSearch(search)}</Text>
+                    </View>
+                    {search.unreadCount > 0 && (
+                      <View style={styles.unreadBadge}>
+                        <Text style={styles.unreadBadgeText}>{t('savedSearches.newCount', { count: search.unreadCount })}</Text>
+                      </View>
+                    )}
+                    <TouchableOpacity style={styles.deleteButton} onPress={() => deleteSearch(search)}>
+                      <Ionicons name="trash-outline" size={20} color={colors.danger} />
+                    </TouchableOpacity>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlay,
+  },
+  sheet: {
+    maxHeight: '80%',
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: Platform.OS === 'ios' ? 32 : 16,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  saveButton: {
+    marginLeft: 8,
+    backgroundColor: colors.primary,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  hintText: {
+    color: colors.textSecondary,
+    fontSize: 14,
+    padding: 16,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.surface,
+  },
+  rowBody: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  unreadBadge: {
+    backgroundColor: colors.primary,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  unreadBadgeText: {
+    color: colors.onPrimary,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  deleteButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
+
+export default SavedSearchesSheet;
@@ -0,0 +1,101 @@
+import React, { useContext } from 'react';
+import { View, Text, Modal, TouchableOpacity, TouchableWithoutFeedback, StyleSheet, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SORT_OPTIONS } from '../utils/jobFilters';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Sort options are labelled in the current language; other option lists,
+// e.g. the expiry alert choices, come with their own labels
+const SortMenu = ({ visible, selected, onSelect, onClose, options, title }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  const menuOptions = options || SORT_OPTIONS.map(option => ({ ...option, label: t(`sort.${option.key}`) }));
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="fade"
+      transparent
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.menu}>
+              <Text style={styles.menuTitle}>{title || t('sort.title')}</Text>
+              {menuOptions.map(option => {
+                const isSelected = option.key === selected;
+                return (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={styles.option}
+                    onPress={() => onSelect(option.key)}
+                  >
+                    <Ionicons name={option.icon} size={20} color={isSelected ? colors.primary : colors.textSecondary} />
+                    <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+                      {option.label}
+                    </Text>
+                    {isSelected && <Ionicons name="checkmark" size={20} color={colors.primary} />}
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.overlay,
+  },
+  menu: {
+    width: '80%',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    paddingVertical: 8,
+    ...Platform.select({
+      ios: {
+        shadowColor: colors.shadow,
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.2,
+        shadowRadius: 6,
+      },
+      android: {
+        elevation: 6,
+      },
+    }),
+  },
+  menuTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  optionText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 15,
+    color: colors.text,
+  },
+  optionTextSelected: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+});
+
+export default SortMenu;
@@ -0,0 +1,95 @@
+import React, { useContext, useRef } from 'react';
+import { View, Text, StyleSheet, Animated } from 'react-native';
+import { Swipeable } from 'react-native-gesture-handler';
+import { Ionicons } from '@expo/vector-icons';
+import { JobContext } from '../context/JobContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Distance a card has to be dragged before letting go runs its action
+const ACTION_THRESHOLD = 80;
+
+// Wraps a list row with swipe actions. `leftAction` is revealed by swiping
+// right and `rightAction` by swiping left; each is
+// `{ icon, label, color, onAction }`.
+const SwipeableJobRow = ({ children, leftAction, rightAction }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { triggerHaptic } = useContext(JobContext);
+  const swipeableRef = useRef(null);
+
+  // Helper function to render the panel behind the card; the icon grows until
+  // the swipe is far enough to run the action
+  const renderAction = (action, dragX, isLeft) => {
+    const scale = dragX.interpolate({
+      inputRange: isLeft ? [0, ACTION_THRESHOLD] : [-ACTION_THRESHOLD, 0],
+      outputRange: isLeft ? [0.6, 1] : [1, 0.6],
+      extrapolate: 'clamp',
+    });
+    return (
+      <View
+        style={[
+          styles.action,
+          isLeft ? styles.leftAction : styles.rightAction,
+          { backgroundColor: action.color }
+        ]}
+      >
+        <Animated.View style={[styles.actionContent, { transform: [{ scale }] }]}>
+          <Ionicons name={action.icon} size={24} color={colors.onPrimary} />
+          <Text style={styles.actionText}>{action.label}</Text>
+        </Animated.View>
+      </View>
+    );
+  };
+
+  // `direction` is the side whose actions were revealed
+  const handleOpen = (direction) => {
+    const action = direction === 'left' ? leftAction : rightAction;
+    if (swipeableRef.current) swipeableRef.current.close();
+    if (!action) return;
+    triggerHaptic('impact');
+    action.onAction();
+  };
+
+  return (
+    <Swipeable
+      ref={swipeableRef}
+      friction={2}
+      leftThreshold={ACTION_THRESHOLD}
+      rightThreshold={ACTION_THRESHOLD}
+      renderLeftActions={leftAction ? (progress, dragX) => renderAction(leftAction, dragX, true) : undefined}
+      renderRightActions={rightAction ? (progress, dragX) => renderAction(rightAction, dragX, false) : undefined}
+      onSwipeableOpen={handleOpen}
+    >
+      {children}
+    </Swipeable>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  // Matches the margins and corners of JobCard
+  action: {
+    flex: 1,
+    justifyContent: 'center',
+    marginHorizontal: 8,
+    marginVertical: 6,
+    borderRadius: 12,
+    paddingHorizontal: 24,
+  },
+  leftAction: {
+    alignItems: 'flex-start',
+  },
+  rightAction: {
+    alignItems: 'flex-end',
+  },
+  actionContent: {
+    alignItems: 'center',
+  },
+  actionText: {
+    marginTop: 4,
+    color: colors.onPrimary,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
+
+export default SwipeableJobRow;
@@ -0,0 +1,83 @@
+import React, { useContext, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import { LanguageContext } from '../context/LanguageContext';
+import { useThemedStyles } from '../context/ThemeContext';
+
+const SNACKBAR_DURATION = 5000;
+
+// Short message at the bottom of the screen with an undo button. It closes
+// itself a few seconds after it is shown; a new `id` shows it again, even
+// with the same message.
+const UndoSnackbar = ({ id, message, onUndo, onDismiss }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useContext(LanguageContext);
+  // Read when the timer fires, so a new onDismiss does not restart it
+  const onDismissRef = useRef(onDismiss);
+  onDismissRef.current = onDismiss;
+
+  useEffect(() => {
+    if (!message) return undefined;
+    const timer = setTimeout(() => onDismissRef.current(), SNACKBAR_DURATION);
+    return () => clearTimeout(timer);
+  }, [id, message]);
+
+  if (!message) return null;
+
+  return (
+    <View style={styles.container} accessibilityLiveRegion="polite">
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      <TouchableOpacity
+        style={styles.undoButton}
+        onPress={onUndo}
+        accessibilityRole="button"
+      >
+        <Text style={styles.undoText}>{t('common.undo')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.fab,
+    borderRadius: 8,
+    paddingLeft: 16,
+    paddingRight: 4,
+    paddingVertical: 4,
+    ...Platform.select({
+      ios: {
+        shadowColor: colors.shadow,
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.2,
+        shadowRadius: 4,
+      },
+      android: {
+        elevation: 6,
+      },
+    }),
+  },
+  message: {
+    flex: 1,
+    color: colors.onPrimary,
+    fontSize: 14,
+    paddingVertical: 8,
+  },
+  undoButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  undoText: {
+    color: colors.snackbarAction,
+    fontSize: 14,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,119 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { Alert } from 'react-native';
+import { JobContext } from './JobContext';
+import * as applicationStore from '../storage/applicationStore';
+import { DEFAULT_STATUS, isValidStatus } from '../utils/applicationStatus';
+import { t } from '../i18n';
+
+export const ApplicationContext = createContext();
+
+// Helper function to report a failed write
+const showStorageError = (err) => {
+  console.error('Error saving application:', err);
+  Alert.alert(
+    t('alerts.storageError.title'),
+    t('alerts.applicationSaveFailed'),
+    [{ text: t('common.ok') }]
+  );
+};
+
+export const ApplicationProvider = ({ children }) => {
+  const { addBookmark } = useContext(JobContext);
+  // { [jobId]: { status, updatedAt } } for jobs that left the default status
+  const [applications, setApplications] = useState({});
+
+  useEffect(() => {
+    const loadApplications = async () => {
+      try {
+        setApplications(await applicationStore.loadApplications());
+      } catch (err) {
+        console.error('Error loading applications:', err);
+      }
+    };
+    loadApplications();
+  }, []);
+
+  const getApplicationStatus = (jobId) => {
+    const application = applications[String(jobId)];
+    return application && isValidStatus(application.status) ? application.status : DEFAULT_STATUS;
+  };
+
+  // Tracked jobs are saved jobs, so the job is bookmarked first if needed.
+  // Resolves with whether the status was saved.
+  const setApplicationStatus = async (job, status) => {
+    if (!isValidStatus(status) || getApplicationStatus(job.id) === status) return false;
+
+    const saved = await addBookmark(job);
+    if (!saved) return false;
+    try {
+      const application = await applicationStore.setApplicationStatus(job.id, status);
+      setApplications(prev => ({ ...prev, [String(job.id)]: application }));
+      return true;
+    } catch (err) {
+      showStorageError(err);
+      return false;
+    }
+  };
+
+  // After the user reaches out to an employer, offer to record it. Jobs that
+  // are already past "Contacted" are left alone.
+  const offerContactedStatus = (job) => {
+    if (getApplicationStatus(job.id) !== DEFAULT_STATUS) return;
+
+    Alert.alert(
+      t('tracker.markContactedTitle'),
+      t('tracker.markContactedMessage', { title: job.title }),
+      [
+        { text: t('common.notNow'), style: 'cancel' },
+        { text: t('tracker.markContacted'), onPress: () => setApplicationStatus(job, 'contacted') }
+      ]
+    );
+  };
+
+  const loadNotes = async (jobId) => {
+    try {
+      return await applicationStore.loadNotes(jobId);
+    } catch (err) {
+      console.error('Error loading notes:', err);
+      return [];
+    }
+  };
+
+  // Resolves with the saved note, or null if it could not be saved
+  const addNote = async (jobId, text) => {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return null;
+    try {
+      return await applicationStore.addNote(jobId, trimmed);
+    } catch (err) {
+      showStorageError(err);
+      return null;
+    }
+  };
+
+  const deleteNote = async (noteId) => {
+    try {
+      await applicationStore.deleteNote(noteId);
+      return true;
+    } catch (err) {
+      showStorageError(err);
+      return false;
+    }
+  };
+
+  return (
+    <ApplicationContext.Provider
+      value={{
+        applications,
+        getApplicationStatus,
+        setApplicationStatus,
+        offerContactedStatus,
+        loadNotes,
+        addNote,
+        deleteNote,
+      }}
+    >
+      {children}
+    </ApplicationContext.Provider>
+  );
+};
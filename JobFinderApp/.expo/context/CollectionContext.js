@@ -0,0 +1,169 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { Alert } from 'react-native';
+import { JobContext } from './JobContext';
+import * as collectionStore from '../storage/collectionStore';
+import { t } from '../i18n';
+
+const MAX_NAME_LENGTH = 40;
+
+export const CollectionContext = createContext();
+
+// Helper function to report a failed write the same way bookmarks do
+const showStorageError = (err) => {
+  console.error('Error saving collections:', err);
+  Alert.alert(
+    t('alerts.storageError.title'),
+    t('alerts.collectionSaveFailed'),
+    [{ text: t('common.ok') }]
+  );
+};
+
+export const CollectionProvider = ({ children }) => {
+  const { bookmarks, addBookmark } = useContext(JobContext);
+  const [collections, setCollections] = useState([]);
+  // { [jobId]: collectionId }, null for bookmarks outside any collection
+  const [bookmarkCollections, setBookmarkCollections] = useState({});
+
+  useEffect(() => {
+    const loadCollections = async () => {
+      try {
+        setCollections(await collectionStore.loadCollections());
+      } catch (err) {
+        console.error('Error loading collections:', err);
+      }
+    };
+    loadCollections();
+  }, []);
+
+  // Bookmarks are added and removed elsewhere, so re-read the membership
+  // whenever the list changes
+  useEffect(() => {
+    const loadMembership = async () => {
+      try {
+        setBookmarkCollections(await collectionStore.loadBookmarkCollections());
+      } catch (err) {
+        console.error('Error loading collection membership:', err);
+      }
+    };
+    loadMembership();
+  }, [bookmarks]);
+
+  // Helper function to check a collection name; alerts and returns null when
+  // it cannot be used
+  const validateName = (name, collectionId = null) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      Alert.alert(t('collections.nameRequiredTitle'), t('collections.nameRequiredMessage'));
+      return null;
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+      Alert.alert(t('collections.nameTooLongTitle'), t('collections.nameTooLongMessage', { max: MAX_NAME_LENGTH }));
+      return null;
+    }
+    const duplicate = collections.some(collection => (
+      collection.id !== collectionId && collection.name.toLowerCase() === trimmed.toLowerCase()
+    ));
+    if (duplicate) {
+      Alert.alert(t('collections.nameTakenTitle'), t('collections.nameTakenMessage', { name: trimmed }));
+      return null;
+    }
+    return trimmed;
+  };
+
+  // Resolves with the new collection, or null if it was not created
+  const createCollection = async (name) => {
+    const validName = validateName(name);
+    if (!validName) return null;
+    try {
+      const collection = await collectionStore.createCollection(validName);
+      setCollections(prev => [...prev, collection]);
+      return collection;
+    } catch (err) {
+      showStorageError(err);
+      return null;
+    }
+  };
+
+  const renameCollection = async (collectionId, name) => {
+    const validName = validateName(name, collectionId);
+    if (!validName) return false;
+    try {
+      await collectionStore.renameCollection(collectionId, validName);
+      setCollections(prev => prev.map(collection => (
+        collection.id === collectionId ? { ...collection, name: validName } : collection
+      )));
+      return true;
+    } catch (err) {
+      showStorageError(err);
+      return false;
+    }
+  };
+
+  // Asks for confirmation; the jobs inside stay bookmarked
+  const deleteCollection = (collectionId) => {
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection) return;
+
+    Alert.alert(
+      t('collections.deleteTitle'),
+      t('collections.deleteMessage', { name: collection.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await collectionStore.deleteCollection(collectionId);
+              setCollections(prev => prev.filter(item => item.id !== collectionId));
+              setBookmarkCollections(prev => Object.keys(prev).reduce((map, jobId) => {
+                map[jobId] = prev[jobId] === collectionId ? null : prev[jobId];
+                return map;
+              }, {}));
+            } catch (err) {
+              showStorageError(err);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Put a job into a collection, bookmarking it first if needed.
+  // Pass null to take it out of its collection.
+  const moveToCollection = async (job, collectionId) => {
+    const saved = await addBookmark(job);
+    if (!saved) return false;
+    try {
+      await collectionStore.moveBookmark(job.id, collectionId);
+      setBookmarkCollections(prev => ({ ...prev, [String(job.id)]: collectionId }));
+      return true;
+    } catch (err) {
+      showStorageError(err);
+      return false;
+    }
+  };
+
+  // The collection a bookmarked job is in, or null
+  const getJobCollection = (jobId) => {
+    const collectionId = bookmarkCollections[String(jobId)];
+    if (collectionId === undefined || collectionId === null) return null;
+    return collections.find(collection => collection.id === collectionId) || null;
+  };
+
+  return (
+    <CollectionContext.Provider
+      value={{
+        collections,
+        bookmarkCollections,
+        createCollection,
+        renameCollection,
+        deleteCollection,
+        moveToCollection,
+        getJobCollection,
+      }}
+    >
+      {children}
+    </CollectionContext.Provider>
+  );
+};
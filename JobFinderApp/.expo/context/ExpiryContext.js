@@ -0,0 +1,116 @@
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import { Alert } from 'react-native';
+import { JobContext } from './JobContext';
+import { getMeta, setMeta } from '../storage/database';
+import * as expiryAlertStore from '../storage/expiryAlertStore';
+import {
+  ensureNotificationPermission,
+  hasNotificationPermission,
+  scheduleExpiryAlert,
+  cancelNotification
+} from '../utils/notifications';
+import { getExpiryAlertDate, EXPIRY_ALERT_OPTIONS, DEFAULT_EXPIRY_ALERT_DAYS } from '../utils/jobExpiry';
+import { t } from '../i18n';
+
+const EXPIRY_ALERT_DAYS_KEY = 'expiryAlertDays';
+
+export const ExpiryContext = createContext();
+
+// Helper function to fall back to the default for unknown settings
+const normalizeAlertDays = (days) => {
+  return EXPIRY_ALERT_OPTIONS.some(option => option.key === days) ? days : DEFAULT_EXPIRY_ALERT_DAYS;
+};
+
+/**
+ * Make the scheduled expiry notifications match the saved jobs: one per
+ * bookmarked job whose alert time is still ahead, none when alerts are off.
+ */
+const syncExpiryAlerts = async (bookmarks, daysBefore) => {
+  const scheduled = await expiryAlertStore.loadExpiryAlerts();
+  const canNotify = daysBefore > 0 && await hasNotificationPermission();
+  const now = Date.now();
+  const wanted = {};
+
+  if (canNotify) {
+    bookmarks.forEach(job => {
+      const alertAt = getExpiryAlertDate(job, daysBefore);
+      if (alertAt && alertAt.getTime() > now) {
+        wanted[String(job.id)] = { job, alertAt };
+      }
+    });
+  }
+
+  // Drop alerts that are no longer wanted or point at a different time
+  for (const jobId of Object.keys(scheduled)) {
+    const target = wanted[jobId];
+    if (target && target.alertAt.toISOString() === scheduled[jobId].alertAt) {
+      delete wanted[jobId];
+      continue;
+    }
+    await cancelNotification(scheduled[jobId].notificationId);
+    await expiryAlertStore.deleteExpiryAlert(jobId);
+  }
+
+  for (const jobId of Object.keys(wanted)) {
+    const { job, alertAt } = wanted[jobId];
+    const notificationId = await scheduleExpiryAlert(job, alertAt);
+    await expiryAlertStore.saveExpiryAlert(jobId, notificationId, alertAt.toISOString());
+  }
+};
+
+export const ExpiryProvider = ({ children }) => {
+  const { bookmarks, bookmarksLoading } = useContext(JobContext);
+  const [expiryAlertDays, setExpiryAlertDaysState] = useState(DEFAULT_EXPIRY_ALERT_DAYS);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  // Syncs run one after another so two of them never schedule the same job
+  const syncQueue = useRef(Promise.resolve());
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setExpiryAlertDaysState(normalizeAlertDays(await getMeta(EXPIRY_ALERT_DAYS_KEY, DEFAULT_EXPIRY_ALERT_DAYS)));
+      } catch (err) {
+        console.error('Error loading expiry alert setting:', err);
+      } finally {
+        setSettingsLoaded(true);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  // Reschedule whenever saved jobs or the setting change
+  useEffect(() => {
+    if (!settingsLoaded || bookmarksLoading) return;
+    syncQueue.current = syncQueue.current
+      .then(() => syncExpiryAlerts(bookmarks, expiryAlertDays))
+      .catch(err => console.error('Error scheduling expiry alerts:', err));
+  }, [bookmarks, bookmarksLoading, expiryAlertDays, settingsLoaded]);
+
+  const setExpiryAlertDays = async (days) => {
+    const value = normalizeAlertDays(days);
+    if (value > 0) {
+      const allowed = await ensureNotificationPermission();
+      if (!allowed) {
+        Alert.alert(t('notifications.disabledTitle'), t('expiryAlert.disabledMessage'));
+        return;
+      }
+    }
+    setExpiryAlertDaysState(value);
+    try {
+      await setMeta(EXPIRY_ALERT_DAYS_KEY, value);
+    } catch (err) {
+      console.error('Error saving expiry alert setting:', err);
+    }
+  };
+
+  return (
+    <ExpiryContext.Provider
+      value={{
+        expiryAlertDays,
+        setExpiryAlertDays,
+      }}
+    >
+      {children}
+    </ExpiryContext.Provider>
+  );
+};
@@ -0,0 +1,130 @@
+import React, { createContext, useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { EMPTY_FILTERS, SORT_OPTIONS, JOBS_SORT_OPTIONS } from '../utils/jobFilters';
+
+const FILTERS_STORAGE_KEY = 'jobFilters';
+const SORT_STORAGE_KEY = 'jobSortOptions';
+
+export const FilterContext = createContext();
+
+// Helper function to make sure stored filters have every expected field
+const normalizeFilters = (value) => {
+  if (!value || typeof value !== 'object') return EMPTY_FILTERS;
+  const toList = (list) => (Array.isArray(list) ? list.filter(item => typeof item === 'string') : []);
+  const toAmount = (amount) => (typeof amount === 'number' && amount >= 0 ? amount : null);
+
+  return {
+    cities: toList(value.cities),
+    salaryMin: toAmount(value.salaryMin),
+    salaryMax: toAmount(value.salaryMax),
+    jobTypes: toList(value.jobTypes),
+    experiences: toList(value.experiences),
+    qualifications: toList(value.qualifications),
+    maxDistanceKm: toAmount(value.maxDistanceKm) || null,
+  };
+};
+
+// Helper function to fall back to the default order for unknown sort keys
+const normalizeSortKey = (key, options = SORT_OPTIONS) => {
+  return options.some(option => option.key === key) ? key : 'default';
+};
+
+export const FilterProvider = ({ children }) => {
+  const [filters, setFiltersState] = useState(EMPTY_FILTERS);
+  // The search text is not persisted; it lives here so saved searches can
+  // restore it
+  const [searchQuery, setSearchQuery] = useState('');
+  const [jobsSort, setJobsSortState] = useState('default');
+  const [bookmarksSort, setBookmarksSortState] = useState('default');
+
+  // Restore the filters and sort orders the user had active last time
+  useEffect(() => {
+    const loadFilters = async () => {
+      try {
+        const storedFilters = await AsyncStorage.getItem(FILTERS_STORAGE_KEY);
+        if (storedFilters) {
+          setFiltersState(normalizeFilters(JSON.parse(storedFilters)));
+        }
+        const storedSort = await AsyncStorage.getItem(SORT_STORAGE_KEY);
+        if (storedSort) {
+          const parsedSort = JSON.parse(storedSort) || {};
+          setJobsSortState(normalizeSortKey(parsedSort.jobs, JOBS_SORT_OPTIONS));
+          setBookmarksSortState(normalizeSortKey(parsedSort.bookmarks));
+        }
+      } catch (err) {
+        console.error('Error loading filters:', err);
+      }
+    };
+    loadFilters();
+  }, []);
+
+  const saveSort = async (updatedSort) => {
+    try {
+      await AsyncStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(updatedSort));
+    } catch (err) {
+      console.error('Error saving sort order:', err);
+    }
+  };
+
+  const setJobsSort = (key) => {
+    const sortKey = normalizeSortKey(key, JOBS_SORT_OPTIONS);
+    setJobsSortState(sortKey);
+    saveSort({ jobs: sortKey, bookmarks: bookmarksSort });
+  };
+
+  const setBookmarksSort = (key) => {
+    const sortKey = normalizeSortKey(key);
+    setBookmarksSortState(sortKey);
+    saveSort({ jobs: jobsSort, bookmarks: sortKey });
+  };
+
+  const saveFilters = async (updatedFilters) => {
+    try {
+      await AsyncStorage.setItem(FILTERS_STORAGE_KEY, JSON.stringify(updatedFilters));
+    } catch (err) {
+      console.error('Error saving filters:', err);
+    }
+  };
+
+  const setFilters = (updatedFilters) => {
+    const normalized = normalizeFilters(updatedFilters);
+    setFiltersState(normalized);
+    saveFilters(normalized);
+  };
+
+  // Remove a single chip; salary chips clear both ends of the range
+  const removeFilter = (field, value) => {
+    if (field === 'salary') {
+      setFilters({ ...filters, salaryMin: null, salaryMax: null });
+      return;
+    }
+    if (field === 'maxDistanceKm') {
+      setFilters({ ...filters, maxDistanceKm: null });
+      return;
+    }
+    setFilters({ ...filters, [field]: (filters[field] || []).filter(item => item !== value) });
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <FilterContext.Provider
+      value={{
+        searchQuery,
+        setSearchQuery,
+        filters,
+        setFilters,
+        removeFilter,
+        clearFilters,
+        jobsSort,
+        setJobsSort,
+        bookmarksSort,
+        setBookmarksSort,
+      }}
+    >
+      {children}
+    </FilterContext.Provider>
+  );
+};
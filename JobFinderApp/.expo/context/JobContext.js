@@ -1,6 +1,13 @@
-import React, { createContext, useState, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Alert, Platform } from 'react-native';
+import React, { createContext, useState, useEffect, useRef, useContext, useMemo } from 'react';
+import NetInfo from '@react-native-community/netinfo';
+import { Alert, Platform, AccessibilityInfo } from 'react-native';
+import { jobsApi, getErrorMessage, createPaginationController } from '../api';
+import { loadFeedCache, saveFeedPage } from '../storage/feedCache';
+import * as bookmarkStore from '../storage/bookmarkStore';
+import { getJob, upsertJobs } from '../storage/jobStore';
+import * as hiddenJobStore from '../storage/hiddenJobStore';
+import { getCompanyKey, createHiddenJobMatcher } from '../utils/hiddenJobs';
+import { LanguageContext } from './LanguageContext';
 // Use a try-catch for the import to make it fault-tolerant
 let Haptics;
 try {
@@ -19,178 +26,137 @@ try {
 export const JobContext = createContext();
 
 export const JobProvider = ({ children }) => {
+  // Also re-renders the provider, and with it the feed error, on a language change
+  const { t } = useContext(LanguageContext);
   const [bookmarks, setBookmarks] = useState([]);
-  const [jobs, setJobs] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [bookmarksLoading, setBookmarksLoading] = useState(true);
+  // Message key of the last bookmark storage failure, translated on render
+  const [bookmarksErrorKey, setBookmarksErrorKey] = useState(null);
+  const [isConnected, setIsConnected] = useState(true);
+  // When the feed on screen was fetched, and whether it came from the cache
+  const [feedUpdatedAt, setFeedUpdatedAt] = useState(null);
+  const [isFeedFromCache, setIsFeedFromCache] = useState(false);
+  const wasConnected = useRef(true);
+
+  // The pagination controller owns the feed: page cursor, end of feed,
+  // the request in flight and de-duplication by job id
+  const paginationRef = useRef(null);
+  if (!paginationRef.current) {
+    paginationRef.current = createPaginationController({
+      fetchPage: (page, options) => jobsApi.getJobs(page, options),
+      // Keep every page for offline use; a fresh page 1 means a fresh feed
+      onPageLoaded: (page, pageJobs) => {
+        const fetchedAt = new Date().toISOString();
+        saveFeedPage(page, pageJobs, fetchedAt);
+        if (page === 1) {
+          setFeedUpdatedAt(fetchedAt);
+          setIsFeedFromCache(false);
+        }
+      },
+    });
+  }
+  const pagination = paginationRef.current;
+  const [feed, setFeed] = useState(pagination.getState());
+  // Jobs marked "not interested" and companies the user hid; both are left
+  // out of every page of the feed
+  const [hiddenJobs, setHiddenJobs] = useState([]);
+  const [hiddenCompanies, setHiddenCompanies] = useState([]);
+
+  useEffect(() => pagination.subscribe(setFeed), [pagination]);
+
+  const isJobHidden = useMemo(
+    () => createHiddenJobMatcher(hiddenJobs, hiddenCompanies),
+    [hiddenJobs, hiddenCompanies]
+  );
+  const jobs = useMemo(() => feed.items.filter(job => !isJobHidden(job)), [feed.items, isJobHidden]);
+  const loading = feed.status !== 'idle';
+  const error = feed.error ? getErrorMessage(feed.error) : null;
+  const bookmarksError = bookmarksErrorKey ? t(bookmarksErrorKey) : null;
   
-  // Enhanced load bookmarks function with error handling and retry logic
-  const loadBookmarks = async (retryCount = 0) => {
+  // Load bookmarks from the local database. Bookmarks saved by older app
+  // versions are imported on first run.
+  const loadBookmarks = async () => {
     try {
-      setLoading(true);
-      const storedBookmarks = await AsyncStorage.getItem('jobBookmarks');
-      if (storedBookmarks) {
-        setBookmarks(JSON.parse(storedBookmarks));
-      }
+      setBookmarksLoading(true);
+      setBookmarksErrorKey(null);
+      const storedJobs = await bookmarkStore.loadBookmarks();
+      setBookmarks(storedJobs);
     } catch (err) {
       console.error('Error loading bookmarks:', err);
-      
-      // Retry logic for corrupted data
-      if (retryCount === 0) {
-        console.log("Attempting to recover bookmarks data...");
-        try {
-          // Clear potentially corrupted data and retry
-          await AsyncStorage.removeItem('jobBookmarks');
-          return loadBookmarks(retryCount + 1);
-        } catch (clearError) {
-          console.error('Failed to clear corrupted bookmarks:', clearError);
-        }
-      }
-      
-      setError('Failed to load saved jobs');
+      setBookmarksErrorKey('alerts.loadBookmarksFailed');
     } finally {
-      setLoading(false);
+      setBookmarksLoading(false);
     }
   };
 
-  // Load bookmarks from AsyncStorage on app start with improved reliability
+  const loadHiddenJobs = async () => {
+    try {
+      setHiddenJobs(await hiddenJobStore.loadHiddenJobs());
+      setHiddenCompanies(await hiddenJobStore.loadHiddenCompanies());
+    } catch (err) {
+      console.error('Error loading hidden jobs:', err);
+    }
+  };
+
+  // Load bookmarks and the cached feed on app start, then refresh from the API
   useEffect(() => {
+    // Show the cached feed straight away, unless a fresh page beat us to it
+    const restoreFeedCache = async () => {
+      const cached = await loadFeedCache();
+      if (!cached || pagination.getState().page > 0) return;
+
+      pagination.hydrate({ items: cached.jobs, page: cached.lastPage, hasMore: true });
+      setFeedUpdatedAt(cached.updatedAt);
+      setIsFeedFromCache(true);
+    };
+
     loadBookmarks();
-    fetchJobs(1); // Fetch jobs on initial load
-  }, []);
+    loadHiddenJobs();
+    restoreFeedCache().finally(() => pagination.refresh());
+    return () => pagination.cancel();
+  }, [pagination]);
 
-  // Fetch jobs from API
-  const fetchJobs = async (page = 1) => {
-    try {
-      setLoading(true);
-      setError(null);
-      const response = await fetch(`https://testapi.getlokalapp.com/common/jobs?page=${page}`);
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch jobs');
-      }
-      
-      const responseData = await response.json();
-      
-      // Handle different possible response structures
-      let jobsArray;
-      if (Array.isArray(responseData)) {
-        jobsArray = responseData;
-      } else if (responseData && typeof responseData === 'object') {
-        // Check for common response patterns like data.results, data.jobs, etc.
-        jobsArray = responseData.results || responseData.jobs || responseData.data || [];
-      } else {
-        jobsArray = [];
-      }
-      
-      if (page === 1) {
-        setJobs(jobsArray);
-      } else {
-        setJobs(prevJobs => [...prevJobs, ...jobsArray]);
+  // Track connectivity and reconcile the cached feed with fresh pages as soon
+  // as the connection comes back
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const connected = state.isConnected !== false;
+      setIsConnected(connected);
+      if (connected && !wasConnected.current) {
+        pagination.refresh();
       }
-      
-      setCurrentPage(page);
-    } catch (error) {
-      console.error('Error fetching jobs:', error);
-      setError('Failed to fetch jobs. Please try again later.');
-    } finally {
-      setLoading(false);
-    }
-  };
+      wasConnected.current = connected;
+    });
 
-  // Load more jobs (pagination)
+    return () => unsubscribe();
+  }, [pagination]);
+
+  // Reload the feed from page 1, cancelling any page still loading
+  const refreshJobs = () => pagination.refresh();
+
+  // Load the next page; repeated calls while a page is loading are ignored
   const loadMoreJobs = () => {
-    if (!loading) {
-      fetchJobs(currentPage + 1);
-    }
+    if (!isConnected) return Promise.resolve(pagination.getState());
+    return pagination.loadMore();
   };
 
-  // Enhanced function to save bookmarks to AsyncStorage with validation
-  const saveBookmarks = async (updatedBookmarks) => {
+  // Write a single bookmark change; on failure restore the previous list.
+  // Resolves with whether the change was saved.
+  const saveBookmarkChange = async (write, previousBookmarks) => {
     try {
-      // Validate data before storing
-      if (!Array.isArray(updatedBookmarks)) {
-        throw new Error('Invalid bookmark data format');
-      }
-      
-      // Ensure we only store essential job data to minimize storage usage
-      const essentialJobData = updatedBookmarks.map(job => {
-        // Process fields that might be numbers
-        let processedExperience = job.experience;
-        let processedJobType = job.job_type;
-        let processedQualification = job.qualification;
-        let processedSalary = null;
-        
-        // If experience is a number, use the value from primary_details
-        if (typeof job.experience === 'number' && job.primary_details && job.primary_details.Experience) {
-          processedExperience = job.primary_details.Experience;
-        }
-        
-        // If job_type is a number, use the value from primary_details
-        if (typeof job.job_type === 'number' && job.primary_details && job.primary_details.Job_Type) {
-          processedJobType = job.primary_details.Job_Type;
-        }
-        
-        // If qualification is a number, use the value from primary_details
-        if (typeof job.qualification === 'number' && job.primary_details && job.primary_details.Qualification) {
-          processedQualification = job.primary_details.Qualification;
-        }
-        
-        // Use Salary from primary_details if available
-        if (job.primary_details && job.primary_details.Salary) {
-          processedSalary = job.primary_details.Salary;
-        }
-        
-        return {
-          id: job.id,
-          title: job.title,
-          company_name: job.company_name,
-          salary: processedSalary || job.salary,
-          salary_min: job.salary_min,
-          salary_max: job.salary_max,
-          experience: processedExperience,
-          locality: job.locality,
-          city_location: job.city_location,
-          job_type: processedJobType,
-          qualification: processedQualification,
-          primary_details: job.primary_details,
-          contentV3: job.contentV3,
-          other_details: job.other_details,
-          whatsapp_no: job.whatsapp_no,
-          phone: job.phone,
-          job_tags: job.job_tags,
-          openings_count: job.openings_count,
-          tags: job.tags,
-          created_on: job.created_on,
-          updated_on: job.updated_on,
-          expire_on: job.expire_on,
-          views: job.views,
-          // Add any other essential fields needed for offline viewing
-        };
-      });
-      
-      // Store the data with a timestamp for potential cache management later
-      const bookmarksData = {
-        timestamp: new Date().toISOString(),
-        jobs: essentialJobData
-      };
-      
-      await AsyncStorage.setItem('jobBookmarks', JSON.stringify(bookmarksData));
-      
-      // Create an additional backup copy for redundancy
-      await AsyncStorage.setItem('jobBookmarks_backup', JSON.stringify(bookmarksData));
-      
+      await write();
+      return true;
     } catch (err) {
       console.error('Error saving bookmarks:', err);
-      setError('Failed to save job');
+      setBookmarks(previousBookmarks);
       
       // If saving fails, show an alert
       Alert.alert(
-        'Storage Error',
-        'Failed to save job to local storage. Please try again.',
-        [{ text: 'OK' }]
+        t('alerts.storageError.title'),
+        t('alerts.storageError.message'),
+        [{ text: t('common.ok') }]
       );
+      return false;
     }
   };
 
@@ -214,55 +180,94 @@ export const JobProvider = ({ children }) => {
     }
   };
 
+  // Bookmark a job without the confirmation alert, e.g. when it is being put
+  // straight into a collection. Resolves with whether the job is saved.
+  const addBookmark = (job) => {
+    if (isBookmarked(job.id)) return Promise.resolve(true);
+    const previousBookmarks = bookmarks;
+    setBookmarks([...previousBookmarks, job]);
+    return saveBookmarkChange(() => bookmarkStore.addBookmark(job), previousBookmarks);
+  };
+
   // Modified toggleBookmark function
   const toggleBookmark = (job) => {
     // Add haptic feedback for better user experience
     triggerHaptic('impact');
     
-    setBookmarks(prevBookmarks => {
-      let updatedBookmarks;
-      
-      if (isBookmarked(job.id)) {
-        // Remove job from bookmarks
-        updatedBookmarks = prevBookmarks.filter(bookmark => bookmark.id !== job.id);
-      } else {
-        // Add job to bookmarks
-        updatedBookmarks = [...prevBookmarks, job];
-        
-        // Show confirmation for better UX
-        Alert.alert(
-          'Job Bookmarked',
-          'This job is now available for offline viewing',
-          [{ text: 'Great!', style: 'default' }],
-          { cancelable: true }
-        );
-      }
-      
-      // Save to AsyncStorage using the enhanced function
-      saveBookmarks(updatedBookmarks);
+    const previousBookmarks = bookmarks;
+    if (isBookmarked(job.id)) {
+      // Remove job from bookmarks
+      setBookmarks(previousBookmarks.filter(bookmark => bookmark.id !== job.id));
+      saveBookmarkChange(() => bookmarkStore.removeBookmark(job.id), previousBookmarks);
+      // Saving shows an alert that screen readers read out; removing is silent
+      AccessibilityInfo.announceForAccessibility(t('a11y.jobRemoved'));
+    } else {
+      // Add job to bookmarks
+      addBookmark(job);
       
-      return updatedBookmarks;
-    });
+      // Show confirmation for better UX
+      Alert.alert(
+        t('alerts.bookmarked.title'),
+        t('alerts.bookmarked.message'),
+        [{ text: t('alerts.bookmarked.button'), style: 'default' }],
+        { cancelable: true }
+      );
+    }
+  };
+
+  // Remove one bookmark so that it can be undone. Resolves with a function
+  // that puts it back with its saved date, collection and note, or with null
+  // when the removal failed.
+  const removeBookmark = async (job) => {
+    // Without the stored row the job can still come back as a new bookmark
+    let row = { saved_at: new Date().toISOString(), collection_id: null, note: null };
+    try {
+      row = (await bookmarkStore.getBookmarkRow(job.id)) || row;
+    } catch (err) {
+      console.error('Error reading bookmark:', err);
+    }
+
+    const previousBookmarks = bookmarks;
+    const remainingBookmarks = previousBookmarks.filter(bookmark => bookmark.id !== job.id);
+    setBookmarks(remainingBookmarks);
+    const removed = await saveBookmarkChange(() => bookmarkStore.removeBookmark(job.id), previousBookmarks);
+    if (!removed) return null;
+    AccessibilityInfo.announceForAccessibility(t('a11y.jobRemoved'));
+
+    return () => {
+      setBookmarks(prev => (prev.some(bookmark => bookmark.id === job.id) ? prev : [...prev, job]));
+      return saveBookmarkChange(() => bookmarkStore.restoreBookmark(job, row), remainingBookmarks);
+    };
+  };
+
+  // Remove several bookmarks at once, e.g. every expired job. Callers confirm
+  // with the user first.
+  const removeBookmarks = (jobIds) => {
+    const ids = new Set(jobIds);
+    const previousBookmarks = bookmarks;
+    setBookmarks(previousBookmarks.filter(bookmark => !ids.has(bookmark.id)));
+    triggerHaptic('notification');
+    return saveBookmarkChange(() => bookmarkStore.removeBookmarks(jobIds), previousBookmarks);
   };
 
   const clearBookmarks = () => {
     Alert.alert(
-      'Clear All Bookmarks',
-      'Are you sure you want to remove all bookmarked jobs?',
+      t('alerts.clearAll.title'),
+      t('alerts.clearAll.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         { 
-          text: 'Clear All', 
+          text: t('alerts.clearAll.confirm'), 
           style: 'destructive',
           onPress: async () => {
             try {
-              await AsyncStorage.removeItem('jobBookmarks');
+              await bookmarkStore.clearBookmarks();
               setBookmarks([]);
               // Add haptic feedback
               triggerHaptic('notification');
             } catch (err) {
               console.error('Error clearing bookmarks:', err);
-              setError('Failed to clear bookmarks');
+              setBookmarksErrorKey('alerts.clearBookmarksFailed');
             }
           }
         }
@@ -270,23 +275,113 @@ export const JobProvider = ({ children }) => {
     );
   };
 
-  // Add a function to verify and repair bookmarks storage if needed
+  // Mark a job "not interested" so it stops showing up in the feed
+  const hideJob = async (job) => {
+    const hiddenJob = {
+      id: String(job.id),
+      title: job.title,
+      companyName: job.companyName,
+      hiddenAt: new Date().toISOString(),
+    };
+    setHiddenJobs(prev => [hiddenJob, ...prev.filter(item => item.id !== hiddenJob.id)]);
+    try {
+      await hiddenJobStore.saveHiddenJob(hiddenJob);
+    } catch (err) {
+      console.error('Error saving hidden job:', err);
+      setHiddenJobs(prev => prev.filter(item => item.id !== hiddenJob.id));
+    }
+  };
+
+  const unhideJob = async (jobId) => {
+    const id = String(jobId);
+    const previousHiddenJobs = hiddenJobs;
+    setHiddenJobs(previousHiddenJobs.filter(item => item.id !== id));
+    try {
+      await hiddenJobStore.deleteHiddenJob(id);
+    } catch (err) {
+      console.error('Error unhiding job:', err);
+      setHiddenJobs(previousHiddenJobs);
+    }
+  };
+
+  // Hide every job from a company, including ones posted later
+  const hideCompany = async (companyName) => {
+    const key = getCompanyKey(companyName);
+    if (!key) return;
+    const company = { key, name: companyName.trim(), hiddenAt: new Date().toISOString() };
+    setHiddenCompanies(prev => [company, ...prev.filter(item => item.key !== key)]);
+    try {
+      await hiddenJobStore.saveHiddenCompany(company);
+    } catch (err) {
+      console.error('Error saving hidden company:', err);
+      setHiddenCompanies(prev => prev.filter(item => item.key !== key));
+    }
+  };
+
+  const unhideCompany = async (companyKey) => {
+    const previousHiddenCompanies = hiddenCompanies;
+    setHiddenCompanies(previousHiddenCompanies.filter(item => item.key !== companyKey));
+    try {
+      await hiddenJobStore.deleteHiddenCompany(companyKey);
+    } catch (err) {
+      console.error('Error unhiding company:', err);
+      setHiddenCompanies(previousHiddenCompanies);
+    }
+  };
+
+  // A job already in memory, from saved jobs or the loaded feed, or null
+  const getLoadedJob = (jobId) => {
+    const id = String(jobId);
+    return bookmarks.find(job => String(job.id) === id) || jobs.find(job => String(job.id) === id) || null;
+  };
+
+  // Find a job by id: jobs already in memory first, then the local database,
+  // then the API. Rejects with NotFoundError when the posting no longer exists.
+  const findJob = async (jobId) => {
+    const id = String(jobId);
+    const loaded = getLoadedJob(id);
+    if (loaded) return loaded;
+
+    try {
+      const stored = await getJob(id);
+      if (stored) return stored;
+    } catch (err) {
+      console.error('Error reading job from the local database:', err);
+    }
+    return jobsApi.getJob(id);
+  };
+
+  // Fetch the latest copy of one posting. Saved jobs keep the fresh copy so
+  // they stay current offline. Rejects with NotFoundError once it is removed.
+  const refreshJob = async (jobId) => {
+    const fresh = await jobsApi.getJob(jobId);
+    if (isBookmarked(fresh.id)) {
+      setBookmarks(prev => prev.map(job => (job.id === fresh.id ? fresh : job)));
+      upsertJobs([fresh]).catch(err => console.error('Error saving refreshed job:', err));
+    }
+    return fresh;
+  };
+
+  // Check the database, drop saved jobs that can no longer be read and load
+  // the rest. Used by the "Try Again" button when bookmarks fail to load.
   const verifyAndRepairBookmarks = async () => {
     try {
-      const mainBookmarks = await AsyncStorage.getItem('jobBookmarks');
-      const backupBookmarks = await AsyncStorage.getItem('jobBookmarks_backup');
-      
-      if (!mainBookmarks && backupBookmarks) {
-        // Restore from backup if main is missing
-        await AsyncStorage.setItem('jobBookmarks', backupBookmarks);
-        return JSON.parse(backupBookmarks);
+      setBookmarksLoading(true);
+      const removed = await bookmarkStore.repairBookmarks();
+      if (removed > 0) {
+        Alert.alert(
+          t('alerts.storageError.title'),
+          t('alerts.bookmarksRepaired', { count: removed }),
+          [{ text: t('common.ok') }]
+        );
       }
-      
-      return mainBookmarks ? JSON.parse(mainBookmarks) : [];
     } catch (err) {
-      console.error('Error verifying bookmarks storage:', err);
-      return [];
+      console.error('Error repairing bookmarks:', err);
+      setBookmarksErrorKey('alerts.loadBookmarksFailed');
+      setBookmarksLoading(false);
+      return;
     }
+    await loadBookmarks();
   };
 
   return (
@@ -294,14 +389,36 @@ export const JobProvider = ({ children }) => {
       value={{ 
         bookmarks, 
         isBookmarked, 
+        addBookmark,
         toggleBookmark, 
+        removeBookmark,
+        removeBookmarks,
         clearBookmarks,
+        bookmarksLoading,
+        bookmarksError,
         jobs,
         loading,
+        refreshing: feed.status === 'refreshing',
+        loadingMore: feed.status === 'loadingMore',
+        hasMore: feed.hasMore,
         error,
-        fetchJobs,
+        isConnected,
+        feedUpdatedAt,
+        isFeedFromCache,
+        refreshJobs,
         loadMoreJobs,
-        verifyAndRepairBookmarks // Expose the new verification function
+        hiddenJobs,
+        hiddenCompanies,
+        hideJob,
+        unhideJob,
+        hideCompany,
+        unhideCompany,
+        isJobHidden,
+        getLoadedJob,
+        findJob,
+        refreshJob,
+        verifyAndRepairBookmarks,
+        triggerHaptic
       }}
     >
       {children}
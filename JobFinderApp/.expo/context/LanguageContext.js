@@ -0,0 +1,88 @@
+import React, { createContext, useState, useEffect } from 'react';
+import * as Localization from 'expo-localization';
+import { getMeta, setMeta } from '../storage/database';
+import {
+  t,
+  formatNumber,
+  formatCurrency,
+  formatDate,
+  formatTime,
+  formatDateTime,
+  isSupportedLanguage,
+  setCurrentLanguage,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+} from '../i18n';
+
+const LANGUAGE_KEY = 'language';
+
+export const LanguageContext = createContext();
+
+// Helper function to pick the device language when the app supports it
+const getDeviceLanguage = () => {
+  try {
+    const [locale] = Localization.getLocales();
+    if (locale && isSupportedLanguage(locale.languageCode)) return locale.languageCode;
+  } catch (err) {
+    console.error('Error reading device language:', err);
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+// Components that show translated text read `t` from this context so they
+// re-render when the language changes
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(() => {
+    const initial = getDeviceLanguage();
+    setCurrentLanguage(initial);
+    return initial;
+  });
+
+  // Switch the module-level language first so helpers such as formatSalary
+  // already use it during the re-render
+  const applyLanguage = (code) => {
+    const value = isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+    setCurrentLanguage(value);
+    setLanguageState(value);
+    return value;
+  };
+
+  useEffect(() => {
+    const loadLanguage = async () => {
+      try {
+        const stored = await getMeta(LANGUAGE_KEY, null);
+        if (stored) applyLanguage(stored);
+      } catch (err) {
+        console.error('Error loading language setting:', err);
+      }
+    };
+    loadLanguage();
+  }, []);
+
+  const setLanguage = async (code) => {
+    const value = applyLanguage(code);
+    try {
+      await setMeta(LANGUAGE_KEY, value);
+    } catch (err) {
+      console.error('Error saving language setting:', err);
+    }
+  };
+
+  return (
+    <LanguageContext.Provider
+      value={{
+        language,
+        languages: LANGUAGES,
+        setLanguage,
+        t,
+        formatNumber,
+        formatCurrency,
+        formatDate,
+        formatTime,
+        formatDateTime,
+      }}
+    >
+      {children}
+    </LanguageContext.Provider>
+  );
+};
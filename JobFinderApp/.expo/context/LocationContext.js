@@ -0,0 +1,113 @@
+import React, { createContext, useState, useEffect } from 'react';
+import { Alert } from 'react-native';
+import * as Location from 'expo-location';
+import * as homeLocationStore from '../storage/homeLocationStore';
+import { lookupCoordinates, getJobDistanceKm } from '../utils/locations';
+import { t } from '../i18n';
+
+export const LocationContext = createContext();
+
+// Helper function to report a failed write
+const showStorageError = (err) => {
+  console.error('Error saving home location:', err);
+  Alert.alert(
+    t('alerts.storageError.title'),
+    t('alerts.locationSaveFailed'),
+    [{ text: t('common.ok') }]
+  );
+};
+
+// The place job distances are measured from: the device position at the time
+// the user asked for it, or a locality they picked by hand
+export const LocationProvider = ({ children }) => {
+  const [homeLocation, setHomeLocation] = useState(null);
+  const [locating, setLocating] = useState(false);
+
+  useEffect(() => {
+    const loadHomeLocation = async () => {
+      try {
+        setHomeLocation(await homeLocationStore.loadHomeLocation());
+      } catch (err) {
+        console.error('Error loading home location:', err);
+      }
+    };
+    loadHomeLocation();
+  }, []);
+
+  const saveLocation = async (location) => {
+    try {
+      await homeLocationStore.saveHomeLocation(location);
+      setHomeLocation(location);
+      return true;
+    } catch (err) {
+      showStorageError(err);
+      return false;
+    }
+  };
+
+  // Read the device position once. The position is stored, not tracked, so
+  // distances stay stable and work offline. Resolves with whether it was set.
+  const locateDevice = async () => {
+    setLocating(true);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert(t('location.permissionTitle'), t('location.permissionMessage'));
+        return false;
+      }
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      return await saveLocation({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        // Stored in English; shown through getHomeLocationLabel
+        label: 'Current location',
+        source: 'device',
+      });
+    } catch (err) {
+      console.error('Error reading device location:', err);
+      Alert.alert(t('location.unavailableTitle'), t('location.unavailableMessage'));
+      return false;
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  // Use a place from the offline table, see getKnownPlaces
+  const setHomePlace = async (place) => {
+    const coordinates = lookupCoordinates(place.city, place.locality);
+    if (!coordinates) return false;
+    return saveLocation({
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      label: place.label,
+      source: 'manual',
+    });
+  };
+
+  const clearHomeLocation = async () => {
+    try {
+      await homeLocationStore.clearHomeLocation();
+      setHomeLocation(null);
+    } catch (err) {
+      showStorageError(err);
+    }
+  };
+
+  // Approximate km from home to a job, or null when either place is unknown
+  const getJobDistance = (job) => getJobDistanceKm(job, homeLocation);
+
+  return (
+    <LocationContext.Provider
+      value={{
+        homeLocation,
+        locating,
+        locateDevice,
+        setHomePlace,
+        clearHomeLocation,
+        getJobDistance,
+      }}
+    >
+      {children}
+    </LocationContext.Provider>
+  );
+};
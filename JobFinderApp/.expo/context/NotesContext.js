@@ -0,0 +1,154 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { Alert } from 'react-native';
+import { JobContext } from './JobContext';
+import * as bookmarkStore from '../storage/bookmarkStore';
+import * as reminderStore from '../storage/reminderStore';
+import {
+  ensureNotificationPermission,
+  scheduleJobReminder,
+  cancelNotification,
+  subscribeToNotificationTaps
+} from '../utils/notifications';
+import { openJobDetails } from '../navigation/navigationRef';
+import { t } from '../i18n';
+
+export const NotesContext = createContext();
+
+// Helper function to report a failed write
+const showStorageError = (err) => {
+  console.error('Error saving note:', err);
+  Alert.alert(
+    t('alerts.storageError.title'),
+    t('alerts.changesSaveFailed'),
+    [{ text: t('common.ok') }]
+  );
+};
+
+// Personal notes (kept with the bookmark) and follow-up reminders per job
+export const NotesProvider = ({ children }) => {
+  const { bookmarks, addBookmark } = useContext(JobContext);
+  const [notes, setNotes] = useState({});
+  const [reminders, setReminders] = useState({});
+
+  // Notes live on the bookmark row, so removing a bookmark removes its note
+  useEffect(() => {
+    const loadNotes = async () => {
+      try {
+        setNotes(await bookmarkStore.loadBookmarkNotes());
+      } catch (err) {
+        console.error('Error loading notes:', err);
+      }
+    };
+    loadNotes();
+  }, [bookmarks]);
+
+  // Load upcoming reminders, and open the job when one of them is tapped
+  useEffect(() => {
+    const loadReminders = async () => {
+      try {
+        setReminders(await reminderStore.loadReminders());
+      } catch (err) {
+        console.error('Error loading reminders:', err);
+      }
+    };
+    loadReminders();
+
+    // Reminders and expiry alerts both carry the job id
+    return subscribeToNotificationTaps(({ jobId }) => {
+      if (jobId) openJobDetails(jobId);
+    });
+  }, []);
+
+  const getNote = (jobId) => notes[String(jobId)] || '';
+
+  // Saving a note bookmarks the job, since that is where the note is kept.
+  // Resolves with whether the note was saved.
+  const saveNote = async (job, text) => {
+    const note = (text || '').trim();
+    if (note === getNote(job.id)) return true;
+    if (note && !(await addBookmark(job))) return false;
+
+    try {
+      await bookmarkStore.setBookmarkNote(job.id, note);
+      setNotes(prev => {
+        const next = { ...prev };
+        if (note) {
+          next[String(job.id)] = note;
+        } else {
+          delete next[String(job.id)];
+        }
+        return next;
+      });
+      return true;
+    } catch (err) {
+      showStorageError(err);
+      return false;
+    }
+  };
+
+  const getReminder = (jobId) => reminders[String(jobId)] || null;
+
+  // Schedule a local notification for `date`, replacing any earlier reminder
+  // for the same job. Resolves with whether it was scheduled.
+  const setReminder = async (job, date) => {
+    if (!(date instanceof Date) || date.getTime() <= Date.now()) {
+      Alert.alert(t('reminder.pastTitle'), t('reminder.pastMessage'));
+      return false;
+    }
+
+    try {
+      const allowed = await ensureNotificationPermission();
+      if (!allowed) {
+        Alert.alert(t('notifications.disabledTitle'), t('reminder.disabledMessage'));
+        return false;
+      }
+
+      const existing = getReminder(job.id);
+      if (existing) await cancelNotification(existing.notificationId);
+
+      const notificationId = await scheduleJobReminder(job, date, getNote(job.id));
+      // Keep the job on the device so the reminder can open it offline
+      if (!(await addBookmark(job))) {
+        await cancelNotification(notificationId);
+        return false;
+      }
+      const reminder = await reminderStore.saveReminder(job.id, notificationId, date.toISOString());
+      setReminders(prev => ({ ...prev, [String(job.id)]: reminder }));
+      return true;
+    } catch (err) {
+      console.error('Error scheduling reminder:', err);
+      Alert.alert(t('reminder.failedTitle'), t('reminder.failedMessage'));
+      return false;
+    }
+  };
+
+  const cancelReminder = async (jobId) => {
+    const existing = getReminder(jobId);
+    if (!existing) return;
+    try {
+      await cancelNotification(existing.notificationId);
+      await reminderStore.deleteReminder(jobId);
+      setReminders(prev => {
+        const next = { ...prev };
+        delete next[String(jobId)];
+        return next;
+      });
+    } catch (err) {
+      showStorageError(err);
+    }
+  };
+
+  return (
+    <NotesContext.Provider
+      value={{
+        getNote,
+        saveNote,
+        getReminder,
+        setReminder,
+        cancelReminder,
+      }}
+    >
+      {children}
+    </NotesContext.Provider>
+  );
+};
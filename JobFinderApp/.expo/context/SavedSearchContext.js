@@ -0,0 +1,199 @@
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import { Alert, AppState } from 'react-native';
+import { JobContext } from './JobContext';
+import { FilterContext } from './FilterContext';
+import * as savedSearchStore from '../storage/savedSearchStore';
+import { checkSavedSearches, updateBackgroundCheck } from '../utils/savedSearches';
+import { ensureNotificationPermission, subscribeToNotificationTaps } from '../utils/notifications';
+import { getActiveFilterChips } from '../utils/jobFilters';
+import { navigate } from '../navigation/navigationRef';
+import { t } from '../i18n';
+
+// Checks on app open are skipped if the last one was this recent
+const MIN_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Helper function to tell whether the current search is still the saved one.
+// Both sides come with every filter field in the same order.
+const isSameSearch = (search, query, filters) => (
+  search.query === query.trim() && JSON.stringify(search.filters) === JSON.stringify(filters)
+);
+
+export const SavedSearchContext = createContext();
+
+export const SavedSearchProvider = ({ children }) => {
+  const { isConnected } = useContext(JobContext);
+  const { searchQuery, setSearchQuery, filters, setFilters } = useContext(FilterContext);
+  const [savedSearches, setSavedSearches] = useState([]);
+  // The last applied search and the jobs it found, so its matches show up
+  // even when they sit on feed pages that are not loaded
+  const [appliedSearchId, setAppliedSearchId] = useState(null);
+  const [appliedMatches, setAppliedMatches] = useState([]);
+  const appliedSearchIdRef = useRef(null);
+  const lastCheck = useRef(0);
+  const checking = useRef(false);
+  // Read by the AppState listener, which is only set up once
+  const isConnectedRef = useRef(isConnected);
+  isConnectedRef.current = isConnected;
+
+  const reload = async () => {
+    try {
+      const searches = await savedSearchStore.loadSavedSearches();
+      setSavedSearches(searches);
+      if (appliedSearchIdRef.current !== null) {
+        setAppliedMatches(await savedSearchStore.loadMatches(appliedSearchIdRef.current));
+      }
+      return searches;
+    } catch (err) {
+      console.error('Error loading saved searches:', err);
+      return [];
+    }
+  };
+
+  // Look for new postings; overlapping and very frequent checks are skipped
+  const checkNow = async ({ force = false } = {}) => {
+    if (checking.current || !isConnectedRef.current) return;
+    if (!force && Date.now() - lastCheck.current < MIN_CHECK_INTERVAL_MS) return;
+
+    checking.current = true;
+    try {
+      await checkSavedSearches();
+      lastCheck.current = Date.now();
+      await reload();
+    } catch (err) {
+      console.error('Error checking saved searches:', err);
+    } finally {
+      checking.current = false;
+    }
+  };
+
+  // Helper function to apply a search and mark its matches as seen
+  const applySearch = async (search) => {
+    setSearchQuery(search.query);
+    setFilters(search.filters);
+    navigate('Jobs', { screen: 'JobsList' });
+    appliedSearchIdRef.current = search.id;
+    setAppliedSearchId(search.id);
+    setAppliedMatches([]);
+    try {
+      const matches = await savedSearchStore.loadMatches(search.id);
+      if (appliedSearchIdRef.current === search.id) setAppliedMatches(matches);
+    } catch (err) {
+      console.error('Error loading saved search matches:', err);
+    }
+    if (search.unreadCount > 0) {
+      try {
+        await savedSearchStore.markMatchesRead(search.id);
+        setSavedSearches(prev => prev.map(item => (
+          item.id === search.id ? { ...item, unreadCount: 0 } : item
+        )));
+      } catch (err) {
+        console.error('Error marking matches as read:', err);
+      }
+    }
+  };
+
+  // The listeners below are set up once, so they call the functions of the
+  // latest render through this ref
+  const latest = useRef({});
+  latest.current = { checkNow, applySearch };
+
+  // Load saved searches, then check for new matches on app open and each
+  // time the app comes back to the foreground
+  useEffect(() => {
+    reload().then(searches => updateBackgroundCheck(searches.length > 0));
+
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') latest.current.checkNow();
+    });
+    const unsubscribeTaps = subscribeToNotificationTaps(async ({ type, searchId }) => {
+      if (type !== 'savedSearch') return;
+      const searches = await reload();
+      const search = searches.find(item => item.id === searchId);
+      if (search) latest.current.applySearch(search);
+    });
+
+    return () => {
+      subscription.remove();
+      unsubscribeTaps();
+    };
+  }, []);
+
+  // The first check waits for connectivity to be known
+  useEffect(() => {
+    if (isConnected) latest.current.checkNow();
+  }, [isConnected]);
+
+  const hasActiveSearch = searchQuery.trim().length > 0 || getActiveFilterChips(filters).length > 0;
+
+  // Matches stop showing once the search text or filters are changed
+  const appliedSearch = savedSearches.find(search => search.id === appliedSearchId);
+  const matchedJobs = appliedSearch && isSameSearch(appliedSearch, searchQuery, filters) ? appliedMatches : [];
+
+  // Save the current search text and filters under a name
+  const saveCurrentSearch = async (name) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      Alert.alert(t('savedSearches.nameRequiredTitle'), t('savedSearches.nameRequiredMessage'));
+      return false;
+    }
+    if (!hasActiveSearch) {
+      Alert.alert(t('savedSearches.nothingToSaveTitle'), t('savedSearches.nothingToSaveMessage'));
+      return false;
+    }
+
+    try {
+      const search = await savedSearchStore.createSavedSearch(trimmed, searchQuery.trim(), filters);
+      setSavedSearches(prev => [...prev, search]);
+      updateBackgroundCheck(true);
+      // Permission is only needed for the notifications; the search is saved either way
+      ensureNotificationPermission().catch(err => console.error('Error requesting notifications:', err));
+      return true;
+    } catch (err) {
+      console.error('Error saving search:', err);
+      Alert.alert(t('alerts.storageError.title'), t('savedSearches.saveFailed'), [{ text: t('common.ok') }]);
+      return false;
+    }
+  };
+
+  const deleteSearch = (search) => {
+    Alert.alert(
+      t('savedSearches.deleteTitle'),
+      t('savedSearches.deleteMessage', { name: search.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await savedSearchStore.deleteSavedSearch(search.id);
+              const searches = await reload();
+              updateBackgroundCheck(searches.length > 0);
+            } catch (err) {
+              console.error('Error deleting saved search:', err);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const unreadCount = savedSearches.reduce((total, search) => total + search.unreadCount, 0);
+
+  return (
+    <SavedSearchContext.Provider
+      value={{
+        savedSearches,
+        matchedJobs,
+        unreadCount,
+        hasActiveSearch,
+        saveCurrentSearch,
+        deleteSearch,
+        applySearch,
+        checkNow,
+      }}
+    >
+      {children}
+    </SavedSearchContext.Provider>
+  );
+};
@@ -0,0 +1,93 @@
+import React, { createContext, useState, useEffect, useContext, useMemo } from 'react';
+import { AccessibilityInfo, useColorScheme } from 'react-native';
+import { DefaultTheme, DarkTheme } from '@react-navigation/native';
+import { getMeta, setMeta } from '../storage/database';
+import { lightColors, darkColors } from '../theme/colors';
+
+const THEME_MODE_KEY = 'themeMode';
+
+// 'system' follows the device setting
+export const THEME_MODES = ['system', 'light', 'dark'];
+
+export const ThemeContext = createContext();
+
+// Helper function to fall back to the system theme for unknown settings
+const normalizeMode = (mode) => (THEME_MODES.includes(mode) ? mode : 'system');
+
+export const ThemeProvider = ({ children }) => {
+  const systemScheme = useColorScheme();
+  const [mode, setModeState] = useState('system');
+  // The device "reduce motion" setting; decorative animations are skipped
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  useEffect(() => {
+    const loadMode = async () => {
+      try {
+        setModeState(normalizeMode(await getMeta(THEME_MODE_KEY, 'system')));
+      } catch (err) {
+        console.error('Error loading theme setting:', err);
+      }
+    };
+    loadMode();
+  }, []);
+
+  useEffect(() => {
+    AccessibilityInfo.isReduceMotionEnabled()
+      .then(setReduceMotion)
+      .catch(err => console.error('Error reading reduce motion setting:', err));
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+    return () => subscription.remove();
+  }, []);
+
+  const setMode = async (value) => {
+    const nextMode = normalizeMode(value);
+    setModeState(nextMode);
+    try {
+      await setMeta(THEME_MODE_KEY, nextMode);
+    } catch (err) {
+      console.error('Error saving theme setting:', err);
+    }
+  };
+
+  const isDark = mode === 'dark' || (mode === 'system' && systemScheme === 'dark');
+  const colors = isDark ? darkColors : lightColors;
+
+  // Colors React Navigation uses for headers and the tab bar
+  const navigationTheme = useMemo(() => {
+    const base = isDark ? DarkTheme : DefaultTheme;
+    return {
+      ...base,
+      colors: {
+        ...base.colors,
+        primary: colors.primary,
+        background: colors.background,
+        card: colors.card,
+        text: colors.text,
+        border: colors.divider,
+      },
+    };
+  }, [isDark, colors]);
+
+  return (
+    <ThemeContext.Provider
+      value={{
+        mode,
+        setMode,
+        isDark,
+        colors,
+        navigationTheme,
+        reduceMotion,
+      }}
+    >
+      {children}
+    </ThemeContext.Provider>
+  );
+};
+
+// Build a component's styles from the current palette. `createStyles` takes
+// the colors and returns a StyleSheet. Define it at module level so it only
+// re-runs when the theme changes.
+export const useThemedStyles = (createStyles) => {
+  const { colors } = useContext(ThemeContext);
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+};
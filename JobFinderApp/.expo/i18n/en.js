@@ -0,0 +1,329 @@
+// English messages. Every key used in the app must exist here; the other
+// catalogs fall back to these for anything they do not translate yet.
+export default {
+  'common.ok': 'OK',
+  'common.cancel': 'Cancel',
+  'common.remove': 'Remove',
+  'common.tryAgain': 'Try Again',
+  'common.goBack': 'Go Back',
+  'common.undo': 'Undo',
+  'common.delete': 'Delete',
+  'common.notNow': 'Not Now',
+
+  'nav.jobs': 'Jobs',
+  'nav.map': 'Map',
+  'nav.bookmarks': 'Bookmarks',
+  'nav.settings': 'Settings',
+  'nav.jobDetails': 'Job Details',
+  'nav.compareJobs': 'Compare Jobs',
+  'nav.hiddenJobs': 'Hidden jobs',
+
+  'errors.network': 'No internet connection. Please check your network and try again.',
+  'errors.timeout': 'The server is taking too long to respond. Please try again.',
+  'errors.server': 'The job server is having trouble right now. Please try again later.',
+  'errors.generic': 'Failed to fetch jobs. Please try again later.',
+
+  'alerts.storageError.title': 'Storage Error',
+  'alerts.storageError.message': 'Failed to save job to local storage. Please try again.',
+  'alerts.bookmarked.title': 'Job Bookmarked',
+  'alerts.bookmarked.message': 'This job is now available for offline viewing',
+  'alerts.bookmarked.button': 'Great!',
+  'alerts.clearAll.title': 'Clear All Bookmarks',
+  'alerts.clearAll.message': 'Are you sure you want to remove all bookmarked jobs?',
+  'alerts.clearAll.confirm': 'Clear All',
+  'alerts.loadBookmarksFailed': 'Failed to load saved jobs',
+  'alerts.bookmarksRepaired_one': '{{count}} saved job could not be read and was removed.',
+  'alerts.bookmarksRepaired_other': '{{count}} saved jobs could not be read and were removed.',
+  'alerts.clearBookmarksFailed': 'Failed to clear bookmarks',
+  'alerts.applicationSaveFailed': 'Failed to update this application. Please try again.',
+  'alerts.collectionSaveFailed': 'Failed to update your collections. Please try again.',
+  'alerts.changesSaveFailed': 'Failed to save your changes. Please try again.',
+  'alerts.locationSaveFailed': 'Failed to save your location. Please try again.',
+
+  'salary.notMentioned': 'Not Mentioned',
+  'salary.range': '{{min}} - {{max}}',
+  'salary.from': '{{amount}}+',
+  'salary.upTo': 'Up to {{amount}}',
+  'openings_one': '{{count}} Vacancy',
+  'openings_other': '{{count}} Vacancies',
+
+  'expiry.expired': 'Expired',
+  'expiry.today': 'Expires today',
+  'expiry.tomorrow': 'Expires tomorrow',
+  'expiry.inDays': 'Expires in {{count}} days',
+
+  'time.justNow': 'just now',
+  'time.minutesAgo': '{{count}} min ago',
+  'time.hoursAgo_one': '{{count}} hour ago',
+  'time.hoursAgo_other': '{{count}} hours ago',
+  'time.daysAgo_one': '{{count}} day ago',
+  'time.daysAgo_other': '{{count}} days ago',
+  'time.dateAtTime': '{{date}} at {{time}}',
+
+  // Keyed by APPLICATION_STATUSES
+  'status.interested': 'Interested',
+  'status.contacted': 'Contacted',
+  'status.applied': 'Applied',
+  'status.interview': 'Interview',
+  'status.offer': 'Offer',
+  'status.rejected': 'Rejected',
+
+  // Keyed by SORT_OPTIONS and JOBS_SORT_OPTIONS
+  'sort.title': 'Sort by',
+  'sort.default': 'Default order',
+  'sort.newest': 'Newest first',
+  'sort.salary': 'Highest salary',
+  'sort.expiring': 'Expiring soon',
+  'sort.openings': 'Most openings',
+  'sort.views': 'Most viewed',
+  'sort.nearest': 'Nearest first',
+
+  'card.unknownCompany': 'Unknown Company',
+  'card.premium': 'Premium',
+
+  'jobs.loading': 'Loading jobs...',
+  'jobs.offline': 'No Internet Connection',
+  'jobs.showingFrom': 'Showing jobs from {{time}}',
+  'jobs.lastUpdated': 'Last updated {{time}}',
+  'jobs.refreshing': 'Refreshing…',
+  'jobs.searchPlaceholder': 'Search by title, company, role or tag',
+  'jobs.noSearchResults': 'No jobs match "{{query}}"',
+  'jobs.noFilterResults': 'No jobs match the selected filters',
+  'jobs.noJobs': 'No jobs available',
+  'jobs.endOfList': "You've reached the end of the list",
+
+  'bookmarks.title': 'Saved Jobs',
+  'bookmarks.loading': 'Loading saved jobs...',
+  'bookmarks.emptyTitle': 'No bookmarked jobs yet',
+  'bookmarks.emptyMessage': 'Jobs you bookmark will appear here for offline viewing',
+  'bookmarks.browse': 'Browse Jobs',
+  'bookmarks.clearAll': 'Clear All',
+  'bookmarks.all': 'All',
+  'bookmarks.unsorted': 'Unsorted',
+  'bookmarks.emptyCollection': 'No jobs here yet. Long-press the bookmark icon on a job to move it into this collection.',
+  'bookmarks.expired': 'Expired ({{count}})',
+  'bookmarks.removeAll': 'Remove All',
+  'bookmarks.removeExpiredTitle': 'Remove Expired Jobs',
+  'bookmarks.removeExpiredMessage_one': 'Remove {{count}} expired job from your saved jobs?',
+  'bookmarks.removeExpiredMessage_other': 'Remove {{count}} expired jobs from your saved jobs?',
+  'bookmarks.expiryMenuTitle': 'Alert me before saved jobs expire',
+  'bookmarks.removedJob': 'Removed "{{title}}"',
+
+  // Keyed by EXPIRY_ALERT_OPTIONS
+  'expiryAlert.0': 'Off',
+  'expiryAlert.1': '1 day before',
+  'expiryAlert.2': '2 days before',
+  'expiryAlert.3': '3 days before',
+  'expiryAlert.7': '1 week before',
+
+  'compare.fullTitle': 'Comparison Full',
+  'compare.fullMessage': 'You can compare up to {{max}} jobs at a time.',
+  'compare.pick': 'Pick 2 or {{max}} jobs to compare',
+  'compare.selected': '{{count}} of {{max}} selected',
+  'compare.button': 'Compare',
+  'compare.needTwo': 'Pick at least two saved jobs to compare.',
+  'compare.back': 'Back to Saved Jobs',
+  'compare.expiry': 'Expiry',
+  'compare.today': 'Today',
+  'compare.tomorrow': 'Tomorrow',
+  'compare.daysLeft_one': '{{count}} day left',
+  'compare.daysLeft_other': '{{count}} days left',
+  'compare.legend': 'Highlighted values are the best among these jobs: higher salary and openings, lower experience and fees, more days left to apply.',
+
+  'details.addToCollection': 'Add to collection',
+  'details.company': 'Company',
+  'details.location': 'Location',
+  'details.salary': 'Salary',
+  'details.type': 'Type',
+  'details.qualification': 'Qualification',
+  'details.experience': 'Experience',
+  'details.shift': 'Shift',
+  'details.openings': 'Openings',
+  'details.hours': 'Hours',
+  'details.fees': 'Fees',
+  'details.role': 'Role',
+  'details.description': 'Description',
+  'details.readMore': 'Read more',
+  'details.showLess': 'Show less',
+  'details.linkFailedTitle': 'Could Not Open Link',
+  'details.linkFailedMessage': 'No app on this device can open this link.',
+  'details.otherDetails': 'Other Details',
+  'details.tags': 'Tags',
+  'details.whatsapp': 'WhatsApp',
+  'details.call': 'Call',
+  'details.share': 'Share',
+  'details.shareMessage': 'Check out this job: {{title}} at {{company}}',
+  'details.aCompany': 'a company',
+  'details.posted': 'Posted: {{date}}',
+  'details.updated': 'Updated: {{date}}',
+  'details.expires': 'Expires: {{date}}',
+  'details.views': 'Views: {{count}}',
+  'details.loading': 'Loading job...',
+  'details.refreshFailed': 'Could Not Refresh',
+  'details.removedTitle': 'This job has been removed',
+  'details.removedMessage': '"{{title}}" is no longer accepting applications.',
+  'details.noLongerExists': 'The posting no longer exists.',
+  'details.removeSaved': 'Remove from Saved Jobs',
+
+  'settings.language': 'Language',
+  'settings.languageHint': 'Job posts are shown in the language the employer wrote them in.',
+  'settings.feed': 'Job feed',
+  'settings.hiddenHint': 'Long press a job in the feed to hide it or every job from its company.',
+  'settings.appearance': 'Appearance',
+  'theme.system': 'System default',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+
+  'a11y.saveJob': 'Save job',
+  'a11y.unsaveJob': 'Remove from saved jobs',
+  'a11y.bookmarkHint': 'Long press to add it to a collection',
+  'a11y.jobRemoved': 'Removed from saved jobs',
+  'a11y.openJobHint': 'Opens the job details',
+  'a11y.saved': 'Saved',
+  'a11y.selectJobHint': 'Adds or removes the job from the comparison',
+  'a11y.scrollToTop': 'Scroll to top',
+  'a11y.filters': 'Filters',
+  'a11y.filtersActive': 'Filters, {{count}} active',
+  'a11y.homeLocation': 'Home location',
+  'a11y.savedSearches': 'Saved searches',
+  'a11y.newMatches': '{{count}} new matches',
+  'a11y.showPipeline': 'Show application pipeline',
+  'a11y.showList': 'Show as a list',
+  'a11y.manageCollections': 'Manage collections',
+  'a11y.whatsappHint': 'Opens a WhatsApp chat with the employer',
+  'a11y.callHint': 'Calls the employer',
+  'a11y.shareHint': 'Shares a link to this job',
+
+  'swipe.save': 'Save',
+  'swipe.unsave': 'Unsave',
+  'swipe.hide': 'Hide',
+
+  'hidden.title': 'Hidden jobs and companies',
+  'hidden.notInterested': 'Not interested',
+  'hidden.hideCompany': 'Hide all jobs from {{company}}',
+  'hidden.menuMessage': 'Hidden jobs stop showing up in your feed. You can bring them back from Settings.',
+  'hidden.unhide': 'Unhide',
+  'hidden.empty': 'You have not hidden any jobs or companies.',
+  'hidden.companies': 'Companies',
+  'hidden.jobs': 'Jobs',
+  'hidden.hiddenOn': 'Hidden on {{date}}',
+  'hidden.untitledJob': 'Untitled job',
+
+  'search.placeholder': 'Search jobs',
+
+  'filters.title': 'Filters',
+  'filters.clearAll': 'Clear all',
+  'filters.city': 'City',
+  'filters.distance': 'Distance',
+  'filters.distanceFrom': 'From {{place}}',
+  'filters.withinKm': 'Within {{count}} km',
+  'distance.underOneKm': '< 1 km',
+  'distance.aboutKm': '~{{distance}} km',
+  'filters.setLocation': 'Set your location to filter by distance',
+  'filters.salary': 'Monthly salary (₹)',
+  'filters.salaryMin': 'Min',
+  'filters.salaryMax': 'Max',
+  'filters.salaryTo': 'to',
+  'filters.salaryRange': '{{min}} - {{max}}',
+  'filters.salaryFrom': '{{min}}+',
+  'filters.salaryUpTo': 'Up to {{max}}',
+  'filters.jobType': 'Job type',
+  'filters.experience': 'Experience',
+  'filters.qualification': 'Qualification',
+  'filters.reset': 'Reset',
+  'filters.apply': 'Apply Filters',
+
+  'reminder.title': 'Remind me',
+  'reminder.inAnHour': 'In 1 hour',
+  'reminder.thisEvening': 'This evening, {{time}}',
+  'reminder.tomorrowEvening': 'Tomorrow evening, {{time}}',
+  'reminder.tomorrowMorning': 'Tomorrow morning, {{time}}',
+  'reminder.inDays': 'In {{count}} days, {{time}}',
+  'reminder.custom': 'Pick date and time...',
+  'reminder.set': 'Set Reminder',
+  'reminder.pastTitle': 'Pick a Later Time',
+  'reminder.pastMessage': 'Reminders need to be set for a time in the future.',
+  'reminder.disabledMessage': 'Allow notifications for JobFinder in your device settings to get follow-up reminders.',
+  'reminder.failedTitle': 'Reminder Not Set',
+  'reminder.failedMessage': 'Could not schedule the reminder. Please try again.',
+
+  'notes.title': 'My Notes',
+  'notes.placeholder': 'e.g. Called, ask for Ramesh after 5pm',
+  'notes.save': 'Save Note',
+  'notes.reminderAt': 'Reminder {{time}}',
+  'notes.setReminder': 'Set a follow-up reminder',
+
+  'notifications.disabledTitle': 'Notifications Disabled',
+  'notifications.remindersChannel': 'Follow-up reminders',
+  'notifications.deadlinesChannel': 'Job deadline alerts',
+  'notifications.matchesChannel': 'Saved search matches',
+  'notifications.followUpTitle': 'Follow up: {{title}}',
+  'notifications.followUpBody': 'Time to follow up with {{company}}',
+  'notifications.followUpBodyNoCompany': 'Time to follow up with the employer',
+  'notifications.expiringTitle': 'Saved job expiring soon',
+  'notifications.expiringBody': '{{title}} at {{company}} stops accepting applications on {{date}}.',
+  'notifications.expiringBodyNoCompany': '{{title}} stops accepting applications on {{date}}.',
+  'notifications.newMatches_one': '{{count}} new job for "{{name}}"',
+  'notifications.newMatches_other': '{{count}} new jobs for "{{name}}"',
+  'notifications.moreMatches': 'and {{count}} more',
+  'expiryAlert.disabledMessage': 'Allow notifications for JobFinder in your device settings to get alerts before saved jobs expire.',
+
+  'tracker.title': 'Application',
+  'tracker.notePlaceholder': 'Add a note, e.g. Spoke to HR, call back Monday',
+  'tracker.add': 'Add',
+  'tracker.movedTo': 'Moved to {{status}}',
+  'tracker.deleteNoteTitle': 'Delete Note',
+  'tracker.deleteNoteMessage': 'Are you sure you want to delete this note?',
+  'tracker.markContactedTitle': 'Mark as Contacted?',
+  'tracker.markContactedMessage': 'Move "{{title}}" to Contacted in your application tracker?',
+  'tracker.markContacted': 'Mark Contacted',
+
+  'collections.title': 'Collections',
+  'collections.saveTo': 'Save to collection',
+  'collections.none': 'Saved jobs (no collection)',
+  'collections.new': 'New collection',
+  'collections.namePlaceholder': 'e.g. Apply this week',
+  'collections.newName': 'New collection name',
+  'collections.add': 'Add',
+  'collections.create': 'Create',
+  'collections.empty': 'No collections yet. Create one below, e.g. "Apply this week" or "Near home".',
+  'collections.hint': 'Long-press the bookmark icon on any job to move it to a collection.',
+  'collections.nameRequiredTitle': 'Name Required',
+  'collections.nameRequiredMessage': 'Please enter a name for the collection.',
+  'collections.nameTooLongTitle': 'Name Too Long',
+  'collections.nameTooLongMessage': 'Collection names can be up to {{max}} characters.',
+  'collections.nameTakenTitle': 'Name Taken',
+  'collections.nameTakenMessage': 'You already have a collection called "{{name}}".',
+  'collections.deleteTitle': 'Delete Collection',
+  'collections.deleteMessage': 'Delete "{{name}}"? Jobs in it will stay in your saved jobs.',
+
+  'savedSearches.title': 'Saved Searches',
+  'savedSearches.namePlaceholder': 'Name this search, e.g. Morning check',
+  'savedSearches.save': 'Save',
+  'savedSearches.hint': 'Search or pick filters, then save them here to get notified about new matching jobs.',
+  'savedSearches.newCount': '{{count}} new',
+  'savedSearches.nameRequiredTitle': 'Name Required',
+  'savedSearches.nameRequiredMessage': 'Please enter a name for this search.',
+  'savedSearches.nothingToSaveTitle': 'Nothing to Save',
+  'savedSearches.nothingToSaveMessage': 'Type a search or pick some filters first.',
+  'savedSearches.saveFailed': 'Failed to save this search. Please try again.',
+  'savedSearches.deleteTitle': 'Delete Saved Search',
+  'savedSearches.deleteMessage': 'Stop watching for new "{{name}}" jobs?',
+
+  'location.title': 'Your Location',
+  'location.current': 'Current location',
+  'location.clear': 'Clear',
+  'location.useCurrent': 'Use my current location',
+  'location.searchPlaceholder': 'Or search your area, e.g. Kukatpally',
+  'location.noMatch': 'No matching area. Try the nearest city instead.',
+  'location.permissionTitle': 'Location Permission Needed',
+  'location.permissionMessage': 'Allow location access in your device settings, or pick your area from the list instead.',
+  'location.unavailableTitle': 'Location Unavailable',
+  'location.unavailableMessage': 'Could not find your location. Pick your area from the list instead.',
+
+  'map.savedOnly': 'Saved only',
+  'map.unplaced_one': '{{count}} job without a known location',
+  'map.unplaced_other': '{{count}} jobs without a known location',
+  'map.jobsIn_one': '{{count}} job in {{place}}',
+  'map.jobsIn_other': '{{count}} jobs in {{place}}',
+};
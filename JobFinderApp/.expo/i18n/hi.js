@@ -0,0 +1,321 @@
+// Hindi messages, see en.js for the full list of keys
+export default {
+  'common.ok': 'ठीक है',
+  'common.cancel': 'रद्द करें',
+  'common.remove': 'हटाएँ',
+  'common.tryAgain': 'फिर से कोशिश करें',
+  'common.goBack': 'वापस जाएँ',
+  'common.undo': 'वापस लें',
+  'common.delete': 'मिटाएँ',
+  'common.notNow': 'अभी नहीं',
+
+  'nav.jobs': 'नौकरियाँ',
+  'nav.map': 'नक्शा',
+  'nav.bookmarks': 'सहेजी गई',
+  'nav.settings': 'सेटिंग्स',
+  'nav.jobDetails': 'नौकरी का विवरण',
+  'nav.compareJobs': 'नौकरियों की तुलना',
+  'nav.hiddenJobs': 'छिपाई गई नौकरियाँ',
+
+  'errors.network': 'इंटरनेट कनेक्शन नहीं है। कृपया अपना नेटवर्क जाँचें और फिर से कोशिश करें।',
+  'errors.timeout': 'सर्वर जवाब देने में बहुत समय ले रहा है। कृपया फिर से कोशिश करें।',
+  'errors.server': 'नौकरी सर्वर में अभी समस्या है। कृपया बाद में कोशिश करें।',
+  'errors.generic': 'नौकरियाँ लोड नहीं हो सकीं। कृपया बाद में कोशिश करें।',
+
+  'alerts.storageError.title': 'स्टोरेज त्रुटि',
+  'alerts.storageError.message': 'नौकरी को फ़ोन में सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'alerts.bookmarked.title': 'नौकरी सहेजी गई',
+  'alerts.bookmarked.message': 'यह नौकरी अब ऑफ़लाइन भी देखी जा सकती है',
+  'alerts.bookmarked.button': 'बढ़िया!',
+  'alerts.clearAll.title': 'सभी सहेजी गई नौकरियाँ हटाएँ',
+  'alerts.clearAll.message': 'क्या आप सच में सभी सहेजी गई नौकरियाँ हटाना चाहते हैं?',
+  'alerts.clearAll.confirm': 'सब हटाएँ',
+  'alerts.loadBookmarksFailed': 'सहेजी गई नौकरियाँ लोड नहीं हो सकीं',
+  'alerts.bookmarksRepaired_one': '{{count}} सहेजी गई नौकरी पढ़ी नहीं जा सकी और हटा दी गई।',
+  'alerts.bookmarksRepaired_other': '{{count}} सहेजी गई नौकरियाँ पढ़ी नहीं जा सकीं और हटा दी गईं।',
+  'alerts.clearBookmarksFailed': 'सहेजी गई नौकरियाँ हटाई नहीं जा सकीं',
+  'alerts.applicationSaveFailed': 'यह आवेदन अपडेट नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'alerts.collectionSaveFailed': 'आपके संग्रह अपडेट नहीं हो सके। कृपया फिर से कोशिश करें।',
+  'alerts.changesSaveFailed': 'आपके बदलाव सहेजे नहीं जा सके। कृपया फिर से कोशिश करें।',
+  'alerts.locationSaveFailed': 'आपका स्थान सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+
+  'salary.notMentioned': 'उल्लेख नहीं',
+  'salary.range': '{{min}} - {{max}}',
+  'salary.from': '{{amount}}+',
+  'salary.upTo': '{{amount}} तक',
+  'openings': '{{count}} पद',
+
+  'expiry.expired': 'समाप्त',
+  'expiry.today': 'आज समाप्त',
+  'expiry.tomorrow': 'कल समाप्त',
+  'expiry.inDays': '{{count}} दिन में समाप्त',
+
+  'time.justNow': 'अभी',
+  'time.minutesAgo': '{{count}} मिनट पहले',
+  'time.hoursAgo': '{{count}} घंटे पहले',
+  'time.daysAgo': '{{count}} दिन पहले',
+  'time.dateAtTime': '{{date}}, {{time}}',
+
+  'status.interested': 'रुचि है',
+  'status.contacted': 'संपर्क किया',
+  'status.applied': 'आवेदन किया',
+  'status.interview': 'इंटरव्यू',
+  'status.offer': 'ऑफ़र',
+  'status.rejected': 'अस्वीकृत',
+
+  'sort.title': 'क्रम से लगाएँ',
+  'sort.default': 'सामान्य क्रम',
+  'sort.newest': 'सबसे नई पहले',
+  'sort.salary': 'सबसे ज़्यादा वेतन',
+  'sort.expiring': 'जल्द समाप्त होने वाली',
+  'sort.openings': 'सबसे ज़्यादा पद',
+  'sort.views': 'सबसे ज़्यादा देखी गई',
+  'sort.nearest': 'सबसे नज़दीक पहले',
+
+  'card.unknownCompany': 'अज्ञात कंपनी',
+  'card.premium': 'प्रीमियम',
+
+  'jobs.loading': 'नौकरियाँ लोड हो रही हैं...',
+  'jobs.offline': 'इंटरनेट कनेक्शन नहीं है',
+  'jobs.showingFrom': '{{time}} की नौकरियाँ दिखाई जा रही हैं',
+  'jobs.lastUpdated': 'आख़िरी अपडेट {{time}}',
+  'jobs.refreshing': 'रीफ़्रेश हो रहा है…',
+  'jobs.searchPlaceholder': 'पद, कंपनी, भूमिका या टैग से खोजें',
+  'jobs.noSearchResults': '"{{query}}" से मेल खाती कोई नौकरी नहीं',
+  'jobs.noFilterResults': 'चुने गए फ़िल्टर से मेल खाती कोई नौकरी नहीं',
+  'jobs.noJobs': 'कोई नौकरी उपलब्ध नहीं',
+  'jobs.endOfList': 'आप सूची के अंत तक पहुँच गए हैं',
+
+  'bookmarks.title': 'सहेजी गई नौकरियाँ',
+  'bookmarks.loading': 'सहेजी गई नौकरियाँ लोड हो रही हैं...',
+  'bookmarks.emptyTitle': 'अभी तक कोई नौकरी सहेजी नहीं गई',
+  'bookmarks.emptyMessage': 'आपकी सहेजी गई नौकरियाँ ऑफ़लाइन देखने के लिए यहाँ दिखेंगी',
+  'bookmarks.browse': 'नौकरियाँ देखें',
+  'bookmarks.clearAll': 'सब हटाएँ',
+  'bookmarks.all': 'सभी',
+  'bookmarks.unsorted': 'बिना संग्रह',
+  'bookmarks.emptyCollection': 'यहाँ अभी कोई नौकरी नहीं है। किसी नौकरी को इस संग्रह में डालने के लिए उसके बुकमार्क आइकन को दबाकर रखें।',
+  'bookmarks.expired': 'समाप्त ({{count}})',
+  'bookmarks.removeAll': 'सब हटाएँ',
+  'bookmarks.removeExpiredTitle': 'समाप्त नौकरियाँ हटाएँ',
+  'bookmarks.removeExpiredMessage': 'सहेजी गई नौकरियों से {{count}} समाप्त नौकरियाँ हटाएँ?',
+  'bookmarks.removeExpiredMessage_one': 'सहेजी गई नौकरियों से {{count}} समाप्त नौकरी हटाएँ?',
+  'bookmarks.expiryMenuTitle': 'सहेजी गई नौकरी समाप्त होने से पहले याद दिलाएँ',
+  'bookmarks.removedJob': '"{{title}}" हटाई गई',
+
+  'expiryAlert.0': 'बंद',
+  'expiryAlert.1': '1 दिन पहले',
+  'expiryAlert.2': '2 दिन पहले',
+  'expiryAlert.3': '3 दिन पहले',
+  'expiryAlert.7': '1 हफ़्ता पहले',
+
+  'compare.fullTitle': 'तुलना सूची भरी है',
+  'compare.fullMessage': 'आप एक बार में {{max}} नौकरियों तक की तुलना कर सकते हैं।',
+  'compare.pick': 'तुलना के लिए 2 या {{max}} नौकरियाँ चुनें',
+  'compare.selected': '{{max}} में से {{count}} चुनी गईं',
+  'compare.button': 'तुलना करें',
+  'compare.needTwo': 'तुलना के लिए कम से कम दो सहेजी गई नौकरियाँ चुनें।',
+  'compare.back': 'सहेजी गई नौकरियों पर वापस जाएँ',
+  'compare.expiry': 'अंतिम तिथि',
+  'compare.today': 'आज',
+  'compare.tomorrow': 'कल',
+  'compare.daysLeft': '{{count}} दिन बाकी',
+  'compare.legend': 'हाइलाइट किए गए मान इन नौकरियों में सबसे अच्छे हैं: ज़्यादा वेतन और पद, कम अनुभव और शुल्क, आवेदन के लिए ज़्यादा दिन।',
+
+  'details.addToCollection': 'संग्रह में जोड़ें',
+  'details.company': 'कंपनी',
+  'details.location': 'स्थान',
+  'details.salary': 'वेतन',
+  'details.type': 'प्रकार',
+  'details.qualification': 'योग्यता',
+  'details.experience': 'अनुभव',
+  'details.shift': 'शिफ़्ट',
+  'details.openings': 'पद',
+  'details.hours': 'समय',
+  'details.fees': 'फ़ीस',
+  'details.role': 'भूमिका',
+  'details.description': 'विवरण',
+  'details.readMore': 'और पढ़ें',
+  'details.showLess': 'कम दिखाएँ',
+  'details.linkFailedTitle': 'लिंक नहीं खुल सका',
+  'details.linkFailedMessage': 'इस डिवाइस पर कोई ऐप यह लिंक नहीं खोल सकता।',
+  'details.otherDetails': 'अन्य विवरण',
+  'details.tags': 'टैग',
+  'details.whatsapp': 'व्हाट्सऐप',
+  'details.call': 'कॉल करें',
+  'details.share': 'शेयर करें',
+  'details.shareMessage': 'यह नौकरी देखें: {{company}} में {{title}}',
+  'details.aCompany': 'एक कंपनी',
+  'details.posted': 'पोस्ट किया गया: {{date}}',
+  'details.updated': 'अपडेट किया गया: {{date}}',
+  'details.expires': 'समाप्ति: {{date}}',
+  'details.views': 'देखा गया: {{count}}',
+  'details.loading': 'नौकरी लोड हो रही है...',
+  'details.refreshFailed': 'रीफ़्रेश नहीं हो सका',
+  'details.removedTitle': 'यह नौकरी हटा दी गई है',
+  'details.removedMessage': '"{{title}}" के लिए अब आवेदन नहीं लिए जा रहे हैं।',
+  'details.noLongerExists': 'यह पोस्ट अब मौजूद नहीं है।',
+  'details.removeSaved': 'सहेजी गई नौकरियों से हटाएँ',
+
+  'settings.language': 'भाषा',
+  'settings.languageHint': 'नौकरी की पोस्ट उसी भाषा में दिखती हैं जिसमें नियोक्ता ने उन्हें लिखा है।',
+  'settings.feed': 'नौकरी फ़ीड',
+  'settings.hiddenHint': 'किसी नौकरी या उसकी कंपनी की सभी नौकरियों को छिपाने के लिए फ़ीड में उसे दबाकर रखें।',
+  'settings.appearance': 'दिखावट',
+  'theme.system': 'सिस्टम के अनुसार',
+  'theme.light': 'लाइट',
+  'theme.dark': 'डार्क',
+
+  'a11y.saveJob': 'नौकरी सहेजें',
+  'a11y.unsaveJob': 'सहेजी गई नौकरियों से हटाएँ',
+  'a11y.bookmarkHint': 'संग्रह में जोड़ने के लिए दबाकर रखें',
+  'a11y.jobRemoved': 'सहेजी गई नौकरियों से हटाई गई',
+  'a11y.openJobHint': 'नौकरी का विवरण खोलता है',
+  'a11y.saved': 'सहेजी गई',
+  'a11y.selectJobHint': 'नौकरी को तुलना में जोड़ता या हटाता है',
+  'a11y.scrollToTop': 'ऊपर जाएँ',
+  'a11y.filters': 'फ़िल्टर',
+  'a11y.filtersActive': 'फ़िल्टर, {{count}} चालू',
+  'a11y.homeLocation': 'घर का स्थान',
+  'a11y.savedSearches': 'सहेजी गई खोजें',
+  'a11y.newMatches': '{{count}} नए मिलान',
+  'a11y.showPipeline': 'आवेदन की स्थिति के अनुसार दिखाएँ',
+  'a11y.showList': 'सूची के रूप में दिखाएँ',
+  'a11y.manageCollections': 'संग्रह प्रबंधित करें',
+  'a11y.whatsappHint': 'नियोक्ता के साथ व्हाट्सऐप चैट खोलता है',
+  'a11y.callHint': 'नियोक्ता को कॉल करता है',
+  'a11y.shareHint': 'इस नौकरी का लिंक शेयर करता है',
+
+  'swipe.save': 'सहेजें',
+  'swipe.unsave': 'हटाएँ',
+  'swipe.hide': 'छिपाएँ',
+
+  'hidden.title': 'छिपाई गई नौकरियाँ और कंपनियाँ',
+  'hidden.notInterested': 'रुचि नहीं है',
+  'hidden.hideCompany': '{{company}} की सभी नौकरियाँ छिपाएँ',
+  'hidden.menuMessage': 'छिपाई गई नौकरियाँ आपकी फ़ीड में नहीं दिखेंगी। आप उन्हें सेटिंग्स से वापस ला सकते हैं।',
+  'hidden.unhide': 'दिखाएँ',
+  'hidden.empty': 'आपने कोई नौकरी या कंपनी नहीं छिपाई है।',
+  'hidden.companies': 'कंपनियाँ',
+  'hidden.jobs': 'नौकरियाँ',
+  'hidden.hiddenOn': '{{date}} को छिपाई गई',
+  'hidden.untitledJob': 'बिना नाम की नौकरी',
+
+  'search.placeholder': 'नौकरियाँ खोजें',
+
+  'filters.title': 'फ़िल्टर',
+  'filters.clearAll': 'सब हटाएँ',
+  'filters.city': 'शहर',
+  'filters.distance': 'दूरी',
+  'filters.distanceFrom': '{{place}} से',
+  'filters.withinKm': '{{count}} किमी के अंदर',
+  'distance.underOneKm': '< 1 किमी',
+  'distance.aboutKm': '~{{distance}} किमी',
+  'filters.setLocation': 'दूरी से फ़िल्टर करने के लिए अपना स्थान चुनें',
+  'filters.salary': 'मासिक वेतन (₹)',
+  'filters.salaryMin': 'न्यूनतम',
+  'filters.salaryMax': 'अधिकतम',
+  'filters.salaryTo': 'से',
+  'filters.salaryRange': '{{min}} - {{max}}',
+  'filters.salaryFrom': '{{min}}+',
+  'filters.salaryUpTo': '{{max}} तक',
+  'filters.jobType': 'नौकरी का प्रकार',
+  'filters.experience': 'अनुभव',
+  'filters.qualification': 'योग्यता',
+  'filters.reset': 'रीसेट करें',
+  'filters.apply': 'फ़िल्टर लागू करें',
+
+  'reminder.title': 'मुझे याद दिलाएँ',
+  'reminder.inAnHour': '1 घंटे में',
+  'reminder.thisEvening': 'आज शाम, {{time}}',
+  'reminder.tomorrowEvening': 'कल शाम, {{time}}',
+  'reminder.tomorrowMorning': 'कल सुबह, {{time}}',
+  'reminder.inDays': '{{count}} दिन में, {{time}}',
+  'reminder.custom': 'तारीख और समय चुनें...',
+  'reminder.set': 'रिमाइंडर सेट करें',
+  'reminder.pastTitle': 'बाद का समय चुनें',
+  'reminder.pastMessage': 'रिमाइंडर आगे के किसी समय के लिए ही सेट हो सकता है।',
+  'reminder.disabledMessage': 'फ़ॉलो-अप रिमाइंडर पाने के लिए डिवाइस की सेटिंग्स में JobFinder के नोटिफ़िकेशन चालू करें।',
+  'reminder.failedTitle': 'रिमाइंडर सेट नहीं हुआ',
+  'reminder.failedMessage': 'रिमाइंडर सेट नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+  'notes.title': 'मेरे नोट्स',
+  'notes.placeholder': 'जैसे: फ़ोन किया, शाम 5 बजे के बाद रमेश से बात करें',
+  'notes.save': 'नोट सहेजें',
+  'notes.reminderAt': 'रिमाइंडर: {{time}}',
+  'notes.setReminder': 'फ़ॉलो-अप रिमाइंडर सेट करें',
+
+  'notifications.disabledTitle': 'नोटिफ़िकेशन बंद हैं',
+  'notifications.remindersChannel': 'फ़ॉलो-अप रिमाइंडर',
+  'notifications.deadlinesChannel': 'नौकरी की अंतिम तिथि के अलर्ट',
+  'notifications.matchesChannel': 'सहेजी गई खोज से मिलती नौकरियाँ',
+  'notifications.followUpTitle': 'फ़ॉलो-अप: {{title}}',
+  'notifications.followUpBody': '{{company}} से फिर संपर्क करने का समय',
+  'notifications.followUpBodyNoCompany': 'नियोक्ता से फिर संपर्क करने का समय',
+  'notifications.expiringTitle': 'सहेजी गई नौकरी जल्द खत्म होगी',
+  'notifications.expiringBody': '{{company}} में {{title}} के लिए आवेदन {{date}} को बंद हो जाएँगे।',
+  'notifications.expiringBodyNoCompany': '{{title}} के लिए आवेदन {{date}} को बंद हो जाएँगे।',
+  'notifications.newMatches_one': '"{{name}}" के लिए {{count}} नई नौकरी',
+  'notifications.newMatches_other': '"{{name}}" के लिए {{count}} नई नौकरियाँ',
+  'notifications.moreMatches': 'और {{count}} अन्य',
+  'expiryAlert.disabledMessage': 'सहेजी गई नौकरियों के खत्म होने से पहले अलर्ट पाने के लिए डिवाइस की सेटिंग्स में JobFinder के नोटिफ़िकेशन चालू करें।',
+
+  'tracker.title': 'आवेदन',
+  'tracker.notePlaceholder': 'नोट जोड़ें, जैसे: HR से बात हुई, सोमवार को फिर फ़ोन करें',
+  'tracker.add': 'जोड़ें',
+  'tracker.movedTo': '{{status}} में ले जाया गया',
+  'tracker.deleteNoteTitle': 'नोट मिटाएँ',
+  'tracker.deleteNoteMessage': 'क्या आप सच में यह नोट मिटाना चाहते हैं?',
+  'tracker.markContactedTitle': 'संपर्क किया गया मानें?',
+  'tracker.markContactedMessage': 'अपने आवेदन ट्रैकर में "{{title}}" को संपर्क किया गया में ले जाएँ?',
+  'tracker.markContacted': 'संपर्क किया गया मानें',
+
+  'collections.title': 'संग्रह',
+  'collections.saveTo': 'संग्रह में सहेजें',
+  'collections.none': 'सहेजी गई नौकरियाँ (कोई संग्रह नहीं)',
+  'collections.new': 'नया संग्रह',
+  'collections.namePlaceholder': 'जैसे: इस हफ़्ते आवेदन करें',
+  'collections.newName': 'नए संग्रह का नाम',
+  'collections.add': 'जोड़ें',
+  'collections.create': 'बनाएँ',
+  'collections.empty': 'अभी कोई संग्रह नहीं है। नीचे एक बनाएँ, जैसे "इस हफ़्ते आवेदन करें" या "घर के पास"।',
+  'collections.hint': 'किसी नौकरी को संग्रह में ले जाने के लिए उसके बुकमार्क आइकन को दबाकर रखें।',
+  'collections.nameRequiredTitle': 'नाम ज़रूरी है',
+  'collections.nameRequiredMessage': 'कृपया संग्रह का नाम लिखें।',
+  'collections.nameTooLongTitle': 'नाम बहुत लंबा है',
+  'collections.nameTooLongMessage': 'संग्रह का नाम ज़्यादा से ज़्यादा {{max}} अक्षरों का हो सकता है।',
+  'collections.nameTakenTitle': 'नाम पहले से है',
+  'collections.nameTakenMessage': '"{{name}}" नाम का संग्रह पहले से मौजूद है।',
+  'collections.deleteTitle': 'संग्रह मिटाएँ',
+  'collections.deleteMessage': '"{{name}}" मिटाएँ? इसकी नौकरियाँ आपकी सहेजी गई नौकरियों में बनी रहेंगी।',
+
+  'savedSearches.title': 'सहेजी गई खोजें',
+  'savedSearches.namePlaceholder': 'इस खोज को नाम दें, जैसे: सुबह की जाँच',
+  'savedSearches.save': 'सहेजें',
+  'savedSearches.hint': 'खोजें या फ़िल्टर चुनें, फिर नई मिलती-जुलती नौकरियों की सूचना पाने के लिए उन्हें यहाँ सहेजें।',
+  'savedSearches.newCount': '{{count}} नई',
+  'savedSearches.nameRequiredTitle': 'नाम ज़रूरी है',
+  'savedSearches.nameRequiredMessage': 'कृपया इस खोज का नाम लिखें।',
+  'savedSearches.nothingToSaveTitle': 'सहेजने को कुछ नहीं',
+  'savedSearches.nothingToSaveMessage': 'पहले कुछ खोजें या फ़िल्टर चुनें।',
+  'savedSearches.saveFailed': 'यह खोज सहेजी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+  'savedSearches.deleteTitle': 'सहेजी गई खोज मिटाएँ',
+  'savedSearches.deleteMessage': 'नई "{{name}}" नौकरियों पर नज़र रखना बंद करें?',
+
+  'location.title': 'आपका स्थान',
+  'location.current': 'मौजूदा स्थान',
+  'location.clear': 'हटाएँ',
+  'location.useCurrent': 'मेरा मौजूदा स्थान इस्तेमाल करें',
+  'location.searchPlaceholder': 'या अपना इलाका खोजें, जैसे: कूकटपल्ली',
+  'location.noMatch': 'कोई इलाका नहीं मिला। सबसे पास का शहर आज़माएँ।',
+  'location.permissionTitle': 'स्थान की अनुमति चाहिए',
+  'location.permissionMessage': 'डिवाइस की सेटिंग्स में स्थान की अनुमति दें, या सूची से अपना इलाका चुनें।',
+  'location.unavailableTitle': 'स्थान नहीं मिला',
+  'location.unavailableMessage': 'आपका स्थान नहीं मिल सका। सूची से अपना इलाका चुनें।',
+
+  'map.savedOnly': 'सिर्फ़ सहेजी गई',
+  'map.unplaced_one': '{{count}} नौकरी का स्थान पता नहीं',
+  'map.unplaced_other': '{{count}} नौकरियों का स्थान पता नहीं',
+  'map.jobsIn_one': '{{place}} में {{count}} नौकरी',
+  'map.jobsIn_other': '{{place}} में {{count}} नौकरियाँ',
+};
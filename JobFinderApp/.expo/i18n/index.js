@@ -0,0 +1,115 @@
+// Translations and locale-aware formatting. The active language is kept at
+// module level so plain helpers such as formatSalary can translate without
+// a React context; LanguageContext sets it and re-renders the app.
+import en from './en';
+import hi from './hi';
+import te from './te';
+import ta from './ta';
+
+const CATALOGS = { en, hi, te, ta };
+
+// `locale` is used for number, currency and date formatting
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-IN' },
+  { code: 'hi', label: 'हिन्दी', locale: 'hi-IN' },
+  { code: 'te', label: 'తెలుగు', locale: 'te-IN' },
+  { code: 'ta', label: 'தமிழ்', locale: 'ta-IN' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+export const isSupportedLanguage = (code) => LANGUAGES.some(language => language.code === code);
+
+export const getCurrentLanguage = () => currentLanguage;
+
+export const setCurrentLanguage = (code) => {
+  currentLanguage = isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+};
+
+const getLocale = () => LANGUAGES.find(language => language.code === currentLanguage).locale;
+
+// Helper function to find a message in one catalog. Languages whose plurals
+// do not change with the count only need the plain key.
+const findMessage = (catalog, key, count) => {
+  if (typeof count === 'number') {
+    const plural = catalog[`${key}_${count === 1 ? 'one' : 'other'}`];
+    if (plural !== undefined) return plural;
+  }
+  return catalog[key];
+};
+
+/**
+ * Translate `key`, filling in `{{name}}` placeholders from `params`.
+ * When `params.count` is a number, `key_one` or `key_other` is used if the
+ * catalog has them. Missing messages fall back to English, then to the key.
+ * Numbers in params are formatted for the current locale.
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export const t = (key, params = {}) => {
+  let message = findMessage(CATALOGS[currentLanguage], key, params.count);
+  if (message === undefined) message = findMessage(en, key, params.count);
+  if (message === undefined) return key;
+
+  return message.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+};
+
+// Helper function to run an Intl formatter, which may be missing locale data
+// on older Android devices
+const withFallback = (format, fallback) => {
+  try {
+    return format();
+  } catch (err) {
+    return fallback();
+  }
+};
+
+// e.g. 12,000 in English and Hindi
+export const formatNumber = (value) => withFallback(
+  () => new Intl.NumberFormat(getLocale()).format(value),
+  () => String(value)
+);
+
+// Whole rupees, e.g. ₹12,000
+export const formatCurrency = (amount) => withFallback(
+  () => new Intl.NumberFormat(getLocale(), {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0,
+  }).format(amount),
+  () => `₹${amount}`
+);
+
+// A date without the time, e.g. 6 Apr 2025
+export const formatDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return withFallback(
+    () => date.toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric' }),
+    () => date.toLocaleDateString()
+  );
+};
+
+// A time of day, e.g. 6:00 pm
+export const formatTime = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return withFallback(
+    () => date.toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' }),
+    () => date.toLocaleTimeString()
+  );
+};
+
+// A date with the time, e.g. 6 Apr 2025, 6:00 pm
+export const formatDateTime = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return t('time.dateAtTime', { date: formatDate(date), time: formatTime(date) });
+};
@@ -0,0 +1,325 @@
+// Tamil messages, see en.js for the full list of keys
+export default {
+  'common.ok': 'சரி',
+  'common.cancel': 'ரத்துசெய்',
+  'common.remove': 'நீக்கு',
+  'common.tryAgain': 'மீண்டும் முயலவும்',
+  'common.goBack': 'பின் செல்',
+  'common.undo': 'செயல்தவிர்',
+  'common.delete': 'அழி',
+  'common.notNow': 'இப்போது வேண்டாம்',
+
+  'nav.jobs': 'வேலைகள்',
+  'nav.map': 'வரைபடம்',
+  'nav.bookmarks': 'சேமித்தவை',
+  'nav.settings': 'அமைப்புகள்',
+  'nav.jobDetails': 'வேலை விவரங்கள்',
+  'nav.compareJobs': 'வேலைகளை ஒப்பிடு',
+  'nav.hiddenJobs': 'மறைத்த வேலைகள்',
+
+  'errors.network': 'இணைய இணைப்பு இல்லை. உங்கள் நெட்வொர்க்கைச் சரிபார்த்து மீண்டும் முயலவும்.',
+  'errors.timeout': 'சர்வர் பதிலளிக்க அதிக நேரம் எடுக்கிறது. மீண்டும் முயலவும்.',
+  'errors.server': 'வேலை சர்வரில் தற்போது சிக்கல் உள்ளது. பிறகு முயலவும்.',
+  'errors.generic': 'வேலைகளை ஏற்ற முடியவில்லை. பிறகு முயலவும்.',
+
+  'alerts.storageError.title': 'சேமிப்புப் பிழை',
+  'alerts.storageError.message': 'வேலையை ஃபோனில் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+  'alerts.bookmarked.title': 'வேலை சேமிக்கப்பட்டது',
+  'alerts.bookmarked.message': 'இந்த வேலையை இப்போது இணையம் இல்லாமலும் பார்க்கலாம்',
+  'alerts.bookmarked.button': 'அருமை!',
+  'alerts.clearAll.title': 'சேமித்த அனைத்தையும் நீக்கு',
+  'alerts.clearAll.message': 'சேமித்த அனைத்து வேலைகளையும் நீக்க விரும்புகிறீர்களா?',
+  'alerts.clearAll.confirm': 'அனைத்தையும் நீக்கு',
+  'alerts.loadBookmarksFailed': 'சேமித்த வேலைகளை ஏற்ற முடியவில்லை',
+  'alerts.bookmarksRepaired_one': 'சேமித்த {{count}} வேலையைப் படிக்க முடியவில்லை, அது நீக்கப்பட்டது.',
+  'alerts.bookmarksRepaired_other': 'சேமித்த {{count}} வேலைகளைப் படிக்க முடியவில்லை, அவை நீக்கப்பட்டன.',
+  'alerts.clearBookmarksFailed': 'சேமித்த வேலைகளை நீக்க முடியவில்லை',
+  'alerts.applicationSaveFailed': 'இந்த விண்ணப்பத்தைப் புதுப்பிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+  'alerts.collectionSaveFailed': 'உங்கள் தொகுப்புகளைப் புதுப்பிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+  'alerts.changesSaveFailed': 'உங்கள் மாற்றங்களைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+  'alerts.locationSaveFailed': 'உங்கள் இருப்பிடத்தைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+
+  'salary.notMentioned': 'குறிப்பிடப்படவில்லை',
+  'salary.range': '{{min}} - {{max}}',
+  'salary.from': '{{amount}}+',
+  'salary.upTo': '{{amount}} வரை',
+  'openings': '{{count}} காலியிடங்கள்',
+  'openings_one': '{{count}} காலியிடம்',
+
+  'expiry.expired': 'காலாவதியானது',
+  'expiry.today': 'இன்று காலாவதியாகிறது',
+  'expiry.tomorrow': 'நாளை காலாவதியாகிறது',
+  'expiry.inDays': '{{count}} நாட்களில் காலாவதியாகிறது',
+
+  'time.justNow': 'இப்போது',
+  'time.minutesAgo': '{{count}} நிமி. முன்பு',
+  'time.hoursAgo_one': '{{count}} மணி நேரம் முன்பு',
+  'time.hoursAgo_other': '{{count}} மணி நேரம் முன்பு',
+  'time.daysAgo_one': '{{count}} நாள் முன்பு',
+  'time.daysAgo_other': '{{count}} நாட்கள் முன்பு',
+  'time.dateAtTime': '{{date}}, {{time}}',
+
+  'status.interested': 'ஆர்வம் உள்ளது',
+  'status.contacted': 'தொடர்பு கொண்டது',
+  'status.applied': 'விண்ணப்பித்தது',
+  'status.interview': 'நேர்காணல்',
+  'status.offer': 'வேலை வாய்ப்பு',
+  'status.rejected': 'நிராகரிக்கப்பட்டது',
+
+  'sort.title': 'வரிசைப்படுத்து',
+  'sort.default': 'இயல்பு வரிசை',
+  'sort.newest': 'புதியவை முதலில்',
+  'sort.salary': 'அதிக சம்பளம்',
+  'sort.expiring': 'விரைவில் காலாவதியாகுபவை',
+  'sort.openings': 'அதிக காலியிடங்கள்',
+  'sort.views': 'அதிகம் பார்க்கப்பட்டவை',
+  'sort.nearest': 'அருகிலுள்ளவை முதலில்',
+
+  'card.unknownCompany': 'தெரியாத நிறுவனம்',
+  'card.premium': 'பிரீமியம்',
+
+  'jobs.loading': 'வேலைகள் ஏற்றப்படுகின்றன...',
+  'jobs.offline': 'இணைய இணைப்பு இல்லை',
+  'jobs.showingFrom': '{{time}} உள்ள வேலைகள் காட்டப்படுகின்றன',
+  'jobs.lastUpdated': 'கடைசியாகப் புதுப்பித்தது {{time}}',
+  'jobs.refreshing': 'புதுப்பிக்கப்படுகிறது…',
+  'jobs.searchPlaceholder': 'பெயர், நிறுவனம், பணி அல்லது குறிச்சொல் மூலம் தேடவும்',
+  'jobs.noSearchResults': '"{{query}}" உடன் பொருந்தும் வேலைகள் இல்லை',
+  'jobs.noFilterResults': 'தேர்ந்தெடுத்த வடிப்பான்களுடன் பொருந்தும் வேலைகள் இல்லை',
+  'jobs.noJobs': 'வேலைகள் எதுவும் இல்லை',
+  'jobs.endOfList': 'பட்டியலின் இறுதியை அடைந்துவிட்டீர்கள்',
+
+  'bookmarks.title': 'சேமித்த வேலைகள்',
+  'bookmarks.loading': 'சேமித்த வேலைகள் ஏற்றப்படுகின்றன...',
+  'bookmarks.emptyTitle': 'இன்னும் எந்த வேலையும் சேமிக்கப்படவில்லை',
+  'bookmarks.emptyMessage': 'நீங்கள் சேமிக்கும் வேலைகள் இணையம் இல்லாமல் பார்க்க இங்கே தோன்றும்',
+  'bookmarks.browse': 'வேலைகளைப் பார்',
+  'bookmarks.clearAll': 'அனைத்தையும் நீக்கு',
+  'bookmarks.all': 'அனைத்தும்',
+  'bookmarks.unsorted': 'தொகுப்பில் இல்லாதவை',
+  'bookmarks.emptyCollection': 'இங்கே இன்னும் வேலைகள் இல்லை. ஒரு வேலையை இந்தத் தொகுப்பிற்கு நகர்த்த அதன் புக்மார்க் ஐகானை அழுத்திப் பிடிக்கவும்.',
+  'bookmarks.expired': 'காலாவதியானவை ({{count}})',
+  'bookmarks.removeAll': 'அனைத்தையும் நீக்கு',
+  'bookmarks.removeExpiredTitle': 'காலாவதியான வேலைகளை நீக்கு',
+  'bookmarks.removeExpiredMessage_one': 'காலாவதியான {{count}} வேலையை சேமித்தவற்றிலிருந்து நீக்கவா?',
+  'bookmarks.removeExpiredMessage_other': 'காலாவதியான {{count}} வேலைகளை சேமித்தவற்றிலிருந்து நீக்கவா?',
+  'bookmarks.expiryMenuTitle': 'சேமித்த வேலைகள் காலாவதியாகும் முன் நினைவூட்டு',
+  'bookmarks.removedJob': '"{{title}}" நீக்கப்பட்டது',
+
+  'expiryAlert.0': 'முடக்கு',
+  'expiryAlert.1': '1 நாள் முன்பு',
+  'expiryAlert.2': '2 நாட்கள் முன்பு',
+  'expiryAlert.3': '3 நாட்கள் முன்பு',
+  'expiryAlert.7': '1 வாரம் முன்பு',
+
+  'compare.fullTitle': 'ஒப்பீட்டுப் பட்டியல் நிரம்பியது',
+  'compare.fullMessage': 'ஒரே நேரத்தில் அதிகபட்சம் {{max}} வேலைகளை ஒப்பிடலாம்.',
+  'compare.pick': 'ஒப்பிட 2 அல்லது {{max}} வேலைகளைத் தேர்ந்தெடுக்கவும்',
+  'compare.selected': '{{max}} இல் {{count}} தேர்ந்தெடுக்கப்பட்டது',
+  'compare.button': 'ஒப்பிடு',
+  'compare.needTwo': 'ஒப்பிட குறைந்தது இரண்டு சேமித்த வேலைகளைத் தேர்ந்தெடுக்கவும்.',
+  'compare.back': 'சேமித்த வேலைகளுக்குத் திரும்பு',
+  'compare.expiry': 'காலக்கெடு',
+  'compare.today': 'இன்று',
+  'compare.tomorrow': 'நாளை',
+  'compare.daysLeft_one': '{{count}} நாள் உள்ளது',
+  'compare.daysLeft_other': '{{count}} நாட்கள் உள்ளன',
+  'compare.legend': 'முன்னிலைப்படுத்தப்பட்டவை இந்த வேலைகளில் சிறந்தவை: அதிக சம்பளம் மற்றும் காலியிடங்கள், குறைந்த அனுபவம் மற்றும் கட்டணம், விண்ணப்பிக்க அதிக நாட்கள்.',
+
+  'details.addToCollection': 'தொகுப்பில் சேர்',
+  'details.company': 'நிறுவனம்',
+  'details.location': 'இடம்',
+  'details.salary': 'சம்பளம்',
+  'details.type': 'வகை',
+  'details.qualification': 'தகுதி',
+  'details.experience': 'அனுபவம்',
+  'details.shift': 'ஷிப்ட்',
+  'details.openings': 'காலியிடங்கள்',
+  'details.hours': 'வேலை நேரம்',
+  'details.fees': 'கட்டணம்',
+  'details.role': 'பணி',
+  'details.description': 'விளக்கம்',
+  'details.readMore': 'மேலும் படிக்க',
+  'details.showLess': 'குறைவாகக் காட்டு',
+  'details.linkFailedTitle': 'இணைப்பைத் திறக்க முடியவில்லை',
+  'details.linkFailedMessage': 'இந்த இணைப்பைத் திறக்கக்கூடிய ஆப் இந்தச் சாதனத்தில் இல்லை.',
+  'details.otherDetails': 'பிற விவரங்கள்',
+  'details.tags': 'குறிச்சொற்கள்',
+  'details.whatsapp': 'வாட்ஸ்அப்',
+  'details.call': 'அழை',
+  'details.share': 'பகிர்',
+  'details.shareMessage': 'இந்த வேலையைப் பாருங்கள்: {{company}} இல் {{title}}',
+  'details.aCompany': 'ஒரு நிறுவனம்',
+  'details.posted': 'வெளியிடப்பட்டது: {{date}}',
+  'details.updated': 'புதுப்பிக்கப்பட்டது: {{date}}',
+  'details.expires': 'காலாவதி: {{date}}',
+  'details.views': 'பார்வைகள்: {{count}}',
+  'details.loading': 'வேலை ஏற்றப்படுகிறது...',
+  'details.refreshFailed': 'புதுப்பிக்க முடியவில்லை',
+  'details.removedTitle': 'இந்த வேலை நீக்கப்பட்டது',
+  'details.removedMessage': '"{{title}}" க்கு இனி விண்ணப்பங்கள் ஏற்கப்படுவதில்லை.',
+  'details.noLongerExists': 'இந்த அறிவிப்பு இப்போது இல்லை.',
+  'details.removeSaved': 'சேமித்தவற்றிலிருந்து நீக்கு',
+
+  'settings.language': 'மொழி',
+  'settings.languageHint': 'வேலை அறிவிப்புகள் முதலாளி எழுதிய மொழியிலேயே காட்டப்படும்.',
+  'settings.feed': 'வேலை ஊட்டம்',
+  'settings.hiddenHint': 'ஒரு வேலையை அல்லது அதன் நிறுவனத்தின் எல்லா வேலைகளையும் மறைக்க ஊட்டத்தில் அதை அழுத்திப் பிடிக்கவும்.',
+  'settings.appearance': 'தோற்றம்',
+  'theme.system': 'சிஸ்டம் இயல்புநிலை',
+  'theme.light': 'வெளிர்',
+  'theme.dark': 'இருள்',
+
+  'a11y.saveJob': 'வேலையைச் சேமி',
+  'a11y.unsaveJob': 'சேமித்தவற்றிலிருந்து நீக்கு',
+  'a11y.bookmarkHint': 'தொகுப்பில் சேர்க்க அழுத்திப் பிடிக்கவும்',
+  'a11y.jobRemoved': 'சேமித்தவற்றிலிருந்து நீக்கப்பட்டது',
+  'a11y.openJobHint': 'வேலை விவரங்களைத் திறக்கும்',
+  'a11y.saved': 'சேமிக்கப்பட்டது',
+  'a11y.selectJobHint': 'வேலையை ஒப்பீட்டில் சேர்க்கும் அல்லது நீக்கும்',
+  'a11y.scrollToTop': 'மேலே செல்',
+  'a11y.filters': 'வடிப்பான்கள்',
+  'a11y.filtersActive': 'வடிப்பான்கள், {{count}} செயலில்',
+  'a11y.homeLocation': 'வீட்டு இருப்பிடம்',
+  'a11y.savedSearches': 'சேமித்த தேடல்கள்',
+  'a11y.newMatches': '{{count}} புதிய பொருத்தங்கள்',
+  'a11y.showPipeline': 'விண்ணப்ப நிலையின்படி காட்டு',
+  'a11y.showList': 'பட்டியலாகக் காட்டு',
+  'a11y.manageCollections': 'தொகுப்புகளை நிர்வகி',
+  'a11y.whatsappHint': 'முதலாளியுடன் வாட்ஸ்அப் உரையாடலைத் திறக்கும்',
+  'a11y.callHint': 'முதலாளியை அழைக்கும்',
+  'a11y.shareHint': 'இந்த வேலையின் இணைப்பைப் பகிரும்',
+
+  'swipe.save': 'சேமி',
+  'swipe.unsave': 'நீக்கு',
+  'swipe.hide': 'மறை',
+
+  'hidden.title': 'மறைத்த வேலைகளும் நிறுவனங்களும்',
+  'hidden.notInterested': 'ஆர்வம் இல்லை',
+  'hidden.hideCompany': '{{company}} இன் எல்லா வேலைகளையும் மறை',
+  'hidden.menuMessage': 'மறைத்த வேலைகள் உங்கள் ஊட்டத்தில் தோன்றாது. அவற்றை அமைப்புகளில் இருந்து மீண்டும் கொண்டு வரலாம்.',
+  'hidden.unhide': 'காட்டு',
+  'hidden.empty': 'நீங்கள் எந்த வேலையையும் நிறுவனத்தையும் மறைக்கவில்லை.',
+  'hidden.companies': 'நிறுவனங்கள்',
+  'hidden.jobs': 'வேலைகள்',
+  'hidden.hiddenOn': '{{date}} அன்று மறைக்கப்பட்டது',
+  'hidden.untitledJob': 'பெயரில்லாத வேலை',
+
+  'search.placeholder': 'வேலைகளைத் தேடவும்',
+
+  'filters.title': 'வடிப்பான்கள்',
+  'filters.clearAll': 'அனைத்தையும் அழி',
+  'filters.city': 'நகரம்',
+  'filters.distance': 'தூரம்',
+  'filters.distanceFrom': '{{place}} இலிருந்து',
+  'filters.withinKm': '{{count}} கி.மீ.க்குள்',
+  'distance.underOneKm': '< 1 கி.மீ.',
+  'distance.aboutKm': '~{{distance}} கி.மீ.',
+  'filters.setLocation': 'தூரத்தின்படி வடிகட்ட உங்கள் இருப்பிடத்தை அமைக்கவும்',
+  'filters.salary': 'மாதச் சம்பளம் (₹)',
+  'filters.salaryMin': 'குறைந்தது',
+  'filters.salaryMax': 'அதிகபட்சம்',
+  'filters.salaryTo': 'முதல்',
+  'filters.salaryRange': '{{min}} - {{max}}',
+  'filters.salaryFrom': '{{min}}+',
+  'filters.salaryUpTo': '{{max}} வரை',
+  'filters.jobType': 'வேலை வகை',
+  'filters.experience': 'அனுபவம்',
+  'filters.qualification': 'தகுதி',
+  'filters.reset': 'மீட்டமை',
+  'filters.apply': 'வடிப்பான்களைப் பயன்படுத்து',
+
+  'reminder.title': 'எனக்கு நினைவூட்டு',
+  'reminder.inAnHour': '1 மணி நேரத்தில்',
+  'reminder.thisEvening': 'இன்று மாலை, {{time}}',
+  'reminder.tomorrowEvening': 'நாளை மாலை, {{time}}',
+  'reminder.tomorrowMorning': 'நாளை காலை, {{time}}',
+  'reminder.inDays': '{{count}} நாட்களில், {{time}}',
+  'reminder.custom': 'தேதி மற்றும் நேரத்தைத் தேர்ந்தெடு...',
+  'reminder.set': 'நினைவூட்டலை அமை',
+  'reminder.pastTitle': 'பிந்தைய நேரத்தைத் தேர்ந்தெடுக்கவும்',
+  'reminder.pastMessage': 'நினைவூட்டலை எதிர்கால நேரத்திற்கு மட்டுமே அமைக்க முடியும்.',
+  'reminder.disabledMessage': 'பின்தொடர் நினைவூட்டல்களைப் பெற உங்கள் சாதன அமைப்புகளில் JobFinder அறிவிப்புகளை அனுமதிக்கவும்.',
+  'reminder.failedTitle': 'நினைவூட்டல் அமைக்கப்படவில்லை',
+  'reminder.failedMessage': 'நினைவூட்டலை அமைக்க முடியவில்லை. மீண்டும் முயலவும்.',
+
+  'notes.title': 'என் குறிப்புகள்',
+  'notes.placeholder': 'எ.கா. அழைத்தேன், மாலை 5 மணிக்குப் பிறகு ரமேஷைக் கேட்கவும்',
+  'notes.save': 'குறிப்பைச் சேமி',
+  'notes.reminderAt': 'நினைவூட்டல்: {{time}}',
+  'notes.setReminder': 'பின்தொடர் நினைவூட்டலை அமைக்கவும்',
+
+  'notifications.disabledTitle': 'அறிவிப்புகள் முடக்கப்பட்டுள்ளன',
+  'notifications.remindersChannel': 'பின்தொடர் நினைவூட்டல்கள்',
+  'notifications.deadlinesChannel': 'வேலை காலக்கெடு எச்சரிக்கைகள்',
+  'notifications.matchesChannel': 'சேமித்த தேடலுக்குப் பொருந்துபவை',
+  'notifications.followUpTitle': 'பின்தொடர்: {{title}}',
+  'notifications.followUpBody': '{{company}} உடன் மீண்டும் தொடர்புகொள்ளும் நேரம்',
+  'notifications.followUpBodyNoCompany': 'முதலாளியுடன் மீண்டும் தொடர்புகொள்ளும் நேரம்',
+  'notifications.expiringTitle': 'சேமித்த வேலை விரைவில் காலாவதியாகும்',
+  'notifications.expiringBody': '{{company}} இல் {{title}} க்கான விண்ணப்பங்கள் {{date}} அன்று முடிவடையும்.',
+  'notifications.expiringBodyNoCompany': '{{title}} க்கான விண்ணப்பங்கள் {{date}} அன்று முடிவடையும்.',
+  'notifications.newMatches_one': '"{{name}}" க்கு {{count}} புதிய வேலை',
+  'notifications.newMatches_other': '"{{name}}" க்கு {{count}} புதிய வேலைகள்',
+  'notifications.moreMatches': 'மேலும் {{count}}',
+  'expiryAlert.disabledMessage': 'சேமித்த வேலைகள் காலாவதியாகும் முன் எச்சரிக்கைகளைப் பெற உங்கள் சாதன அமைப்புகளில் JobFinder அறிவிப்புகளை அனுமதிக்கவும்.',
+
+  'tracker.title': 'விண்ணப்பம்',
+  'tracker.notePlaceholder': 'குறிப்பைச் சேர்க்கவும், எ.கா. HR உடன் பேசினேன், திங்கள் மீண்டும் அழைக்கவும்',
+  'tracker.add': 'சேர்',
+  'tracker.movedTo': '{{status}} நிலைக்கு மாற்றப்பட்டது',
+  'tracker.deleteNoteTitle': 'குறிப்பை அழி',
+  'tracker.deleteNoteMessage': 'இந்தக் குறிப்பை நிச்சயமாக அழிக்க வேண்டுமா?',
+  'tracker.markContactedTitle': 'தொடர்புகொண்டதாகக் குறிக்கவா?',
+  'tracker.markContactedMessage': 'உங்கள் விண்ணப்பக் கண்காணிப்பில் "{{title}}" ஐ தொடர்புகொண்டது நிலைக்கு மாற்றவா?',
+  'tracker.markContacted': 'தொடர்புகொண்டதாகக் குறி',
+
+  'collections.title': 'தொகுப்புகள்',
+  'collections.saveTo': 'தொகுப்பில் சேமி',
+  'collections.none': 'சேமித்த வேலைகள் (தொகுப்பு இல்லை)',
+  'collections.new': 'புதிய தொகுப்பு',
+  'collections.namePlaceholder': 'எ.கா. இந்த வாரம் விண்ணப்பிக்க',
+  'collections.newName': 'புதிய தொகுப்பின் பெயர்',
+  'collections.add': 'சேர்',
+  'collections.create': 'உருவாக்கு',
+  'collections.empty': 'இன்னும் தொகுப்புகள் இல்லை. கீழே ஒன்றை உருவாக்கவும், எ.கா. "இந்த வாரம் விண்ணப்பிக்க" அல்லது "வீட்டுக்கு அருகில்".',
+  'collections.hint': 'எந்த வேலையையும் தொகுப்புக்கு நகர்த்த அதன் புக்மார்க் ஐகானை அழுத்திப் பிடிக்கவும்.',
+  'collections.nameRequiredTitle': 'பெயர் தேவை',
+  'collections.nameRequiredMessage': 'தொகுப்புக்கு ஒரு பெயரை உள்ளிடவும்.',
+  'collections.nameTooLongTitle': 'பெயர் மிக நீளமாக உள்ளது',
+  'collections.nameTooLongMessage': 'தொகுப்பின் பெயர் அதிகபட்சம் {{max}} எழுத்துகள் இருக்கலாம்.',
+  'collections.nameTakenTitle': 'பெயர் ஏற்கனவே உள்ளது',
+  'collections.nameTakenMessage': '"{{name}}" என்ற தொகுப்பு ஏற்கனவே உள்ளது.',
+  'collections.deleteTitle': 'தொகுப்பை அழி',
+  'collections.deleteMessage': '"{{name}}" ஐ அழிக்கவா? அதிலுள்ள வேலைகள் உங்கள் சேமித்த வேலைகளில் அப்படியே இருக்கும்.',
+
+  'savedSearches.title': 'சேமித்த தேடல்கள்',
+  'savedSearches.namePlaceholder': 'இந்தத் தேடலுக்குப் பெயரிடவும், எ.கா. காலைச் சரிபார்ப்பு',
+  'savedSearches.save': 'சேமி',
+  'savedSearches.hint': 'தேடவும் அல்லது வடிப்பான்களைத் தேர்ந்தெடுக்கவும், பிறகு பொருந்தும் புதிய வேலைகள் பற்றி அறிவிப்பு பெற அவற்றை இங்கே சேமிக்கவும்.',
+  'savedSearches.newCount': '{{count}} புதியவை',
+  'savedSearches.nameRequiredTitle': 'பெயர் தேவை',
+  'savedSearches.nameRequiredMessage': 'இந்தத் தேடலுக்கு ஒரு பெயரை உள்ளிடவும்.',
+  'savedSearches.nothingToSaveTitle': 'சேமிக்க எதுவும் இல்லை',
+  'savedSearches.nothingToSaveMessage': 'முதலில் ஏதாவது தேடவும் அல்லது சில வடிப்பான்களைத் தேர்ந்தெடுக்கவும்.',
+  'savedSearches.saveFailed': 'இந்தத் தேடலைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+  'savedSearches.deleteTitle': 'சேமித்த தேடலை அழி',
+  'savedSearches.deleteMessage': 'புதிய "{{name}}" வேலைகளைக் கண்காணிப்பதை நிறுத்தவா?',
+
+  'location.title': 'உங்கள் இருப்பிடம்',
+  'location.current': 'தற்போதைய இருப்பிடம்',
+  'location.clear': 'அழி',
+  'location.useCurrent': 'என் தற்போதைய இருப்பிடத்தைப் பயன்படுத்து',
+  'location.searchPlaceholder': 'அல்லது உங்கள் பகுதியைத் தேடவும், எ.கா. குகட்பள்ளி',
+  'location.noMatch': 'பொருந்தும் பகுதி இல்லை. அருகிலுள்ள நகரத்தை முயலவும்.',
+  'location.permissionTitle': 'இருப்பிட அனுமதி தேவை',
+  'location.permissionMessage': 'உங்கள் சாதன அமைப்புகளில் இருப்பிட அனுமதியை வழங்கவும், அல்லது பட்டியலிலிருந்து உங்கள் பகுதியைத் தேர்ந்தெடுக்கவும்.',
+  'location.unavailableTitle': 'இருப்பிடம் கிடைக்கவில்லை',
+  'location.unavailableMessage': 'உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை. பட்டியலிலிருந்து உங்கள் பகுதியைத் தேர்ந்தெடுக்கவும்.',
+
+  'map.savedOnly': 'சேமித்தவை மட்டும்',
+  'map.unplaced_one': 'இடம் தெரியாத வேலை {{count}}',
+  'map.unplaced_other': 'இடம் தெரியாத வேலைகள் {{count}}',
+  'map.jobsIn_one': '{{place}} இல் {{count}} வேலை',
+  'map.jobsIn_other': '{{place}} இல் {{count}} வேலைகள்',
+};
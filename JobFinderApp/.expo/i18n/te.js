@@ -0,0 +1,325 @@
+// Telugu messages, see en.js for the full list of keys
+export default {
+  'common.ok': 'సరే',
+  'common.cancel': 'రద్దు చేయి',
+  'common.remove': 'తీసివేయి',
+  'common.tryAgain': 'మళ్ళీ ప్రయత్నించండి',
+  'common.goBack': 'వెనక్కి వెళ్ళండి',
+  'common.undo': 'వెనక్కి తీసుకో',
+  'common.delete': 'తొలగించు',
+  'common.notNow': 'ఇప్పుడు కాదు',
+
+  'nav.jobs': 'ఉద్యోగాలు',
+  'nav.map': 'మ్యాప్',
+  'nav.bookmarks': 'సేవ్ చేసినవి',
+  'nav.settings': 'సెట్టింగ్‌లు',
+  'nav.jobDetails': 'ఉద్యోగ వివరాలు',
+  'nav.compareJobs': 'ఉద్యోగాల పోలిక',
+  'nav.hiddenJobs': 'దాచిన ఉద్యోగాలు',
+
+  'errors.network': 'ఇంటర్నెట్ కనెక్షన్ లేదు. దయచేసి మీ నెట్‌వర్క్‌ను తనిఖీ చేసి మళ్ళీ ప్రయత్నించండి.',
+  'errors.timeout': 'సర్వర్ స్పందించడానికి చాలా సమయం తీసుకుంటోంది. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+  'errors.server': 'ఉద్యోగాల సర్వర్‌లో ప్రస్తుతం సమస్య ఉంది. దయచేసి తర్వాత ప్రయత్నించండి.',
+  'errors.generic': 'ఉద్యోగాలను లోడ్ చేయడం కుదరలేదు. దయచేసి తర్వాత ప్రయత్నించండి.',
+
+  'alerts.storageError.title': 'స్టోరేజ్ లోపం',
+  'alerts.storageError.message': 'ఉద్యోగాన్ని ఫోన్‌లో సేవ్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+  'alerts.bookmarked.title': 'ఉద్యోగం సేవ్ అయింది',
+  'alerts.bookmarked.message': 'ఈ ఉద్యోగాన్ని ఇప్పుడు ఆఫ్‌లైన్‌లో కూడా చూడవచ్చు',
+  'alerts.bookmarked.button': 'బాగుంది!',
+  'alerts.clearAll.title': 'సేవ్ చేసినవన్నీ తీసివేయి',
+  'alerts.clearAll.message': 'సేవ్ చేసిన అన్ని ఉద్యోగాలను తీసివేయాలనుకుంటున్నారా?',
+  'alerts.clearAll.confirm': 'అన్నీ తీసివేయి',
+  'alerts.loadBookmarksFailed': 'సేవ్ చేసిన ఉద్యోగాలను లోడ్ చేయడం కుదరలేదు',
+  'alerts.bookmarksRepaired_one': 'సేవ్ చేసిన {{count}} ఉద్యోగాన్ని చదవడం కుదరలేదు, దాన్ని తీసివేశాము.',
+  'alerts.bookmarksRepaired_other': 'సేవ్ చేసిన {{count}} ఉద్యోగాలను చదవడం కుదరలేదు, వాటిని తీసివేశాము.',
+  'alerts.clearBookmarksFailed': 'సేవ్ చేసిన ఉద్యోగాలను తీసివేయడం కుదరలేదు',
+  'alerts.applicationSaveFailed': 'ఈ దరఖాస్తును అప్‌డేట్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+  'alerts.collectionSaveFailed': 'మీ సేకరణలను అప్‌డేట్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+  'alerts.changesSaveFailed': 'మీ మార్పులను సేవ్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+  'alerts.locationSaveFailed': 'మీ స్థానాన్ని సేవ్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+  'salary.notMentioned': 'పేర్కొనలేదు',
+  'salary.range': '{{min}} - {{max}}',
+  'salary.from': '{{amount}}+',
+  'salary.upTo': '{{amount}} వరకు',
+  'openings_one': '{{count}} ఖాళీ',
+  'openings_other': '{{count}} ఖాళీలు',
+
+  'expiry.expired': 'గడువు ముగిసింది',
+  'expiry.today': 'ఈరోజు గడువు ముగుస్తుంది',
+  'expiry.tomorrow': 'రేపు గడువు ముగుస్తుంది',
+  'expiry.inDays': '{{count}} రోజుల్లో గడువు ముగుస్తుంది',
+
+  'time.justNow': 'ఇప్పుడే',
+  'time.minutesAgo': '{{count}} నిమి. క్రితం',
+  'time.hoursAgo_one': '{{count}} గంట క్రితం',
+  'time.hoursAgo_other': '{{count}} గంటల క్రితం',
+  'time.daysAgo_one': '{{count}} రోజు క్రితం',
+  'time.daysAgo_other': '{{count}} రోజుల క్రితం',
+  'time.dateAtTime': '{{date}}, {{time}}',
+
+  'status.interested': 'ఆసక్తి ఉంది',
+  'status.contacted': 'సంప్రదించారు',
+  'status.applied': 'దరఖాస్తు చేశారు',
+  'status.interview': 'ఇంటర్వ్యూ',
+  'status.offer': 'ఆఫర్',
+  'status.rejected': 'తిరస్కరించబడింది',
+
+  'sort.title': 'క్రమంలో చూపించు',
+  'sort.default': 'సాధారణ క్రమం',
+  'sort.newest': 'కొత్తవి ముందు',
+  'sort.salary': 'అత్యధిక జీతం',
+  'sort.expiring': 'త్వరలో గడువు ముగిసేవి',
+  'sort.openings': 'ఎక్కువ ఖాళీలు',
+  'sort.views': 'ఎక్కువగా చూసినవి',
+  'sort.nearest': 'దగ్గరివి ముందు',
+
+  'card.unknownCompany': 'తెలియని కంపెనీ',
+  'card.premium': 'ప్రీమియం',
+
+  'jobs.loading': 'ఉద్యోగాలు లోడ్ అవుతున్నాయి...',
+  'jobs.offline': 'ఇంటర్నెట్ కనెక్షన్ లేదు',
+  'jobs.showingFrom': '{{time}} నాటి ఉద్యోగాలు చూపిస్తున్నాం',
+  'jobs.lastUpdated': 'చివరి అప్‌డేట్ {{time}}',
+  'jobs.refreshing': 'రిఫ్రెష్ అవుతోంది…',
+  'jobs.searchPlaceholder': 'పేరు, కంపెనీ, పాత్ర లేదా ట్యాగ్‌తో వెతకండి',
+  'jobs.noSearchResults': '"{{query}}"కు సరిపోయే ఉద్యోగాలు లేవు',
+  'jobs.noFilterResults': 'ఎంచుకున్న ఫిల్టర్‌లకు సరిపోయే ఉద్యోగాలు లేవు',
+  'jobs.noJobs': 'ఉద్యోగాలు అందుబాటులో లేవు',
+  'jobs.endOfList': 'మీరు జాబితా చివరికి చేరుకున్నారు',
+
+  'bookmarks.title': 'సేవ్ చేసిన ఉద్యోగాలు',
+  'bookmarks.loading': 'సేవ్ చేసిన ఉద్యోగాలు లోడ్ అవుతున్నాయి...',
+  'bookmarks.emptyTitle': 'ఇంకా ఏ ఉద్యోగమూ సేవ్ చేయలేదు',
+  'bookmarks.emptyMessage': 'మీరు సేవ్ చేసిన ఉద్యోగాలు ఆఫ్‌లైన్‌లో చూడటానికి ఇక్కడ కనిపిస్తాయి',
+  'bookmarks.browse': 'ఉద్యోగాలు చూడండి',
+  'bookmarks.clearAll': 'అన్నీ తీసివేయి',
+  'bookmarks.all': 'అన్నీ',
+  'bookmarks.unsorted': 'సేకరణ లేనివి',
+  'bookmarks.emptyCollection': 'ఇక్కడ ఇంకా ఉద్యోగాలు లేవు. ఒక ఉద్యోగాన్ని ఈ సేకరణలోకి మార్చడానికి దాని బుక్‌మార్క్ ఐకాన్‌ను నొక్కి పట్టుకోండి.',
+  'bookmarks.expired': 'గడువు ముగిసినవి ({{count}})',
+  'bookmarks.removeAll': 'అన్నీ తీసివేయి',
+  'bookmarks.removeExpiredTitle': 'గడువు ముగిసిన ఉద్యోగాలు తీసివేయి',
+  'bookmarks.removeExpiredMessage_one': 'గడువు ముగిసిన {{count}} ఉద్యోగాన్ని సేవ్ చేసిన వాటి నుండి తీసివేయాలా?',
+  'bookmarks.removeExpiredMessage_other': 'గడువు ముగిసిన {{count}} ఉద్యోగాలను సేవ్ చేసిన వాటి నుండి తీసివేయాలా?',
+  'bookmarks.expiryMenuTitle': 'సేవ్ చేసిన ఉద్యోగాల గడువు ముగిసే ముందు గుర్తు చేయి',
+  'bookmarks.removedJob': '"{{title}}" తీసివేయబడింది',
+
+  'expiryAlert.0': 'ఆఫ్',
+  'expiryAlert.1': '1 రోజు ముందు',
+  'expiryAlert.2': '2 రోజుల ముందు',
+  'expiryAlert.3': '3 రోజుల ముందు',
+  'expiryAlert.7': '1 వారం ముందు',
+
+  'compare.fullTitle': 'పోలిక జాబితా నిండింది',
+  'compare.fullMessage': 'ఒకేసారి గరిష్టంగా {{max}} ఉద్యోగాలను పోల్చవచ్చు.',
+  'compare.pick': 'పోల్చడానికి 2 లేదా {{max}} ఉద్యోగాలు ఎంచుకోండి',
+  'compare.selected': '{{max}}లో {{count}} ఎంచుకున్నారు',
+  'compare.button': 'పోల్చు',
+  'compare.needTwo': 'పోల్చడానికి కనీసం రెండు సేవ్ చేసిన ఉద్యోగాలు ఎంచుకోండి.',
+  'compare.back': 'సేవ్ చేసిన ఉద్యోగాలకు వెనక్కి',
+  'compare.expiry': 'గడువు',
+  'compare.today': 'ఈరోజు',
+  'compare.tomorrow': 'రేపు',
+  'compare.daysLeft_one': '{{count}} రోజు మిగిలింది',
+  'compare.daysLeft_other': '{{count}} రోజులు మిగిలాయి',
+  'compare.legend': 'హైలైట్ చేసిన విలువలు ఈ ఉద్యోగాల్లో ఉత్తమమైనవి: ఎక్కువ జీతం మరియు ఖాళీలు, తక్కువ అనుభవం మరియు ఫీజు, దరఖాస్తుకు ఎక్కువ రోజులు.',
+
+  'details.addToCollection': 'సేకరణకు జోడించు',
+  'details.company': 'కంపెనీ',
+  'details.location': 'ప్రాంతం',
+  'details.salary': 'జీతం',
+  'details.type': 'రకం',
+  'details.qualification': 'అర్హత',
+  'details.experience': 'అనుభవం',
+  'details.shift': 'షిఫ్ట్',
+  'details.openings': 'ఖాళీలు',
+  'details.hours': 'పని వేళలు',
+  'details.fees': 'ఫీజు',
+  'details.role': 'పాత్ర',
+  'details.description': 'వివరణ',
+  'details.readMore': 'ఇంకా చదవండి',
+  'details.showLess': 'తక్కువ చూపించు',
+  'details.linkFailedTitle': 'లింక్ తెరవడం కుదరలేదు',
+  'details.linkFailedMessage': 'ఈ లింక్‌ను తెరవగల యాప్ ఈ పరికరంలో లేదు.',
+  'details.otherDetails': 'ఇతర వివరాలు',
+  'details.tags': 'ట్యాగ్‌లు',
+  'details.whatsapp': 'వాట్సాప్',
+  'details.call': 'కాల్ చేయి',
+  'details.share': 'షేర్ చేయి',
+  'details.shareMessage': 'ఈ ఉద్యోగం చూడండి: {{company}}లో {{title}}',
+  'details.aCompany': 'ఒక కంపెనీ',
+  'details.posted': 'పోస్ట్ చేసిన తేదీ: {{date}}',
+  'details.updated': 'అప్‌డేట్ చేసిన తేదీ: {{date}}',
+  'details.expires': 'గడువు: {{date}}',
+  'details.views': 'వీక్షణలు: {{count}}',
+  'details.loading': 'ఉద్యోగం లోడ్ అవుతోంది...',
+  'details.refreshFailed': 'రిఫ్రెష్ చేయడం కుదరలేదు',
+  'details.removedTitle': 'ఈ ఉద్యోగం తీసివేయబడింది',
+  'details.removedMessage': '"{{title}}"కు ఇప్పుడు దరఖాస్తులు తీసుకోవడం లేదు.',
+  'details.noLongerExists': 'ఈ పోస్ట్ ఇప్పుడు అందుబాటులో లేదు.',
+  'details.removeSaved': 'సేవ్ చేసిన వాటి నుండి తీసివేయి',
+
+  'settings.language': 'భాష',
+  'settings.languageHint': 'ఉద్యోగ పోస్ట్‌లు యజమాని రాసిన భాషలోనే కనిపిస్తాయి.',
+  'settings.feed': 'ఉద్యోగాల ఫీడ్',
+  'settings.hiddenHint': 'ఒక ఉద్యోగాన్ని లేదా దాని కంపెనీ ఉద్యోగాలన్నింటినీ దాచడానికి ఫీడ్‌లో దాన్ని నొక్కి పట్టుకోండి.',
+  'settings.appearance': 'రూపం',
+  'theme.system': 'సిస్టమ్ డిఫాల్ట్',
+  'theme.light': 'లైట్',
+  'theme.dark': 'డార్క్',
+
+  'a11y.saveJob': 'ఉద్యోగాన్ని సేవ్ చేయి',
+  'a11y.unsaveJob': 'సేవ్ చేసిన వాటి నుండి తీసివేయి',
+  'a11y.bookmarkHint': 'సేకరణకు జోడించడానికి నొక్కి పట్టుకోండి',
+  'a11y.jobRemoved': 'సేవ్ చేసిన వాటి నుండి తీసివేయబడింది',
+  'a11y.openJobHint': 'ఉద్యోగ వివరాలను తెరుస్తుంది',
+  'a11y.saved': 'సేవ్ చేశారు',
+  'a11y.selectJobHint': 'ఉద్యోగాన్ని పోలికకు జోడిస్తుంది లేదా తీసివేస్తుంది',
+  'a11y.scrollToTop': 'పైకి వెళ్ళు',
+  'a11y.filters': 'ఫిల్టర్‌లు',
+  'a11y.filtersActive': 'ఫిల్టర్‌లు, {{count}} ఆన్‌లో ఉన్నాయి',
+  'a11y.homeLocation': 'ఇంటి స్థానం',
+  'a11y.savedSearches': 'సేవ్ చేసిన శోధనలు',
+  'a11y.newMatches': '{{count}} కొత్త ఫలితాలు',
+  'a11y.showPipeline': 'దరఖాస్తు స్థితి ప్రకారం చూపించు',
+  'a11y.showList': 'జాబితాగా చూపించు',
+  'a11y.manageCollections': 'సేకరణలను నిర్వహించు',
+  'a11y.whatsappHint': 'యజమానితో వాట్సాప్ చాట్ తెరుస్తుంది',
+  'a11y.callHint': 'యజమానికి కాల్ చేస్తుంది',
+  'a11y.shareHint': 'ఈ ఉద్యోగ లింక్‌ను షేర్ చేస్తుంది',
+
+  'swipe.save': 'సేవ్',
+  'swipe.unsave': 'తీసివేయి',
+  'swipe.hide': 'దాచు',
+
+  'hidden.title': 'దాచిన ఉద్యోగాలు మరియు కంపెనీలు',
+  'hidden.notInterested': 'ఆసక్తి లేదు',
+  'hidden.hideCompany': '{{company}} ఉద్యోగాలన్నీ దాచు',
+  'hidden.menuMessage': 'దాచిన ఉద్యోగాలు మీ ఫీడ్‌లో కనిపించవు. వాటిని సెట్టింగ్‌ల నుండి తిరిగి తీసుకురావచ్చు.',
+  'hidden.unhide': 'చూపించు',
+  'hidden.empty': 'మీరు ఏ ఉద్యోగాన్నీ కంపెనీనీ దాచలేదు.',
+  'hidden.companies': 'కంపెనీలు',
+  'hidden.jobs': 'ఉద్యోగాలు',
+  'hidden.hiddenOn': '{{date}}న దాచారు',
+  'hidden.untitledJob': 'పేరు లేని ఉద్యోగం',
+
+  'search.placeholder': 'ఉద్యోగాలు వెతకండి',
+
+  'filters.title': 'ఫిల్టర్‌లు',
+  'filters.clearAll': 'అన్నీ తీసివేయి',
+  'filters.city': 'నగరం',
+  'filters.distance': 'దూరం',
+  'filters.distanceFrom': '{{place}} నుండి',
+  'filters.withinKm': '{{count}} కి.మీ. లోపు',
+  'distance.underOneKm': '< 1 కి.మీ.',
+  'distance.aboutKm': '~{{distance}} కి.మీ.',
+  'filters.setLocation': 'దూరం ఆధారంగా ఫిల్టర్ చేయడానికి మీ స్థానాన్ని సెట్ చేయండి',
+  'filters.salary': 'నెలసరి జీతం (₹)',
+  'filters.salaryMin': 'కనిష్ఠం',
+  'filters.salaryMax': 'గరిష్ఠం',
+  'filters.salaryTo': 'నుండి',
+  'filters.salaryRange': '{{min}} - {{max}}',
+  'filters.salaryFrom': '{{min}}+',
+  'filters.salaryUpTo': '{{max}} వరకు',
+  'filters.jobType': 'ఉద్యోగ రకం',
+  'filters.experience': 'అనుభవం',
+  'filters.qualification': 'అర్హత',
+  'filters.reset': 'రీసెట్ చేయి',
+  'filters.apply': 'ఫిల్టర్‌లు వర్తింపజేయి',
+
+  'reminder.title': 'నాకు గుర్తు చేయి',
+  'reminder.inAnHour': '1 గంటలో',
+  'reminder.thisEvening': 'ఈ సాయంత్రం, {{time}}',
+  'reminder.tomorrowEvening': 'రేపు సాయంత్రం, {{time}}',
+  'reminder.tomorrowMorning': 'రేపు ఉదయం, {{time}}',
+  'reminder.inDays': '{{count}} రోజుల్లో, {{time}}',
+  'reminder.custom': 'తేదీ మరియు సమయం ఎంచుకోండి...',
+  'reminder.set': 'రిమైండర్ సెట్ చేయి',
+  'reminder.pastTitle': 'తర్వాతి సమయం ఎంచుకోండి',
+  'reminder.pastMessage': 'రిమైండర్‌ను భవిష్యత్తు సమయానికే సెట్ చేయాలి.',
+  'reminder.disabledMessage': 'ఫాలో-అప్ రిమైండర్‌లు పొందడానికి మీ పరికర సెట్టింగ్‌లలో JobFinder నోటిఫికేషన్‌లను అనుమతించండి.',
+  'reminder.failedTitle': 'రిమైండర్ సెట్ కాలేదు',
+  'reminder.failedMessage': 'రిమైండర్‌ను షెడ్యూల్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+  'notes.title': 'నా నోట్స్',
+  'notes.placeholder': 'ఉదా. ఫోన్ చేశాను, సాయంత్రం 5 తర్వాత రమేష్‌ను అడగండి',
+  'notes.save': 'నోట్ సేవ్ చేయి',
+  'notes.reminderAt': 'రిమైండర్: {{time}}',
+  'notes.setReminder': 'ఫాలో-అప్ రిమైండర్ సెట్ చేయండి',
+
+  'notifications.disabledTitle': 'నోటిఫికేషన్‌లు ఆఫ్‌లో ఉన్నాయి',
+  'notifications.remindersChannel': 'ఫాలో-అప్ రిమైండర్‌లు',
+  'notifications.deadlinesChannel': 'ఉద్యోగ గడువు హెచ్చరికలు',
+  'notifications.matchesChannel': 'సేవ్ చేసిన శోధనకు సరిపోయేవి',
+  'notifications.followUpTitle': 'ఫాలో-అప్: {{title}}',
+  'notifications.followUpBody': '{{company}}ను మళ్ళీ సంప్రదించే సమయం',
+  'notifications.followUpBodyNoCompany': 'యజమానిని మళ్ళీ సంప్రదించే సమయం',
+  'notifications.expiringTitle': 'సేవ్ చేసిన ఉద్యోగ గడువు త్వరలో ముగుస్తుంది',
+  'notifications.expiringBody': '{{company}}లో {{title}} దరఖాస్తులు {{date}}న ముగుస్తాయి.',
+  'notifications.expiringBodyNoCompany': '{{title}} దరఖాస్తులు {{date}}న ముగుస్తాయి.',
+  'notifications.newMatches_one': '"{{name}}" కోసం {{count}} కొత్త ఉద్యోగం',
+  'notifications.newMatches_other': '"{{name}}" కోసం {{count}} కొత్త ఉద్యోగాలు',
+  'notifications.moreMatches': 'ఇంకా {{count}}',
+  'expiryAlert.disabledMessage': 'సేవ్ చేసిన ఉద్యోగాల గడువు ముగిసే ముందు హెచ్చరికలు పొందడానికి మీ పరికర సెట్టింగ్‌లలో JobFinder నోటిఫికేషన్‌లను అనుమతించండి.',
+
+  'tracker.title': 'దరఖాస్తు',
+  'tracker.notePlaceholder': 'నోట్ జోడించండి, ఉదా. HRతో మాట్లాడాను, సోమవారం మళ్ళీ ఫోన్ చేయాలి',
+  'tracker.add': 'జోడించు',
+  'tracker.movedTo': '{{status}}కి మార్చారు',
+  'tracker.deleteNoteTitle': 'నోట్ తొలగించు',
+  'tracker.deleteNoteMessage': 'మీరు నిజంగా ఈ నోట్‌ను తొలగించాలనుకుంటున్నారా?',
+  'tracker.markContactedTitle': 'సంప్రదించినట్లు గుర్తించాలా?',
+  'tracker.markContactedMessage': 'మీ దరఖాస్తు ట్రాకర్‌లో "{{title}}"ను సంప్రదించారుకి మార్చాలా?',
+  'tracker.markContacted': 'సంప్రదించినట్లు గుర్తించు',
+
+  'collections.title': 'సేకరణలు',
+  'collections.saveTo': 'సేకరణలో సేవ్ చేయి',
+  'collections.none': 'సేవ్ చేసిన ఉద్యోగాలు (సేకరణ లేదు)',
+  'collections.new': 'కొత్త సేకరణ',
+  'collections.namePlaceholder': 'ఉదా. ఈ వారం దరఖాస్తు చేయాలి',
+  'collections.newName': 'కొత్త సేకరణ పేరు',
+  'collections.add': 'జోడించు',
+  'collections.create': 'సృష్టించు',
+  'collections.empty': 'ఇంకా సేకరణలు లేవు. కింద ఒకటి సృష్టించండి, ఉదా. "ఈ వారం దరఖాస్తు చేయాలి" లేదా "ఇంటి దగ్గర".',
+  'collections.hint': 'ఏ ఉద్యోగాన్నైనా సేకరణలోకి మార్చడానికి దాని బుక్‌మార్క్ ఐకాన్‌ను నొక్కి పట్టుకోండి.',
+  'collections.nameRequiredTitle': 'పేరు అవసరం',
+  'collections.nameRequiredMessage': 'దయచేసి సేకరణకు ఒక పేరు ఇవ్వండి.',
+  'collections.nameTooLongTitle': 'పేరు చాలా పొడవుగా ఉంది',
+  'collections.nameTooLongMessage': 'సేకరణ పేరు గరిష్టంగా {{max}} అక్షరాలు ఉండవచ్చు.',
+  'collections.nameTakenTitle': 'ఈ పేరు ఇప్పటికే ఉంది',
+  'collections.nameTakenMessage': '"{{name}}" పేరుతో మీకు ఇప్పటికే ఒక సేకరణ ఉంది.',
+  'collections.deleteTitle': 'సేకరణను తొలగించు',
+  'collections.deleteMessage': '"{{name}}"ను తొలగించాలా? అందులోని ఉద్యోగాలు మీ సేవ్ చేసిన ఉద్యోగాల్లో అలాగే ఉంటాయి.',
+
+  'savedSearches.title': 'సేవ్ చేసిన శోధనలు',
+  'savedSearches.namePlaceholder': 'ఈ శోధనకు పేరు పెట్టండి, ఉదా. ఉదయం చెక్',
+  'savedSearches.save': 'సేవ్ చేయి',
+  'savedSearches.hint': 'వెతకండి లేదా ఫిల్టర్‌లు ఎంచుకోండి, తర్వాత సరిపోయే కొత్త ఉద్యోగాల గురించి తెలుసుకోవడానికి వాటిని ఇక్కడ సేవ్ చేయండి.',
+  'savedSearches.newCount': '{{count}} కొత్తవి',
+  'savedSearches.nameRequiredTitle': 'పేరు అవసరం',
+  'savedSearches.nameRequiredMessage': 'దయచేసి ఈ శోధనకు ఒక పేరు ఇవ్వండి.',
+  'savedSearches.nothingToSaveTitle': 'సేవ్ చేయడానికి ఏమీ లేదు',
+  'savedSearches.nothingToSaveMessage': 'ముందుగా ఏదైనా వెతకండి లేదా కొన్ని ఫిల్టర్‌లు ఎంచుకోండి.',
+  'savedSearches.saveFailed': 'ఈ శోధనను సేవ్ చేయడం కుదరలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+  'savedSearches.deleteTitle': 'సేవ్ చేసిన శోధనను తొలగించు',
+  'savedSearches.deleteMessage': 'కొత్త "{{name}}" ఉద్యోగాల కోసం చూడటం ఆపేయాలా?',
+
+  'location.title': 'మీ స్థానం',
+  'location.current': 'ప్రస్తుత స్థానం',
+  'location.clear': 'తీసివేయి',
+  'location.useCurrent': 'నా ప్రస్తుత స్థానాన్ని వాడు',
+  'location.searchPlaceholder': 'లేదా మీ ప్రాంతాన్ని వెతకండి, ఉదా. కూకట్‌పల్లి',
+  'location.noMatch': 'సరిపోయే ప్రాంతం లేదు. దగ్గరలోని నగరాన్ని ప్రయత్నించండి.',
+  'location.permissionTitle': 'స్థాన అనుమతి అవసరం',
+  'location.permissionMessage': 'మీ పరికర సెట్టింగ్‌లలో స్థాన అనుమతి ఇవ్వండి, లేదా జాబితా నుండి మీ ప్రాంతాన్ని ఎంచుకోండి.',
+  'location.unavailableTitle': 'స్థానం అందుబాటులో లేదు',
+  'location.unavailableMessage': 'మీ స్థానాన్ని కనుగొనలేకపోయాం. జాబితా నుండి మీ ప్రాంతాన్ని ఎంచుకోండి.',
+
+  'map.savedOnly': 'సేవ్ చేసినవి మాత్రమే',
+  'map.unplaced_one': 'తెలిసిన స్థానం లేని ఉద్యోగం {{count}}',
+  'map.unplaced_other': 'తెలిసిన స్థానం లేని ఉద్యోగాలు {{count}}',
+  'map.jobsIn_one': '{{place}}లో {{count}} ఉద్యోగం',
+  'map.jobsIn_other': '{{place}}లో {{count}} ఉద్యోగాలు',
+};
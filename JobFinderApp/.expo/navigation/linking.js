@@ -0,0 +1,49 @@
+import * as Linking from 'expo-linking';
+import Constants from 'expo-constants';
+
+// Web address used for shareable links. Universal links (iOS) and app links
+// (Android) for this host are set up in app.json, so the link opens the app
+// when it is installed and the website otherwise.
+const extra = (Constants.expoConfig && Constants.expoConfig.extra && Constants.expoConfig.extra.links) || {};
+export const WEB_BASE_URL = (extra.webBaseUrl || 'https://jobfinder.getlokalapp.com').replace(/\/+$/, '');
+
+export const APP_SCHEME = 'jobfinder';
+
+// Link that opens a job, e.g. https://jobfinder.getlokalapp.com/job/4412
+export const getJobUrl = (jobId) => `${WEB_BASE_URL}/job/${encodeURIComponent(jobId)}`;
+
+// Passed to NavigationContainer. Both jobfinder://job/<id> and the web link
+// open JobDetails on the Jobs tab, with the list underneath.
+export const linking = {
+  prefixes: [Linking.createURL('/'), `${APP_SCHEME}://`, WEB_BASE_URL],
+  config: {
+    screens: {
+      Jobs: {
+        initialRouteName: 'JobsList',
+        screens: {
+          JobsList: '',
+          JobDetails: 'job/:jobId',
+        },
+      },
+      Map: {
+        initialRouteName: 'JobsMap',
+        screens: {
+          JobsMap: 'map',
+        },
+      },
+      Bookmarks: {
+        initialRouteName: 'BookmarksList',
+        screens: {
+          BookmarksList: 'bookmarks',
+        },
+      },
+      Settings: {
+        initialRouteName: 'SettingsHome',
+        screens: {
+          SettingsHome: 'settings',
+          HiddenJobs: 'settings/hidden',
+        },
+      },
+    },
+  },
+};
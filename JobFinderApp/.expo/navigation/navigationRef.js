@@ -0,0 +1,35 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+// Lets code outside the screen tree (e.g. notification handlers) navigate
+export const navigationRef = createNavigationContainerRef();
+
+let pendingNavigation = null;
+
+// Navigate now, or as soon as the NavigationContainer is ready. Only the
+// latest request is kept.
+export const navigate = (name, params) => {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate(name, params);
+  } else {
+    pendingNavigation = { name, params };
+  }
+};
+
+// Passed to NavigationContainer's onReady
+export const flushPendingNavigation = () => {
+  if (pendingNavigation && navigationRef.isReady()) {
+    const { name, params } = pendingNavigation;
+    pendingNavigation = null;
+    navigationRef.navigate(name, params);
+  }
+};
+
+// Open a job's details on the Bookmarks tab, with the list underneath so
+// "back" lands somewhere sensible
+export const openJobDetails = (jobId) => {
+  navigate('Bookmarks', {
+    screen: 'JobDetails',
+    initial: false,
+    params: { jobId },
+  });
+};
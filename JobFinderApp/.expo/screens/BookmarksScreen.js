@@ -1,17 +1,34 @@
-import React, { useContext, useState } from 'react';
+import React, { useContext, useState, useMemo, useEffect } from 'react';
 import { 
   View, 
-  FlatList, 
+  SectionList,
   Text, 
   StyleSheet, 
   ActivityIndicator, 
   TouchableOpacity, 
+  ScrollView,
   Image,
+  Alert,
   SafeAreaView,
   Platform 
 } from 'react-native';
 import { JobContext } from '../context/JobContext';
+import { FilterContext } from '../context/FilterContext';
+import { CollectionContext } from '../context/CollectionContext';
+import { ApplicationContext } from '../context/ApplicationContext';
+import { ExpiryContext } from '../context/ExpiryContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
 import JobCard from '../components/JobCard';
+import SwipeableJobRow from '../components/SwipeableJobRow';
+import UndoSnackbar from '../components/UndoSnackbar';
+import SortMenu from '../components/SortMenu';
+import CollectionManager from '../components/CollectionManager';
+import { sortJobs } from '../utils/jobFilters';
+import { groupByStatus } from '../utils/applicationStatus';
+import { isExpired, EXPIRY_ALERT_OPTIONS } from '../utils/jobExpiry';
+import { MAX_COMPARE_JOBS } from '../utils/jobComparison';
+import { queryBookmarks } from '../storage/bookmarkStore';
 import { Ionicons } from '@expo/vector-icons';
 
 // Use a try-catch for the import to handle missing asset gracefully
@@ -25,25 +42,229 @@ try {
   emptyBookmarksImage = null;
 }
 
+// Helper function to look up the collection a job is in
+const collectionOf = (bookmarkCollections, job) => {
+  const collectionId = bookmarkCollections[String(job.id)];
+  return collectionId === undefined ? null : collectionId;
+};
+
 const BookmarksScreen = ({ navigation }) => {
-  const { bookmarks, clearBookmarks, loading, error } = useContext(JobContext);
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const {
+    bookmarks,
+    clearBookmarks,
+    removeBookmark,
+    removeBookmarks,
+    bookmarksLoading,
+    bookmarksError,
+    verifyAndRepairBookmarks,
+  } = useContext(JobContext);
+  const { bookmarksSort, setBookmarksSort } = useContext(FilterContext);
+  const { collections, bookmarkCollections } = useContext(CollectionContext);
+  const { getApplicationStatus } = useContext(ApplicationContext);
+  const { expiryAlertDays, setExpiryAlertDays } = useContext(ExpiryContext);
+  const { t, formatNumber } = useContext(LanguageContext);
+  const [sortMenuVisible, setSortMenuVisible] = useState(false);
+  const [expiryMenuVisible, setExpiryMenuVisible] = useState(false);
+  // 'list' or 'pipeline', which groups the jobs by application status
+  const [viewMode, setViewMode] = useState('list');
+  const [collectionManagerVisible, setCollectionManagerVisible] = useState(false);
+  // 'all', 'none' for jobs outside any collection, or a collection id
+  const [selectedCollection, setSelectedCollection] = useState('all');
+  // Ids of the jobs picked for comparison, or null outside multi-select mode
+  const [compareIds, setCompareIds] = useState(null);
+  // The last job swiped away, as `{ job, undo, removedAt }`, while it can be undone
+  const [removedJob, setRemovedJob] = useState(null);
+
+  const [storedBookmarks, setStoredBookmarks] = useState(null);
+
+  // Read the sorted list from the local database whenever bookmarks or the
+  // sort change. The default order is the order the jobs were saved in.
+  useEffect(() => {
+    let cancelled = false;
+    queryBookmarks({ sort: bookmarksSort })
+      .then(jobs => {
+        if (!cancelled) setStoredBookmarks(jobs);
+      })
+      .catch(err => {
+        console.error('Error querying bookmarks:', err);
+        if (!cancelled) setStoredBookmarks(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [bookmarks, bookmarksSort]);
+
+  // Sort in memory until the query answers, so changes show up immediately
+  const sortedBookmarks = useMemo(() => {
+    const inSync = storedBookmarks
+      && storedBookmarks.length === bookmarks.length
+      && storedBookmarks.every(job => bookmarks.some(bookmark => bookmark.id === job.id));
+    return inSync ? storedBookmarks : sortJobs(bookmarks, bookmarksSort);
+  }, [storedBookmarks, bookmarks, bookmarksSort]);
+
+  // Fall back to every saved job when the selected collection is deleted
+  useEffect(() => {
+    if (typeof selectedCollection === 'number' && !collections.some(c => c.id === selectedCollection)) {
+      setSelectedCollection('all');
+    }
+  }, [collections, selectedCollection]);
+
+  const visibleBookmarks = useMemo(() => {
+    if (selectedCollection === 'all') return sortedBookmarks;
+    const target = selectedCollection === 'none' ? null : selectedCollection;
+    return sortedBookmarks.filter(job => collectionOf(bookmarkCollections, job) === target);
+  }, [sortedBookmarks, bookmarkCollections, selectedCollection]);
+
+  // Pipeline sections; statuses with no jobs are left out
+  const pipelineSections = groupByStatus(visibleBookmarks, job => getApplicationStatus(job.id))
+    .filter(section => section.data.length > 0);
+
+  // List view keeps expired jobs in their own section at the bottom
+  const listSections = useMemo(() => {
+    const active = [];
+    const expired = [];
+    visibleBookmarks.forEach(job => (isExpired(job) ? expired : active).push(job));
+    const sections = [];
+    if (active.length > 0) sections.push({ key: 'active', data: active });
+    if (expired.length > 0) sections.push({ key: 'expired', data: expired });
+    return sections;
+  }, [visibleBookmarks]);
+
+  const handleRemoveExpired = (expiredJobs) => {
+    Alert.alert(
+      t('bookmarks.removeExpiredTitle'),
+      t('bookmarks.removeExpiredMessage', { count: expiredJobs.length }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.remove'),
+          style: 'destructive',
+          onPress: () => removeBookmarks(expiredJobs.map(job => job.id))
+        }
+      ]
+    );
+  };
+
+  // Forget picks that are no longer saved
+  useEffect(() => {
+    if (!compareIds) return;
+    const stillSaved = compareIds.filter(id => bookmarks.some(job => job.id === id));
+    if (stillSaved.length !== compareIds.length) setCompareIds(stillSaved);
+  }, [bookmarks, compareIds]);
+
+  const toggleCompare = (job) => {
+    if (compareIds.includes(job.id)) {
+      setCompareIds(compareIds.filter(id => id !== job.id));
+      return;
+    }
+    if (compareIds.length >= MAX_COMPARE_JOBS) {
+      Alert.alert(t('compare.fullTitle'), t('compare.fullMessage', { max: MAX_COMPARE_JOBS }));
+      return;
+    }
+    setCompareIds([...compareIds, job.id]);
+  };
+
+  const openComparison = () => {
+    const jobIds = compareIds;
+    setCompareIds(null);
+    navigation.navigate('CompareJobs', { jobIds });
+  };
+
+  const countIn = (collectionId) => bookmarks.filter(job => collectionOf(bookmarkCollections, job) === collectionId).length;
+
+  const renderCollectionTab = (key, label, count) => {
+    const isSelected = selectedCollection === key;
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[styles.collectionTab, isSelected && styles.collectionTabSelected]}
+        onPress={() => setSelectedCollection(key)}
+        accessibilityRole="tab"
+        accessibilityState={{ selected: isSelected }}
+      >
+        <Text
+          style={[styles.collectionTabText, isSelected && styles.collectionTabTextSelected]}
+          numberOfLines={1}
+        >
+          {label} ({formatNumber(count)})
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // Swiping a card away removes it straight away; the snackbar brings it back
+  const handleSwipeRemove = async (job) => {
+    const undo = await removeBookmark(job);
+    if (undo) setRemovedJob({ job, undo, removedAt: Date.now() });
+  };
+
+  const handleUndoRemove = () => {
+    if (removedJob) removedJob.undo();
+    setRemovedJob(null);
+  };
+
+  const renderJob = ({ item }) => {
+    const card = (
+      <JobCard 
+        job={item} 
+        selected={compareIds ? compareIds.includes(item.id) : undefined}
+        onPress={() => (compareIds
+          ? toggleCompare(item)
+          : navigation.navigate('JobDetails', { jobId: item.id }))}
+      />
+    );
+    // Swiping is off while picking jobs to compare
+    if (compareIds) return card;
+    return (
+      <SwipeableJobRow
+        rightAction={{
+          icon: 'trash-outline',
+          label: t('common.remove'),
+          color: colors.expired,
+          onAction: () => handleSwipeRemove(item),
+        }}
+      >
+        {card}
+      </SwipeableJobRow>
+    );
+  };
 
-  if (loading) {
+  const renderUndoSnackbar = () => (
+    <UndoSnackbar
+      id={removedJob ? removedJob.removedAt : null}
+      message={removedJob ? t('bookmarks.removedJob', { title: removedJob.job.title }) : null}
+      onUndo={handleUndoRemove}
+      onDismiss={() => setRemovedJob(null)}
+    />
+  );
+
+  const renderEmptyCollection = () => (
+    <View style={styles.emptyCollection}>
+      <Ionicons name="folder-outline" size={40} color={colors.iconMuted} />
+      <Text style={styles.emptySubText}>
+        {t('bookmarks.emptyCollection')}
+      </Text>
+    </View>
+  );
+
+  if (bookmarksLoading) {
     return (
       <View style={styles.centeredContainer}>
-        <ActivityIndicator size="large" color="#007BFF" />
-        <Text style={styles.loadingText}>Loading saved jobs...</Text>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.loadingText}>{t('bookmarks.loading')}</Text>
       </View>
     );
   }
 
-  if (error) {
+  if (bookmarksError) {
     return (
       <View style={styles.centeredContainer}>
-        <Ionicons name="alert-circle-outline" size={50} color="#ff6b6b" />
-        <Text style={styles.errorText}>{error}</Text>
-        <TouchableOpacity style={styles.retryButton}>
-          <Text style={styles.retryButtonText}>Try Again</Text>
+        <Ionicons name="alert-circle-outline" size={50} color={colors.danger} />
+        <Text style={styles.errorText}>{bookmarksError}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={verifyAndRepairBookmarks}>
+          <Text style={styles.retryButtonText}>{t('common.tryAgain')}</Text>
         </TouchableOpacity>
       </View>
     );
@@ -60,19 +281,20 @@ const BookmarksScreen = ({ navigation }) => {
             />
           ) : (
             // Fallback to an icon if image is missing
-            <Ionicons name="bookmark-outline" size={80} color="#ccc" />
+            <Ionicons name="bookmark-outline" size={80} color={colors.iconMuted} />
           )}
-          <Text style={styles.emptyText}>No bookmarked jobs yet</Text>
+          <Text style={styles.emptyText}>{t('bookmarks.emptyTitle')}</Text>
           <Text style={styles.emptySubText}>
-            Jobs you bookmark will appear here for offline viewing
+            {t('bookmarks.emptyMessage')}
           </Text>
           <TouchableOpacity
             style={styles.browseButton}
             onPress={() => navigation.navigate('Jobs')}
           >
-            <Text style={styles.browseButtonText}>Browse Jobs</Text>
+            <Text style={styles.browseButtonText}>{t('bookmarks.browse')}</Text>
           </TouchableOpacity>
         </View>
+        {renderUndoSnackbar()}
       </SafeAreaView>
     );
   }
@@ -80,49 +302,195 @@ const BookmarksScreen = ({ navigation }) => {
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.headerContainer}>
-        <Text style={styles.headerTitle}>Saved Jobs</Text>
-        <TouchableOpacity 
-          style={styles.clearButton}
-          onPress={clearBookmarks}
+        <Text style={styles.headerTitle} accessibilityRole="header">{t('bookmarks.title')}</Text>
+        <View style={styles.headerActions}>
+          {bookmarks.length > 1 && (
+            <TouchableOpacity
+              style={styles.sortButton}
+              onPress={() => setCompareIds(compareIds ? null : [])}
+              accessibilityRole="button"
+              accessibilityLabel={t('nav.compareJobs')}
+              accessibilityState={{ selected: !!compareIds }}
+            >
+              <Ionicons name="git-compare-outline" size={20} color={compareIds ? colors.primary : colors.textSecondary} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.sortButton}
+            onPress={() => setViewMode(viewMode === 'list' ? 'pipeline' : 'list')}
+            accessibilityRole="button"
+            accessibilityLabel={viewMode === 'list' ? t('a11y.showPipeline') : t('a11y.showList')}
+          >
+            <Ionicons
+              name={viewMode === 'list' ? 'git-network-outline' : 'list-outline'}
+              size={20}
+              color={viewMode === 'pipeline' ? colors.primary : colors.textSecondary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.sortButton}
+            onPress={() => setExpiryMenuVisible(true)}
+            accessibilityRole="button"
+            accessibilityLabel={t('bookmarks.expiryMenuTitle')}
+            accessibilityValue={{ text: t(`expiryAlert.${expiryAlertDays}`) }}
+          >
+            <Ionicons
+              name={expiryAlertDays > 0 ? 'notifications-outline' : 'notifications-off-outline'}
+              size={20}
+              color={expiryAlertDays > 0 ? colors.primary : colors.textSecondary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.sortButton}
+            onPress={() => setSortMenuVisible(true)}
+            accessibilityRole="button"
+            accessibilityLabel={t('sort.title')}
+            accessibilityValue={{ text: t(`sort.${bookmarksSort}`) }}
+          >
+            <Ionicons name="swap-vertical-outline" size={20} color={bookmarksSort !== 'default' ? colors.primary : colors.textSecondary} />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.clearButton}
+            onPress={clearBookmarks}
+            accessibilityRole="button"
+          >
+            <Text style={styles.clearButtonText}>{t('bookmarks.clearAll')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <View style={styles.collectionBar}>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.collectionTabs}
+        >
+          {renderCollectionTab('all', t('bookmarks.all'), bookmarks.length)}
+          {collections.length > 0 && renderCollectionTab('none', t('bookmarks.unsorted'), countIn(null))}
+          {collections.map(collection => (
+            renderCollectionTab(collection.id, collection.name, countIn(collection.id))
+          ))}
+        </ScrollView>
+        <TouchableOpacity
+          style={styles.manageButton}
+          onPress={() => setCollectionManagerVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.manageCollections')}
         >
-          <Text style={styles.clearButtonText}>Clear All</Text>
+          <Ionicons name="folder-open-outline" size={20} color={colors.primary} />
         </TouchableOpacity>
       </View>
       
-      <FlatList
-        data={bookmarks}
-        renderItem={({ item }) => (
-          <JobCard 
-            job={item} 
-            onPress={() => navigation.navigate('JobDetails', { job: item })}
-          />
-        )}
-        keyExtractor={item => item.id.toString()}
-        contentContainerStyle={styles.listContainer}
-        showsVerticalScrollIndicator={false}
+      {viewMode === 'pipeline' ? (
+        <SectionList
+          sections={pipelineSections}
+          renderItem={renderJob}
+          renderSectionHeader={({ section }) => (
+            <View style={styles.sectionHeader}>
+              <Ionicons name={section.status.icon} size={18} color={colors[section.status.colorKey]} />
+              <Text style={[styles.sectionHeaderText, { color: colors[section.status.colorKey] }]}>
+                {t(`status.${section.status.key}`)}
+              </Text>
+              <Text style={styles.sectionCount}>{section.data.length}</Text>
+            </View>
+          )}
+          keyExtractor={item => item.id.toString()}
+          contentContainerStyle={styles.listContainer}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={renderEmptyCollection}
+        />
+      ) : (
+        <SectionList
+          sections={listSections}
+          renderItem={renderJob}
+          renderSectionHeader={({ section }) => (section.key === 'expired' ? (
+            <View style={styles.sectionHeader}>
+              <Ionicons name="close-circle-outline" size={18} color={colors.expired} />
+              <Text style={[styles.sectionHeaderText, { color: colors.expired }]}>
+                {t('bookmarks.expired', { count: section.data.length })}
+              </Text>
+              <TouchableOpacity onPress={() => handleRemoveExpired(section.data)} accessibilityRole="button">
+                <Text style={styles.clearButtonText}>{t('bookmarks.removeAll')}</Text>
+              </TouchableOpacity>
+            </View>
+          ) : null)}
+          stickySectionHeadersEnabled={false}
+          keyExtractor={item => item.id.toString()}
+          contentContainerStyle={styles.listContainer}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={renderEmptyCollection}
+        />
+      )}
+      {compareIds && (
+        <View style={styles.compareBar}>
+          <Text style={styles.compareHint}>
+            {compareIds.length === 0
+              ? t('compare.pick', { max: MAX_COMPARE_JOBS })
+              : t('compare.selected', { count: compareIds.length, max: MAX_COMPARE_JOBS })}
+          </Text>
+          <TouchableOpacity style={styles.compareCancel} onPress={() => setCompareIds(null)}>
+            <Text style={styles.compareCancelText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.compareButton, compareIds.length < 2 && styles.compareButtonDisabled]}
+            onPress={openComparison}
+            disabled={compareIds.length < 2}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: compareIds.length < 2 }}
+          >
+            <Text style={styles.compareButtonText}>{t('compare.button')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      <CollectionManager
+        visible={collectionManagerVisible}
+        onClose={() => setCollectionManagerVisible(false)}
+      />
+      <SortMenu
+        visible={sortMenuVisible}
+        selected={bookmarksSort}
+        onSelect={(key) => {
+          setBookmarksSort(key);
+          setSortMenuVisible(false);
+        }}
+        onClose={() => setSortMenuVisible(false)}
       />
+      <SortMenu
+        title={t('bookmarks.expiryMenuTitle')}
+        visible={expiryMenuVisible}
+        selected={expiryAlertDays}
+        options={EXPIRY_ALERT_OPTIONS.map(option => ({ ...option, label: t(`expiryAlert.${option.key}`) }))}
+        onSelect={(days) => {
+          setExpiryMenuVisible(false);
+          setExpiryAlertDays(days);
+        }}
+        onClose={() => setExpiryMenuVisible(false)}
+      />
+      {renderUndoSnackbar()}
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f8f8f8',
+    backgroundColor: colors.background,
   },
   listContainer: {
     paddingBottom: 20,
   },
+  // The actions move under the title when large text needs the room
   headerContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'space-between',
     alignItems: 'center',
     paddingHorizontal: 16,
     paddingVertical: 12,
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     ...Platform.select({
       ios: {
-        shadowColor: '#000',
+        shadowColor: colors.shadow,
         shadowOffset: { width: 0, height: 1 },
         shadowOpacity: 0.1,
         shadowRadius: 2,
@@ -132,17 +500,118 @@ const styles = StyleSheet.create({
       },
     }),
   },
+  collectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderTopWidth: 1,
+    borderTopColor: colors.surface,
+  },
+  collectionTabs: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  collectionTab: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+    marginRight: 8,
+    maxWidth: 180,
+  },
+  collectionTabSelected: {
+    backgroundColor: colors.primary,
+  },
+  collectionTabText: {
+    color: colors.text,
+    fontSize: 13,
+  },
+  collectionTabTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  manageButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderLeftWidth: 1,
+    borderLeftColor: colors.surface,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: colors.background,
+  },
+  sectionHeaderText: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  sectionCount: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  compareBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: colors.card,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  compareHint: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  compareCancel: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  compareCancelText: {
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  compareButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  compareButtonDisabled: {
+    backgroundColor: colors.primaryMuted,
+  },
+  compareButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  emptyCollection: {
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingHorizontal: 32,
+  },
   headerTitle: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sortButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
   },
   clearButton: {
     paddingVertical: 6,
     paddingHorizontal: 12,
   },
   clearButtonText: {
-    color: '#ff6b6b',
+    color: colors.danger,
     fontWeight: '600',
   },
   centeredContainer: {
@@ -150,15 +619,15 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
     padding: 20,
-    backgroundColor: '#f8f8f8',
+    backgroundColor: colors.background,
   },
   loadingText: {
     marginTop: 10,
-    color: '#666',
+    color: colors.textSecondary,
     fontSize: 16,
   },
   errorText: {
-    color: '#ff6b6b',
+    color: colors.danger,
     fontSize: 16,
     textAlign: 'center',
     marginTop: 10,
@@ -167,11 +636,11 @@ const styles = StyleSheet.create({
     marginTop: 20,
     paddingHorizontal: 20,
     paddingVertical: 10,
-    backgroundColor: '#007BFF',
+    backgroundColor: colors.primary,
     borderRadius: 8,
   },
   retryButtonText: {
-    color: 'white',
+    color: colors.onPrimary,
     fontWeight: '600',
   },
   emptyContainer: {
@@ -184,28 +653,28 @@ const styles = StyleSheet.create({
     width: 120,
     height: 120,
     marginBottom: 20,
-    tintColor: '#ccc',
+    tintColor: colors.iconMuted,
   },
   emptyText: {
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 10,
-    color: '#333',
+    color: colors.text,
   },
   emptySubText: {
     fontSize: 14,
-    color: '#666',
+    color: colors.textSecondary,
     textAlign: 'center',
     marginBottom: 30,
   },
   browseButton: {
-    backgroundColor: '#007BFF',
+    backgroundColor: colors.primary,
     paddingHorizontal: 20,
     paddingVertical: 12,
     borderRadius: 8,
     ...Platform.select({
       ios: {
-        shadowColor: '#007BFF',
+        shadowColor: colors.primary,
         shadowOffset: { width: 0, height: 4 },
         shadowOpacity: 0.3,
         shadowRadius: 4,
@@ -216,7 +685,7 @@ const styles = StyleSheet.create({
     }),
   },
   browseButtonText: {
-    color: 'white',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: '600',
   },
@@ -0,0 +1,186 @@
+import React, { useContext, useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { JobContext } from '../context/JobContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import { buildComparison } from '../utils/jobComparison';
+
+const LABEL_WIDTH = 110;
+const COLUMN_WIDTH = 150;
+
+// Side-by-side table of two or three saved jobs
+const CompareJobsScreen = ({ route, navigation }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { getLoadedJob } = useContext(JobContext);
+  const { t } = useContext(LanguageContext);
+  const [jobIds, setJobIds] = useState((route.params && route.params.jobIds) || []);
+
+  // Jobs removed from saved jobs since the table opened drop out of it.
+  // Rows are rebuilt on each render so labels follow the app language.
+  const jobs = jobIds.map(getLoadedJob).filter(Boolean);
+  const rows = buildComparison(jobs);
+
+  const removeColumn = (jobId) => {
+    setJobIds(prev => prev.filter(id => String(id) !== String(jobId)));
+  };
+
+  if (jobs.length < 2) {
+    return (
+      <View style={styles.centeredContainer}>
+        <Ionicons name="git-compare-outline" size={50} color={colors.iconMuted} />
+        <Text style={styles.emptyText}>{t('compare.needTwo')}</Text>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backButtonText}>{t('compare.back')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <View>
+          <View style={styles.row}>
+            <View style={[styles.labelCell, styles.headerCell]} />
+            {jobs.map(job => (
+              <View key={job.id} style={[styles.cell, styles.headerCell]}>
+                <TouchableOpacity onPress={() => navigation.navigate('JobDetails', { jobId: job.id })}>
+                  <Text style={styles.jobTitle} numberOfLines={2}>{job.title}</Text>
+                  <Text style={styles.companyName} numberOfLines={1}>
+                    {job.companyName || t('card.unknownCompany')}
+                  </Text>
+                </TouchableOpacity>
+                {jobs.length > 2 && (
+                  <TouchableOpacity
+                    style={styles.removeButton}
+                    onPress={() => removeColumn(job.id)}
+                    hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  >
+                    <Ionicons name="close-circle" size={18} color={colors.textMuted} />
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+          </View>
+
+          {rows.map((row, rowIndex) => (
+            <View key={row.key} style={[styles.row, rowIndex % 2 === 1 && styles.rowAlt]}>
+              <View style={styles.labelCell}>
+                <Ionicons name={row.icon} size={16} color={colors.textSecondary} />
+                <Text style={styles.labelText}>{row.label}</Text>
+              </View>
+              {row.cells.map((cell, index) => (
+                <View key={jobs[index].id} style={[styles.cell, cell.best && styles.bestCell]}>
+                  <Text style={[styles.cellText, cell.best && styles.bestText]}>{cell.text}</Text>
+                  {cell.best && <Ionicons name="trophy-outline" size={14} color={colors.success} />}
+                </View>
+              ))}
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+      <Text style={styles.legendText}>{t('compare.legend')}</Text>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.card,
+  },
+  row: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  rowAlt: {
+    backgroundColor: colors.rowAlt,
+  },
+  labelCell: {
+    width: LABEL_WIDTH,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 12,
+  },
+  labelText: {
+    marginLeft: 6,
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  headerCell: {
+    backgroundColor: colors.background,
+  },
+  cell: {
+    width: COLUMN_WIDTH,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 10,
+    paddingVertical: 12,
+    borderLeftWidth: 1,
+    borderLeftColor: colors.divider,
+  },
+  bestCell: {
+    backgroundColor: colors.successSoft,
+  },
+  cellText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+  },
+  bestText: {
+    color: colors.successText,
+    fontWeight: 'bold',
+  },
+  jobTitle: {
+    width: COLUMN_WIDTH - 40,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  companyName: {
+    width: COLUMN_WIDTH - 40,
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  removeButton: {
+    alignSelf: 'flex-start',
+  },
+  legendText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    padding: 16,
+  },
+  centeredContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: colors.background,
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  backButton: {
+    marginTop: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+  },
+  backButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+});
+
+export default CompareJobsScreen;
@@ -0,0 +1,139 @@
+import React, { useContext } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { JobContext } from '../context/JobContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+
+// Companies and jobs the user hid from the feed, each with a button to bring
+// them back
+const HiddenJobsScreen = () => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { hiddenJobs, hiddenCompanies, unhideJob, unhideCompany } = useContext(JobContext);
+  const { t, formatDate } = useContext(LanguageContext);
+
+  // Helper function to render one hidden item with its unhide button
+  const renderRow = (key, title, subtitle, onUnhide) => (
+    <View key={key} style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle} numberOfLines={2}>{title}</Text>
+        {subtitle ? <Text style={styles.rowSubtitle} numberOfLines={1}>{subtitle}</Text> : null}
+      </View>
+      <TouchableOpacity
+        style={styles.unhideButton}
+        onPress={onUnhide}
+        accessibilityRole="button"
+        accessibilityLabel={`${t('hidden.unhide')}, ${title}`}
+      >
+        <Text style={styles.unhideText}>{t('hidden.unhide')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (hiddenJobs.length === 0 && hiddenCompanies.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="eye-outline" size={50} color={colors.iconMuted} />
+        <Text style={styles.emptyText}>{t('hidden.empty')}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      {hiddenCompanies.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('hidden.companies')}</Text>
+          {hiddenCompanies.map(company => renderRow(
+            company.key,
+            company.name,
+            t('hidden.hiddenOn', { date: formatDate(company.hiddenAt) }),
+            () => unhideCompany(company.key)
+          ))}
+        </View>
+      )}
+
+      {hiddenJobs.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('hidden.jobs')}</Text>
+          {hiddenJobs.map(hiddenJob => renderRow(
+            hiddenJob.id,
+            hiddenJob.title || t('hidden.untitledJob'),
+            hiddenJob.companyName,
+            () => unhideJob(hiddenJob.id)
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  section: {
+    backgroundColor: colors.card,
+    marginTop: 16,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: colors.divider,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  rowInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowTitle: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  rowSubtitle: {
+    marginTop: 2,
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  unhideButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: colors.primarySoft,
+  },
+  unhideText: {
+    color: colors.primarySoftText,
+    fontWeight: '600',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+    backgroundColor: colors.background,
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default HiddenJobsScreen;
@@ -1,62 +1,63 @@
-import React, { useContext } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Linking, Platform, Share } from 'react-native';
+import React, { useContext, useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Linking,
+  Platform,
+  Share,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { JobContext } from '../context/JobContext';
+import { CollectionContext } from '../context/CollectionContext';
+import { ApplicationContext } from '../context/ApplicationContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import CollectionPicker from '../components/CollectionPicker';
+import ApplicationTracker from '../components/ApplicationTracker';
+import JobNotes from '../components/JobNotes';
+import JobContent from '../components/JobContent';
+import { formatSalary, formatOpenings, hasOpeningsTag } from '../utils/jobParser';
+import { getJobUrl } from '../navigation/linking';
+import { getTagColors } from '../theme/tagColors';
+import { getErrorMessage, NotFoundError } from '../api';
 
-const JobDetailsScreen = ({ route }) => {
-  const { job } = route.params;
+const JobDetails = ({ job, refreshing, onRefresh }) => {
+  const theme = useContext(ThemeContext);
+  const { colors } = theme;
+  const styles = useThemedStyles(createStyles);
   const { isBookmarked, toggleBookmark } = useContext(JobContext);
+  const { getJobCollection } = useContext(CollectionContext);
+  const { offerContactedStatus } = useContext(ApplicationContext);
+  const { t, formatNumber, formatDate } = useContext(LanguageContext);
+  const [collectionPickerVisible, setCollectionPickerVisible] = useState(false);
   
   const bookmarked = isBookmarked(job.id);
-
-  // Helper function to safely convert any value to a renderable string
-  const safeToString = (value) => {
-    if (value === null || value === undefined) return '';
-    
-    if (typeof value === 'object') {
-      // Handle specific object format with these keys
-      if (value.Place || value.Salary || value.Job_Type || value.Experience || value.Fees_Charged || value.Qualification) {
-        const parts = [];
-        if (value.Place) parts.push(`Location: ${value.Place}`);
-        if (value.Salary) parts.push(`Salary: ${value.Salary}`);
-        if (value.Job_Type) parts.push(`Type: ${value.Job_Type}`);
-        if (value.Experience) parts.push(`Experience: ${value.Experience}`);
-        if (value.Fees_Charged) parts.push(`Fees: ${value.Fees_Charged}`);
-        if (value.Qualification) parts.push(`Qualification: ${value.Qualification}`);
-        
-        return parts.join('\n');
-      }
-      
-      // General object handling
-      return JSON.stringify(value)
-        .replace(/[{}"]/g, '')
-        .replace(/,/g, ', ');
-    }
-    
-    return String(value);
-  };
-
-  // Helper function to extract field value from contentV3
-  const getContentV3FieldValue = (fieldKey) => {
-    if (job.contentV3 && job.contentV3.V3 && Array.isArray(job.contentV3.V3)) {
-      const field = job.contentV3.V3.find(item => item.field_key === fieldKey);
-      return field ? field.field_value : null;
-    }
-    return null;
-  };
+  const collection = getJobCollection(job.id);
 
   const handleCall = () => {
-    const phoneNumber = job.whatsapp_no || job.phone;
+    const phoneNumber = job.contact.phone;
     if (phoneNumber) {
       let phoneUrl = Platform.OS === 'android' ? `tel:${phoneNumber}` : `telprompt:${phoneNumber}`;
       Linking.openURL(phoneUrl);
+      offerContactedStatus(job);
     }
   };
 
+  const handleWhatsApp = () => {
+    Linking.openURL(`whatsapp://send?phone=${job.contact.whatsapp}`);
+    offerContactedStatus(job);
+  };
+
   const handleShare = async () => {
     try {
       await Share.share({
-        message: `Check out this job: ${job.title} at ${job.company_name || 'a company'}`,
+        message: `${t('details.shareMessage', { title: job.title, company: job.companyName || t('details.aCompany') })}\n${getJobUrl(job.id)}`,
       });
     } catch (error) {
       console.error('Error sharing job:', error);
@@ -67,258 +68,373 @@ const JobDetailsScreen = ({ route }) => {
   const renderDetailItem = (icon, label, value, suffix = '') => {
     if (!value) return null;
     
-    // Use the safe conversion function
-    const displayValue = safeToString(value);
-    
     return (
-      <View style={styles.infoItem}>
-        <Ionicons name={icon} size={20} color="#666" />
+      <View style={styles.infoItem} accessible accessibilityLabel={`${label}: ${value}${suffix}`}>
+        <Ionicons name={icon} size={20} color={colors.textSecondary} />
         <Text style={styles.infoLabel}>{label}:</Text>
-        <Text style={styles.infoText}>{displayValue}{suffix}</Text>
+        <Text style={styles.infoText}>{value}{suffix}</Text>
       </View>
     );
   };
 
-  // Helper function to format salary range
-  const formatSalaryRange = () => {
-    // First check if we have salary in primary_details
-    if (job.primary_details && job.primary_details.Salary) {
-      // Return "Not Mentioned" if the primary_details.Salary is "-"
-      if (job.primary_details.Salary === "-") {
-        return "Not Mentioned";
-      }
-      return job.primary_details.Salary;
-    }
-    
-    // Check for v3:[] format
-    if (job.salary === 'v3:[]' || job.salary_min === 'v3:[]' || job.salary_max === 'v3:[]' || 
-        job.salary === '-' || job.salary_min === '-' || job.salary_max === '-') {
-      return 'Not Mentioned';
-    }
-    
-    if (job.salary_min && job.salary_max) {
-      return `₹${job.salary_min} - ₹${job.salary_max}`;
-    } else if (job.salary_min) {
-      return `₹${job.salary_min}+`;
-    } else if (job.salary_max) {
-      return `Up to ₹${job.salary_max}`;
-    } else if (job.fee_details && job.fee_details !== '-') {
-      return job.fee_details;
-    } else {
-      return 'Not Mentioned';
-    }
-  };
-
-  // Helper function to format location with job_location_slug
-  const formatLocation = () => {
-    const parts = [];
-    
-    // Add locality if available
-    
-    // Fix: Add safe type checking before using includes method
-    if (job.job_location_slug) {
-      const shouldAdd = !parts.some(part => {
-        // Make sure part is a string before calling includes
-        if (typeof part !== 'string' || part === undefined) return false;
-        
-        // Ensure job_location_slug is a string
-        const slug = String(job.job_location_slug);
-        return part.includes(slug) || slug.includes(part);
-      });
-      
-      if (shouldAdd) {
-        parts.push(job.job_location_slug);
-      }
-    }
-    
-    return parts.join(', ');
-  };
-
   // Helper function to render tags with proper styling
   const renderTags = () => {
     const tagsToRender = [];
     
-    // Add job_tags if they exist
-    if (job.job_tags && job.job_tags.length > 0) {
-      job.job_tags.forEach((tag, index) => {
-        tagsToRender.push(
-          <View 
-            key={`job-tag-${index}`} 
-            style={[
-              styles.tagItem, 
-              { 
-                backgroundColor: tag.bg_color || '#E7F3FE'
-              }
-            ]}
-          >
-            <Text 
-              style={[
-                styles.tagText, 
-                {
-                  color: tag.text_color || '#0E56A8'
-                }
-              ]}
-            >
-              {tag.value}
-            </Text>
-          </View>
-        );
-      });
-    }
+    // Add the server supplied tags
+    job.tags.forEach((tag, index) => {
+      const tagColors = getTagColors(tag, theme);
+      tagsToRender.push(
+        <View 
+          key={`job-tag-${index}`} 
+          style={[styles.tagItem, { backgroundColor: tagColors.backgroundColor }]}
+        >
+          <Text style={[styles.tagText, { color: tagColors.color }]}>
+            {tag.label}
+          </Text>
+        </View>
+      );
+    });
     
-    // If we have openings_count but no job_tags for it, add it as a tag
-    if ((!job.job_tags || !job.job_tags.some(tag => tag.value && tag.value.includes('Vacanc'))) && 
-        job.openings_count && job.openings_count > 0) {
+    // If we have openings but no vacancy tag for it, add it as a tag
+    if (!hasOpeningsTag(job) && job.openings) {
       tagsToRender.push(
         <View 
           key="openings-tag" 
           style={[
             styles.tagItem, 
-            { backgroundColor: '#E7F3FE' }
+            { backgroundColor: colors.primarySoft }
           ]}
         >
           <Text 
             style={[
               styles.tagText, 
-              { color: '#0E56A8' }
+              { color: colors.primarySoftText }
             ]}
           >
-            {job.openings_count} {job.openings_count === 1 ? 'Vacancy' : 'Vacancies'}
+            {formatOpenings(job.openings)}
           </Text>
         </View>
       );
     }
     
-    // Add regular tags
-    if (job.tags && job.tags.length > 0) {
-      job.tags.forEach((tag, index) => {
-        tagsToRender.push(
-          <View key={`tag-${index}`} style={styles.tagItem}>
-            <Text style={styles.tagText}>{tag}</Text>
-          </View>
-        );
-      });
-    }
+    // Add plain keyword tags
+    job.keywords.forEach((keyword, index) => {
+      tagsToRender.push(
+        <View key={`tag-${index}`} style={styles.tagItem}>
+          <Text style={styles.tagText}>{keyword}</Text>
+        </View>
+      );
+    });
     
     return tagsToRender;
   };
 
-  // Helper function to get proper text representation for fields that might be numbers
-  const getFieldTextValue = (field, primaryDetailsField) => {
-    if (typeof field === 'number' && job.primary_details && job.primary_details[primaryDetailsField]) {
-      return job.primary_details[primaryDetailsField];
-    }
-    return field;
-  };
-
-  // Process fields that might be numbers
-  const experienceText = getFieldTextValue(job.experience, 'Experience');
-  const jobTypeText = getFieldTextValue(job.job_type, 'Job_Type');
-  const qualificationText = getFieldTextValue(job.qualification, 'Qualification');
-  
-  // Get shift timing from contentV3
-  const shiftTiming = getContentV3FieldValue('Shift timing');
-
   return (
-    <ScrollView style={styles.container}>
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
       <View style={styles.header}>
-        <Text style={styles.title}>{job.title}</Text>
-        <TouchableOpacity onPress={() => toggleBookmark(job)} style={styles.bookmarkButton}>
+        <Text style={styles.title} accessibilityRole="header">{job.title}</Text>
+        <TouchableOpacity
+          onPress={() => toggleBookmark(job)}
+          onLongPress={() => setCollectionPickerVisible(true)}
+          style={styles.bookmarkButton}
+          accessibilityRole="button"
+          accessibilityLabel={bookmarked ? t('a11y.unsaveJob') : t('a11y.saveJob')}
+          accessibilityHint={t('a11y.bookmarkHint')}
+        >
           <Ionicons 
             name={bookmarked ? 'bookmark' : 'bookmark-outline'} 
             size={24} 
-            color={bookmarked ? '#007BFF' : '#333'} 
+            color={bookmarked ? colors.primary : colors.text} 
           />
         </TouchableOpacity>
       </View>
+
+      <TouchableOpacity
+        style={styles.collectionButton}
+        onPress={() => setCollectionPickerVisible(true)}
+        accessibilityRole="button"
+      >
+        <Ionicons name="folder-outline" size={16} color={colors.primary} />
+        <Text style={styles.collectionButtonText} numberOfLines={1}>
+          {collection ? collection.name : t('details.addToCollection')}
+        </Text>
+        <Ionicons name="chevron-down" size={14} color={colors.primary} />
+      </TouchableOpacity>
       
       <View style={styles.infoSection}>
-        {renderDetailItem('business-outline', 'Company', job.company_name)}
-        {renderDetailItem('location-outline', 'Location', formatLocation())}
-        {renderDetailItem('cash-outline', 'Salary', formatSalaryRange())}
-        {renderDetailItem('briefcase-outline', 'Type', jobTypeText)}
-        {renderDetailItem('school-outline', 'Qualification', qualificationText)}
-        {renderDetailItem('time-outline', 'Experience', experienceText)}
-        {renderDetailItem('time-outline', 'Shift', shiftTiming || job.shift_timing)}
-        {renderDetailItem('people-outline', 'Openings', job.openings_count)}
-        {renderDetailItem('hourglass-outline', 'Hours', job.job_hours)}
-        {job.job_role && renderDetailItem('person-outline', 'Role', job.job_role)}
+        {renderDetailItem('business-outline', t('details.company'), job.companyName)}
+        {renderDetailItem('location-outline', t('details.location'), job.location.label)}
+        {renderDetailItem('cash-outline', t('details.salary'), formatSalary(job.salary))}
+        {renderDetailItem('briefcase-outline', t('details.type'), job.jobType)}
+        {renderDetailItem('school-outline', t('details.qualification'), job.qualification)}
+        {renderDetailItem('time-outline', t('details.experience'), job.experience)}
+        {renderDetailItem('time-outline', t('details.shift'), job.shift)}
+        {renderDetailItem('people-outline', t('details.openings'), job.openings && formatNumber(job.openings))}
+        {renderDetailItem('hourglass-outline', t('details.hours'), job.hours)}
+        {renderDetailItem('wallet-outline', t('details.fees'), job.fees)}
+        {renderDetailItem('person-outline', t('details.role'), job.role)}
       </View>
       
-      {(job.primary_details || job.contentV3) && (
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Description</Text>
-          <Text style={styles.descriptionText}>
-            {safeToString(job.primary_details || job.contentV3)}
-          </Text>
-        </View>
-      )}
+      <JobContent job={job} />
       
-      {job.other_details && (
+      {job.otherDetails && (
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Other Details</Text>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('details.otherDetails')}</Text>
           <Text style={styles.descriptionText}>
-            {safeToString(job.other_details)}
+            {job.otherDetails}
           </Text>
         </View>
       )}
       
       {/* Tags section */}
       <View style={styles.section}>
-        <Text style={styles.sectionTitle}>Tags</Text>
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('details.tags')}</Text>
         <View style={styles.tagsContainer}>
           {renderTags()}
         </View>
       </View>
       
       <View style={styles.actionButtons}>
-        {job.whatsapp_no && (
+        {job.contact.whatsapp && (
           <TouchableOpacity 
-            style={[styles.contactButton, { backgroundColor: '#25D366' }]} 
-            onPress={() => {
-              Linking.openURL(`whatsapp://send?phone=${job.whatsapp_no}`);
-            }}
+            style={[styles.contactButton, { backgroundColor: colors.whatsapp }]} 
+            onPress={handleWhatsApp}
+            accessibilityRole="button"
+            accessibilityLabel={t('details.whatsapp')}
+            accessibilityHint={t('a11y.whatsappHint')}
           >
-            <Ionicons name="logo-whatsapp" size={20} color="white" />
-            <Text style={styles.contactButtonText}>WhatsApp</Text>
+            <Ionicons name="logo-whatsapp" size={20} color={colors.onPrimary} />
+            <Text style={styles.contactButtonText}>{t('details.whatsapp')}</Text>
           </TouchableOpacity>
         )}
         
-        {(job.whatsapp_no || job.phone) && (
-          <TouchableOpacity style={styles.contactButton} onPress={handleCall}>
-            <Ionicons name="call-outline" size={20} color="white" />
-            <Text style={styles.contactButtonText}>Call</Text>
+        {job.contact.phone && (
+          <TouchableOpacity
+            style={styles.contactButton}
+            onPress={handleCall}
+            accessibilityRole="button"
+            accessibilityLabel={t('details.call')}
+            accessibilityHint={t('a11y.callHint')}
+          >
+            <Ionicons name="call-outline" size={20} color={colors.onPrimary} />
+            <Text style={styles.contactButtonText}>{t('details.call')}</Text>
           </TouchableOpacity>
         )}
         
         <TouchableOpacity 
-          style={[styles.contactButton, { backgroundColor: '#4267B2' }]} 
+          style={[styles.contactButton, { backgroundColor: colors.facebook }]} 
           onPress={handleShare}
+          accessibilityRole="button"
+          accessibilityLabel={t('details.share')}
+          accessibilityHint={t('a11y.shareHint')}
         >
-          <Ionicons name="share-social-outline" size={20} color="white" />
-          <Text style={styles.contactButtonText}>Share</Text>
+          <Ionicons name="share-social-outline" size={20} color={colors.onPrimary} />
+          <Text style={styles.contactButtonText}>{t('details.share')}</Text>
         </TouchableOpacity>
       </View>
+
+      <JobNotes job={job} />
+
+      <ApplicationTracker job={job} />
       
       <View style={styles.footer}>
-        <Text style={styles.footerText}>Posted: {new Date(job.created_on).toLocaleDateString()}</Text>
-        {job.updated_on && job.updated_on !== job.created_on && (
-          <Text style={styles.footerText}>Updated: {new Date(job.updated_on).toLocaleDateString()}</Text>
+        {job.createdOn && (
+          <Text style={styles.footerText}>{t('details.posted', { date: formatDate(job.createdOn) })}</Text>
         )}
-        {job.expire_on && (
-          <Text style={styles.footerText}>Expires: {new Date(job.expire_on).toLocaleDateString()}</Text>
+        {job.updatedOn && job.updatedOn !== job.createdOn && (
+          <Text style={styles.footerText}>{t('details.updated', { date: formatDate(job.updatedOn) })}</Text>
         )}
-        <Text style={styles.footerText}>Views: {job.views || 0}</Text>
+        {job.expireOn && (
+          <Text style={styles.footerText}>{t('details.expires', { date: formatDate(job.expireOn) })}</Text>
+        )}
+        <Text style={styles.footerText}>{t('details.views', { count: job.views || 0 })}</Text>
       </View>
+
+      <CollectionPicker
+        job={job}
+        visible={collectionPickerVisible}
+        onClose={() => setCollectionPickerVisible(false)}
+      />
     </ScrollView>
   );
 };
 
-const styles = StyleSheet.create({
+// The screen only receives a job id, so it can be refreshed, restored after
+// the app was killed and opened from links and notifications
+const JobDetailsScreen = ({ route, navigation }) => {
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { jobId } = route.params || {};
+  const { getLoadedJob, findJob, refreshJob, isBookmarked, removeBookmarks } = useContext(JobContext);
+  const { t } = useContext(LanguageContext);
+  // Jobs already in memory show straight away
+  const [job, setJob] = useState(() => (jobId !== undefined ? getLoadedJob(jobId) : null));
+  // 'ready' | 'loading' | 'removed' | 'error'
+  const [status, setStatus] = useState(job ? 'ready' : 'loading');
+  const [loadError, setLoadError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Context functions change on every render. The effect below reads the
+  // latest ones from here so that it only re-runs for a new job id.
+  const latest = useRef({});
+
+  // Answers for a job the screen has since moved away from are dropped
+  const isCurrentJob = (id) => latest.current.jobId === id;
+
+  const loadJob = async (id = jobId) => {
+    if (id === undefined || id === null) {
+      setStatus('removed');
+      return;
+    }
+    setStatus('loading');
+    try {
+      const found = await findJob(id);
+      if (!isCurrentJob(id)) return;
+      setJob(found);
+      setStatus('ready');
+    } catch (err) {
+      if (!isCurrentJob(id)) return;
+      setLoadError(err);
+      setStatus(err instanceof NotFoundError ? 'removed' : 'error');
+    }
+  };
+
+  latest.current = { jobId, getLoadedJob, loadJob };
+
+  // Notifications and links reuse this screen for another job, so start over
+  // whenever the id changes
+  useEffect(() => {
+    const loaded = jobId !== undefined && jobId !== null ? latest.current.getLoadedJob(jobId) : null;
+    setJob(loaded);
+    setLoadError(null);
+    if (loaded) {
+      setStatus('ready');
+    } else {
+      latest.current.loadJob(jobId);
+    }
+  }, [jobId]);
+
+  // Pull-to-refresh always asks the API for the latest copy
+  const handleRefresh = async () => {
+    const id = jobId;
+    setRefreshing(true);
+    try {
+      const fresh = await refreshJob(id);
+      if (!isCurrentJob(id)) return;
+      setJob(fresh);
+      setStatus('ready');
+    } catch (err) {
+      if (!isCurrentJob(id)) return;
+      if (err instanceof NotFoundError) {
+        setStatus('removed');
+      } else {
+        Alert.alert(t('details.refreshFailed'), getErrorMessage(err), [{ text: t('common.ok') }]);
+      }
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  if (status === 'removed') {
+    const saved = job && isBookmarked(job.id);
+    return (
+      <View style={styles.centeredContainer}>
+        <Ionicons name="trash-bin-outline" size={50} color={colors.textMuted} />
+        <Text style={styles.stateTitle}>{t('details.removedTitle')}</Text>
+        <Text style={styles.stateText}>
+          {job ? t('details.removedMessage', { title: job.title }) : t('details.noLongerExists')}
+        </Text>
+        {saved && (
+          <TouchableOpacity
+            style={styles.stateButton}
+            onPress={async () => {
+              await removeBookmarks([job.id]);
+              navigation.goBack();
+            }}
+          >
+            <Text style={styles.stateButtonText}>{t('details.removeSaved')}</Text>
+          </TouchableOpacity>
+        )}
+        {navigation.canGoBack() && (
+          <TouchableOpacity style={styles.stateLink} onPress={() => navigation.goBack()}>
+            <Text style={styles.stateLinkText}>{t('common.goBack')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  if (status === 'error' && !job) {
+    return (
+      <View style={styles.centeredContainer}>
+        <Ionicons name="alert-circle-outline" size={50} color={colors.danger} />
+        <Text style={styles.stateText}>{getErrorMessage(loadError)}</Text>
+        <TouchableOpacity style={styles.stateButton} onPress={() => loadJob()}>
+          <Text style={styles.stateButtonText}>{t('common.tryAgain')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!job) {
+    return (
+      <View style={styles.centeredContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.stateText}>{t('details.loading')}</Text>
+      </View>
+    );
+  }
+
+  return <JobDetails job={job} refreshing={refreshing} onRefresh={handleRefresh} />;
+};
+
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     padding: 16,
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
+  },
+  centeredContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: colors.card,
+  },
+  stateTitle: {
+    marginTop: 12,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  stateButton: {
+    marginTop: 20,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    backgroundColor: colors.primary,
+    borderRadius: 5,
+  },
+  stateButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+  },
+  stateLink: {
+    marginTop: 14,
+  },
+  stateLinkText: {
+    color: colors.primary,
+    fontSize: 16,
   },
   header: {
     flexDirection: 'row',
@@ -328,19 +444,38 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 22,
     fontWeight: 'bold',
+    color: colors.text,
     flex: 1,
   },
+  collectionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 16,
+  },
+  collectionButtonText: {
+    color: colors.primary,
+    fontSize: 14,
+    fontWeight: '500',
+    marginHorizontal: 6,
+  },
   bookmarkButton: {
     padding: 8,
   },
   infoSection: {
     marginBottom: 20,
-    backgroundColor: '#f8f8f8',
+    backgroundColor: colors.background,
     padding: 12,
     borderRadius: 8,
   },
+  // With large text the value wraps below its label instead of being squeezed
   infoItem: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     alignItems: 'center',
     marginVertical: 6,
   },
@@ -348,17 +483,18 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontSize: 15,
     fontWeight: '600',
-    color: '#444',
-    width: 100,
+    color: colors.text,
+    minWidth: 100,
   },
   infoText: {
     flex: 1,
+    minWidth: 140,
     fontSize: 15,
-    color: '#333',
+    color: colors.text,
   },
   section: {
     marginVertical: 12,
-    backgroundColor: '#f8f8f8',
+    backgroundColor: colors.background,
     padding: 12,
     borderRadius: 8,
   },
@@ -366,12 +502,12 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 8,
-    color: '#333',
+    color: colors.text,
   },
   descriptionText: {
     fontSize: 15,
     lineHeight: 22,
-    color: '#333',
+    color: colors.text,
   },
   tagsContainer: {
     flexDirection: 'row',
@@ -382,11 +518,11 @@ const styles = StyleSheet.create({
     paddingVertical: 4,
     paddingHorizontal: 12,
     margin: 4,
-    backgroundColor: '#e1e1e1',
+    backgroundColor: colors.surfaceStrong,
   },
   tagText: {
     fontSize: 14,
-    color: '#555',
+    color: colors.text,
   },
   actionButtons: {
     flexDirection: 'row',
@@ -394,7 +530,7 @@ const styles = StyleSheet.create({
     marginVertical: 20,
   },
   contactButton: {
-    backgroundColor: '#007BFF',
+    backgroundColor: colors.primary,
     borderRadius: 8,
     flexDirection: 'row',
     alignItems: 'center',
@@ -404,7 +540,8 @@ const styles = StyleSheet.create({
     marginHorizontal: 4,
   },
   contactButtonText: {
-    color: 'white',
+    flexShrink: 1,
+    color: colors.onPrimary,
     fontSize: 15,
     fontWeight: '600',
     marginLeft: 6,
@@ -413,12 +550,12 @@ const styles = StyleSheet.create({
     marginTop: 10,
     marginBottom: 20,
     padding: 12,
-    backgroundColor: '#f0f0f0',
+    backgroundColor: colors.surface,
     borderRadius: 8,
   },
   footerText: {
     fontSize: 13,
-    color: '#666',
+    color: colors.textSecondary,
     marginVertical: 2,
   },
 });
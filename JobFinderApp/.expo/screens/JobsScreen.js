@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { 
   View, 
   FlatList, 
@@ -9,34 +9,108 @@ import {
   TouchableOpacity,
   Platform,
   SafeAreaView,
-  Animated
+  Animated,
+  Alert
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import JobCard from '../components/JobCard';
-import NetInfo from '@react-native-community/netinfo';
+import SwipeableJobRow from '../components/SwipeableJobRow';
+import SearchBar from '../components/SearchBar';
+import FilterSheet from '../components/FilterSheet';
+import FilterChips from '../components/FilterChips';
+import SortMenu from '../components/SortMenu';
+import SavedSearchesSheet from '../components/SavedSearchesSheet';
+import HomeLocationPicker from '../components/HomeLocationPicker';
+import UndoSnackbar from '../components/UndoSnackbar';
 import { JobContext } from '../context/JobContext';
+import { FilterContext } from '../context/FilterContext';
+import { SavedSearchContext } from '../context/SavedSearchContext';
+import { LocationContext } from '../context/LocationContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import {
+  matchesSearchQuery,
+  mergeJobLists,
+  matchesFilters,
+  getFilterOptions,
+  getActiveFilterChips,
+  sortJobs,
+  JOBS_SORT_OPTIONS,
+} from '../utils/jobFilters';
+import { formatRelativeTime } from '../utils/dateFormat';
+import { getHomeLocationLabel, getJobDistanceKm } from '../utils/locations';
 
 // Create an animated version of FlatList to support native driver
 const AnimatedFlatList = Animated.createAnimatedComponent(FlatList);
 
 const JobsScreen = ({ navigation }) => {
-  const { jobs, loading, error, loadMoreJobs, fetchJobs } = useContext(JobContext);
-  const [page, setPage] = useState(1);
-  const [initialLoading, setInitialLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [hasMore, setHasMore] = useState(true);
-  const [isConnected, setIsConnected] = useState(true);
-  
-  // Helper function to handle salary formatting
-  const formatSalary = (salary) => {
-    // Check for v3:[] format with case insensitive comparison
-    if (salary && (typeof salary === 'string') && 
-        (salary.toUpperCase() === 'V3:[]' || 
-         /^V3:\[.*\]$/i.test(salary))) {
-      return 'Not Mentioned';
-    }
-    return salary;
-  };
+  const { colors } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const {
+    jobs,
+    bookmarks,
+    loading,
+    refreshing,
+    loadingMore,
+    hasMore,
+    error,
+    loadMoreJobs,
+    refreshJobs,
+    isConnected,
+    feedUpdatedAt,
+    isFeedFromCache,
+    isBookmarked,
+    addBookmark,
+    removeBookmark,
+    hideJob,
+    hideCompany,
+    isJobHidden,
+  } = useContext(JobContext);
+  const {
+    searchQuery,
+    setSearchQuery,
+    filters,
+    setFilters,
+    removeFilter,
+    clearFilters,
+    jobsSort,
+    setJobsSort,
+  } = useContext(FilterContext);
+  const { matchedJobs, unreadCount } = useContext(SavedSearchContext);
+  const { homeLocation } = useContext(LocationContext);
+  const { t } = useContext(LanguageContext);
+  const [locationPickerVisible, setLocationPickerVisible] = useState(false);
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
+  const [savedSearchesVisible, setSavedSearchesVisible] = useState(false);
+  const [sortMenuVisible, setSortMenuVisible] = useState(false);
+  // The job last unsaved by a swipe, with the function that saves it again
+  const [removedJob, setRemovedJob] = useState(null);
+  const isSearching = searchQuery.trim().length > 0;
+
+  const filterChips = useMemo(() => getActiveFilterChips(filters), [filters]);
+  const filterOptions = useMemo(() => getFilterOptions(mergeJobLists(jobs, bookmarks)), [jobs, bookmarks]);
+
+  // While searching, look through both the loaded feed and saved jobs so
+  // results are still available offline. Jobs found by the applied saved
+  // search are included too, since they may sit on pages that are not loaded
+  // yet.
+  // Sorting runs over every loaded page, so jobs from a newly appended page
+  // slot into their sorted position.
+  const displayedJobs = useMemo(() => {
+    // `jobs` comes without hidden jobs; saved jobs and matches need the same
+    const extraJobs = mergeJobLists(isSearching ? bookmarks : [], matchedJobs).filter(job => !isJobHidden(job));
+    const searchedJobs = isSearching
+      ? mergeJobLists(jobs, extraJobs).filter(job => matchesSearchQuery(job, searchQuery))
+      : filterChips.length > 0
+        ? mergeJobLists(jobs, extraJobs)
+        : mergeJobLists(jobs);
+    // Distances are only known once the user has set where they live
+    const distanceOptions = { getDistance: homeLocation ? job => getJobDistanceKm(job, homeLocation) : undefined };
+    const filteredJobs = filterChips.length === 0
+      ? searchedJobs
+      : searchedJobs.filter(job => matchesFilters(job, filters, distanceOptions));
+    return sortJobs(filteredJobs, jobsSort, distanceOptions);
+  }, [jobs, bookmarks, matchedJobs, isJobHidden, searchQuery, isSearching, filters, filterChips, jobsSort, homeLocation]);
   
   // Animation for the floating "scroll to top" button
   const scrollY = new Animated.Value(0);
@@ -49,18 +123,31 @@ const JobsScreen = ({ navigation }) => {
   // Ref for FlatList to implement scroll to top
   const flatListRef = React.useRef(null);
 
-  // Check network connectivity
-  useEffect(() => {
-    const unsubscribe = NetInfo.addEventListener(state => {
-      setIsConnected(state.isConnected);
-    });
+  // Unsaving from the feed works like removing a saved job: the snackbar
+  // brings it back
+  const handleSwipeUnsave = async (job) => {
+    const undo = await removeBookmark(job);
+    if (undo) setRemovedJob({ job, undo, removedAt: Date.now() });
+  };
 
-    return () => unsubscribe();
-  }, []);
+  const handleUndoUnsave = () => {
+    if (removedJob) removedJob.undo();
+    setRemovedJob(null);
+  };
 
-  useEffect(() => {
-    fetchJobs(1, true);
-  }, []);
+  // Long-pressing a card offers to hide it, or every job from its company.
+  // Both can be undone from Settings.
+  const handleJobLongPress = (job) => {
+    const buttons = [{ text: t('hidden.notInterested'), onPress: () => hideJob(job) }];
+    if (job.companyName) {
+      buttons.push({
+        text: t('hidden.hideCompany', { company: job.companyName }),
+        onPress: () => hideCompany(job.companyName),
+      });
+    }
+    buttons.push({ text: t('common.cancel'), style: 'cancel' });
+    Alert.alert(job.title, t('hidden.menuMessage'), buttons);
+  };
 
   // Remove or hide the title in the header
   useEffect(() => {
@@ -71,46 +158,60 @@ const JobsScreen = ({ navigation }) => {
     });
   }, [navigation]);
 
-  const handleLoadMore = () => {
-    if (!loading && hasMore) {
-      fetchJobs(page + 1);
+  // Unread saved search matches show as a badge on the Jobs tab
+  useEffect(() => {
+    const tabNavigation = navigation.getParent();
+    if (tabNavigation) {
+      tabNavigation.setOptions({ tabBarBadge: unreadCount > 0 ? unreadCount : undefined });
     }
-  };
+  }, [navigation, unreadCount]);
 
-  const handleRefresh = () => {
-    setRefreshing(true);
-    setHasMore(true);
-    fetchJobs(1, true);
+  // The pagination controller in JobContext ignores calls while a page is
+  // loading or once the end of the feed was reached
+  const handleLoadMore = () => {
+    // Search results only cover jobs already on the device
+    if (!isSearching) {
+      loadMoreJobs();
+    }
   };
 
   const renderFooter = () => {
-    if (!loading) return null;
-    return (
-      <View style={styles.footer}>
-        <ActivityIndicator size="large" color="#0000ff" />
-      </View>
-    );
+    if (loadingMore) {
+      return (
+        <View style={styles.footer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      );
+    }
+    if (!hasMore && jobs.length > 0 && !isSearching) {
+      return (
+        <View style={styles.footer}>
+          <Text style={styles.footerText}>{t('jobs.endOfList')}</Text>
+        </View>
+      );
+    }
+    return null;
   };
 
   if (loading && jobs.length === 0) {
     return (
       <View style={styles.centeredContainer}>
-        <ActivityIndicator size="large" color="#007BFF" />
-        <Text style={styles.loadingText}>Loading jobs...</Text>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.loadingText}>{t('jobs.loading')}</Text>
       </View>
     );
   }
 
-  if (error && jobs.length === 0) {
+  if (error && jobs.length === 0 && bookmarks.length === 0) {
     return (
       <View style={styles.centeredContainer}>
-        <Ionicons name="alert-circle-outline" size={50} color="#ff6b6b" />
+        <Ionicons name="alert-circle-outline" size={50} color={colors.danger} />
         <Text style={styles.errorText}>{error}</Text>
         <TouchableOpacity 
           style={styles.retryButton}
-          onPress={() => fetchJobs(1)}
+          onPress={refreshJobs}
         >
-          <Text style={styles.retryButtonText}>Try Again</Text>
+          <Text style={styles.retryButtonText}>{t('common.tryAgain')}</Text>
         </TouchableOpacity>
       </View>
     );
@@ -120,43 +221,149 @@ const JobsScreen = ({ navigation }) => {
     <SafeAreaView style={styles.container}>
       {!isConnected && (
         <View style={styles.offlineContainer}>
-          <Text style={styles.offlineText}>No Internet Connection</Text>
+          <Ionicons name="cloud-offline-outline" size={16} color={colors.onPrimary} />
+          <Text style={styles.offlineText}>
+            {t('jobs.offline')}
+            {feedUpdatedAt ? ` · ${t('jobs.showingFrom', { time: formatRelativeTime(feedUpdatedAt) })}` : ''}
+          </Text>
+        </View>
+      )}
+      {isConnected && isFeedFromCache && feedUpdatedAt && (
+        <View style={styles.lastUpdatedContainer}>
+          <Ionicons name="time-outline" size={14} color={colors.textSecondary} />
+          <Text style={styles.lastUpdatedText}>
+            {t('jobs.lastUpdated', { time: formatRelativeTime(feedUpdatedAt) })}
+            {loading ? ` · ${t('jobs.refreshing')}` : ''}
+          </Text>
         </View>
       )}
+      <View style={styles.toolbar}>
+        <SearchBar
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder={t('jobs.searchPlaceholder')}
+          style={styles.searchBar}
+        />
+        <TouchableOpacity
+          style={styles.filterButton}
+          onPress={() => setFilterSheetVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={filterChips.length > 0
+            ? t('a11y.filtersActive', { count: filterChips.length })
+            : t('a11y.filters')}
+        >
+          <Ionicons name="options-outline" size={22} color={colors.primary} />
+          {filterChips.length > 0 && (
+            <View style={styles.filterBadge}>
+              <Text style={styles.filterBadgeText} maxFontSizeMultiplier={1.3}>{filterChips.length}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterButton, styles.sortButton]}
+          onPress={() => setSortMenuVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={t('sort.title')}
+          accessibilityValue={{ text: t(`sort.${jobsSort}`) }}
+        >
+          <Ionicons name="swap-vertical-outline" size={22} color={colors.primary} />
+          {jobsSort !== 'default' && <View style={styles.sortIndicator} />}
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterButton, styles.sortButton]}
+          onPress={() => setLocationPickerVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.homeLocation')}
+          accessibilityValue={homeLocation ? { text: getHomeLocationLabel(homeLocation) } : undefined}
+        >
+          <Ionicons name={homeLocation ? 'navigate' : 'navigate-outline'} size={22} color={colors.primary} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterButton, styles.sortButton]}
+          onPress={() => setSavedSearchesVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.savedSearches')}
+          accessibilityValue={unreadCount > 0 ? { text: t('a11y.newMatches', { count: unreadCount }) } : undefined}
+        >
+          <Ionicons name="star-outline" size={22} color={colors.primary} />
+          {unreadCount > 0 && (
+            <View style={styles.filterBadge}>
+              <Text style={styles.filterBadgeText} maxFontSizeMultiplier={1.3}>{unreadCount}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </View>
+      <FilterChips
+        chips={filterChips}
+        onRemove={chip => removeFilter(chip.field, chip.value)}
+        onClearAll={clearFilters}
+      />
       <AnimatedFlatList
         ref={flatListRef}
-        data={jobs}
+        data={displayedJobs}
         renderItem={({ item }) => {
           if (!item) {
             console.log('Undefined job item encountered');
             return null;
           }
           
+          // Swipe right to save or unsave, left to hide the job from the feed
+          const bookmarked = isBookmarked(item.id);
           return (
-            <JobCard 
-              job={item} 
-              formatSalary={formatSalary} // Pass the helper function
-              onPress={() => navigation.navigate('JobDetails', { job: item })}
-            />
+            <SwipeableJobRow
+              leftAction={{
+                icon: bookmarked ? 'bookmark' : 'bookmark-outline',
+                label: bookmarked ? t('swipe.unsave') : t('swipe.save'),
+                color: colors.primary,
+                onAction: () => (bookmarked ? handleSwipeUnsave(item) : addBookmark(item)),
+              }}
+              rightAction={{
+                icon: 'eye-off-outline',
+                label: t('swipe.hide'),
+                color: colors.fab,
+                onAction: () => hideJob(item),
+              }}
+            >
+              <JobCard 
+                job={item} 
+                onPress={() => navigation.navigate('JobDetails', { jobId: item.id })}
+                onLongPress={() => handleJobLongPress(item)}
+                longPressLabel={t('hidden.notInterested')}
+              />
+            </SwipeableJobRow>
           );
         }}
-        keyExtractor={(item, index) => {
-          if (!item) return `missing-item-${index}`;
-          // Make sure the key is truly unique by combining id with index if needed
-          return `job-${item.id}-${index}`;
-        }}
+        // Jobs are de-duplicated by id above, so the id alone is a stable key
+        // even when a new page or sort order moves items around
+        keyExtractor={item => `job-${item.id}`}
         onEndReached={handleLoadMore}
         onEndReachedThreshold={0.5}
         ListFooterComponent={renderFooter}
+        keyboardShouldPersistTaps="handled"
         ListEmptyComponent={
-          !loading && !error ? (
+          isSearching ? (
+            <View style={styles.centered}>
+              <Text style={styles.emptyText}>{t('jobs.noSearchResults', { query: searchQuery.trim() })}</Text>
+            </View>
+          ) : filterChips.length > 0 && jobs.length > 0 ? (
+            <View style={styles.centered}>
+              <Text style={styles.emptyText}>{t('jobs.noFilterResults')}</Text>
+            </View>
+          ) : error ? (
+            <View style={styles.centered}>
+              <Text style={styles.errorText}>{error}</Text>
+              <TouchableOpacity onPress={refreshJobs}>
+                <Text style={styles.retryText}>{t('common.tryAgain')}</Text>
+              </TouchableOpacity>
+            </View>
+          ) : !loading ? (
             <View style={styles.centered}>
-              <Text>No jobs available</Text>
+              <Text style={styles.emptyText}>{t('jobs.noJobs')}</Text>
             </View>
           ) : null
         }
         refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          <RefreshControl refreshing={refreshing && jobs.length > 0} onRefresh={refreshJobs} />
         }
         onScroll={Animated.event(
           [{ nativeEvent: { contentOffset: { y: scrollY } } }],
@@ -164,18 +371,111 @@ const JobsScreen = ({ navigation }) => {
         )}
       />
       <Animated.View style={[styles.scrollToTopButton, { opacity: scrollButtonOpacity }]}>
-        <TouchableOpacity onPress={() => flatListRef.current.scrollToOffset({ animated: true, offset: 0 })}>
-          <Ionicons name={Platform.OS === 'ios' ? 'ios-arrow-up' : 'md-arrow-up'} size={24} color="white" />
+        <TouchableOpacity
+          onPress={() => flatListRef.current.scrollToOffset({ animated: true, offset: 0 })}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.scrollToTop')}
+        >
+          <Ionicons name={Platform.OS === 'ios' ? 'ios-arrow-up' : 'md-arrow-up'} size={24} color={colors.onPrimary} />
         </TouchableOpacity>
       </Animated.View>
+      <FilterSheet
+        visible={filterSheetVisible}
+        filters={filters}
+        options={filterOptions}
+        homeLocation={homeLocation}
+        onSetLocation={() => {
+          setFilterSheetVisible(false);
+          setLocationPickerVisible(true);
+        }}
+        onApply={(updatedFilters) => {
+          setFilters(updatedFilters);
+          setFilterSheetVisible(false);
+        }}
+        onClose={() => setFilterSheetVisible(false)}
+      />
+      <SortMenu
+        visible={sortMenuVisible}
+        selected={jobsSort}
+        options={JOBS_SORT_OPTIONS.map(option => ({ ...option, label: t(`sort.${option.key}`) }))}
+        onSelect={(key) => {
+          setJobsSort(key);
+          setSortMenuVisible(false);
+          // Sorting by distance needs to know where the user is
+          if (key === 'nearest' && !homeLocation) {
+            setLocationPickerVisible(true);
+          }
+          if (flatListRef.current) {
+            flatListRef.current.scrollToOffset({ animated: false, offset: 0 });
+          }
+        }}
+        onClose={() => setSortMenuVisible(false)}
+      />
+      <SavedSearchesSheet
+        visible={savedSearchesVisible}
+        onClose={() => setSavedSearchesVisible(false)}
+      />
+      <HomeLocationPicker
+        visible={locationPickerVisible}
+        onClose={() => setLocationPickerVisible(false)}
+      />
+      <UndoSnackbar
+        id={removedJob ? removedJob.removedAt : null}
+        message={removedJob ? t('bookmarks.removedJob', { title: removedJob.job.title }) : null}
+        onUndo={handleUndoUnsave}
+        onDismiss={() => setRemovedJob(null)}
+      />
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f8f8f8',
+    backgroundColor: colors.background,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingRight: 8,
+  },
+  searchBar: {
+    flex: 1,
+  },
+  filterButton: {
+    marginTop: 4,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: colors.card,
+  },
+  sortButton: {
+    marginLeft: 6,
+  },
+  sortIndicator: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.primary,
+  },
+  filterBadge: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    backgroundColor: colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterBadgeText: {
+    color: colors.onPrimary,
+    fontSize: 10,
+    fontWeight: 'bold',
   },
   centered: {
     flex: 1,
@@ -188,35 +488,51 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  emptyText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+    textAlign: 'center',
+  },
   errorText: {
-    color: 'red',
+    color: colors.error,
     fontSize: 16,
     textAlign: 'center',
   },
   retryText: {
     marginTop: 10,
-    color: 'blue',
+    color: colors.link,
     fontSize: 16,
     textDecorationLine: 'underline',
   },
   offlineContainer: {
-    backgroundColor: '#b52424',
-    height: 30,
+    backgroundColor: colors.offline,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
     justifyContent: 'center',
     alignItems: 'center',
     flexDirection: 'row',
     width: '100%',
-    position: 'absolute',
-    top: 0,
   },
   offlineText: {
-    color: '#fff',
+    color: colors.onPrimary,
+    marginLeft: 6,
+  },
+  lastUpdatedContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 4,
+  },
+  lastUpdatedText: {
+    color: colors.textSecondary,
+    fontSize: 12,
+    marginLeft: 4,
   },
   scrollToTopButton: {
     position: 'absolute',
     bottom: 20,
     right: 20,
-    backgroundColor: '#000',
+    backgroundColor: colors.fab,
     borderRadius: 50,
     padding: 10,
     elevation: 5,
@@ -229,17 +545,17 @@ const styles = StyleSheet.create({
   loadingText: {
     marginTop: 10,
     fontSize: 16,
-    color: '#007BFF',
+    color: colors.primary,
   },
   retryButton: {
     marginTop: 20,
     paddingVertical: 10,
     paddingHorizontal: 20,
-    backgroundColor: '#007BFF',
+    backgroundColor: colors.primary,
     borderRadius: 5,
   },
   retryButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontSize: 16,
   },
   listContainer: {
@@ -252,7 +568,7 @@ const styles = StyleSheet.create({
   footerText: {
     marginTop: 10,
     fontSize: 14,
-    color: '#007BFF',
+    color: colors.primary,
   },
 });
 
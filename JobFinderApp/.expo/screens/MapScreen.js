@@ -0,0 +1,265 @@
+import React, { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Platform } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import { Ionicons } from '@expo/vector-icons';
+import JobCard from '../components/JobCard';
+import { JobContext } from '../context/JobContext';
+import { LanguageContext } from '../context/LanguageContext';
+import { ThemeContext, useThemedStyles } from '../context/ThemeContext';
+import { mergeJobLists } from '../utils/jobFilters';
+import {
+  placeJobs,
+  clusterPoints,
+  getRegionForPoints,
+  canSplitCluster,
+  MIN_ZOOM_DELTA
+} from '../utils/mapClusters';
+
+// Google Maps styling for the dark theme; Apple Maps follows
+// `userInterfaceStyle` instead
+const DARK_MAP_STYLE = [
+  { elementType: 'geometry', stylers: [{ color: '#242f3e' }] },
+  { elementType: 'labels.text.fill', stylers: [{ color: '#9ca5b3' }] },
+  { elementType: 'labels.text.stroke', stylers: [{ color: '#1a2230' }] },
+  { featureType: 'poi', elementType: 'geometry', stylers: [{ color: '#283446' }] },
+  { featureType: 'road', elementType: 'geometry', stylers: [{ color: '#38414e' }] },
+  { featureType: 'road', elementType: 'geometry.stroke', stylers: [{ color: '#212a37' }] },
+  { featureType: 'water', elementType: 'geometry', stylers: [{ color: '#17263c' }] },
+];
+
+// Plots loaded and saved jobs by locality, or by city when the locality is
+// not in the offline table. Nearby pins are clustered.
+const MapScreen = ({ navigation }) => {
+  const { colors, isDark } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { jobs, bookmarks } = useContext(JobContext);
+  const { t } = useContext(LanguageContext);
+  const mapRef = useRef(null);
+  // Jobs shown in the card panel after tapping a pin
+  const [selectedJobs, setSelectedJobs] = useState([]);
+  const [showSavedOnly, setShowSavedOnly] = useState(false);
+
+  const { points, unplaced } = useMemo(() => (
+    placeJobs(showSavedOnly ? bookmarks : mergeJobLists(bookmarks, jobs))
+  ), [jobs, bookmarks, showSavedOnly]);
+
+  const [initialRegion] = useState(() => getRegionForPoints(points));
+  const [region, setRegion] = useState(initialRegion);
+  // Whether the map has been fitted to the jobs yet
+  const fittedRef = useRef(points.length > 0);
+
+  // The feed may still be loading when the tab opens; fit once jobs arrive
+  useEffect(() => {
+    if (fittedRef.current || points.length === 0 || !mapRef.current) return;
+    fittedRef.current = true;
+    mapRef.current.animateToRegion(getRegionForPoints(points), 300);
+  }, [points]);
+
+  const clusters = useMemo(() => clusterPoints(points, region), [points, region]);
+  const savedIds = useMemo(() => new Set(bookmarks.map(job => job.id)), [bookmarks]);
+
+  const handleMarkerPress = (cluster) => {
+    // Zoom into clusters that would split apart; otherwise list their jobs
+    if (cluster.jobs.length > 1 && region.latitudeDelta > MIN_ZOOM_DELTA && canSplitCluster(cluster)) {
+      const memberPoints = points.filter(point => cluster.jobs.includes(point.job));
+      mapRef.current.animateToRegion(getRegionForPoints(memberPoints), 300);
+      return;
+    }
+    setSelectedJobs(cluster.jobs);
+  };
+
+  const renderMarker = (cluster) => {
+    const isCluster = cluster.jobs.length > 1;
+    const isSaved = !isCluster && savedIds.has(cluster.jobs[0].id);
+    return (
+      <Marker
+        key={cluster.id}
+        coordinate={cluster.coordinate}
+        onPress={() => handleMarkerPress(cluster)}
+      >
+        {isCluster ? (
+          <View style={styles.cluster}>
+            <Text style={styles.clusterText} maxFontSizeMultiplier={1.3}>{cluster.jobs.length}</Text>
+          </View>
+        ) : (
+          <View style={[styles.pin, isSaved && styles.savedPin]}>
+            <Ionicons name={isSaved ? 'bookmark' : 'briefcase'} size={14} color={colors.onPrimary} />
+          </View>
+        )}
+      </Marker>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        ref={mapRef}
+        style={styles.map}
+        initialRegion={initialRegion}
+        onRegionChangeComplete={setRegion}
+        onPress={() => setSelectedJobs([])}
+        showsUserLocation={false}
+        toolbarEnabled={false}
+        userInterfaceStyle={isDark ? 'dark' : 'light'}
+        customMapStyle={isDark ? DARK_MAP_STYLE : []}
+      >
+        {clusters.map(renderMarker)}
+      </MapView>
+
+      <View style={styles.topBar}>
+        <TouchableOpacity
+          style={[styles.toggleButton, showSavedOnly && styles.toggleButtonActive]}
+          onPress={() => {
+            setShowSavedOnly(!showSavedOnly);
+            setSelectedJobs([]);
+          }}
+        >
+          <Ionicons name={showSavedOnly ? 'bookmark' : 'bookmark-outline'} size={16} color={showSavedOnly ? colors.onPrimary : colors.primary} />
+          <Text style={[styles.toggleText, showSavedOnly && styles.toggleTextActive]}>{t('map.savedOnly')}</Text>
+        </TouchableOpacity>
+        {unplaced.length > 0 && (
+          <Text style={styles.unplacedText}>{t('map.unplaced', { count: unplaced.length })}</Text>
+        )}
+      </View>
+
+      {selectedJobs.length > 0 && (
+        <View style={styles.cardPanel}>
+          <View style={styles.panelHeader}>
+            <Text style={styles.panelTitle} numberOfLines={1}>
+              {selectedJobs.length === 1
+                ? selectedJobs[0].location.label
+                : t('map.jobsIn', { count: selectedJobs.length, place: selectedJobs[0].location.label })}
+            </Text>
+            <TouchableOpacity onPress={() => setSelectedJobs([])}>
+              <Ionicons name="close" size={22} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+          <ScrollView style={styles.cardList}>
+            {selectedJobs.map(job => (
+              <JobCard
+                key={job.id}
+                job={job}
+                onPress={() => navigation.navigate('JobDetails', { jobId: job.id })}
+              />
+            ))}
+          </ScrollView>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  map: {
+    flex: 1,
+  },
+  topBar: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    right: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  toggleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    ...Platform.select({
+      ios: {
+        shadowColor: colors.shadow,
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.2,
+        shadowRadius: 2,
+      },
+      android: {
+        elevation: 3,
+      },
+    }),
+  },
+  toggleButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  toggleText: {
+    marginLeft: 6,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  toggleTextActive: {
+    color: colors.onPrimary,
+  },
+  unplacedText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 12,
+    color: colors.text,
+    backgroundColor: colors.mapLabel,
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    overflow: 'hidden',
+  },
+  pin: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: colors.primary,
+    borderWidth: 2,
+    borderColor: colors.onPrimary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  savedPin: {
+    backgroundColor: colors.success,
+  },
+  cluster: {
+    minWidth: 36,
+    height: 36,
+    borderRadius: 18,
+    paddingHorizontal: 6,
+    backgroundColor: colors.mapCluster,
+    borderWidth: 3,
+    borderColor: 'rgba(255, 255, 255, 0.8)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  clusterText: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+  },
+  cardPanel: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '50%',
+    backgroundColor: colors.background,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: 8,
+  },
+  panelHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  panelTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  cardList: {
+    flexGrow: 0,
+  },
+});
+
+export default MapScreen;
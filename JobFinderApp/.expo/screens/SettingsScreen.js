@@ -0,0 +1,116 @@
+import React, { useContext } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LanguageContext } from '../context/LanguageContext';
+import { JobContext } from '../context/JobContext';
+import { ThemeContext, useThemedStyles, THEME_MODES } from '../context/ThemeContext';
+
+// App-wide preferences, one section per setting
+const SettingsScreen = ({ navigation }) => {
+  const { colors, mode, setMode } = useContext(ThemeContext);
+  const styles = useThemedStyles(createStyles);
+  const { t, language, languages, setLanguage, formatNumber } = useContext(LanguageContext);
+  const { hiddenJobs, hiddenCompanies } = useContext(JobContext);
+  const hiddenCount = hiddenJobs.length + hiddenCompanies.length;
+
+  // Helper function to render one choice of a section
+  const renderOption = (key, label, isSelected, onPress) => (
+    <TouchableOpacity key={key} style={styles.option} onPress={onPress}>
+      <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+        {label}
+      </Text>
+      {isSelected && <Ionicons name="checkmark" size={20} color={colors.primary} />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.language')}</Text>
+        {languages.map(option => (
+          renderOption(option.code, option.label, option.code === language, () => setLanguage(option.code))
+        ))}
+        <Text style={styles.hintText}>{t('settings.languageHint')}</Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.appearance')}</Text>
+        {THEME_MODES.map(themeMode => (
+          renderOption(themeMode, t(`theme.${themeMode}`), themeMode === mode, () => setMode(themeMode))
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.feed')}</Text>
+        <TouchableOpacity
+          style={styles.option}
+          onPress={() => navigation.navigate('HiddenJobs')}
+          accessibilityRole="button"
+        >
+          <Text style={styles.optionText}>{t('hidden.title')}</Text>
+          <View style={styles.optionValue}>
+            {hiddenCount > 0 && <Text style={styles.valueText}>{formatNumber(hiddenCount)}</Text>}
+            <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
+          </View>
+        </TouchableOpacity>
+        <Text style={styles.hintText}>{t('settings.hiddenHint')}</Text>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  section: {
+    backgroundColor: colors.card,
+    marginTop: 16,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: colors.divider,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  optionText: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  optionTextSelected: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  optionValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  valueText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    marginRight: 4,
+  },
+  hintText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    paddingHorizontal: 16,
+    paddingTop: 4,
+    paddingBottom: 8,
+  },
+});
+
+export default SettingsScreen;
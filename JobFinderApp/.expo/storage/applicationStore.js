@@ -0,0 +1,59 @@
+import { runTransaction, executeSql } from './database';
+
+// Helper function to turn an application_notes row into a note
+const rowToNote = (row) => ({
+  id: row.id,
+  jobId: row.job_id,
+  status: row.status,
+  text: row.text,
+  createdAt: row.created_at,
+});
+
+// Status of every tracked job, as `{ [jobId]: { status, updatedAt } }`
+export const loadApplications = async () => {
+  const rows = await executeSql('SELECT job_id, status, updated_at FROM applications');
+  return rows.reduce((map, row) => {
+    map[row.job_id] = { status: row.status, updatedAt: row.updated_at };
+    return map;
+  }, {});
+};
+
+/**
+ * Move a job to a new status and record the change in its notes, so the
+ * history shows when each step happened. Screens show status notes from
+ * their status, translated, rather than from the stored text.
+ */
+export const setApplicationStatus = async (jobId, status) => {
+  const updatedAt = new Date().toISOString();
+  await runTransaction([
+    ['INSERT OR REPLACE INTO applications (job_id, status, updated_at) VALUES (?, ?, ?)', [String(jobId), status, updatedAt]],
+    [
+      'INSERT INTO application_notes (job_id, status, text, created_at) VALUES (?, ?, ?, ?)',
+      [String(jobId), status, `Moved to ${status}`, updatedAt],
+    ],
+  ]);
+  return { status, updatedAt };
+};
+
+// Notes for one job, newest first
+export const loadNotes = async (jobId) => {
+  const rows = await executeSql(
+    'SELECT id, job_id, status, text, created_at FROM application_notes WHERE job_id = ? ORDER BY created_at DESC, id DESC',
+    [String(jobId)]
+  );
+  return rows.map(rowToNote);
+};
+
+// User-written notes have no status; status changes are logged with one
+export const addNote = async (jobId, text) => {
+  const createdAt = new Date().toISOString();
+  const [, rows] = await runTransaction([
+    ['INSERT INTO application_notes (job_id, status, text, created_at) VALUES (?, NULL, ?, ?)', [String(jobId), text, createdAt]],
+    ['SELECT last_insert_rowid() AS id'],
+  ]);
+  return { id: rows[0].id, jobId: String(jobId), status: null, text, createdAt };
+};
+
+export const deleteNote = async (noteId) => {
+  await executeSql('DELETE FROM application_notes WHERE id = ?', [noteId]);
+};
@@ -0,0 +1,134 @@
+import { runTransaction, executeSql, getMeta, setMeta } from './database';
+import { upsertJobStatement, queryJobs, pruneJobs, rowToJob } from './jobStore';
+import { readLegacyBookmarks, BookmarkStoreError } from './legacyBookmarks';
+
+const LEGACY_IMPORTED_KEY = 'legacyBookmarksImported';
+// Set instead when the old data could not be read, so the import is not
+// attempted again on every load
+const LEGACY_IMPORT_FAILED_KEY = 'legacyBookmarksImportFailed';
+
+// Helper function to build the statements that bookmark one job
+const addBookmarkStatements = (job, savedAt) => [
+  upsertJobStatement(job),
+  // Re-saving an existing bookmark keeps its original position
+  ['INSERT OR IGNORE INTO bookmarks (job_id, saved_at) VALUES (?, ?)', [String(job.id), savedAt]],
+];
+
+// Bookmarks used to live in AsyncStorage as one JSON blob. Copy them into the
+// database the first time it is opened. The import is only marked done once
+// the jobs, or their backup copy, are in the database.
+const importLegacyBookmarks = async () => {
+  if (await getMeta(LEGACY_IMPORTED_KEY, false)) return;
+  if (await getMeta(LEGACY_IMPORT_FAILED_KEY, null)) return;
+
+  try {
+    const { jobs, repaired } = await readLegacyBookmarks();
+    if (repaired) {
+      console.warn('Saved jobs were restored from the backup copy');
+    }
+    // Spread the timestamps so the saved order survives the import
+    const baseTime = Date.now() - jobs.length;
+    await runTransaction(jobs.reduce((statements, job, index) => (
+      statements.concat(addBookmarkStatements(job, new Date(baseTime + index).toISOString()))
+    ), []));
+  } catch (err) {
+    if (!(err instanceof BookmarkStoreError)) throw err;
+    // The unreadable data stays in AsyncStorage for manual recovery
+    console.error('Could not import saved jobs from the old storage:', err);
+    await setMeta(LEGACY_IMPORT_FAILED_KEY, { failedAt: new Date().toISOString(), message: err.message });
+    return;
+  }
+
+  await setMeta(LEGACY_IMPORTED_KEY, true);
+};
+
+/**
+ * Bookmarked jobs in the order they were saved, or in one of the queryJobs
+ * sort orders.
+ */
+export const queryBookmarks = ({ sort = 'default' } = {}) => queryJobs({ bookmarkedOnly: true, sort });
+
+// Load bookmarked jobs, importing ones saved by older app versions first
+export const loadBookmarks = async ({ sort = 'default' } = {}) => {
+  await importLegacyBookmarks();
+  return queryBookmarks({ sort });
+};
+
+export const addBookmark = async (job) => {
+  await runTransaction(addBookmarkStatements(job, new Date().toISOString()));
+};
+
+export const removeBookmark = async (jobId) => {
+  await executeSql('DELETE FROM bookmarks WHERE job_id = ?', [String(jobId)]);
+};
+
+// The stored bookmark of one job (saved date, collection and note), or null.
+// Read before removing a bookmark that the user may want back.
+export const getBookmarkRow = async (jobId) => {
+  const rows = await executeSql(
+    'SELECT job_id, saved_at, collection_id, note FROM bookmarks WHERE job_id = ?',
+    [String(jobId)]
+  );
+  return rows[0] || null;
+};
+
+// Put back a bookmark exactly as `getBookmarkRow` returned it
+export const restoreBookmark = async (job, row) => {
+  await runTransaction([
+    upsertJobStatement(job),
+    [
+      'INSERT OR REPLACE INTO bookmarks (job_id, saved_at, collection_id, note) VALUES (?, ?, ?, ?)',
+      [String(job.id), row.saved_at, row.collection_id, row.note]
+    ],
+  ]);
+};
+
+export const removeBookmarks = async (jobIds) => {
+  await runTransaction(jobIds.map(jobId => ['DELETE FROM bookmarks WHERE job_id = ?', [String(jobId)]]));
+};
+
+export const clearBookmarks = async () => {
+  await executeSql('DELETE FROM bookmarks');
+  await pruneJobs();
+};
+
+/**
+ * Check the database and drop bookmarks that can no longer be shown: ones
+ * whose job row is missing or unreadable. A legacy import that failed before
+ * is attempted again on the next load.
+ * Resolves with the number of bookmarks removed.
+ */
+export const repairBookmarks = async () => {
+  const [check] = await executeSql('PRAGMA integrity_check');
+  if (!check || check.integrity_check !== 'ok') {
+    throw new Error(`Database integrity check failed: ${check ? check.integrity_check : 'no result'}`);
+  }
+
+  const rows = await executeSql(
+    'SELECT bookmarks.job_id, jobs.id, jobs.data FROM bookmarks LEFT JOIN jobs ON jobs.id = bookmarks.job_id'
+  );
+  const brokenIds = rows
+    .filter(row => row.id === null || !rowToJob(row))
+    .map(row => row.job_id);
+  if (brokenIds.length > 0) {
+    await removeBookmarks(brokenIds);
+    await pruneJobs();
+  }
+
+  await setMeta(LEGACY_IMPORT_FAILED_KEY, null);
+  return brokenIds.length;
+};
+
+// Personal notes of bookmarked jobs, as `{ [jobId]: note }`
+export const loadBookmarkNotes = async () => {
+  const rows = await executeSql("SELECT job_id, note FROM bookmarks WHERE note IS NOT NULL AND note != ''");
+  return rows.reduce((map, row) => {
+    map[row.job_id] = row.note;
+    return map;
+  }, {});
+};
+
+// The job must already be bookmarked; an empty note clears it
+export const setBookmarkNote = async (jobId, note) => {
+  await executeSql('UPDATE bookmarks SET note = ? WHERE job_id = ?', [note || null, String(jobId)]);
+};
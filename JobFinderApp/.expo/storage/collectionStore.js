@@ -0,0 +1,53 @@
+import { runTransaction, executeSql } from './database';
+
+// Helper function to turn a collections row into the shape the app uses
+const rowToCollection = (row) => ({
+  id: row.id,
+  name: row.name,
+  createdAt: row.created_at,
+});
+
+// Collections in the order they were created
+export const loadCollections = async () => {
+  const rows = await executeSql('SELECT id, name, created_at FROM collections ORDER BY created_at ASC, id ASC');
+  return rows.map(rowToCollection);
+};
+
+// Which collection each bookmarked job is in, as `{ [jobId]: collectionId }`.
+// Jobs outside any collection map to null.
+export const loadBookmarkCollections = async () => {
+  const rows = await executeSql('SELECT job_id, collection_id FROM bookmarks');
+  return rows.reduce((map, row) => {
+    map[row.job_id] = row.collection_id;
+    return map;
+  }, {});
+};
+
+export const createCollection = async (name) => {
+  const createdAt = new Date().toISOString();
+  const [, rows] = await runTransaction([
+    ['INSERT INTO collections (name, created_at) VALUES (?, ?)', [name, createdAt]],
+    ['SELECT last_insert_rowid() AS id'],
+  ]);
+  return { id: rows[0].id, name, createdAt };
+};
+
+export const renameCollection = async (collectionId, name) => {
+  await executeSql('UPDATE collections SET name = ? WHERE id = ?', [name, collectionId]);
+};
+
+// Deleting a collection keeps its jobs bookmarked, outside any collection
+export const deleteCollection = async (collectionId) => {
+  await runTransaction([
+    ['UPDATE bookmarks SET collection_id = NULL WHERE collection_id = ?', [collectionId]],
+    ['DELETE FROM collections WHERE id = ?', [collectionId]],
+  ]);
+};
+
+// Pass null to take the job out of its collection
+export const moveBookmark = async (jobId, collectionId) => {
+  await executeSql(
+    'UPDATE bookmarks SET collection_id = ? WHERE job_id = ?',
+    [collectionId, String(jobId)]
+  );
+};
@@ -0,0 +1,212 @@
+import * as SQLite from 'expo-sqlite';
+
+const DATABASE_NAME = 'jobfinder.db';
+const SCHEMA_VERSION_KEY = '__schemaVersion';
+
+// user_meta holds the schema version, so it is created before any migration
+const CREATE_USER_META = `CREATE TABLE IF NOT EXISTS user_meta (
+  key TEXT PRIMARY KEY NOT NULL,
+  value TEXT
+)`;
+
+// Schema changes are appended here and never edited once shipped. Each entry
+// upgrades the database from the previous version to its index + 1.
+const MIGRATIONS = [
+  [
+    `CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY NOT NULL,
+      data TEXT NOT NULL,
+      city TEXT,
+      salary_min INTEGER,
+      salary_max INTEGER,
+      openings INTEGER,
+      views INTEGER,
+      created_on TEXT,
+      expire_on TEXT,
+      stored_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_jobs_city ON jobs (city)',
+    'CREATE INDEX IF NOT EXISTS idx_jobs_salary ON jobs (salary_max, salary_min)',
+    'CREATE INDEX IF NOT EXISTS idx_jobs_created_on ON jobs (created_on)',
+    'CREATE INDEX IF NOT EXISTS idx_jobs_expire_on ON jobs (expire_on)',
+    `CREATE TABLE IF NOT EXISTS bookmarks (
+      job_id TEXT PRIMARY KEY NOT NULL,
+      saved_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_bookmarks_saved_at ON bookmarks (saved_at)',
+    `CREATE TABLE IF NOT EXISTS feed_pages (
+      page INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      job_id TEXT NOT NULL,
+      fetched_at TEXT NOT NULL,
+      PRIMARY KEY (page, position)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_feed_pages_job_id ON feed_pages (job_id)',
+  ],
+  [
+    `CREATE TABLE IF NOT EXISTS collections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`,
+    // NULL means the bookmark is not in any collection
+    'ALTER TABLE bookmarks ADD COLUMN collection_id INTEGER',
+    'CREATE INDEX IF NOT EXISTS idx_bookmarks_collection_id ON bookmarks (collection_id)',
+  ],
+  [
+    `CREATE TABLE IF NOT EXISTS applications (
+      job_id TEXT PRIMARY KEY NOT NULL,
+      status TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_applications_status ON applications (status)',
+    `CREATE TABLE IF NOT EXISTS application_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      status TEXT,
+      text TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_application_notes_job_id ON application_notes (job_id, created_at)',
+  ],
+  [
+    // Free-text personal note kept with the bookmark
+    'ALTER TABLE bookmarks ADD COLUMN note TEXT',
+    `CREATE TABLE IF NOT EXISTS reminders (
+      job_id TEXT PRIMARY KEY NOT NULL,
+      notification_id TEXT NOT NULL,
+      remind_at TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`,
+  ],
+  [
+    `CREATE TABLE IF NOT EXISTS expiry_alerts (
+      job_id TEXT PRIMARY KEY NOT NULL,
+      notification_id TEXT NOT NULL,
+      alert_at TEXT NOT NULL
+    )`,
+  ],
+  [
+    `CREATE TABLE IF NOT EXISTS saved_searches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      query TEXT NOT NULL,
+      filters TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_checked_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS saved_search_matches (
+      search_id INTEGER NOT NULL,
+      job_id TEXT NOT NULL,
+      found_at TEXT NOT NULL,
+      is_read INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (search_id, job_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_saved_search_matches_job_id ON saved_search_matches (job_id)',
+  ],
+  [
+    // Title and company are copied so the list of hidden jobs can be shown
+    // after the posting has left the feed
+    `CREATE TABLE IF NOT EXISTS hidden_jobs (
+      job_id TEXT PRIMARY KEY NOT NULL,
+      title TEXT,
+      company_name TEXT,
+      hidden_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS hidden_companies (
+      company_key TEXT PRIMARY KEY NOT NULL,
+      name TEXT NOT NULL,
+      hidden_at TEXT NOT NULL
+    )`,
+  ],
+];
+
+let database = null;
+let readyPromise = null;
+
+const getDatabase = () => {
+  if (!database) {
+    database = SQLite.openDatabase(DATABASE_NAME);
+  }
+  return database;
+};
+
+// Helper function to run statements on an already-ready database
+const runStatements = (statements) => new Promise((resolve, reject) => {
+  const results = [];
+  getDatabase().transaction(
+    tx => {
+      statements.forEach(([sql, args = []], index) => {
+        tx.executeSql(sql, args, (_, result) => {
+          results[index] = result.rows._array;
+        });
+      });
+    },
+    error => reject(error),
+    () => resolve(results)
+  );
+});
+
+// Bring the schema up to date. Runs once per app launch.
+const migrate = async () => {
+  const [, rows] = await runStatements([
+    [CREATE_USER_META],
+    ['SELECT value FROM user_meta WHERE key = ?', [SCHEMA_VERSION_KEY]],
+  ]);
+  let version = rows.length > 0 ? parseInt(JSON.parse(rows[0].value), 10) || 0 : 0;
+
+  while (version < MIGRATIONS.length) {
+    const nextVersion = version + 1;
+    await runStatements([
+      ...MIGRATIONS[version].map(sql => [sql]),
+      ['INSERT OR REPLACE INTO user_meta (key, value) VALUES (?, ?)', [SCHEMA_VERSION_KEY, JSON.stringify(nextVersion)]],
+    ]);
+    version = nextVersion;
+  }
+};
+
+export const initDatabase = () => {
+  if (!readyPromise) {
+    readyPromise = migrate().catch(error => {
+      // Let the next call try again instead of caching the failure
+      readyPromise = null;
+      throw error;
+    });
+  }
+  return readyPromise;
+};
+
+/**
+ * Run several statements in one transaction.
+ * `statements` is a list of `[sql, args]` pairs; resolves with the rows of
+ * each statement, in order. Either every statement applies or none does.
+ */
+export const runTransaction = async (statements) => {
+  await initDatabase();
+  if (statements.length === 0) return [];
+  return runStatements(statements);
+};
+
+// Run a single statement and resolve with its rows
+export const executeSql = async (sql, args = []) => {
+  const [rows] = await runTransaction([[sql, args]]);
+  return rows || [];
+};
+
+// Small key/value store for user metadata such as settings and one-off flags
+export const getMeta = async (key, fallback = null) => {
+  const rows = await executeSql('SELECT value FROM user_meta WHERE key = ?', [key]);
+  if (rows.length === 0 || rows[0].value === null) return fallback;
+  try {
+    return JSON.parse(rows[0].value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+export const setMeta = async (key, value) => {
+  await executeSql(
+    'INSERT OR REPLACE INTO user_meta (key, value) VALUES (?, ?)',
+    [key, JSON.stringify(value)]
+  );
+};
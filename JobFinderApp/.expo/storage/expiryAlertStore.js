@@ -0,0 +1,21 @@
+import { executeSql } from './database';
+
+// Scheduled expiry notifications as `{ [jobId]: { notificationId, alertAt } }`
+export const loadExpiryAlerts = async () => {
+  const rows = await executeSql('SELECT job_id, notification_id, alert_at FROM expiry_alerts');
+  return rows.reduce((map, row) => {
+    map[row.job_id] = { notificationId: row.notification_id, alertAt: row.alert_at };
+    return map;
+  }, {});
+};
+
+export const saveExpiryAlert = async (jobId, notificationId, alertAt) => {
+  await executeSql(
+    'INSERT OR REPLACE INTO expiry_alerts (job_id, notification_id, alert_at) VALUES (?, ?, ?)',
+    [String(jobId), notificationId, alertAt]
+  );
+};
+
+export const deleteExpiryAlert = async (jobId) => {
+  await executeSql('DELETE FROM expiry_alerts WHERE job_id = ?', [String(jobId)]);
+};
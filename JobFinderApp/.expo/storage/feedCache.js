@@ -0,0 +1,67 @@
+import { runTransaction, executeSql } from './database';
+import { upsertJobStatement, rowToJob, pruneJobs } from './jobStore';
+
+// Keep the cache bounded; users rarely scroll further than this offline
+const MAX_CACHED_PAGES = 10;
+
+/**
+ * Read the cached feed.
+ * Resolves with `{ jobs, lastPage, updatedAt }`, or null when nothing usable
+ * is cached. `updatedAt` is when page 1 was last fetched.
+ */
+export const loadFeedCache = async () => {
+  try {
+    const rows = await executeSql(
+      `SELECT feed_pages.page, feed_pages.fetched_at, jobs.id, jobs.data
+        FROM feed_pages INNER JOIN jobs ON jobs.id = feed_pages.job_id
+        ORDER BY feed_pages.page ASC, feed_pages.position ASC`
+    );
+    if (rows.length === 0) return null;
+
+    const firstPageRow = rows.find(row => row.page === 1) || rows[0];
+    return {
+      jobs: rows.map(rowToJob).filter(Boolean),
+      lastPage: rows[rows.length - 1].page,
+      updatedAt: firstPageRow.fetched_at,
+    };
+  } catch (err) {
+    // A broken cache is not worth surfacing; the network copy replaces it
+    console.error('Error loading feed cache:', err);
+    return null;
+  }
+};
+
+/**
+ * Store a freshly fetched page.
+ * Page 1 starts a new cache, since a refreshed feed makes older pages stale.
+ * Later pages replace any cached copy of the same page.
+ */
+export const saveFeedPage = async (page, jobs, fetchedAt = new Date().toISOString()) => {
+  if (page > MAX_CACHED_PAGES) return;
+  try {
+    await runTransaction([
+      page === 1
+        ? ['DELETE FROM feed_pages']
+        : ['DELETE FROM feed_pages WHERE page = ?', [page]],
+      ...jobs.map(job => upsertJobStatement(job, fetchedAt)),
+      ...jobs.map((job, position) => [
+        'INSERT INTO feed_pages (page, position, job_id, fetched_at) VALUES (?, ?, ?, ?)',
+        [page, position, String(job.id), fetchedAt],
+      ]),
+    ]);
+    if (page === 1) {
+      await pruneJobs();
+    }
+  } catch (err) {
+    console.error('Error saving feed cache:', err);
+  }
+};
+
+export const clearFeedCache = async () => {
+  try {
+    await executeSql('DELETE FROM feed_pages');
+    await pruneJobs();
+  } catch (err) {
+    console.error('Error clearing feed cache:', err);
+  }
+};
@@ -0,0 +1,40 @@
+import { executeSql } from './database';
+
+// Jobs marked "not interested", most recently hidden first
+export const loadHiddenJobs = async () => {
+  const rows = await executeSql('SELECT job_id, title, company_name, hidden_at FROM hidden_jobs ORDER BY hidden_at DESC');
+  return rows.map(row => ({
+    id: row.job_id,
+    title: row.title,
+    companyName: row.company_name,
+    hiddenAt: row.hidden_at,
+  }));
+};
+
+export const saveHiddenJob = async (hiddenJob) => {
+  await executeSql(
+    'INSERT OR REPLACE INTO hidden_jobs (job_id, title, company_name, hidden_at) VALUES (?, ?, ?, ?)',
+    [String(hiddenJob.id), hiddenJob.title, hiddenJob.companyName, hiddenJob.hiddenAt]
+  );
+};
+
+export const deleteHiddenJob = async (jobId) => {
+  await executeSql('DELETE FROM hidden_jobs WHERE job_id = ?', [String(jobId)]);
+};
+
+// Companies whose jobs are all hidden, most recently hidden first
+export const loadHiddenCompanies = async () => {
+  const rows = await executeSql('SELECT company_key, name, hidden_at FROM hidden_companies ORDER BY hidden_at DESC');
+  return rows.map(row => ({ key: row.company_key, name: row.name, hiddenAt: row.hidden_at }));
+};
+
+export const saveHiddenCompany = async (company) => {
+  await executeSql(
+    'INSERT OR REPLACE INTO hidden_companies (company_key, name, hidden_at) VALUES (?, ?, ?)',
+    [company.key, company.name, company.hiddenAt]
+  );
+};
+
+export const deleteHiddenCompany = async (companyKey) => {
+  await executeSql('DELETE FROM hidden_companies WHERE company_key = ?', [companyKey]);
+};
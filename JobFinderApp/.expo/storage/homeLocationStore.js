@@ -0,0 +1,26 @@
+import { getMeta, setMeta } from './database';
+import { isValidCoordinate } from '../utils/locations';
+
+const HOME_LOCATION_KEY = 'homeLocation';
+
+/**
+ * @typedef {Object} HomeLocation
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} label - e.g. "Nagole, Hyderabad" or "Current location"
+ * @property {'device'|'manual'} source
+ */
+
+// The place distances are measured from, or null when none was chosen
+export const loadHomeLocation = async () => {
+  const stored = await getMeta(HOME_LOCATION_KEY, null);
+  return isValidCoordinate(stored) ? stored : null;
+};
+
+export const saveHomeLocation = async (location) => {
+  await setMeta(HOME_LOCATION_KEY, location);
+};
+
+export const clearHomeLocation = async () => {
+  await setMeta(HOME_LOCATION_KEY, null);
+};
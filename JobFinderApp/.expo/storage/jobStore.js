@@ -0,0 +1,129 @@
+import { runTransaction, executeSql } from './database';
+import { parseJob } from '../utils/jobParser';
+
+// Tables that keep a job row alive. Jobs referenced by none of them are pruned.
+const JOB_REFERENCES = [
+  'SELECT job_id FROM bookmarks',
+  'SELECT job_id FROM feed_pages',
+  'SELECT job_id FROM applications',
+  'SELECT job_id FROM reminders',
+  'SELECT job_id FROM saved_search_matches',
+];
+
+// Helper function to turn a job into the `[sql, args]` pair that stores it.
+// The full normalized job lives in `data`; the other columns are copies of the
+// fields we filter and sort on, so they can be indexed.
+export const upsertJobStatement = (job, storedAt = new Date().toISOString()) => [
+  `INSERT OR REPLACE INTO jobs
+    (id, data, city, salary_min, salary_max, openings, views, created_on, expire_on, stored_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    String(job.id),
+    JSON.stringify(job),
+    job.location.city,
+    job.salary.min,
+    job.salary.max,
+    job.openings,
+    job.views,
+    job.createdOn,
+    job.expireOn,
+    storedAt,
+  ],
+];
+
+// Helper function to read the job stored in a row
+export const rowToJob = (row) => {
+  try {
+    return parseJob(JSON.parse(row.data));
+  } catch (err) {
+    console.error('Skipping unreadable job row:', row.id, err);
+    return null;
+  }
+};
+
+export const upsertJobs = async (jobs) => {
+  const storedAt = new Date().toISOString();
+  await runTransaction(jobs.map(job => upsertJobStatement(job, storedAt)));
+};
+
+export const getJob = async (id) => {
+  const rows = await executeSql('SELECT id, data FROM jobs WHERE id = ?', [String(id)]);
+  return rows.length > 0 ? rowToJob(rows[0]) : null;
+};
+
+// Sort orders available to queryJobs. Missing values always sort last.
+const ORDER_BY = {
+  default: 'stored_at DESC',
+  newest: 'created_on IS NULL, created_on DESC',
+  salary: 'COALESCE(salary_max, salary_min) IS NULL, COALESCE(salary_max, salary_min) DESC',
+  expiring: 'expire_on IS NULL, expire_on ASC',
+  openings: 'openings IS NULL, openings DESC',
+  views: 'views IS NULL, views DESC',
+};
+
+/**
+ * Query stored jobs using the indexed columns.
+ * @param {Object} options
+ * @param {string[]} [options.cities] - Only jobs in one of these cities
+ * @param {number} [options.salaryMin] - Salary range must reach at least this
+ * @param {number} [options.salaryMax] - Salary range must start at most at this
+ * @param {string} [options.postedAfter] - ISO date; only jobs created after it
+ * @param {boolean} [options.bookmarkedOnly] - Only bookmarked jobs
+ * @param {string} [options.sort] - One of the ORDER_BY keys
+ * @param {number} [options.limit]
+ */
+export const queryJobs = async ({
+  cities,
+  salaryMin = null,
+  salaryMax = null,
+  postedAfter = null,
+  bookmarkedOnly = false,
+  sort = 'default',
+  limit = null,
+} = {}) => {
+  const where = [];
+  const args = [];
+
+  if (cities && cities.length > 0) {
+    where.push(`jobs.city IN (${cities.map(() => '?').join(', ')})`);
+    args.push(...cities);
+  }
+  if (salaryMin !== null) {
+    where.push('COALESCE(jobs.salary_max, jobs.salary_min) >= ?');
+    args.push(salaryMin);
+  }
+  if (salaryMax !== null) {
+    where.push('COALESCE(jobs.salary_min, jobs.salary_max) <= ?');
+    args.push(salaryMax);
+  }
+  if (postedAfter) {
+    where.push('jobs.created_on > ?');
+    args.push(postedAfter);
+  }
+
+  // Bookmarks keep their saved order as the default sort
+  const from = bookmarkedOnly
+    ? 'jobs INNER JOIN bookmarks ON bookmarks.job_id = jobs.id'
+    : 'jobs';
+  const orderBy = bookmarkedOnly && sort === 'default'
+    ? 'bookmarks.saved_at ASC'
+    : `${ORDER_BY[sort] || ORDER_BY.default}, jobs.stored_at DESC`;
+
+  let sql = `SELECT jobs.id, jobs.data FROM ${from}`;
+  if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+  sql += ` ORDER BY ${orderBy}`;
+  if (limit) {
+    sql += ' LIMIT ?';
+    args.push(limit);
+  }
+
+  const rows = await executeSql(sql, args);
+  return rows.map(rowToJob).filter(Boolean);
+};
+
+// Remove jobs that nothing refers to any more
+export const pruneJobs = async () => {
+  await executeSql(
+    `DELETE FROM jobs WHERE id NOT IN (${JOB_REFERENCES.join(' UNION ')})`
+  );
+};
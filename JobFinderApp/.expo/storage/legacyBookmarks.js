@@ -0,0 +1,127 @@
+// Reader for bookmarks saved to AsyncStorage before they moved to the
+// SQLite database. Only used to import them once; nothing writes here now.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parseJob } from '../utils/jobParser';
+
+export const BOOKMARKS_KEY = 'jobBookmarks';
+export const BOOKMARKS_BACKUP_KEY = 'jobBookmarks_backup';
+
+export const BOOKMARK_SCHEMA_VERSION = 2;
+
+// Stored formats over time:
+//   v0: a bare array of raw jobs
+//   v1: { timestamp, jobs } with lightly processed raw jobs
+//   v2: { version: 2, savedAt, jobs } with normalized jobs
+const detectVersion = (data) => {
+  if (Array.isArray(data)) return 0;
+  if (!data || typeof data !== 'object') return null;
+  if (typeof data.version === 'number') return data.version;
+  if (Array.isArray(data.jobs)) return 1;
+  return null;
+};
+
+// Each migration takes data in version N and returns version N + 1
+const MIGRATIONS = {
+  0: (jobs) => ({ timestamp: null, jobs }),
+  1: (data) => ({
+    version: 2,
+    savedAt: data.timestamp || null,
+    jobs: data.jobs,
+  }),
+};
+
+export class BookmarkStoreError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'BookmarkStoreError';
+    if (cause) this.cause = cause;
+  }
+}
+
+// Bring stored data up to the current version and validate every job.
+// Throws BookmarkStoreError when the data cannot be understood at all.
+const migrate = (data) => {
+  let version = detectVersion(data);
+  if (version === null) {
+    throw new BookmarkStoreError('Unrecognized bookmark data');
+  }
+  if (version > BOOKMARK_SCHEMA_VERSION) {
+    throw new BookmarkStoreError(`Bookmark data is from a newer app version (v${version})`);
+  }
+
+  let current = data;
+  while (version < BOOKMARK_SCHEMA_VERSION) {
+    current = MIGRATIONS[version](current);
+    version += 1;
+  }
+
+  if (!Array.isArray(current.jobs)) {
+    throw new BookmarkStoreError('Bookmark data has no job list');
+  }
+
+  // Drop individual entries that are not jobs rather than failing the whole read
+  const seen = new Set();
+  const jobs = [];
+  current.jobs.forEach(entry => {
+    const job = parseJob(entry);
+    if (!job || seen.has(job.id)) return;
+    seen.add(job.id);
+    jobs.push(job);
+  });
+
+  return { jobs };
+};
+
+// Read and migrate one key. Resolves with null when the key is empty.
+const readKey = async (key) => {
+  const stored = await AsyncStorage.getItem(key);
+  if (!stored) return null;
+
+  let data;
+  try {
+    data = JSON.parse(stored);
+  } catch (err) {
+    throw new BookmarkStoreError(`Bookmark data in ${key} is not valid JSON`, err);
+  }
+  return migrate(data);
+};
+
+// Helper function to read a key, treating corruption as a value to report
+const tryReadKey = async (key) => {
+  try {
+    return { result: await readKey(key), error: null };
+  } catch (err) {
+    if (!(err instanceof BookmarkStoreError)) throw err;
+    return { result: null, error: err };
+  }
+};
+
+/**
+ * Read the legacy bookmarks, falling back to the backup key when the main
+ * copy is missing or unreadable. Nothing is modified or deleted.
+ *
+ * Resolves with `{ jobs, repaired }`; rejects with BookmarkStoreError when
+ * neither copy can be read.
+ */
+export const readLegacyBookmarks = async () => {
+  const main = await tryReadKey(BOOKMARKS_KEY);
+  if (main.result) {
+    return { jobs: main.result.jobs, repaired: false };
+  }
+
+  if (main.error) {
+    console.warn('Main bookmark copy is unreadable, trying backup:', main.error.message);
+  }
+
+  const backup = await tryReadKey(BOOKMARKS_BACKUP_KEY);
+  if (backup.result) {
+    return { jobs: backup.result.jobs, repaired: true };
+  }
+
+  if (main.error || backup.error) {
+    throw main.error || backup.error;
+  }
+
+  // Nothing stored
+  return { jobs: [], repaired: false };
+};
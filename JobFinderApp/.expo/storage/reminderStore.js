@@ -0,0 +1,41 @@
+import { executeSql } from './database';
+
+// Helper function to turn a reminders row into a reminder
+const rowToReminder = (row) => ({
+  jobId: row.job_id,
+  notificationId: row.notification_id,
+  remindAt: row.remind_at,
+  createdAt: row.created_at,
+});
+
+/**
+ * Upcoming reminders as `{ [jobId]: reminder }`. Reminders whose time has
+ * passed have already been shown as notifications, so they are dropped.
+ */
+export const loadReminders = async (now = new Date()) => {
+  await executeSql('DELETE FROM reminders WHERE remind_at <= ?', [now.toISOString()]);
+  const rows = await executeSql('SELECT job_id, notification_id, remind_at, created_at FROM reminders');
+  return rows.reduce((map, row) => {
+    map[row.job_id] = rowToReminder(row);
+    return map;
+  }, {});
+};
+
+// Each job has at most one reminder; saving replaces the previous one
+export const saveReminder = async (jobId, notificationId, remindAt) => {
+  const reminder = {
+    jobId: String(jobId),
+    notificationId,
+    remindAt,
+    createdAt: new Date().toISOString(),
+  };
+  await executeSql(
+    'INSERT OR REPLACE INTO reminders (job_id, notification_id, remind_at, created_at) VALUES (?, ?, ?, ?)',
+    [reminder.jobId, notificationId, remindAt, reminder.createdAt]
+  );
+  return reminder;
+};
+
+export const deleteReminder = async (jobId) => {
+  await executeSql('DELETE FROM reminders WHERE job_id = ?', [String(jobId)]);
+};
@@ -0,0 +1,112 @@
+import { runTransaction, executeSql } from './database';
+import { upsertJobStatement, rowToJob, pruneJobs } from './jobStore';
+import { EMPTY_FILTERS } from '../utils/jobFilters';
+
+// Helper function to turn a saved_searches row into a saved search
+const rowToSearch = (row) => {
+  let filters = EMPTY_FILTERS;
+  try {
+    filters = { ...EMPTY_FILTERS, ...JSON.parse(row.filters) };
+  } catch (err) {
+    console.error('Skipping unreadable filters of saved search:', row.id, err);
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    query: row.query,
+    filters,
+    createdAt: row.created_at,
+    lastCheckedAt: row.last_checked_at,
+    unreadCount: row.unread_count || 0,
+  };
+};
+
+// Saved searches in the order they were created, with their unread counts
+export const loadSavedSearches = async () => {
+  const rows = await executeSql(
+    `SELECT saved_searches.*,
+      (SELECT COUNT(*) FROM saved_search_matches
+        WHERE saved_search_matches.search_id = saved_searches.id AND is_read = 0) AS unread_count
+      FROM saved_searches ORDER BY created_at ASC, id ASC`
+  );
+  return rows.map(rowToSearch);
+};
+
+// Only postings newer than the moment a search is saved count as new matches
+export const createSavedSearch = async (name, query, filters) => {
+  const createdAt = new Date().toISOString();
+  const [, rows] = await runTransaction([
+    [
+      'INSERT INTO saved_searches (name, query, filters, created_at, last_checked_at) VALUES (?, ?, ?, ?, ?)',
+      [name, query, JSON.stringify(filters), createdAt, createdAt],
+    ],
+    ['SELECT last_insert_rowid() AS id'],
+  ]);
+  return { id: rows[0].id, name, query, filters, createdAt, lastCheckedAt: createdAt, unreadCount: 0 };
+};
+
+export const deleteSavedSearch = async (searchId) => {
+  await runTransaction([
+    ['DELETE FROM saved_search_matches WHERE search_id = ?', [searchId]],
+    ['DELETE FROM saved_searches WHERE id = ?', [searchId]],
+  ]);
+  await pruneJobs();
+};
+
+/**
+ * Store the result of a check. `results` is a list of `{ search, jobs }`.
+ * Every search's last check moves to `checkedAt`. Resolves with the results
+ * narrowed to jobs that were not already recorded for that search.
+ */
+export const recordMatches = async (results, checkedAt) => {
+  const searchIds = results.map(result => result.search.id);
+  const existingRows = searchIds.length > 0
+    ? await executeSql(
+      `SELECT search_id, job_id FROM saved_search_matches WHERE search_id IN (${searchIds.map(() => '?').join(', ')})`,
+      searchIds
+    )
+    : [];
+  const existing = new Set(existingRows.map(row => `${row.search_id}:${row.job_id}`));
+
+  const fresh = results.map(({ search, jobs }) => ({
+    search,
+    jobs: jobs.filter(job => !existing.has(`${search.id}:${job.id}`)),
+  }));
+
+  const statements = [];
+  fresh.forEach(({ search, jobs }) => {
+    jobs.forEach(job => {
+      statements.push(upsertJobStatement(job, checkedAt));
+      statements.push([
+        'INSERT OR IGNORE INTO saved_search_matches (search_id, job_id, found_at) VALUES (?, ?, ?)',
+        [search.id, String(job.id), checkedAt],
+      ]);
+    });
+    statements.push(['UPDATE saved_searches SET last_checked_at = ? WHERE id = ?', [checkedAt, search.id]]);
+  });
+  await runTransaction(statements);
+
+  return fresh;
+};
+
+// Every job found by one saved search, newest first
+export const loadMatches = async (searchId) => {
+  const rows = await executeSql(
+    `SELECT jobs.id, jobs.data FROM saved_search_matches
+      INNER JOIN jobs ON jobs.id = saved_search_matches.job_id
+      WHERE saved_search_matches.search_id = ?
+      ORDER BY saved_search_matches.found_at DESC`,
+    [searchId]
+  );
+  return rows.map(rowToJob).filter(Boolean);
+};
+
+// Forget matches found before `before`, then the cached jobs only they used
+export const pruneMatches = async (before) => {
+  await executeSql('DELETE FROM saved_search_matches WHERE found_at < ?', [before]);
+  await pruneJobs();
+};
+
+export const markMatchesRead = async (searchId) => {
+  await executeSql('UPDATE saved_search_matches SET is_read = 1 WHERE search_id = ?', [searchId]);
+};
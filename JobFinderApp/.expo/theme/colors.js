@@ -0,0 +1,102 @@
+// Named colors for the light and dark themes. Styles read these through
+// ThemeContext instead of hex literals, so both palettes need the same keys.
+export const lightColors = {
+  primary: '#007BFF',
+  primaryMuted: '#9CC9FF',
+  // Chips, tags and highlighted rows
+  primarySoft: '#E7F3FE',
+  primarySoftText: '#0E56A8',
+  link: 'blue',
+  onPrimary: '#FFFFFF',
+
+  background: '#f8f8f8',
+  card: '#FFFFFF',
+  rowAlt: '#fafafa',
+  surface: '#f0f0f0',
+  surfaceStrong: '#e1e1e1',
+  border: '#ddd',
+  divider: '#eee',
+  overlay: 'rgba(0, 0, 0, 0.4)',
+  shadow: '#000',
+  fab: '#000',
+  // Buttons on the dark snackbar
+  snackbarAction: '#9CC9FF',
+
+  text: '#333',
+  textSecondary: '#666',
+  textMuted: '#767676',
+  iconMuted: '#ccc',
+
+  error: 'red',
+  danger: '#ff6b6b',
+  offline: '#b52424',
+  expired: '#DC3545',
+  warning: '#FD7E14',
+  success: '#28A745',
+  successSoft: '#E8F5E9',
+  successText: '#1E7E34',
+  premium: '#FFD700',
+  onPremium: '#333',
+
+  // Application statuses, see utils/applicationStatus
+  statusInterested: '#6C757D',
+  statusContacted: '#17A2B8',
+  statusApplied: '#007BFF',
+  statusInterview: '#FD7E14',
+  statusOffer: '#28A745',
+  statusRejected: '#DC3545',
+
+  whatsapp: '#25D366',
+  facebook: '#4267B2',
+  mapLabel: 'rgba(255, 255, 255, 0.85)',
+  mapCluster: '#0E56A8',
+};
+
+export const darkColors = {
+  primary: '#4DA3FF',
+  primaryMuted: '#2E5A88',
+  primarySoft: '#1B3350',
+  primarySoftText: '#9CC9FF',
+  link: '#6EA8FE',
+  onPrimary: '#FFFFFF',
+
+  background: '#121212',
+  card: '#1E1E1E',
+  rowAlt: '#242424',
+  surface: '#2A2A2A',
+  surfaceStrong: '#333333',
+  border: '#3A3A3A',
+  divider: '#2C2C2C',
+  overlay: 'rgba(0, 0, 0, 0.6)',
+  shadow: '#000',
+  fab: '#444444',
+  snackbarAction: '#9CC9FF',
+
+  text: '#E6E6E6',
+  textSecondary: '#A0A0A0',
+  textMuted: '#8F8F8F',
+  iconMuted: '#4A4A4A',
+
+  error: '#FF6B6B',
+  danger: '#FF7B7B',
+  offline: '#8E1C1C',
+  expired: '#E5545F',
+  warning: '#FD7E14',
+  success: '#3DBE5C',
+  successSoft: '#1E3B24',
+  successText: '#6FCF87',
+  premium: '#E6C200',
+  onPremium: '#333',
+
+  statusInterested: '#8A939B',
+  statusContacted: '#2BB3C9',
+  statusApplied: '#4DA3FF',
+  statusInterview: '#FD7E14',
+  statusOffer: '#3DBE5C',
+  statusRejected: '#E5545F',
+
+  whatsapp: '#25D366',
+  facebook: '#4267B2',
+  mapLabel: 'rgba(30, 30, 30, 0.85)',
+  mapCluster: '#0E56A8',
+};
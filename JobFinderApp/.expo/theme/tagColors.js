@@ -0,0 +1,66 @@
+// Tags come with colors picked by the server for a white background. In the
+// dark theme they are toned down and their text lightened until readable.
+
+// WCAG AA contrast for normal text
+const MIN_CONTRAST = 4.5;
+
+// Helper function to read '#RGB' or '#RRGGBB' into [r, g, b], or null
+const parseHex = (value) => {
+  if (typeof value !== 'string') return null;
+  let hex = value.trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(digit => digit + digit).join('');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+  return [0, 2, 4].map(start => parseInt(hex.slice(start, start + 2), 16));
+};
+
+const toHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+// Helper function to move `rgb` towards `target` by `amount` (0 to 1)
+const mix = (rgb, target, amount) => rgb.map((channel, index) => channel + (target[index] - channel) * amount);
+
+// Relative luminance as defined by WCAG
+const getLuminance = (rgb) => {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const getContrastRatio = (first, second) => {
+  const lighter = Math.max(getLuminance(first), getLuminance(second));
+  const darker = Math.min(getLuminance(first), getLuminance(second));
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Background and text colors for a job tag in the current theme.
+ * @param {{bgColor: ?string, textColor: ?string}} tag
+ * @param {{colors: Object, isDark: boolean}} theme - from ThemeContext
+ * @returns {{backgroundColor: string, color: string}}
+ */
+export const getTagColors = (tag, { colors, isDark }) => {
+  const background = parseHex(tag.bgColor);
+  const text = parseHex(tag.textColor);
+
+  if (!isDark) {
+    return {
+      backgroundColor: background ? tag.bgColor : colors.primarySoft,
+      color: text ? tag.textColor : colors.primarySoftText,
+    };
+  }
+  if (!background && !text) {
+    return { backgroundColor: colors.primarySoft, color: colors.primarySoftText };
+  }
+
+  // Keep a hint of the server color on the dark card
+  const card = parseHex(colors.card);
+  const adjustedBackground = background ? mix(background, card, 0.8) : parseHex(colors.primarySoft);
+  let adjustedText = text || parseHex(colors.primarySoftText);
+  const white = [255, 255, 255];
+  for (let step = 0; step < 10 && getContrastRatio(adjustedText, adjustedBackground) < MIN_CONTRAST; step++) {
+    adjustedText = mix(adjustedText, white, 0.25);
+  }
+
+  return { backgroundColor: toHex(adjustedBackground), color: toHex(adjustedText) };
+};
@@ -0,0 +1,77 @@
+import { splitLinks, getFieldIcon, isLongText, LONG_TEXT_LENGTH } from '../contentFields';
+
+describe('splitLinks', () => {
+  it('returns no segments for empty text', () => {
+    expect(splitLinks('')).toEqual([]);
+    expect(splitLinks(null)).toEqual([]);
+  });
+
+  it('keeps text without links as one plain segment', () => {
+    expect(splitLinks('Walk-in interview, 10 AM to 5 PM.')).toEqual([
+      { type: 'text', text: 'Walk-in interview, 10 AM to 5 PM.' },
+    ]);
+  });
+
+  it('finds URLs with a scheme or a leading www.', () => {
+    expect(splitLinks('Apply at https://example.com/jobs?id=4')).toEqual([
+      { type: 'text', text: 'Apply at ' },
+      { type: 'url', text: 'https://example.com/jobs?id=4', value: 'https://example.com/jobs?id=4' },
+    ]);
+    expect(splitLinks('www.example.com')).toEqual([
+      { type: 'url', text: 'www.example.com', value: 'https://www.example.com' },
+    ]);
+  });
+
+  it('leaves sentence punctuation after a URL out of the link', () => {
+    expect(splitLinks('See (www.example.com).')).toEqual([
+      { type: 'text', text: 'See (' },
+      { type: 'url', text: 'www.example.com', value: 'https://www.example.com' },
+      { type: 'text', text: ').' },
+    ]);
+  });
+
+  it('finds phone numbers and gives a dialable value', () => {
+    expect(splitLinks('Call 98765 43210')).toEqual([
+      { type: 'text', text: 'Call ' },
+      { type: 'phone', text: '98765 43210', value: '9876543210' },
+    ]);
+    expect(splitLinks('+91-9876543210')).toEqual([
+      { type: 'phone', text: '+91-9876543210', value: '+919876543210' },
+    ]);
+    expect(splitLinks('09876543210')).toEqual([
+      { type: 'phone', text: '09876543210', value: '09876543210' },
+    ]);
+  });
+
+  it('does not treat other numbers as phone numbers', () => {
+    expect(splitLinks('Salary 15000, pin 500068, ref 1234567890')).toEqual([
+      { type: 'text', text: 'Salary 15000, pin 500068, ref 1234567890' },
+    ]);
+  });
+
+  it('splits mixed content in order', () => {
+    const segments = splitLinks('Send your CV to https://example.com or call 9876543210 today');
+
+    expect(segments.map(segment => segment.type)).toEqual(['text', 'url', 'text', 'phone', 'text']);
+    expect(segments.map(segment => segment.text).join('')).toBe('Send your CV to https://example.com or call 9876543210 today');
+  });
+});
+
+describe('getFieldIcon', () => {
+  it('matches known keys regardless of case and separators', () => {
+    expect(getFieldIcon({ key: 'Shift_Timing' })).toBe('time-outline');
+  });
+
+  it('falls back to a generic icon', () => {
+    expect(getFieldIcon({ key: 'Something new' })).toBe('information-circle-outline');
+    expect(getFieldIcon({})).toBe('information-circle-outline');
+  });
+});
+
+describe('isLongText', () => {
+  it('collapses only text over the limit', () => {
+    expect(isLongText('a'.repeat(LONG_TEXT_LENGTH))).toBe(false);
+    expect(isLongText('a'.repeat(LONG_TEXT_LENGTH + 1))).toBe(true);
+    expect(isLongText(null)).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+import { FIXTURE_JOBS } from '../../api/fixtures/jobs';
+import { parseJobs } from '../jobParser';
+import { getJobDistanceKm } from '../locations';
+import { EMPTY_FILTERS, matchesFilters, sortJobs } from '../jobFilters';
+
+const jobs = parseJobs(FIXTURE_JOBS);
+const NAGOLE = { latitude: 17.3705, longitude: 78.5665 };
+const getDistance = (job) => getJobDistanceKm(job, NAGOLE);
+
+// Helper function to find a parsed sample job by id
+const jobById = (id) => jobs.find(job => job.id === id);
+
+// A job posted somewhere the location tables do not know
+const UNPLACED = {
+  id: 'unplaced',
+  location: { city: 'Atlantis', locality: null, cityId: null, localityId: null, coordinates: null },
+};
+
+describe('matchesFilters with a distance limit', () => {
+  const filters = { ...EMPTY_FILTERS, maxDistanceKm: 25 };
+
+  it('keeps jobs within the distance and drops the rest', () => {
+    expect(matchesFilters(jobById(4412), filters, { getDistance })).toBe(true);
+    expect(matchesFilters(jobById(4398), filters, { getDistance })).toBe(true);
+    expect(matchesFilters(jobById(4322), filters, { getDistance })).toBe(false);
+  });
+
+  it('drops jobs whose distance is unknown', () => {
+    const unplaced = { ...jobById(4412), location: UNPLACED.location };
+
+    expect(matchesFilters(unplaced, filters, { getDistance })).toBe(false);
+  });
+
+  it('skips the distance limit without a way to measure distance', () => {
+    expect(matchesFilters(jobById(4322), filters)).toBe(true);
+  });
+});
+
+describe('sortJobs by nearest', () => {
+  it('orders jobs by distance from home', () => {
+    const sorted = sortJobs(jobs, 'nearest', { getDistance });
+    const distances = sorted.map(getDistance).filter(distance => distance !== null);
+
+    expect(sorted[0].id).toBe(4412);
+    expect(distances).toEqual([...distances].sort((a, b) => a - b));
+  });
+
+  it('puts jobs without a distance last and keeps their order', () => {
+    const sorted = sortJobs([UNPLACED, jobById(4322), jobById(4412)], 'nearest', { getDistance });
+
+    expect(sorted.map(job => job.id)).toEqual([4412, 4322, 'unplaced']);
+  });
+
+  it('keeps the original order without a way to measure distance', () => {
+    expect(sortJobs(jobs, 'nearest').map(job => job.id)).toEqual(jobs.map(job => job.id));
+  });
+
+  it('does not change the list it was given', () => {
+    const ids = jobs.map(job => job.id);
+    sortJobs(jobs, 'nearest', { getDistance });
+
+    expect(jobs.map(job => job.id)).toEqual(ids);
+  });
+});
@@ -0,0 +1,205 @@
+import { FIXTURE_PAGES, FIXTURE_JOBS } from '../../api/fixtures/jobs';
+import { parseJob, parseJobs, isNormalizedJob, formatSalary, JOB_MODEL_VERSION } from '../jobParser';
+
+// Helper function to find a sample payload by id
+const rawJob = (id) => FIXTURE_JOBS.find(item => item.id === id);
+
+describe('parseJob', () => {
+  it('normalizes a complete payload', () => {
+    const job = parseJob(rawJob(4412));
+
+    expect(job).toMatchObject({
+      modelVersion: JOB_MODEL_VERSION,
+      id: 4412,
+      title: 'Telesales Executive',
+      companyName: 'Xerxes Corporate Services Private Limited',
+      role: 'Telesales Executive',
+      category: 'Telecaller / BPO',
+      hours: '09:00 AM - 06:00 PM',
+      openings: 120,
+      views: 7004,
+      isPremium: true,
+      salary: { min: 12000, max: 20000, text: '₹12000 - ₹20000' },
+      location: {
+        label: 'Nagole, Hyderabad',
+        locality: 'Nagole',
+        city: 'Hyderabad',
+        cityId: 69,
+        localityId: 2187,
+      },
+      tags: [{ label: '120 Vacancies', bgColor: '#FFFFFF', textColor: '#000000' }],
+      createdOn: '2025-04-06T07:56:43.599Z',
+      expireOn: '2025-05-06T00:00:00.000Z',
+    });
+  });
+
+  it('treats the V3:[] salary placeholder as no salary', () => {
+    const job = parseJob(rawJob(4322));
+
+    expect(job.salary).toEqual({ min: null, max: null, text: null });
+    expect(formatSalary(job.salary)).toBe('Not Mentioned');
+  });
+
+  it('treats an empty V3 list and "-" as no value', () => {
+    const job = parseJob({
+      ...rawJob(4322),
+      primary_details: { Salary: { V3: [] }, Fees_Charged: '-' },
+      salary: [],
+    });
+
+    expect(job.salary).toEqual({ min: null, max: null, text: null });
+    expect(job.fees).toBeNull();
+  });
+
+  it('reads salary amounts from the text when the numbers are zero', () => {
+    const job = parseJob({
+      ...rawJob(4412),
+      salary_min: 0,
+      salary_max: '0',
+      primary_details: { Salary: '₹8,000 - ₹12,500' },
+    });
+
+    expect(job.salary).toEqual({ min: 8000, max: 12500, text: '₹8,000 - ₹12,500' });
+  });
+
+  it('resolves numeric experience and job_type ids from primary_details', () => {
+    const job = parseJob(rawJob(4377));
+
+    expect(job.experience).toBe('1 - 2 Years');
+    expect(job.jobType).toBe('Full Time');
+    expect(job.qualification).toBe('B.Sc Nursing');
+  });
+
+  it('never shows a numeric experience or job_type id as text', () => {
+    const job = parseJob({ ...rawJob(4377), primary_details: {} });
+
+    expect(job.experience).toBeNull();
+    expect(job.jobType).toBeNull();
+    expect(job.qualification).toBeNull();
+  });
+
+  it('keeps experience and job_type sent as text', () => {
+    const job = parseJob({ ...rawJob(4377), primary_details: {}, experience: '3 Years', job_type: 'Contract' });
+
+    expect(job.experience).toBe('3 Years');
+    expect(job.jobType).toBe('Contract');
+  });
+
+  it('takes the phone number from a tel: custom_link', () => {
+    const job = parseJob(rawJob(4377));
+
+    expect(job.contact).toEqual({
+      phone: '9000123456',
+      whatsapp: null,
+      callStart: '09:00:00',
+      callEnd: '18:00:00',
+    });
+  });
+
+  it('ignores a custom_link that is not a phone number', () => {
+    const job = parseJob({ ...rawJob(4377), custom_link: 'https://example.com/apply', whatsapp_no: '919000123456' });
+
+    expect(job.contact.phone).toBe('919000123456');
+    expect(job.contact.whatsapp).toBe('919000123456');
+  });
+
+  it('reads contentV3 fields in server order', () => {
+    const job = parseJob(rawJob(4412));
+
+    expect(job.content.map(field => field.key)).toEqual(['Gender', 'Shift timing', 'Languages', 'Other details']);
+    expect(job.shift).toBe('Day Shift');
+  });
+
+  it('handles field_Key casing and a missing field_name in contentV3', () => {
+    const job = parseJob(rawJob(4377));
+
+    expect(job.content[2]).toEqual({
+      key: 'accommodation',
+      label: 'Accommodation',
+      value: 'Free hostel accommodation provided',
+    });
+  });
+
+  it('joins contentV3 values sent as arrays and drops empty ones', () => {
+    const job = parseJob({
+      ...rawJob(4412),
+      contentV3: {
+        V3: [
+          { field_key: 'Languages', field_name: 'Languages', field_value: ['Telugu', ' Hindi ', '', null] },
+          { field_key: 'Documents', field_name: 'Documents', field_value: [] },
+          { field_key: 'Perks', field_name: 'Perks', field_value: { V3: [] } },
+          null,
+        ],
+      },
+    });
+
+    expect(job.content).toEqual([{ key: 'Languages', label: 'Languages', value: 'Telugu, Hindi' }]);
+  });
+
+  it('reads coordinates sent as numbers or text', () => {
+    expect(parseJob({ ...rawJob(4412), latitude: 17.3705, longitude: '78.5665' }).location.coordinates)
+      .toEqual({ latitude: 17.3705, longitude: 78.5665 });
+    expect(parseJob({ ...rawJob(4412), latitude: 17.3705 }).location.coordinates).toBeNull();
+    expect(parseJob({ ...rawJob(4412), latitude: '', longitude: 'n/a' }).location.coordinates).toBeNull();
+  });
+
+  it('survives missing and null fields', () => {
+    const job = parseJob({
+      id: 77,
+      title: null,
+      company_name: null,
+      primary_details: null,
+      contentV3: null,
+      job_tags: null,
+      tags: null,
+      contact_preference: null,
+      custom_link: null,
+      created_on: 'not a date',
+    });
+
+    expect(job).toMatchObject({
+      id: 77,
+      title: 'Untitled Job',
+      companyName: null,
+      jobType: null,
+      experience: null,
+      openings: null,
+      views: 0,
+      isPremium: false,
+      salary: { min: null, max: null, text: null },
+      location: { label: null, locality: null, city: null, cityId: null, localityId: null, coordinates: null },
+      contact: { phone: null, whatsapp: null, callStart: null, callEnd: null },
+      tags: [],
+      keywords: [],
+      content: [],
+      createdOn: null,
+      expireOn: null,
+    });
+  });
+
+  it('returns null for entries without an id', () => {
+    expect(parseJob(FIXTURE_PAGES[0][1])).toBeNull();
+    expect(parseJob(null)).toBeNull();
+    expect(parseJob('4412')).toBeNull();
+  });
+
+  it('returns an already normalized job unchanged', () => {
+    const job = parseJob(rawJob(4412));
+
+    expect(isNormalizedJob(job)).toBe(true);
+    expect(parseJob(job)).toBe(job);
+  });
+});
+
+describe('parseJobs', () => {
+  it('drops promotional cards from a page', () => {
+    const jobs = parseJobs(FIXTURE_PAGES[0]);
+
+    expect(jobs.map(job => job.id)).toEqual([4412, 4398, 4377]);
+  });
+
+  it('returns an empty list for a payload that is not a list', () => {
+    expect(parseJobs(undefined)).toEqual([]);
+    expect(parseJobs({ results: [] })).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { FIXTURE_JOBS } from '../../api/fixtures/jobs';
+import { parseJob } from '../jobParser';
+import { getJobCoordinates, getJobDistanceKm } from '../locations';
+
+// Helper function to parse a sample payload by id
+const fixtureJob = (id) => parseJob(FIXTURE_JOBS.find(item => item.id === id));
+
+// Helper function to build a job at the given place
+const jobAt = (location) => ({ id: 1, location: { coordinates: null, cityId: null, localityId: null, ...location } });
+
+const NAGOLE = { latitude: 17.3705, longitude: 78.5665 };
+
+describe('getJobCoordinates', () => {
+  it('uses the coordinates sent with the posting first', () => {
+    const job = jobAt({ coordinates: { latitude: 17.4, longitude: 78.5 }, city: 'Chennai' });
+
+    expect(getJobCoordinates(job)).toEqual({ latitude: 17.4, longitude: 78.5, precision: 'exact' });
+  });
+
+  it('places a job by its names before its place ids', () => {
+    // 4398 carries the default Nagole locality id but is posted in Kukatpally
+    const coordinates = getJobCoordinates(fixtureJob(4398));
+
+    expect(coordinates).toEqual({ latitude: 17.4849, longitude: 78.4138, precision: 'locality' });
+  });
+
+  it('falls back to the city when the locality is unknown', () => {
+    const job = jobAt({ city: 'Bangalore', locality: 'Nowhere' });
+
+    expect(getJobCoordinates(job)).toEqual({ latitude: 12.9716, longitude: 77.5946, precision: 'city' });
+  });
+
+  it('falls back to the place ids when there is no usable name', () => {
+    expect(getJobCoordinates(jobAt({ localityId: 2187, cityId: 69 })))
+      .toEqual({ ...NAGOLE, precision: 'locality' });
+    expect(getJobCoordinates(jobAt({ cityId: 15 })))
+      .toEqual({ latitude: 13.0827, longitude: 80.2707, precision: 'city' });
+  });
+
+  it('returns null for a place it does not know', () => {
+    expect(getJobCoordinates(jobAt({ city: 'Atlantis', cityId: 9999 }))).toBeNull();
+    expect(getJobCoordinates(null)).toBeNull();
+  });
+});
+
+describe('getJobDistanceKm', () => {
+  it('measures the distance from home to the job', () => {
+    expect(getJobDistanceKm(fixtureJob(4412), NAGOLE)).toBeCloseTo(0, 5);
+    // Hyderabad to Chennai is roughly 520 km in a straight line
+    const distance = getJobDistanceKm(fixtureJob(4322), NAGOLE);
+    expect(distance).toBeGreaterThan(500);
+    expect(distance).toBeLessThan(540);
+  });
+
+  it('returns null without a valid home location', () => {
+    expect(getJobDistanceKm(fixtureJob(4412), null)).toBeNull();
+    expect(getJobDistanceKm(fixtureJob(4412), { latitude: 200, longitude: 78 })).toBeNull();
+  });
+
+  it('returns null when the job cannot be placed', () => {
+    expect(getJobDistanceKm(jobAt({ city: 'Atlantis' }), NAGOLE)).toBeNull();
+  });
+});
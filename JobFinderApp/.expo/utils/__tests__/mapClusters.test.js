@@ -0,0 +1,93 @@
+import { FIXTURE_JOBS } from '../../api/fixtures/jobs';
+import { parseJobs } from '../jobParser';
+import {
+  placeJobs,
+  clusterPoints,
+  getRegionForPoints,
+  canSplitCluster,
+  DEFAULT_REGION,
+  MIN_ZOOM_DELTA,
+} from '../mapClusters';
+
+const jobs = parseJobs(FIXTURE_JOBS);
+
+// Helper function to build a job at the given coordinates
+const jobAt = (id, latitude, longitude) => ({
+  id,
+  location: { coordinates: { latitude, longitude }, city: null, locality: null, cityId: null, localityId: null },
+});
+
+// Helper function to build a map point for a job
+const pointAt = (id, latitude, longitude) => ({ job: jobAt(id, latitude, longitude), coordinate: { latitude, longitude } });
+
+// A job posted somewhere the location tables do not know
+const UNKNOWN = {
+  id: 'unknown',
+  location: { city: 'Atlantis', locality: null, cityId: null, localityId: null, coordinates: null },
+};
+
+const REGION = { latitude: 17, longitude: 79, latitudeDelta: 8, longitudeDelta: 8 };
+
+describe('placeJobs', () => {
+  it('places every sample job and keeps unknown places aside', () => {
+    const { points, unplaced } = placeJobs([...jobs, UNKNOWN]);
+
+    expect(points.map(point => point.job.id)).toEqual(jobs.map(job => job.id));
+    expect(unplaced).toEqual([UNKNOWN]);
+  });
+});
+
+describe('clusterPoints', () => {
+  it('groups points in the same grid cell and averages their position', () => {
+    const clusters = clusterPoints([pointAt(1, 17.2, 78.2), pointAt(2, 17.4, 78.4)], REGION);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].jobs.map(job => job.id)).toEqual([1, 2]);
+    expect(clusters[0].coordinate.latitude).toBeCloseTo(17.3);
+    expect(clusters[0].coordinate.longitude).toBeCloseTo(78.3);
+  });
+
+  it('keeps points in different cells apart with stable ids for single pins', () => {
+    const clusters = clusterPoints([pointAt(1, 17.2, 78.2), pointAt(2, 13.1, 80.3)], REGION);
+
+    expect(clusters.map(cluster => cluster.id).sort()).toEqual(['job-1', 'job-2']);
+  });
+
+  it('splits a cluster once the region is small enough', () => {
+    const points = [pointAt(1, 17.2, 78.2), pointAt(2, 17.4, 78.4)];
+
+    expect(clusterPoints(points, { ...REGION, latitudeDelta: 0.5, longitudeDelta: 0.5 })).toHaveLength(2);
+  });
+});
+
+describe('getRegionForPoints', () => {
+  it('falls back to the default region without points', () => {
+    expect(getRegionForPoints([])).toBe(DEFAULT_REGION);
+  });
+
+  it('centres on the points with padding', () => {
+    const region = getRegionForPoints([pointAt(1, 16, 78), pointAt(2, 18, 80)]);
+
+    expect(region.latitude).toBeCloseTo(17);
+    expect(region.longitude).toBeCloseTo(79);
+    expect(region.latitudeDelta).toBeCloseTo(2.8);
+    expect(region.longitudeDelta).toBeCloseTo(2.8);
+  });
+
+  it('does not zoom in further than the minimum for a single point', () => {
+    const region = getRegionForPoints([pointAt(1, 17, 78)]);
+
+    expect(region.latitudeDelta).toBe(MIN_ZOOM_DELTA);
+    expect(region.longitudeDelta).toBe(MIN_ZOOM_DELTA);
+  });
+});
+
+describe('canSplitCluster', () => {
+  it('is false when every job shares one coordinate', () => {
+    expect(canSplitCluster({ jobs: [jobAt(1, 17, 78), jobAt(2, 17, 78)] })).toBe(false);
+  });
+
+  it('is true when the jobs are in different places', () => {
+    expect(canSplitCluster({ jobs: [jobAt(1, 17, 78), jobAt(2, 17.1, 78)] })).toBe(true);
+  });
+});
@@ -0,0 +1,28 @@
+// The stages a saved job moves through, in pipeline order. Labels are the
+// `status.<key>` translations; `colorKey` names the theme color.
+export const APPLICATION_STATUSES = [
+  { key: 'interested', icon: 'star-outline', colorKey: 'statusInterested' },
+  { key: 'contacted', icon: 'chatbubble-ellipses-outline', colorKey: 'statusContacted' },
+  { key: 'applied', icon: 'paper-plane-outline', colorKey: 'statusApplied' },
+  { key: 'interview', icon: 'people-outline', colorKey: 'statusInterview' },
+  { key: 'offer', icon: 'trophy-outline', colorKey: 'statusOffer' },
+  { key: 'rejected', icon: 'close-circle-outline', colorKey: 'statusRejected' },
+];
+
+// Every saved job starts here until the user moves it
+export const DEFAULT_STATUS = 'interested';
+
+export const isValidStatus = (key) => APPLICATION_STATUSES.some(status => status.key === key);
+
+export const getStatusInfo = (key) => {
+  return APPLICATION_STATUSES.find(status => status.key === key) || APPLICATION_STATUSES[0];
+};
+
+// Group jobs into pipeline sections, keeping each status even when empty.
+// `getStatus(job)` returns the job's status key.
+export const groupByStatus = (jobs, getStatus) => {
+  return APPLICATION_STATUSES.map(status => ({
+    status,
+    data: jobs.filter(job => getStatus(job) === status.key),
+  }));
+};
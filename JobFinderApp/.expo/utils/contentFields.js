@@ -0,0 +1,87 @@
+// Display rules for the contentV3 fields shown in a job's Description.
+// The server adds new field keys without notice, so anything not listed
+// here still renders, just with a generic icon.
+
+// Icons for the field keys we know about, keyed by lower-cased field_key
+const FIELD_ICONS = {
+  'gender': 'male-female-outline',
+  'shift timing': 'time-outline',
+  'languages': 'language-outline',
+  'other details': 'document-text-outline',
+  'vehicle required': 'bicycle-outline',
+  'licence': 'card-outline',
+  'license': 'card-outline',
+  'skills': 'construct-outline',
+  'website': 'globe-outline',
+  'benefits': 'gift-outline',
+  'timings': 'time-outline',
+  'address': 'location-outline',
+  'documents required': 'folder-open-outline',
+  'interview details': 'chatbubbles-outline',
+};
+
+const DEFAULT_FIELD_ICON = 'information-circle-outline';
+
+// Values longer than this start collapsed behind "Read more"
+export const LONG_TEXT_LENGTH = 160;
+
+// Helper function to pick the icon for a content field
+export const getFieldIcon = (field) => {
+  const key = String(field.key || '').trim().toLowerCase().replace(/[_-]+/g, ' ');
+  return FIELD_ICONS[key] || DEFAULT_FIELD_ICON;
+};
+
+// Helper function to check whether a value needs the collapsed view
+export const isLongText = (text) => !!text && text.length > LONG_TEXT_LENGTH;
+
+// URLs with a scheme or a leading "www.", and Indian style phone numbers
+// (10 digits starting 6-9, optionally with +91 or 0 and a space or dash)
+const LINK_PATTERN = /(https?:\/\/[^\s]+|www\.[^\s]+)|((?:\+91[\s-]?|\b0|\b)[6-9]\d{4}[\s-]?\d{5}\b)/gi;
+
+// Punctuation that ends a sentence rather than belonging to the URL
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+
+/**
+ * Split text into plain, URL and phone segments so each can be rendered
+ * separately. Phone segments carry a dialable number in `value`, URL
+ * segments carry an openable address.
+ * @param {string} text
+ * @returns {{type: 'text'|'url'|'phone', text: string, value?: string}[]}
+ */
+export const splitLinks = (text) => {
+  if (!text) return [];
+  const segments = [];
+  let lastIndex = 0;
+
+  // Helper function to add plain text, merging with a previous plain segment
+  const pushText = (value) => {
+    if (!value) return;
+    const previous = segments[segments.length - 1];
+    if (previous && previous.type === 'text') {
+      previous.text += value;
+    } else {
+      segments.push({ type: 'text', text: value });
+    }
+  };
+
+  text.replace(LINK_PATTERN, (match, url, phone, offset) => {
+    pushText(text.slice(lastIndex, offset));
+    if (url) {
+      const trailing = (url.match(TRAILING_PUNCTUATION) || [''])[0];
+      const cleanUrl = trailing ? url.slice(0, -trailing.length) : url;
+      segments.push({
+        type: 'url',
+        text: cleanUrl,
+        value: /^https?:\/\//i.test(cleanUrl) ? cleanUrl : `https://${cleanUrl}`,
+      });
+      pushText(trailing);
+    } else {
+      segments.push({ type: 'phone', text: phone, value: phone.replace(/[^0-9+]/g, '') });
+    }
+    lastIndex = offset + match.length;
+    return match;
+  });
+  pushText(text.slice(lastIndex));
+
+  return segments;
+};
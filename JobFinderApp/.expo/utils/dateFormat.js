@@ -0,0 +1,20 @@
+import { t, formatDate } from '../i18n';
+
+// Helper function to describe how long ago a timestamp was, e.g. "5 min ago"
+export const formatRelativeTime = (value, now = Date.now()) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (isNaN(time)) return null;
+
+  const minutes = Math.floor((now - time) / 60000);
+  if (minutes < 1) return t('time.justNow');
+  if (minutes < 60) return t('time.minutesAgo', { count: minutes });
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('time.hoursAgo', { count: hours });
+
+  const days = Math.floor(hours / 24);
+  if (days < 7) return t('time.daysAgo', { count: days });
+
+  return formatDate(time);
+};
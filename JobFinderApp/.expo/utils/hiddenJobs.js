@@ -0,0 +1,21 @@
+// Company names are typed by employers, so "ABC Traders " and "abc traders"
+// count as the same company
+export const getCompanyKey = (companyName) => (
+  (companyName || '').trim().replace(/\s+/g, ' ').toLowerCase()
+);
+
+/**
+ * Build a predicate telling whether a job should stay out of the feed, from
+ * the lists kept in hiddenJobStore. Used by the feed and the background
+ * saved search check alike.
+ */
+export const createHiddenJobMatcher = (hiddenJobs = [], hiddenCompanies = []) => {
+  const jobIds = new Set(hiddenJobs.map(hiddenJob => String(hiddenJob.id)));
+  const companyKeys = new Set(hiddenCompanies.map(company => company.key));
+
+  return (job) => {
+    if (jobIds.has(String(job.id))) return true;
+    const companyKey = getCompanyKey(job.companyName);
+    return companyKey !== '' && companyKeys.has(companyKey);
+  };
+};
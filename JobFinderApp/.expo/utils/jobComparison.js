@@ -0,0 +1,118 @@
+import { formatSalary } from './jobParser';
+import { daysUntilExpiry, isExpired } from './jobExpiry';
+import { t, formatNumber } from '../i18n';
+
+// How many saved jobs can be compared side by side
+export const MAX_COMPARE_JOBS = 3;
+
+const NOT_MENTIONED = '—';
+
+// Helper function to read the first number in text like "2+ Years" or "₹500"
+const firstNumber = (text) => {
+  if (!text) return null;
+  const match = String(text).replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+// Freshers need no experience; otherwise use the smallest number of years given
+const experienceYears = (job) => {
+  if (!job.experience) return null;
+  if (/fresher/i.test(job.experience)) return 0;
+  return firstNumber(job.experience);
+};
+
+const formatExpiry = (job) => {
+  if (isExpired(job)) return t('expiry.expired');
+  const days = daysUntilExpiry(job);
+  if (days === null) return NOT_MENTIONED;
+  if (days <= 0) return t('compare.today');
+  if (days === 1) return t('compare.tomorrow');
+  return t('compare.daysLeft', { count: days });
+};
+
+/**
+ * Rows of the comparison table. `labelKey` is the message key of the row
+ * label. `score` returns a number for rows that can be
+ * ranked, and `better` says whether the higher or lower score wins.
+ * @type {{key: string, labelKey: string, icon: string, format: Function, score?: Function, better?: 'higher'|'lower'}[]}
+ */
+export const COMPARISON_ROWS = [
+  {
+    key: 'salary',
+    labelKey: 'details.salary',
+    icon: 'cash-outline',
+    format: job => formatSalary(job.salary),
+    // Compare the top of each range, or the only amount given
+    score: job => (job.salary.max !== null ? job.salary.max : job.salary.min),
+    better: 'higher',
+  },
+  { key: 'location', labelKey: 'details.location', icon: 'location-outline', format: job => job.location.label },
+  { key: 'jobType', labelKey: 'details.type', icon: 'briefcase-outline', format: job => job.jobType },
+  {
+    key: 'experience',
+    labelKey: 'details.experience',
+    icon: 'time-outline',
+    format: job => job.experience,
+    score: experienceYears,
+    better: 'lower',
+  },
+  { key: 'qualification', labelKey: 'details.qualification', icon: 'school-outline', format: job => job.qualification },
+  { key: 'shift', labelKey: 'details.shift', icon: 'sunny-outline', format: job => job.shift },
+  {
+    key: 'openings',
+    labelKey: 'details.openings',
+    icon: 'people-outline',
+    format: job => (job.openings ? formatNumber(job.openings) : null),
+    score: job => job.openings,
+    better: 'higher',
+  },
+  {
+    key: 'fees',
+    labelKey: 'details.fees',
+    icon: 'wallet-outline',
+    format: job => job.fees,
+    score: job => firstNumber(job.fees),
+    better: 'lower',
+  },
+  {
+    key: 'expiry',
+    labelKey: 'compare.expiry',
+    icon: 'hourglass-outline',
+    format: formatExpiry,
+    // More time left to apply is better
+    score: job => (isExpired(job) ? null : daysUntilExpiry(job)),
+    better: 'higher',
+  },
+];
+
+/**
+ * Build the table cells for the given jobs. A cell is marked `best` when its
+ * row can be ranked, at least two jobs have a number for it, and the numbers
+ * are not all the same.
+ * @param {import('./jobParser').Job[]} jobs
+ * @returns {{key: string, label: string, icon: string, cells: {text: string, best: boolean}[]}[]}
+ */
+export const buildComparison = (jobs) => {
+  return COMPARISON_ROWS.map(row => {
+    const scores = jobs.map(job => {
+      if (!row.score) return null;
+      const value = row.score(job);
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    });
+    const numeric = scores.filter(score => score !== null);
+    const canRank = numeric.length >= 2 && new Set(numeric).size > 1;
+    const best = canRank
+      ? (row.better === 'lower' ? Math.min(...numeric) : Math.max(...numeric))
+      : null;
+
+    return {
+      key: row.key,
+      label: t(row.labelKey),
+      icon: row.icon,
+      cells: jobs.map((job, index) => ({
+        text: row.format(job) || NOT_MENTIONED,
+        best: canRank && scores[index] === best,
+      })),
+    };
+  });
+};
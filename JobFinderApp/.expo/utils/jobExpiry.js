@@ -0,0 +1,66 @@
+import { t } from '../i18n';
+
+// Saved jobs are flagged as expiring soon this many days before expire_on
+export const EXPIRING_SOON_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to get local midnight of a date
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Calendar days left until the job expires; 0 on the last day, negative once
+// past it. Null when the job has no usable expiry date.
+export const daysUntilExpiry = (job, now = new Date()) => {
+  if (!job || !job.expireOn) return null;
+  const expiresAt = new Date(job.expireOn);
+  if (isNaN(expiresAt.getTime())) return null;
+  return Math.round((startOfDay(expiresAt) - startOfDay(now)) / DAY_MS);
+};
+
+export const isExpired = (job, now = new Date()) => {
+  if (!job || !job.expireOn) return false;
+  const expiresAt = new Date(job.expireOn).getTime();
+  return !isNaN(expiresAt) && expiresAt <= now.getTime();
+};
+
+// 'expired', 'expiringSoon' or null
+export const getExpiryState = (job, now = new Date()) => {
+  if (isExpired(job, now)) return 'expired';
+  const days = daysUntilExpiry(job, now);
+  if (days !== null && days < EXPIRING_SOON_DAYS) return 'expiringSoon';
+  return null;
+};
+
+// Helper function for the label shown on expiring jobs
+export const formatExpiryLabel = (job, now = new Date()) => {
+  const state = getExpiryState(job, now);
+  if (state === 'expired') return t('expiry.expired');
+  if (state !== 'expiringSoon') return null;
+  const days = daysUntilExpiry(job, now);
+  if (days <= 0) return t('expiry.today');
+  if (days === 1) return t('expiry.tomorrow');
+  return t('expiry.inDays', { count: days });
+};
+
+// When to warn about a job expiring, `daysBefore` days ahead at 9 AM local
+// time. Null when the job has no expiry date.
+export const getExpiryAlertDate = (job, daysBefore) => {
+  if (!job || !job.expireOn) return null;
+  const expiresAt = new Date(job.expireOn).getTime();
+  if (isNaN(expiresAt)) return null;
+  const alertAt = new Date(expiresAt - daysBefore * DAY_MS);
+  alertAt.setHours(9, 0, 0, 0);
+  return alertAt;
+};
+
+// Choices for how early to warn about a saved job expiring; 0 turns it off.
+// Labelled through the `expiryAlert.<key>` messages.
+export const EXPIRY_ALERT_OPTIONS = [
+  { key: 0, icon: 'notifications-off-outline' },
+  { key: 1, icon: 'notifications-outline' },
+  { key: 2, icon: 'notifications-outline' },
+  { key: 3, icon: 'notifications-outline' },
+  { key: 7, icon: 'notifications-outline' },
+];
+
+export const DEFAULT_EXPIRY_ALERT_DAYS = 2;
@@ -0,0 +1,213 @@
+import { t, formatCurrency } from '../i18n';
+
+// Helper function to turn a single field into lowercase searchable text
+const toSearchText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return '';
+  return String(value).toLowerCase();
+};
+
+// Collect every piece of text a job can be found by
+const getSearchableText = (job) => {
+  const parts = [
+    toSearchText(job.title),
+    toSearchText(job.companyName),
+    toSearchText(job.role),
+  ];
+
+  job.tags.forEach(tag => parts.push(toSearchText(tag.label)));
+  job.content.forEach(field => parts.push(toSearchText(field.value)));
+
+  return parts.filter(Boolean).join(' ');
+};
+
+// A job matches when every word of the query appears somewhere in its text
+export const matchesSearchQuery = (job, query) => {
+  if (!job) return false;
+
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const text = getSearchableText(job);
+  return terms.every(term => text.includes(term));
+};
+
+// Merge several job lists into one, keeping the first copy of each job id
+export const mergeJobLists = (...lists) => {
+  const seen = new Set();
+  const merged = [];
+
+  lists.forEach(list => {
+    (list || []).forEach(job => {
+      if (!job || job.id === undefined || job.id === null) return;
+      if (seen.has(job.id)) return;
+      seen.add(job.id);
+      merged.push(job);
+    });
+  });
+
+  return merged;
+};
+
+export const EMPTY_FILTERS = {
+  cities: [],
+  salaryMin: null,
+  salaryMax: null,
+  jobTypes: [],
+  experiences: [],
+  qualifications: [],
+  // Only applied when a home location is set, see LocationContext
+  maxDistanceKm: null,
+};
+
+// Choices for the "within N km" filter
+export const DISTANCE_FILTER_OPTIONS = [2, 5, 10, 25, 50];
+
+// Helper function to check a value against a multi-select filter
+const matchesOption = (selected, value) => {
+  if (!selected || selected.length === 0) return true;
+  return value !== null && selected.includes(value);
+};
+
+// `getDistance(job)` returns km from the user's home location; without it
+// the distance filter is skipped
+export const matchesFilters = (job, filters, { getDistance } = {}) => {
+  if (!job) return false;
+  if (!filters) return true;
+
+  if (!matchesOption(filters.cities, job.location.city)) return false;
+  if (!matchesOption(filters.jobTypes, job.jobType)) return false;
+  if (!matchesOption(filters.experiences, job.experience)) return false;
+  if (!matchesOption(filters.qualifications, job.qualification)) return false;
+
+  if (filters.salaryMin !== null || filters.salaryMax !== null) {
+    const { min, max } = job.salary;
+    if (min === null && max === null) return false;
+    const lowest = min !== null ? min : max;
+    const highest = max !== null ? max : min;
+    // Keep jobs whose salary range overlaps the requested range
+    if (filters.salaryMin !== null && highest < filters.salaryMin) return false;
+    if (filters.salaryMax !== null && lowest > filters.salaryMax) return false;
+  }
+
+  if (filters.maxDistanceKm && getDistance) {
+    const distance = getDistance(job);
+    if (distance === null || distance > filters.maxDistanceKm) return false;
+  }
+
+  return true;
+};
+
+// Build the list of choices shown in the filter sheet from the jobs we have
+export const getFilterOptions = (jobs) => {
+  const cities = new Set();
+  const jobTypes = new Set();
+  const experiences = new Set();
+  const qualifications = new Set();
+
+  (jobs || []).forEach(job => {
+    if (!job) return;
+    if (job.location.city) cities.add(job.location.city);
+    if (job.jobType) jobTypes.add(job.jobType);
+    if (job.experience) experiences.add(job.experience);
+    if (job.qualification) qualifications.add(job.qualification);
+  });
+
+  const sorted = (set) => Array.from(set).sort((a, b) => a.localeCompare(b));
+
+  return {
+    cities: sorted(cities),
+    jobTypes: sorted(jobTypes),
+    experiences: sorted(experiences),
+    qualifications: sorted(qualifications),
+  };
+};
+
+// Turn the active filters into removable chips
+export const getActiveFilterChips = (filters) => {
+  if (!filters) return [];
+  const chips = [];
+
+  (filters.cities || []).forEach(value => chips.push({ key: `cities:${value}`, field: 'cities', value, label: value }));
+  (filters.jobTypes || []).forEach(value => chips.push({ key: `jobTypes:${value}`, field: 'jobTypes', value, label: value }));
+  (filters.experiences || []).forEach(value => chips.push({ key: `experiences:${value}`, field: 'experiences', value, label: value }));
+  (filters.qualifications || []).forEach(value => chips.push({ key: `qualifications:${value}`, field: 'qualifications', value, label: value }));
+
+  if (filters.salaryMin !== null || filters.salaryMax !== null) {
+    let label;
+    if (filters.salaryMin !== null && filters.salaryMax !== null) {
+      label = t('filters.salaryRange', { min: formatCurrency(filters.salaryMin), max: formatCurrency(filters.salaryMax) });
+    } else if (filters.salaryMin !== null) {
+      label = t('filters.salaryFrom', { min: formatCurrency(filters.salaryMin) });
+    } else {
+      label = t('filters.salaryUpTo', { max: formatCurrency(filters.salaryMax) });
+    }
+    chips.push({ key: 'salary', field: 'salary', value: null, label });
+  }
+
+  if (filters.maxDistanceKm) {
+    chips.push({ key: 'distance', field: 'maxDistanceKm', value: null, label: t('filters.withinKm', { count: filters.maxDistanceKm }) });
+  }
+
+  return chips;
+};
+
+// Labelled through the `sort.<key>` messages
+export const SORT_OPTIONS = [
+  { key: 'default', icon: 'list-outline' },
+  { key: 'newest', icon: 'time-outline' },
+  { key: 'salary', icon: 'cash-outline' },
+  { key: 'expiring', icon: 'hourglass-outline' },
+  { key: 'openings', icon: 'people-outline' },
+  { key: 'views', icon: 'eye-outline' },
+];
+
+// The job feed can also be sorted by distance; saved jobs are sorted in the
+// database, which knows nothing about the user's location
+export const JOBS_SORT_OPTIONS = [
+  ...SORT_OPTIONS,
+  { key: 'nearest', icon: 'navigate-outline' },
+];
+
+// Helper function to read a date field as a timestamp
+const toTimestamp = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+// Each sort reads one value per job and orders by it; jobs without a value
+// always go to the end of the list
+const SORT_VALUE_READERS = {
+  newest: { read: job => toTimestamp(job.createdOn), descending: true },
+  salary: {
+    read: job => (job.salary.max !== null ? job.salary.max : job.salary.min),
+    descending: true,
+  },
+  expiring: { read: job => toTimestamp(job.expireOn), descending: false },
+  openings: { read: job => job.openings, descending: true },
+  views: { read: job => job.views || null, descending: true },
+  nearest: {
+    read: (job, { getDistance }) => (getDistance ? getDistance(job) : null),
+    descending: false,
+  },
+};
+
+// Sort without mutating the input. Ties keep their original order so that
+// appending a new page never reshuffles jobs that compare equal. `options`
+// takes the same `getDistance` as matchesFilters for the nearest sort.
+export const sortJobs = (jobs, sortKey, options = {}) => {
+  const reader = SORT_VALUE_READERS[sortKey];
+  if (!reader || !Array.isArray(jobs)) return jobs;
+
+  return jobs
+    .map((job, index) => ({ job, index, value: reader.read(job, options) }))
+    .sort((a, b) => {
+      if (a.value === null && b.value === null) return a.index - b.index;
+      if (a.value === null) return 1;
+      if (b.value === null) return -1;
+      if (a.value === b.value) return a.index - b.index;
+      return reader.descending ? b.value - a.value : a.value - b.value;
+    })
+    .map(entry => entry.job);
+};
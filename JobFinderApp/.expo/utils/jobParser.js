@@ -0,0 +1,329 @@
+// Turns raw job payloads from testapi.getlokalapp.com into one normalized
+// shape. Every screen and the bookmark store read jobs through this module,
+// so fallback rules for the API's inconsistent fields live only here.
+import { t, formatCurrency } from '../i18n';
+
+/**
+ * @typedef {Object} JobSalary
+ * @property {number|null} min - Lowest monthly amount in rupees
+ * @property {number|null} max - Highest monthly amount in rupees
+ * @property {string|null} text - Salary text supplied by the server, if any
+ */
+
+/**
+ * @typedef {Object} JobLocation
+ * @property {string|null} label - Full location text, e.g. "Nagole, Hyderabad"
+ * @property {string|null} locality - First part of the label, e.g. "Nagole"
+ * @property {string|null} city - Last part of the label, e.g. "Hyderabad"
+ * @property {number|null} cityId - Numeric city_location id from the API
+ * @property {number|null} localityId - Numeric locality id from the API
+ * @property {{latitude: number, longitude: number}|null} coordinates - Sent for some postings
+ */
+
+/**
+ * @typedef {Object} JobContact
+ * @property {string|null} phone - Number to call
+ * @property {string|null} whatsapp - Number to message on WhatsApp
+ * @property {string|null} callStart - Preferred call window start, "HH:MM:SS"
+ * @property {string|null} callEnd - Preferred call window end, "HH:MM:SS"
+ */
+
+/**
+ * @typedef {Object} JobTag
+ * @property {string} label
+ * @property {string|null} bgColor
+ * @property {string|null} textColor
+ */
+
+/**
+ * @typedef {Object} JobContentField
+ * @property {string} key - field_key from contentV3
+ * @property {string} label - Human readable field name
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {number} modelVersion
+ * @property {number|string} id
+ * @property {string} title
+ * @property {string|null} companyName
+ * @property {string|null} role
+ * @property {string|null} category
+ * @property {string|null} jobType
+ * @property {string|null} experience
+ * @property {string|null} qualification
+ * @property {string|null} shift
+ * @property {string|null} hours
+ * @property {string|null} fees
+ * @property {number|null} openings
+ * @property {number} views
+ * @property {boolean} isPremium
+ * @property {JobSalary} salary
+ * @property {JobLocation} location
+ * @property {JobContact} contact
+ * @property {JobTag[]} tags
+ * @property {string[]} keywords - Plain string tags
+ * @property {JobContentField[]} content - contentV3 fields in server order
+ * @property {string|null} otherDetails
+ * @property {string|null} createdOn - ISO timestamp
+ * @property {string|null} updatedOn - ISO timestamp
+ * @property {string|null} expireOn - ISO timestamp
+ */
+
+export const JOB_MODEL_VERSION = 1;
+
+// Helper function to turn any scalar into trimmed text, or null when empty
+const toText = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return null;
+  const text = String(value).trim();
+  return text ? text : null;
+};
+
+// The API uses "-" and "V3:[]" style placeholders for "no value"
+const isPlaceholder = (value) => {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'object') {
+    return Array.isArray(value.V3) && value.V3.length === 0;
+  }
+  const text = String(value).trim();
+  return text === '' || text === '-' || /^V3:\[.*\]$/i.test(text);
+};
+
+// Helper function to read text that may be a placeholder
+const toCleanText = (value) => (isPlaceholder(value) ? null : toText(value));
+
+// Helper function to read a positive number that may arrive as a string
+const toNumber = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const digits = value.replace(/[^0-9.]/g, '');
+    if (!digits) return null;
+    const parsed = Number(digits);
+    return isFinite(parsed) ? parsed : null;
+  }
+  return null;
+};
+
+// Helper function to read a latitude or longitude, which may be signed
+const toCoordinate = (value) => {
+  const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return typeof parsed === 'number' && isFinite(parsed) ? parsed : null;
+};
+
+// Helper function to read a date as an ISO string
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Helper function to keep only digits and a leading plus from a phone number
+const toPhoneNumber = (value) => {
+  const text = toText(value);
+  if (!text) return null;
+  const cleaned = text.replace(/^tel:/i, '').replace(/[^0-9+]/g, '');
+  return cleaned.length >= 6 ? cleaned : null;
+};
+
+// Fields like experience and job_type come back as numeric ids, in which case
+// the readable value lives in primary_details
+const resolveDetailText = (raw, field, primaryDetailsField) => {
+  const primaryValue = raw.primary_details && raw.primary_details[primaryDetailsField];
+  const fromPrimary = toCleanText(primaryValue);
+  if (fromPrimary) return fromPrimary;
+  if (typeof raw[field] === 'number') return null;
+  return toCleanText(raw[field]);
+};
+
+// Helper function to turn a field_key like "shift_timing" into "Shift timing"
+const humanizeKey = (key) => {
+  const text = String(key).replace(/[_-]+/g, ' ').trim();
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+};
+
+// Helper function to read a contentV3 field_value. Lists such as languages
+// sometimes arrive as arrays; nested objects have no readable form.
+const toFieldText = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(toCleanText).filter(Boolean);
+    return items.length > 0 ? items.join(', ') : null;
+  }
+  return toCleanText(value);
+};
+
+const parseContent = (raw) => {
+  const fields = raw.contentV3 && Array.isArray(raw.contentV3.V3) ? raw.contentV3.V3 : [];
+  return fields
+    .map(field => {
+      if (!field || typeof field !== 'object') return null;
+      // The API is not consistent about the casing of field_key
+      const key = toText(field.field_key || field.field_Key || field.field_name);
+      const value = toFieldText(field.field_value);
+      if (!key || !value) return null;
+      return {
+        key,
+        label: toText(field.field_name) || humanizeKey(key),
+        value,
+      };
+    })
+    .filter(Boolean);
+};
+
+const parseSalary = (raw) => {
+  let min = toNumber(raw.salary_min);
+  let max = toNumber(raw.salary_max);
+  if (min !== null && min <= 0) min = null;
+  if (max !== null && max <= 0) max = null;
+
+  const primarySalary = raw.primary_details ? raw.primary_details.Salary : undefined;
+  const text = toCleanText(primarySalary) || toCleanText(raw.salary);
+
+  // Fall back to the amounts written in the text, e.g. "₹12000 - ₹20000"
+  if (min === null && max === null && text) {
+    const amounts = (text.replace(/,/g, '').match(/\d+/g) || [])
+      .map(amount => parseInt(amount, 10))
+      .filter(amount => amount > 0);
+    if (amounts.length > 0) {
+      min = amounts[0];
+      max = amounts.length > 1 ? amounts[amounts.length - 1] : null;
+    }
+  }
+
+  return { min, max, text };
+};
+
+const parseLocation = (raw) => {
+  const label = toCleanText(raw.job_location_slug)
+    || toCleanText(raw.primary_details && raw.primary_details.Place)
+    || (typeof raw.city_location === 'string' ? toCleanText(raw.city_location) : null);
+  const parts = label ? label.split(',').map(part => part.trim()).filter(Boolean) : [];
+  const latitude = toCoordinate(raw.latitude);
+  const longitude = toCoordinate(raw.longitude);
+
+  return {
+    label,
+    locality: parts.length > 1 ? parts[0] : null,
+    city: parts.length > 0 ? parts[parts.length - 1] : null,
+    cityId: typeof raw.city_location === 'number' && raw.city_location > 0 ? raw.city_location : null,
+    localityId: typeof raw.locality === 'number' && raw.locality > 0 ? raw.locality : null,
+    coordinates: latitude !== null && longitude !== null ? { latitude, longitude } : null,
+  };
+};
+
+const parseContact = (raw) => {
+  const preference = raw.contact_preference && typeof raw.contact_preference === 'object'
+    ? raw.contact_preference
+    : {};
+  const customLink = toText(raw.custom_link);
+  const whatsapp = toPhoneNumber(raw.whatsapp_no);
+  const phone = toPhoneNumber(raw.phone)
+    || (customLink && /^tel:/i.test(customLink) ? toPhoneNumber(customLink) : null)
+    || whatsapp;
+
+  return {
+    phone,
+    whatsapp,
+    callStart: toText(preference.preferred_call_start_time),
+    callEnd: toText(preference.preferred_call_end_time),
+  };
+};
+
+const parseTags = (raw) => {
+  if (!Array.isArray(raw.job_tags)) return [];
+  return raw.job_tags
+    .map(tag => {
+      const label = tag && toText(tag.value);
+      if (!label) return null;
+      return {
+        label,
+        bgColor: toText(tag.bg_color),
+        textColor: toText(tag.text_color),
+      };
+    })
+    .filter(Boolean);
+};
+
+// Check whether a value is already a normalized Job
+export const isNormalizedJob = (value) => {
+  return !!value && typeof value === 'object' && value.modelVersion === JOB_MODEL_VERSION;
+};
+
+/**
+ * Parse a raw job payload into a normalized Job.
+ * Returns null for entries that are not jobs (e.g. promotional cards without an id).
+ * Already normalized jobs are returned unchanged, so parsing is safe to repeat.
+ * @param {Object} raw
+ * @returns {Job|null}
+ */
+export const parseJob = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  if (isNormalizedJob(raw)) return raw;
+  if (raw.id === null || raw.id === undefined || raw.id === '') return null;
+
+  const content = parseContent(raw);
+  const shiftField = content.find(field => field.key.toLowerCase() === 'shift timing');
+  const openings = toNumber(raw.openings_count);
+  const views = toNumber(raw.views);
+
+  return {
+    modelVersion: JOB_MODEL_VERSION,
+    id: raw.id,
+    title: toText(raw.title) || 'Untitled Job',
+    companyName: toText(raw.company_name),
+    role: toText(raw.job_role),
+    category: toText(raw.job_category),
+    jobType: resolveDetailText(raw, 'job_type', 'Job_Type'),
+    experience: resolveDetailText(raw, 'experience', 'Experience'),
+    qualification: resolveDetailText(raw, 'qualification', 'Qualification'),
+    shift: shiftField ? shiftField.value : (typeof raw.shift_timing === 'string' ? toCleanText(raw.shift_timing) : null),
+    hours: toCleanText(raw.job_hours),
+    fees: toCleanText(raw.primary_details && raw.primary_details.Fees_Charged) || toCleanText(raw.fees_text),
+    openings: openings !== null && openings > 0 ? openings : null,
+    views: views !== null && views > 0 ? views : 0,
+    isPremium: !!raw.is_premium,
+    salary: parseSalary(raw),
+    location: parseLocation(raw),
+    contact: parseContact(raw),
+    tags: parseTags(raw),
+    keywords: Array.isArray(raw.tags) ? raw.tags.map(toText).filter(Boolean) : [],
+    content,
+    otherDetails: toCleanText(raw.other_details),
+    createdOn: toIsoDate(raw.created_on),
+    updatedOn: toIsoDate(raw.updated_on),
+    expireOn: toIsoDate(raw.expire_on),
+  };
+};
+
+// Parse a list of raw jobs, dropping entries that are not jobs
+export const parseJobs = (rawJobs) => {
+  if (!Array.isArray(rawJobs)) return [];
+  return rawJobs.map(parseJob).filter(Boolean);
+};
+
+// Salary text for display in the current language. Amounts are formatted
+// for the locale; server supplied text is only shown when it had no amounts
+// in it, e.g. "Negotiable".
+export const formatSalary = (salary) => {
+  if (!salary) return t('salary.notMentioned');
+  if (salary.min !== null && salary.max !== null && salary.min !== salary.max) {
+    return t('salary.range', { min: formatCurrency(salary.min), max: formatCurrency(salary.max) });
+  }
+  if (salary.min !== null) return t('salary.from', { amount: formatCurrency(salary.min) });
+  if (salary.max !== null) return t('salary.upTo', { amount: formatCurrency(salary.max) });
+  if (salary.text) return salary.text;
+  return t('salary.notMentioned');
+};
+
+// Openings as a tag label, e.g. "120 Vacancies"
+export const formatOpenings = (openings) => {
+  if (!openings) return null;
+  return t('openings', { count: openings });
+};
+
+// Helper function for screens that show a tag for openings only when the
+// server did not already send one
+export const hasOpeningsTag = (job) => {
+  return job.tags.some(tag => /vacanc/i.test(tag.label));
+};
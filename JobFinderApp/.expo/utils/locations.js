@@ -0,0 +1,234 @@
+// Offline coordinates for the cities and localities jobs are posted in. Most
+// postings only carry place ids and names, so the map and distance features
+// look them up here instead of calling a geocoding service. Coordinates are
+// approximate centre points, which is plenty for plotting and rough distances.
+import { t } from '../i18n';
+
+// Keyed by lower-cased city name
+const CITY_COORDINATES = {
+  'hyderabad': { latitude: 17.385, longitude: 78.4867 },
+  'secunderabad': { latitude: 17.4399, longitude: 78.4983 },
+  'warangal': { latitude: 17.9689, longitude: 79.5941 },
+  'karimnagar': { latitude: 18.4386, longitude: 79.1288 },
+  'nizamabad': { latitude: 18.6725, longitude: 78.0941 },
+  'khammam': { latitude: 17.2473, longitude: 80.1514 },
+  'nalgonda': { latitude: 17.0575, longitude: 79.2684 },
+  'mahbubnagar': { latitude: 16.7488, longitude: 78.0035 },
+  'vijayawada': { latitude: 16.5062, longitude: 80.648 },
+  'visakhapatnam': { latitude: 17.6868, longitude: 83.2185 },
+  'guntur': { latitude: 16.3067, longitude: 80.4365 },
+  'nellore': { latitude: 14.4426, longitude: 79.9865 },
+  'tirupati': { latitude: 13.6288, longitude: 79.4192 },
+  'kurnool': { latitude: 15.8281, longitude: 78.0373 },
+  'kakinada': { latitude: 16.9891, longitude: 82.2475 },
+  'rajahmundry': { latitude: 17.0005, longitude: 81.804 },
+  'eluru': { latitude: 16.7107, longitude: 81.0952 },
+  'ongole': { latitude: 15.5057, longitude: 80.0499 },
+  'anantapur': { latitude: 14.6819, longitude: 77.6006 },
+  'kadapa': { latitude: 14.4673, longitude: 78.8242 },
+  'chennai': { latitude: 13.0827, longitude: 80.2707 },
+  'coimbatore': { latitude: 11.0168, longitude: 76.9558 },
+  'madurai': { latitude: 9.9252, longitude: 78.1198 },
+  'tiruchirappalli': { latitude: 10.7905, longitude: 78.7047 },
+  'salem': { latitude: 11.6643, longitude: 78.146 },
+  'tirunelveli': { latitude: 8.7139, longitude: 77.7567 },
+  'vellore': { latitude: 12.9165, longitude: 79.1325 },
+  'bengaluru': { latitude: 12.9716, longitude: 77.5946 },
+  'mysuru': { latitude: 12.2958, longitude: 76.6394 },
+  'hubballi': { latitude: 15.3647, longitude: 75.124 },
+  'mangaluru': { latitude: 12.9141, longitude: 74.856 },
+  'kochi': { latitude: 9.9312, longitude: 76.2673 },
+  'thiruvananthapuram': { latitude: 8.5241, longitude: 76.9366 },
+  'mumbai': { latitude: 19.076, longitude: 72.8777 },
+  'pune': { latitude: 18.5204, longitude: 73.8567 },
+  'delhi': { latitude: 28.7041, longitude: 77.1025 },
+  'new delhi': { latitude: 28.6139, longitude: 77.209 },
+  'kolkata': { latitude: 22.5726, longitude: 88.3639 },
+  'ahmedabad': { latitude: 23.0225, longitude: 72.5714 },
+  'jaipur': { latitude: 26.9124, longitude: 75.7873 },
+  'lucknow': { latitude: 26.8467, longitude: 80.9462 },
+  'patna': { latitude: 25.5941, longitude: 85.1376 },
+  'bhubaneswar': { latitude: 20.2961, longitude: 85.8245 },
+};
+
+// Keyed by lower-cased "city:locality"; the same locality name turns up in
+// more than one city (there is an Anna Nagar in Chennai and in Madurai)
+const LOCALITY_COORDINATES = {
+  'hyderabad:nagole': { latitude: 17.3705, longitude: 78.5665 },
+  'hyderabad:kukatpally': { latitude: 17.4849, longitude: 78.4138 },
+  'hyderabad:gachibowli': { latitude: 17.4401, longitude: 78.3489 },
+  'hyderabad:shamshabad': { latitude: 17.2403, longitude: 78.4294 },
+  'hyderabad:madhapur': { latitude: 17.4483, longitude: 78.3915 },
+  'hyderabad:hitech city': { latitude: 17.4435, longitude: 78.3772 },
+  'hyderabad:ameerpet': { latitude: 17.4375, longitude: 78.4482 },
+  'hyderabad:dilsukhnagar': { latitude: 17.3688, longitude: 78.5247 },
+  'hyderabad:lb nagar': { latitude: 17.3457, longitude: 78.5522 },
+  'hyderabad:uppal': { latitude: 17.4058, longitude: 78.5591 },
+  'hyderabad:miyapur': { latitude: 17.4968, longitude: 78.3614 },
+  'hyderabad:begumpet': { latitude: 17.4447, longitude: 78.4664 },
+  'hyderabad:banjara hills': { latitude: 17.4126, longitude: 78.4392 },
+  'hyderabad:jubilee hills': { latitude: 17.4326, longitude: 78.4071 },
+  'hyderabad:kondapur': { latitude: 17.4697, longitude: 78.3578 },
+  'hyderabad:abids': { latitude: 17.3924, longitude: 78.4753 },
+  'hyderabad:mehdipatnam': { latitude: 17.3959, longitude: 78.4312 },
+  'hyderabad:charminar': { latitude: 17.3616, longitude: 78.4747 },
+  'hyderabad:kompally': { latitude: 17.5361, longitude: 78.4862 },
+  'hyderabad:ecil': { latitude: 17.4719, longitude: 78.5714 },
+  'vijayawada:benz circle': { latitude: 16.4995, longitude: 80.6559 },
+  'vijayawada:governorpet': { latitude: 16.5115, longitude: 80.6265 },
+  'vijayawada:patamata': { latitude: 16.4907, longitude: 80.6672 },
+  'vijayawada:gunadala': { latitude: 16.5187, longitude: 80.6676 },
+  'vijayawada:auto nagar': { latitude: 16.4893, longitude: 80.6802 },
+  'visakhapatnam:gajuwaka': { latitude: 17.6905, longitude: 83.2107 },
+  'visakhapatnam:mvp colony': { latitude: 17.7406, longitude: 83.3369 },
+  'visakhapatnam:dwaraka nagar': { latitude: 17.7294, longitude: 83.3053 },
+  'chennai:anna nagar': { latitude: 13.085, longitude: 80.2101 },
+  'chennai:t nagar': { latitude: 13.0418, longitude: 80.2341 },
+  'chennai:velachery': { latitude: 12.9815, longitude: 80.218 },
+  'chennai:tambaram': { latitude: 12.9249, longitude: 80.1 },
+  'chennai:guindy': { latitude: 13.0067, longitude: 80.2206 },
+  'chennai:porur': { latitude: 13.0382, longitude: 80.1565 },
+  'chennai:adyar': { latitude: 13.0012, longitude: 80.2565 },
+  'madurai:anna nagar': { latitude: 9.9197, longitude: 78.1443 },
+  'bengaluru:jayanagar': { latitude: 12.925, longitude: 77.5938 },
+  'bengaluru:koramangala': { latitude: 12.9352, longitude: 77.6245 },
+  'bengaluru:whitefield': { latitude: 12.9698, longitude: 77.75 },
+  'bengaluru:electronic city': { latitude: 12.8452, longitude: 77.6602 },
+  'bengaluru:marathahalli': { latitude: 12.9569, longitude: 77.7011 },
+  'bengaluru:indiranagar': { latitude: 12.9784, longitude: 77.6408 },
+  'bengaluru:btm layout': { latitude: 12.9166, longitude: 77.6101 },
+  'bengaluru:hebbal': { latitude: 13.0354, longitude: 77.597 },
+  'bengaluru:yelahanka': { latitude: 13.1007, longitude: 77.5963 },
+  'bengaluru:rajajinagar': { latitude: 12.9911, longitude: 77.5541 },
+};
+
+// Place ids that the sample payloads in api/fixtures pair with the names
+// above. There is no published id table, so names win and these are only a
+// fallback for postings that carry no usable place name.
+const CITY_IDS = {
+  15: 'chennai',
+  21: 'bengaluru',
+  69: 'hyderabad',
+  88: 'vijayawada',
+  112: 'guntur',
+};
+
+const LOCALITY_IDS = {
+  812: 'chennai:anna nagar',
+  1402: 'bengaluru:jayanagar',
+  2187: 'hyderabad:nagole',
+  3051: 'vijayawada:benz circle',
+};
+
+// Other spellings the API uses for the same city
+const CITY_ALIASES = {
+  'bangalore': 'bengaluru',
+  'mysore': 'mysuru',
+  'vizag': 'visakhapatnam',
+};
+
+// Helper function to build the lookup key for a place name
+const toKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Coordinates for a city and optional locality. Falls back to the city centre
+ * when the locality is not in the table, and to null when the city is not.
+ * @returns {{latitude: number, longitude: number, precision: 'locality'|'city'}|null}
+ */
+export const lookupCoordinates = (city, locality) => {
+  const cityKey = toKey(city);
+  if (!cityKey) return null;
+  const canonicalCity = CITY_ALIASES[cityKey] || cityKey;
+
+  if (locality) {
+    const match = LOCALITY_COORDINATES[`${canonicalCity}:${toKey(locality)}`];
+    if (match) return { ...match, precision: 'locality' };
+  }
+  const cityMatch = CITY_COORDINATES[canonicalCity];
+  return cityMatch ? { ...cityMatch, precision: 'city' } : null;
+};
+
+/**
+ * Coordinates for a normalized job, or null when its place is unknown. Uses
+ * the posting's own coordinates when it has them, then its place names, and
+ * only then its place ids.
+ * @returns {{latitude: number, longitude: number, precision: 'exact'|'locality'|'city'}|null}
+ */
+export const getJobCoordinates = (job) => {
+  if (!job || !job.location) return null;
+  const { coordinates, cityId, localityId, city, locality } = job.location;
+
+  if (isValidCoordinate(coordinates)) {
+    return { latitude: coordinates.latitude, longitude: coordinates.longitude, precision: 'exact' };
+  }
+  const byName = lookupCoordinates(city, locality);
+  if (byName) return byName;
+  const localityMatch = LOCALITY_COORDINATES[LOCALITY_IDS[localityId]];
+  if (localityMatch) return { ...localityMatch, precision: 'locality' };
+  const cityMatch = CITY_COORDINATES[CITY_IDS[cityId]];
+  return cityMatch ? { ...cityMatch, precision: 'city' } : null;
+};
+
+// Helper function to check a coordinate pair from the device or storage
+export const isValidCoordinate = (coordinate) => {
+  return !!coordinate
+    && typeof coordinate.latitude === 'number'
+    && typeof coordinate.longitude === 'number'
+    && Math.abs(coordinate.latitude) <= 90
+    && Math.abs(coordinate.longitude) <= 180;
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+// Straight-line (haversine) distance between two coordinates in km
+export const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Distance from `home` to a job, or null when either place is unknown
+export const getJobDistanceKm = (job, home) => {
+  if (!isValidCoordinate(home)) return null;
+  const coordinates = getJobCoordinates(job);
+  return coordinates ? getDistanceKm(home, coordinates) : null;
+};
+
+// Helper function to show a distance, e.g. "~3.5 km"; it is only approximate
+// because most places are looked up in the tables above
+export const formatDistance = (km) => {
+  if (km === null || km === undefined) return null;
+  if (km < 1) return t('distance.underOneKm');
+  return t('distance.aboutKm', { distance: km < 10 ? Math.round(km * 10) / 10 : Math.round(km) });
+};
+
+// The home location as shown to the user. The device position is stored
+// with a fixed label, so it is translated here.
+export const getHomeLocationLabel = (location) => {
+  if (!location) return null;
+  return location.source === 'device' ? t('location.current') : location.label;
+};
+
+// Helper function to capitalize each word of a lookup key
+const toTitleCase = (text) => text.replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Every place in the table the user can pick as their home location:
+ * localities first, then whole cities, each sorted by label.
+ * @returns {{city: string, locality: string|null, label: string}[]}
+ */
+export const getKnownPlaces = () => {
+  const byLabel = (a, b) => a.label.localeCompare(b.label);
+  const localities = Object.keys(LOCALITY_COORDINATES).map(key => {
+    const [city, locality] = key.split(':').map(toTitleCase);
+    return { city, locality, label: `${locality}, ${city}` };
+  });
+  const cities = Object.keys(CITY_COORDINATES).map(key => {
+    const city = toTitleCase(key);
+    return { city, locality: null, label: city };
+  });
+  return [...localities.sort(byLabel), ...cities.sort(byLabel)];
+};
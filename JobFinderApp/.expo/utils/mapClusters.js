@@ -0,0 +1,96 @@
+import { getJobCoordinates } from './locations';
+
+// The visible map is split into this many cells across; pins in the same
+// cell are drawn as one cluster
+const CLUSTER_GRID_SIZE = 8;
+
+// Below this latitude span zooming in no longer separates pins, because
+// jobs in the same locality share one coordinate
+export const MIN_ZOOM_DELTA = 0.02;
+
+// Shown when no job has a known place yet: roughly the Telugu states
+export const DEFAULT_REGION = {
+  latitude: 17.0,
+  longitude: 79.5,
+  latitudeDelta: 6,
+  longitudeDelta: 6,
+};
+
+/**
+ * Split jobs into those that can be placed on the map and those that cannot.
+ * @param {import('./jobParser').Job[]} jobs
+ * @returns {{points: {job: Object, coordinate: {latitude: number, longitude: number}}[], unplaced: Object[]}}
+ */
+export const placeJobs = (jobs) => {
+  const points = [];
+  const unplaced = [];
+  jobs.forEach(job => {
+    const found = getJobCoordinates(job);
+    if (found) {
+      points.push({ job, coordinate: { latitude: found.latitude, longitude: found.longitude } });
+    } else {
+      unplaced.push(job);
+    }
+  });
+  return { points, unplaced };
+};
+
+/**
+ * Group points that fall in the same grid cell of the current region.
+ * A cluster's coordinate is the average of its points.
+ * @returns {{id: string, coordinate: {latitude: number, longitude: number}, jobs: Object[]}[]}
+ */
+export const clusterPoints = (points, region) => {
+  const cellLatitude = region.latitudeDelta / CLUSTER_GRID_SIZE;
+  const cellLongitude = region.longitudeDelta / CLUSTER_GRID_SIZE;
+  const cells = {};
+
+  points.forEach(point => {
+    const row = Math.floor(point.coordinate.latitude / cellLatitude);
+    const column = Math.floor(point.coordinate.longitude / cellLongitude);
+    const key = `${row}:${column}`;
+    if (!cells[key]) cells[key] = [];
+    cells[key].push(point);
+  });
+
+  return Object.keys(cells).map(key => {
+    const cellPoints = cells[key];
+    const latitude = cellPoints.reduce((sum, point) => sum + point.coordinate.latitude, 0) / cellPoints.length;
+    const longitude = cellPoints.reduce((sum, point) => sum + point.coordinate.longitude, 0) / cellPoints.length;
+    return {
+      // Single pins keep the job id so their marker is not re-created on zoom
+      id: cellPoints.length === 1 ? `job-${cellPoints[0].job.id}` : `cluster-${key}`,
+      coordinate: { latitude, longitude },
+      jobs: cellPoints.map(point => point.job),
+    };
+  });
+};
+
+/**
+ * Smallest region that shows every point, with some padding. Used for the
+ * first view and when a cluster is tapped.
+ */
+export const getRegionForPoints = (points) => {
+  if (points.length === 0) return DEFAULT_REGION;
+  const latitudes = points.map(point => point.coordinate.latitude);
+  const longitudes = points.map(point => point.coordinate.longitude);
+  const minLatitude = Math.min(...latitudes);
+  const maxLatitude = Math.max(...latitudes);
+  const minLongitude = Math.min(...longitudes);
+  const maxLongitude = Math.max(...longitudes);
+
+  return {
+    latitude: (minLatitude + maxLatitude) / 2,
+    longitude: (minLongitude + maxLongitude) / 2,
+    latitudeDelta: Math.max((maxLatitude - minLatitude) * 1.4, MIN_ZOOM_DELTA),
+    longitudeDelta: Math.max((maxLongitude - minLongitude) * 1.4, MIN_ZOOM_DELTA),
+  };
+};
+
+// Whether zooming into a cluster would split it into separate pins
+export const canSplitCluster = (cluster) => {
+  const coordinates = cluster.jobs.map(getJobCoordinates);
+  return coordinates.some(coordinate => (
+    coordinate.latitude !== coordinates[0].latitude || coordinate.longitude !== coordinates[0].longitude
+  ));
+};
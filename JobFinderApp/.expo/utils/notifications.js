@@ -0,0 +1,175 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { getMeta, setMeta } from '../storage/database';
+import { t, formatDate } from '../i18n';
+
+const REMINDER_CHANNEL_ID = 'reminders';
+const DEADLINE_CHANNEL_ID = 'deadlines';
+const MATCHES_CHANNEL_ID = 'search-matches';
+
+// How many job titles a new-matches notification lists before "and N more"
+const MAX_LISTED_MATCHES = 3;
+
+// Identifiers of tapped notifications that were already acted on, newest first
+const HANDLED_RESPONSES_KEY = 'handledNotificationResponses';
+const MAX_HANDLED_RESPONSES = 20;
+
+// Show reminders even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Android needs a channel before anything can be scheduled on it
+const setUpChannels = async () => {
+  if (Platform.OS !== 'android') return;
+  await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+    name: t('notifications.remindersChannel'),
+    importance: Notifications.AndroidImportance.HIGH,
+  });
+  await Notifications.setNotificationChannelAsync(DEADLINE_CHANNEL_ID, {
+    name: t('notifications.deadlinesChannel'),
+    importance: Notifications.AndroidImportance.DEFAULT,
+  });
+  await Notifications.setNotificationChannelAsync(MATCHES_CHANNEL_ID, {
+    name: t('notifications.matchesChannel'),
+    importance: Notifications.AndroidImportance.DEFAULT,
+  });
+};
+
+// Ask for permission if we do not have it yet. Resolves with whether
+// notifications can be shown.
+export const ensureNotificationPermission = async () => {
+  await setUpChannels();
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+};
+
+/**
+ * Schedule a follow-up reminder for a job. The notification carries the job
+ * id so tapping it can open the job again. Resolves with the notification id.
+ */
+export const scheduleJobReminder = async (job, date, note) => {
+  return Notifications.scheduleNotificationAsync({
+    content: {
+      title: t('notifications.followUpTitle', { title: job.title }),
+      body: note || (job.companyName
+        ? t('notifications.followUpBody', { company: job.companyName })
+        : t('notifications.followUpBodyNoCompany')),
+      data: { type: 'jobReminder', jobId: String(job.id) },
+    },
+    trigger: { date, channelId: REMINDER_CHANNEL_ID },
+  });
+};
+
+// Check permission without prompting, for work the user did not just ask for
+export const hasNotificationPermission = async () => {
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) await setUpChannels();
+  return current.granted;
+};
+
+// Warn that a saved job is about to expire. Resolves with the notification id.
+export const scheduleExpiryAlert = async (job, date) => {
+  return Notifications.scheduleNotificationAsync({
+    content: {
+      title: t('notifications.expiringTitle'),
+      body: job.companyName
+        ? t('notifications.expiringBody', { title: job.title, company: job.companyName, date: formatDate(job.expireOn) })
+        : t('notifications.expiringBodyNoCompany', { title: job.title, date: formatDate(job.expireOn) }),
+      data: { type: 'jobExpiry', jobId: String(job.id) },
+    },
+    trigger: { date, channelId: DEADLINE_CHANNEL_ID },
+  });
+};
+
+// Tell the user about new postings for a saved search, right away
+export const presentSavedSearchMatches = async (search, jobs) => {
+  const listed = jobs.slice(0, MAX_LISTED_MATCHES).map(job => (
+    job.companyName ? `${job.title} · ${job.companyName}` : job.title
+  ));
+  if (jobs.length > MAX_LISTED_MATCHES) {
+    listed.push(t('notifications.moreMatches', { count: jobs.length - MAX_LISTED_MATCHES }));
+  }
+
+  return Notifications.scheduleNotificationAsync({
+    content: {
+      title: t('notifications.newMatches', { count: jobs.length, name: search.name }),
+      body: listed.join('\n'),
+      data: { type: 'savedSearch', searchId: search.id },
+    },
+    trigger: Platform.OS === 'android' ? { channelId: MATCHES_CHANNEL_ID } : null,
+  });
+};
+
+export const cancelNotification = async (notificationId) => {
+  try {
+    await Notifications.cancelScheduledNotificationAsync(notificationId);
+  } catch (err) {
+    // Already delivered or never scheduled; nothing left to cancel
+    console.debug('Could not cancel notification:', err.message);
+  }
+};
+
+const tapListeners = new Set();
+const handledThisSession = new Set();
+let responseSubscription = null;
+
+// Helper function to pass a tapped notification to every listener, once.
+// Expo reports the last tap again on every cold start, and may report the
+// launching tap through both the listener and the launch response, so
+// handled identifiers are remembered in memory and in storage.
+const handleResponse = async (response) => {
+  if (!response) return;
+  const { identifier, content } = response.notification.request;
+  if (handledThisSession.has(identifier)) return;
+  handledThisSession.add(identifier);
+
+  try {
+    const handled = await getMeta(HANDLED_RESPONSES_KEY, []);
+    if (handled.includes(identifier)) return;
+    await setMeta(HANDLED_RESPONSES_KEY, [identifier, ...handled].slice(0, MAX_HANDLED_RESPONSES));
+  } catch (err) {
+    console.error('Error recording notification response:', err);
+  }
+
+  if (content.data) tapListeners.forEach(listener => listener(content.data));
+};
+
+/**
+ * Call `onTap(data)` with the data of every notification the user taps.
+ * The tap that launched the app is delivered by handleLaunchNotification.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToNotificationTaps = (onTap) => {
+  tapListeners.add(onTap);
+  if (!responseSubscription) {
+    responseSubscription = Notifications.addNotificationResponseReceivedListener(handleResponse);
+  }
+
+  return () => {
+    tapListeners.delete(onTap);
+    if (tapListeners.size === 0 && responseSubscription) {
+      responseSubscription.remove();
+      responseSubscription = null;
+    }
+  };
+};
+
+// Deliver the tap that launched the app, if it has not been handled yet.
+// Called once from App after every provider has subscribed.
+export const handleLaunchNotification = async () => {
+  try {
+    await handleResponse(await Notifications.getLastNotificationResponseAsync());
+  } catch (err) {
+    console.error('Error reading launch notification:', err);
+  }
+};
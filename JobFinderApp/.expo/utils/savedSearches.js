@@ -0,0 +1,114 @@
+import * as BackgroundFetch from 'expo-background-fetch';
+import * as TaskManager from 'expo-task-manager';
+import { jobsApi } from '../api';
+import * as savedSearchStore from '../storage/savedSearchStore';
+import { loadHomeLocation } from '../storage/homeLocationStore';
+import { loadHiddenJobs, loadHiddenCompanies } from '../storage/hiddenJobStore';
+import { matchesSearchQuery, matchesFilters } from './jobFilters';
+import { getJobDistanceKm } from './locations';
+import { createHiddenJobMatcher } from './hiddenJobs';
+import { hasNotificationPermission, presentSavedSearchMatches } from './notifications';
+
+export const SAVED_SEARCH_TASK = 'saved-search-check';
+
+// New postings are at the top of the feed; a few pages covers a day easily
+const MAX_CHECK_PAGES = 3;
+const BACKGROUND_INTERVAL_SECONDS = 3 * 60 * 60;
+// Matches older than this have most likely been filled or taken down
+const MATCH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Helper function to compare dates that may come in different ISO shapes
+const isNewerThan = (value, since) => {
+  const time = Date.parse(value);
+  return !isNaN(time) && time > Date.parse(since);
+};
+
+/**
+ * Look for postings newer than each saved search's last check, record them
+ * and notify about each search that found something new. Matches older than
+ * a month are dropped. Safe to call from
+ * the background task; it only touches storage and the API.
+ *
+ * Resolves with a list of `{ search, jobs }` holding only new matches.
+ */
+export const checkSavedSearches = async ({ api = jobsApi, notify = true } = {}) => {
+  const searches = await savedSearchStore.loadSavedSearches();
+  if (searches.length === 0) return [];
+
+  const checkedAt = new Date().toISOString();
+  const oldestCheck = searches.reduce(
+    (oldest, search) => (Date.parse(search.lastCheckedAt) < Date.parse(oldest) ? search.lastCheckedAt : oldest),
+    checkedAt
+  );
+
+  // Stop paging once a page reaches postings every search has already seen
+  const fetched = [];
+  for (let page = 1; page <= MAX_CHECK_PAGES; page++) {
+    const { jobs, hasMore } = await api.getJobs(page);
+    fetched.push(...jobs);
+    const reachedSeen = jobs.some(job => job.createdOn && !isNewerThan(job.createdOn, oldestCheck));
+    if (!hasMore || reachedSeen) break;
+  }
+
+  // Distance filters need the home location, which the background task has
+  // to read from storage itself
+  const home = await loadHomeLocation();
+  const getDistance = home ? job => getJobDistanceKm(job, home) : undefined;
+  // Jobs the user said they are not interested in are never reported
+  const isHidden = createHiddenJobMatcher(await loadHiddenJobs(), await loadHiddenCompanies());
+
+  const results = searches.map(search => ({
+    search,
+    jobs: fetched.filter(job => (
+      !isHidden(job)
+      && job.createdOn
+      && isNewerThan(job.createdOn, search.lastCheckedAt)
+      && matchesSearchQuery(job, search.query)
+      && matchesFilters(job, search.filters, { getDistance })
+    )),
+  }));
+
+  const fresh = (await savedSearchStore.recordMatches(results, checkedAt))
+    .filter(result => result.jobs.length > 0);
+  await savedSearchStore.pruneMatches(new Date(Date.parse(checkedAt) - MATCH_RETENTION_MS).toISOString());
+
+  if (notify && fresh.length > 0 && await hasNotificationPermission()) {
+    for (const { search, jobs } of fresh) {
+      await presentSavedSearchMatches(search, jobs);
+    }
+  }
+  return fresh;
+};
+
+// Task definitions must run when the JS bundle loads, so this sits at module
+// level. App.js imports this module through SavedSearchContext.
+TaskManager.defineTask(SAVED_SEARCH_TASK, async () => {
+  try {
+    const fresh = await checkSavedSearches();
+    return fresh.length > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (err) {
+    console.error('Background saved search check failed:', err);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+// Only ask the OS for background time while there is something to check
+export const updateBackgroundCheck = async (hasSavedSearches) => {
+  try {
+    const registered = await TaskManager.isTaskRegisteredAsync(SAVED_SEARCH_TASK);
+    if (hasSavedSearches && !registered) {
+      await BackgroundFetch.registerTaskAsync(SAVED_SEARCH_TASK, {
+        minimumInterval: BACKGROUND_INTERVAL_SECONDS,
+        stopOnTerminate: false,
+        startOnBoot: true,
+      });
+    } else if (!hasSavedSearches && registered) {
+      await BackgroundFetch.unregisterTaskAsync(SAVED_SEARCH_TASK);
+    }
+  } catch (err) {
+    // Background fetch is unavailable in some environments, e.g. Expo Go on iOS
+    console.debug('Could not update background check:', err.message);
+  }
+};
@@ -1,83 +1,189 @@
 import 'react-native-gesture-handler'; // This must be the first import
-import React from 'react';
+import React, { useContext, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
+import { StatusBar } from 'expo-status-bar';
 import { Image } from 'react-native';
 import JobsScreen from './.expo/screens/JobsScreen';
 import BookmarksScreen from './.expo/screens/BookmarksScreen';
 import JobDetailsScreen from './.expo/screens/JobDetailsScreen';
+import CompareJobsScreen from './.expo/screens/CompareJobsScreen';
+import MapScreen from './.expo/screens/MapScreen';
+import SettingsScreen from './.expo/screens/SettingsScreen';
+import HiddenJobsScreen from './.expo/screens/HiddenJobsScreen';
 import { JobProvider } from './.expo/context/JobContext';
+import { FilterProvider } from './.expo/context/FilterContext';
+import { CollectionProvider } from './.expo/context/CollectionContext';
+import { ApplicationProvider } from './.expo/context/ApplicationContext';
+import { NotesProvider } from './.expo/context/NotesContext';
+import { ExpiryProvider } from './.expo/context/ExpiryContext';
+import { SavedSearchProvider } from './.expo/context/SavedSearchContext';
+import { LocationProvider } from './.expo/context/LocationContext';
+import { LanguageProvider, LanguageContext } from './.expo/context/LanguageContext';
+import { ThemeProvider, ThemeContext } from './.expo/context/ThemeContext';
+import { navigationRef, flushPendingNavigation } from './.expo/navigation/navigationRef';
+import { linking } from './.expo/navigation/linking';
+import { handleLaunchNotification } from './.expo/utils/notifications';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
+// The logo artwork is a dark tile on a white canvas. On dark headers only the
+// tile is shown so the white edges do not stand out.
+function HeaderLogo() {
+  const { isDark } = useContext(ThemeContext);
+  return (
+    <Image
+      source={require('./logo.png')}
+      style={isDark
+        ? { width: 40, height: 40, borderRadius: 8, resizeMode: 'cover' }
+        : { width: 120, height: 40, resizeMode: 'contain' }}
+    />
+  );
+}
+
 function JobsStack() {
+  const { t } = useContext(LanguageContext);
   return (
     <Stack.Navigator
       screenOptions={{
         headerTitleAlign: 'center',
-        headerTitle: () => (
-          <Image
-            source={require('./logo.png')}
-            style={{ width: 120, height: 40, resizeMode: 'contain' }}
-          />
-        ),
+        headerTitle: () => <HeaderLogo />,
       }}
     >
-      <Stack.Screen name="JobsList" component={JobsScreen} options={{ title: 'Jobs' }} />
-      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: 'Job Details' }} />
+      <Stack.Screen name="JobsList" component={JobsScreen} options={{ title: t('nav.jobs') }} />
+      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: t('nav.jobDetails') }} />
     </Stack.Navigator>
   );
 }
 
 function BookmarksStack() {
+  const { t } = useContext(LanguageContext);
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerTitleAlign: 'center',
+        headerTitle: () => <HeaderLogo />,
+      }}
+    >
+      <Stack.Screen name="BookmarksList" component={BookmarksScreen} options={{ title: t('nav.bookmarks') }} />
+      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: t('nav.jobDetails') }} />
+      <Stack.Screen name="CompareJobs" component={CompareJobsScreen} options={{ title: t('nav.compareJobs') }} />
+    </Stack.Navigator>
+  );
+}
+
+function MapStack() {
+  const { t } = useContext(LanguageContext);
   return (
     <Stack.Navigator
       screenOptions={{
         headerTitleAlign: 'center',
-        headerTitle: () => (
-          <Image
-            source={require('./logo.png')}
-            style={{ width: 120, height: 40, resizeMode: 'contain' }}
-          />
-        ),
+        headerTitle: () => <HeaderLogo />,
       }}
     >
-      <Stack.Screen name="BookmarksList" component={BookmarksScreen} options={{ title: 'Bookmarks' }} />
-      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: 'Job Details' }} />
+      <Stack.Screen name="JobsMap" component={MapScreen} options={{ title: t('nav.map') }} />
+      <Stack.Screen name="JobDetails" component={JobDetailsScreen} options={{ title: t('nav.jobDetails') }} />
     </Stack.Navigator>
   );
 }
 
+function SettingsStack() {
+  const { t } = useContext(LanguageContext);
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerTitleAlign: 'center',
+        headerTitle: () => <HeaderLogo />,
+      }}
+    >
+      <Stack.Screen name="SettingsHome" component={SettingsScreen} options={{ title: t('nav.settings') }} />
+      <Stack.Screen name="HiddenJobs" component={HiddenJobsScreen} options={{ title: t('nav.hiddenJobs') }} />
+    </Stack.Navigator>
+  );
+}
+
+// Tab labels follow the app language
+function MainTabs() {
+  const { t } = useContext(LanguageContext);
+  return (
+    <Tab.Navigator
+      screenOptions={({ route }) => ({
+        tabBarIcon: ({ focused, color, size }) => {
+          let iconName;
+          if (route.name === 'Jobs') {
+            iconName = focused ? 'briefcase' : 'briefcase-outline';
+          } else if (route.name === 'Bookmarks') {
+            iconName = focused ? 'bookmark' : 'bookmark-outline';
+          } else if (route.name === 'Map') {
+            iconName = focused ? 'map' : 'map-outline';
+          } else if (route.name === 'Settings') {
+            iconName = focused ? 'settings' : 'settings-outline';
+          }
+          return <Ionicons name={iconName} size={size} color={color} />;
+        },
+      })}
+    >
+      <Tab.Screen name="Jobs" component={JobsStack} options={{ title: t('nav.jobs') }} />
+      <Tab.Screen name="Map" component={MapStack} options={{ title: t('nav.map') }} />
+      <Tab.Screen name="Bookmarks" component={BookmarksStack} options={{ title: t('nav.bookmarks') }} />
+      <Tab.Screen name="Settings" component={SettingsStack} options={{ title: t('nav.settings') }} />
+    </Tab.Navigator>
+  );
+}
+
+// Headers and the tab bar take their colors from the navigation theme
+function AppNavigation() {
+  const { isDark, navigationTheme } = useContext(ThemeContext);
+  return (
+    <NavigationContainer
+      ref={navigationRef}
+      linking={linking}
+      theme={navigationTheme}
+      onReady={flushPendingNavigation}
+    >
+      <StatusBar style={isDark ? 'light' : 'dark'} />
+      <MainTabs />
+    </NavigationContainer>
+  );
+}
+
 export default function App() {
+  // The providers subscribe to notification taps in their own effects, which
+  // run before this one
+  useEffect(() => {
+    handleLaunchNotification();
+  }, []);
+
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
-      <SafeAreaProvider>
-        <JobProvider>
-          <NavigationContainer>
-            <Tab.Navigator
-              screenOptions={({ route }) => ({
-                tabBarIcon: ({ focused, color, size }) => {
-                  let iconName;
-                  if (route.name === 'Jobs') {
-                    iconName = focused ? 'briefcase' : 'briefcase-outline';
-                  } else if (route.name === 'Bookmarks') {
-                    iconName = focused ? 'bookmark' : 'bookmark-outline';
-                  }
-                  return <Ionicons name={iconName} size={size} color={color} />;
-                },
-              })}
-            >
-              <Tab.Screen name="Jobs" component={JobsStack} />
-              <Tab.Screen name="Bookmarks" component={BookmarksStack} />
-            </Tab.Navigator>
-          </NavigationContainer>
-        </JobProvider>
-      </SafeAreaProvider>
+      <ThemeProvider>
+        <LanguageProvider>
+          <SafeAreaProvider>
+            <JobProvider>
+              <FilterProvider>
+                <CollectionProvider>
+                  <ApplicationProvider>
+                    <NotesProvider>
+                      <ExpiryProvider>
+                        <SavedSearchProvider>
+                          <LocationProvider>
+                            <AppNavigation />
+                          </LocationProvider>
+                        </SavedSearchProvider>
+                      </ExpiryProvider>
+                    </NotesProvider>
+                  </ApplicationProvider>
+                </CollectionProvider>
+              </FilterProvider>
+            </JobProvider>
+          </SafeAreaProvider>
+        </LanguageProvider>
+      </ThemeProvider>
     </GestureHandlerRootView>
   );
 }